@@ -0,0 +1,64 @@
+/**
+ * Field encryption key rotation
+ *
+ * Re-wraps every encrypted field with the active master key, and encrypts
+ * TOTP secrets that were stored before field encryption was added.
+ *
+ * Usage:
+ *   npm run rotate-field-keys              # re-wrap with the current active key
+ *   npm run rotate-field-keys -- --new-key # add a new key to the key file first
+ *
+ * With FIELD_ENCRYPTION_KEYS, put the new key at the front of the list and run
+ * without --new-key. Old keys can be dropped once this has finished.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { loadMasterKeys, addMasterKeyToFile, needsRewrap, rewrapField } = require('../src/utils/fieldEncryption');
+const { totpSecretContext } = require('../src/utils/twoFactor');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/secure-chat';
+
+async function rotate() {
+    if (process.argv.includes('--new-key')) {
+        const keyId = addMasterKeyToFile();
+        console.log(`✓ Added field encryption key "${keyId}" and made it active`);
+    }
+
+    const { activeKeyId } = loadMasterKeys();
+    await mongoose.connect(MONGO_URI);
+
+    let rewrapped = 0;
+    let failed = 0;
+    const cursor = User.find({ twoFactorSecret: { $ne: null } }, { twoFactorSecret: 1 }).cursor();
+
+    for await (const user of cursor) {
+        if (!needsRewrap(user.twoFactorSecret)) continue;
+
+        try {
+            const updated = rewrapField(user.twoFactorSecret, totpSecretContext(user._id));
+
+            // Only replacing the value we read, in case the user set up 2FA again meanwhile
+            await User.updateOne(
+                { _id: user._id, twoFactorSecret: user.twoFactorSecret },
+                { twoFactorSecret: updated }
+            );
+            rewrapped++;
+        } catch (error) {
+            console.error(`✗ Could not re-wrap the TOTP secret of user ${user._id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`✓ ${rewrapped} TOTP secrets now use key "${activeKeyId}"${failed ? `, ${failed} failed` : ''}`);
+    await mongoose.disconnect();
+
+    if (failed) process.exitCode = 1;
+}
+
+rotate().catch(async (error) => {
+    console.error('Key rotation failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+});
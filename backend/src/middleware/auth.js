@@ -1,7 +1,53 @@
-const jwt = require('jsonwebtoken');
 const SecurityLog = require('../models/SecurityLog');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// Checking an access token and the session/device behind it
+// Shared by HTTP requests and socket handshakes so both follow the same rules
+// Returns { identity } or { failure } and throws if the JWT itself is bad
+async function checkAccessToken(token) {
+    // Making sure token is valid
+    const decoded = verifyToken(token);
+
+    // Every token belongs to a session, and logging out or killing the session ends it right away
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+
+    if (!session || session.revoked || session.expiresAt < new Date()) {
+        return {
+            failure: {
+                userId: decoded.userId,
+                details: { reason: 'Token for revoked session', sessionId: decoded.sessionId },
+                response: { error: 'Session has been revoked', sessionRevoked: true }
+            }
+        };
+    }
+
+    // Tokens issued to a device stop working as soon as that device is revoked
+    if (decoded.deviceId) {
+        const device = await Device.findById(decoded.deviceId);
+
+        if (!device || device.revoked || device.userId.toString() !== decoded.userId) {
+            return {
+                failure: {
+                    userId: decoded.userId,
+                    details: { reason: 'Token for revoked device', deviceId: decoded.deviceId },
+                    response: { error: 'This device has been revoked' }
+                }
+            };
+        }
+    }
+
+    return {
+        identity: {
+            userId: decoded.userId,
+            username: decoded.username,
+            deviceId: decoded.deviceId || null,
+            sessionId: decoded.sessionId
+        }
+    };
+}
 
 // Checking if user has a valid login token
 async function authenticate(req, res, next) {
@@ -21,16 +67,34 @@ async function authenticate(req, res, next) {
         }
 
         const token = authHeader.split(' ')[1];
+        const { identity, failure } = await checkAccessToken(token);
+
+        if (failure) {
+            await logSecurityEvent({
+                eventType: 'AUTH_LOGIN_FAILED',
+                userId: failure.userId,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent'),
+                severity: 'WARNING',
+                details: failure.details
+            });
 
-        // Making sure token is valid
-        const decoded = jwt.verify(token, JWT_SECRET);
+            return res.status(401).json(failure.response);
+        }
 
         // Remembering who this user is for later
-        req.userId = decoded.userId;
-        req.username = decoded.username;
+        req.userId = identity.userId;
+        req.username = identity.username;
+        req.deviceId = identity.deviceId;
+        req.sessionId = identity.sessionId;
 
         next();
     } catch (error) {
+        // Expired access tokens are normal, the client just refreshes
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired', tokenExpired: true });
+        }
+
         await logSecurityEvent({
             eventType: 'AUTH_LOGIN_FAILED',
             ipAddress: req.ip,
@@ -43,18 +107,108 @@ async function authenticate(req, res, next) {
     }
 }
 
-// Creating a login token for user (lasts 24 hours)
-function generateToken(user) {
-    return jwt.sign(
-        {
-            userId: user._id,
-            username: user.username
-        },
-        JWT_SECRET,
-        {
-            expiresIn: '24h'
+// Same check for Socket.io handshakes (io.use)
+// The client sends its access token in the handshake's auth payload
+async function authenticateSocket(socket, next) {
+    const ipAddress = socket.handshake.address;
+    const userAgent = socket.handshake.headers['user-agent'];
+
+    // Socket.io hands this error's data to the client's connect_error handler
+    const reject = (response) => {
+        const error = new Error(response.error);
+        error.data = response;
+        next(error);
+    };
+
+    try {
+        const token = socket.handshake.auth?.token;
+
+        if (!token || typeof token !== 'string') {
+            await logSecurityEvent({
+                eventType: 'AUTH_LOGIN_FAILED',
+                ipAddress,
+                userAgent,
+                severity: 'WARNING',
+                details: { reason: 'Socket connection without token' }
+            });
+
+            return reject({ error: 'No token provided' });
+        }
+
+        const { identity, failure } = await checkAccessToken(token);
+
+        if (failure) {
+            await logSecurityEvent({
+                eventType: 'AUTH_LOGIN_FAILED',
+                userId: failure.userId,
+                ipAddress,
+                userAgent,
+                severity: 'WARNING',
+                details: { ...failure.details, socket: true }
+            });
+
+            return reject(failure.response);
+        }
+
+        socket.data = identity;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return reject({ error: 'Access token expired', tokenExpired: true });
+        }
+
+        await logSecurityEvent({
+            eventType: 'AUTH_LOGIN_FAILED',
+            ipAddress,
+            userAgent,
+            severity: 'WARNING',
+            details: { reason: 'Invalid socket token', error: error.message }
+        });
+
+        reject({ error: 'Invalid or expired token' });
+    }
+}
+
+// Making sure the request comes from one of the user's registered devices
+// (a fresh login on a new browser has to register its device first)
+function requireDevice(req, res, next) {
+    if (!req.deviceId) {
+        return res.status(403).json({
+            error: 'Device not registered',
+            requiresDeviceRegistration: true
+        });
+    }
+
+    next();
+}
+
+// Only letting users with one of the given roles through (use after authenticate)
+// The role is read from the database so a demotion takes effect right away
+function authorize(roles) {
+    return async (req, res, next) => {
+        try {
+            const user = await User.findById(req.userId, { role: 1 });
+
+            if (!user || !roles.includes(user.role)) {
+                await logSecurityEvent({
+                    eventType: 'ACCESS_DENIED',
+                    userId: req.userId,
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent'),
+                    severity: 'WARNING',
+                    details: { reason: 'Insufficient role', path: req.originalUrl, requiredRoles: roles }
+                });
+
+                return res.status(403).json({ error: 'You are not allowed to do this' });
+            }
+
+            req.userRole = user.role;
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ error: 'Authorization failed' });
         }
-    );
+    };
 }
 
 // Saving security events to database
@@ -68,5 +222,7 @@ async function logSecurityEvent(event) {
 
 module.exports = {
     authenticate,
-    generateToken
+    authenticateSocket,
+    authorize,
+    requireDevice
 };
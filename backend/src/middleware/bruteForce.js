@@ -0,0 +1,178 @@
+const { createAttemptStore } = require('../utils/attemptStore');
+const { logSecurityEvent } = require('./logging');
+
+// How failures are counted per kind of key
+// freeAttempts: failures before we start locking
+// escalateAt: failures that count as an attack (logged as SUSPICIOUS_ACTIVITY)
+const POLICIES = {
+    account: { freeAttempts: 3, escalateAt: 10 },
+    twoFactor: { freeAttempts: 3, escalateAt: 5 },
+    // Many users can share one IP (NAT), so IPs get more slack
+    ip: { freeAttempts: 10, escalateAt: 30 }
+};
+
+// First lock lasts a second, then it doubles with every failure up to the max
+const BASE_LOCKOUT_MS = 1000;
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;
+// Counters are forgotten after an hour without failures
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+let store = createAttemptStore();
+
+// Swapping the counter store (e.g. a Redis-backed one with the same interface)
+function setAttemptStore(newStore) {
+    store = newStore;
+}
+
+function lockoutDuration(failures, policy) {
+    if (failures < policy.freeAttempts) {
+        return 0;
+    }
+
+    return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - policy.freeAttempts), MAX_LOCKOUT_MS);
+}
+
+// Keys an attempt is counted under, e.g. { account: 'account:alice', ip: 'ip:203.0.113.7' }
+function attemptKeys(kinds, req) {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+    const keys = {};
+
+    kinds.forEach(kind => {
+        keys[kind] = kind === 'ip' ? `ip:${req.ip}` : `${kind}:${username}`;
+    });
+
+    return keys;
+}
+
+// Throttling an authentication endpoint
+// Locked out callers get a 429, everyone else gets req.bruteForce to report the outcome:
+//   await req.bruteForce.fail(['account', 'ip'], eventDetails)
+//   await req.bruteForce.succeed(['account'])
+// Every attempt is counted as a failure before the route runs, so a burst of parallel
+// requests can't all get past the check before the first failure is recorded.
+// succeed() clears the counter, anything the route never reports on is handed back.
+function bruteForceProtection(kinds) {
+    return async (req, res, next) => {
+        const keys = attemptKeys(kinds, req);
+
+        try {
+            const results = await Promise.all(kinds.map(kind => store.reserve(
+                keys[kind],
+                FAILURE_WINDOW_MS,
+                failures => lockoutDuration(failures, POLICIES[kind])
+            )));
+
+            const reservations = {};
+            kinds.forEach((kind, i) => {
+                if (!results[i].locked) {
+                    reservations[kind] = results[i];
+                }
+            });
+
+            // Making sure none of the counters is locked right now
+            const lockedUntil = Math.max(0, ...results
+                .filter(result => result.locked)
+                .map(result => new Date(result.record.lockedUntil).getTime()));
+
+            if (lockedUntil > Date.now()) {
+                // This attempt never ran, so it doesn't count against the other keys either
+                await releaseReservations(keys, reservations);
+
+                const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+                await logSecurityEvent(
+                    'AUTH_LOGIN_FAILED',
+                    req,
+                    null,
+                    'WARNING',
+                    { reason: 'Locked out after failed attempts', username: req.body.username, retryAfter }
+                );
+
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+                    retryAfter
+                });
+            }
+
+            const pending = { ...reservations };
+            const settle = settledKinds => settledKinds.forEach(kind => delete pending[kind]);
+
+            req.bruteForce = {
+                fail: (failedKinds, details = {}) => {
+                    settle(failedKinds);
+                    return recordFailure(req, keys, reservations, failedKinds, details);
+                },
+                succeed: (succeededKinds) => {
+                    settle(succeededKinds);
+                    return Promise.all(succeededKinds.map(kind => store.reset(keys[kind])));
+                }
+            };
+
+            // Handing back the counters the route didn't use, e.g. the 2FA one on a login without 2FA,
+            // or the IP one after a successful login
+            res.once('close', () => {
+                releaseReservations(keys, pending).catch(error => {
+                    console.error('Releasing brute-force reservations failed:', error);
+                });
+            });
+
+            next();
+        } catch (error) {
+            // Failing closed - without working counters anyone could guess passwords at full speed
+            console.error('Brute-force check failed:', error);
+
+            await logSecurityEvent(
+                'SUSPICIOUS_ACTIVITY',
+                req,
+                null,
+                'ERROR',
+                { reason: 'Brute-force counter store unavailable', username: req.body.username, error: error.message }
+            );
+
+            return res.status(503).json({ error: 'Sign-in is temporarily unavailable. Please try again shortly.' });
+        }
+    };
+}
+
+async function releaseReservations(keys, reservations) {
+    await Promise.all(Object.entries(reservations).map(([kind, reservation]) => store.release(keys[kind], reservation)));
+}
+
+// The failure was already counted (and the key locked) when the attempt was reserved,
+// what's left is escalating once a burst of failures looks like an attack
+async function recordFailure(req, keys, reservations, kinds, { userId, ...details }) {
+    for (const kind of kinds) {
+        const reservation = reservations[kind];
+        if (!reservation) {
+            continue;
+        }
+
+        const key = keys[kind];
+        const policy = POLICIES[kind];
+        const { failures } = reservation.record;
+        const lockMs = lockoutDuration(failures, policy);
+
+        // Logging once when the threshold is hit and again every time it's hit again
+        if (failures % policy.escalateAt === 0) {
+            await logSecurityEvent(
+                'SUSPICIOUS_ACTIVITY',
+                req,
+                userId || null,
+                'CRITICAL',
+                {
+                    reason: kind === 'ip' ? 'Credential stuffing suspected' : 'Brute-force attempt suspected',
+                    key,
+                    failures,
+                    lockedForSeconds: Math.ceil(lockMs / 1000),
+                    ...details
+                }
+            );
+        }
+    }
+}
+
+module.exports = {
+    bruteForceProtection,
+    setAttemptStore
+};
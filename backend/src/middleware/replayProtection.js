@@ -1,13 +1,16 @@
 const Message = require('../models/Message');
+const GroupMessage = require('../models/GroupMessage');
+const SequenceCounter = require('../models/SequenceCounter');
 const { logSecurityEvent } = require('./logging');
 
 // Making sure messages aren't being replayed/reused by attackers
 async function validateReplayProtection(req, res, next) {
     try {
-        const { nonce, timestamp, sequenceNumber } = req.body;
+        const { nonce, timestamp } = req.body;
 
         // First check: making sure we have the basic security data
-        if (!nonce || !timestamp || sequenceNumber === undefined) {
+        // (1:1 messages also need a sequence number, messages.js checks that one against its counter)
+        if (!nonce || !timestamp) {
             await logSecurityEvent(
                 'REPLAY_ATTACK_DETECTED',
                 req,
@@ -60,7 +63,7 @@ async function validateReplayProtection(req, res, next) {
         }
 
         // Third check: making sure this exact message hasn't been sent before
-        const existingMessage = await Message.findOne({ nonce });
+        const existingMessage = await Message.findOne({ nonce }) || await GroupMessage.findOne({ nonce });
 
         if (existingMessage) {
             await logSecurityEvent(
@@ -100,6 +103,43 @@ async function validateReplayProtection(req, res, next) {
     }
 }
 
+// Taking the next sequence number of a conversation direction (sending device -> receiver)
+// Only the exact next number is accepted, so both going backwards and skipping ahead fail
+// Resolves to { claimed: true } or { claimed: false, expected } with the number we wanted
+async function claimSequenceNumber(senderDeviceId, receiverId, sequenceNumber) {
+    const direction = { senderDeviceId, receiverId };
+
+    try {
+        const counter = await SequenceCounter.findOneAndUpdate(
+            { ...direction, nextSequence: sequenceNumber },
+            { $inc: { nextSequence: 1 } },
+            { new: true, upsert: sequenceNumber === 0 }
+        );
+
+        if (counter) return { claimed: true };
+    } catch (error) {
+        // Sequence 0 for a direction that already has a counter, the upsert ran into it
+        if (error.code !== 11000) throw error;
+    }
+
+    const counter = await SequenceCounter.findOne(direction);
+    return { claimed: false, expected: counter ? counter.nextSequence : 0 };
+}
+
+// Giving a claimed sequence number back when the message couldn't be stored after all
+// (only if nothing newer was claimed in the meantime)
+async function releaseSequenceNumber(senderDeviceId, receiverId, sequenceNumber) {
+    await SequenceCounter.updateOne(
+        { senderDeviceId, receiverId, nextSequence: sequenceNumber + 1 },
+        { $inc: { nextSequence: -1 } }
+    );
+}
+
+async function nextSequenceNumber(senderDeviceId, receiverId) {
+    const counter = await SequenceCounter.findOne({ senderDeviceId, receiverId });
+    return counter ? counter.nextSequence : 0;
+}
+
 // Cleaning up old messages periodically (keeps database from getting too big)
 async function cleanupOldMessages() {
     try {
@@ -117,5 +157,8 @@ async function cleanupOldMessages() {
 
 module.exports = {
     validateReplayProtection,
+    claimSequenceNumber,
+    releaseSequenceNumber,
+    nextSequenceNumber,
     cleanupOldMessages
 };
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Failed login / 2FA attempts for one account or IP (used by the Mongo attempt store)
+const authAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true // e.g. "account:alice" or "ip:203.0.113.7"
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true // Counter is forgotten this long after the last failure
+    }
+});
+
+// MongoDB cleans up old counters
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthAttempt', authAttemptSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: 'Unknown device'
+    },
+    publicKey: {
+        type: String,
+        required: true, // ECC P-256 identity key of this device in base64
+        unique: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: {
+        type: Date
+    },
+    lastSeenAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Index for listing a user's devices
+deviceSchema.index({ userId: 1, revoked: 1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -1,20 +1,5 @@
 const mongoose = require('mongoose');
 
-const fileChunkSchema = new mongoose.Schema({
-    data: {
-        type: String,
-        required: true // Encrypted chunk data (base64)
-    },
-    iv: {
-        type: String,
-        required: true // IV for this chunk
-    },
-    index: {
-        type: Number,
-        required: true
-    }
-});
-
 const fileSchema = new mongoose.Schema({
     senderId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -26,25 +11,41 @@ const fileSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
-    filename: {
+    // The encrypted contents are stored on disk (see utils/fileStorage.js), uploaded chunk by chunk
+    status: {
         type: String,
-        required: true // Original filename (can also be encrypted)
+        enum: ['uploading', 'complete'],
+        default: 'uploading'
     },
-    encryptedFilename: {
-        type: String // Optional: encrypt filename for additional privacy
-    },
-    mimeType: {
-        type: String,
-        required: true
+    chunkSize: {
+        type: Number,
+        required: true // Plaintext bytes per chunk (the last one can be shorter)
     },
-    chunks: [fileChunkSchema],
     totalChunks: {
         type: Number,
         required: true
     },
-    totalSize: {
+    // Size after padding to a bucket, the real size is only in the encrypted header
+    paddedSize: {
         type: Number,
-        required: true // Original file size
+        required: true
+    },
+    // Chunks the server already has, so an interrupted upload can carry on where it stopped
+    receivedChunks: {
+        type: [Number],
+        default: []
+    },
+    // Encrypted header with the file's name, MIME type, real size and chunk layout (IV + ciphertext, base64)
+    // The server never sees any of these, clients go by the header when decrypting
+    header: {
+        type: String
+    },
+    // Encrypted thumbnail for images and videos (IV + ciphertext, base64), made and encrypted by the sender
+    preview: {
+        type: String
+    },
+    completedAt: {
+        type: Date
     },
     nonce: {
         type: String,
@@ -66,5 +67,6 @@ const fileSchema = new mongoose.Schema({
 // Indexes
 fileSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
 fileSchema.index({ nonce: 1 });
+fileSchema.index({ status: 1, updatedAt: 1 }); // For cleaning up abandoned uploads
 
 module.exports = mongoose.model('File', fileSchema);
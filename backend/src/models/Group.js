@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const groupMemberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['ADMIN', 'MEMBER'],
+        default: 'MEMBER'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const groupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 1,
+        maxlength: 50
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    members: {
+        type: [groupMemberSchema],
+        default: []
+    },
+    epoch: {
+        type: Number,
+        default: 0 // Bumped whenever someone leaves, so everyone switches to new sender keys
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Index for finding a user's groups
+groupSchema.index({ 'members.userId': 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
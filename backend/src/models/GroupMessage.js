@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const groupMessageSchema = new mongoose.Schema({
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    senderDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    epoch: {
+        type: Number,
+        required: true // Group epoch the sender key belongs to
+    },
+    iteration: {
+        type: Number,
+        required: true // Position in the sender's chain
+    },
+    ciphertext: {
+        type: String,
+        required: true // AES-256-GCM encrypted once for the whole group (base64)
+    },
+    iv: {
+        type: String,
+        required: true
+    },
+    signature: {
+        type: String,
+        required: true // Sender key signature, so members can't forge each other's messages
+    },
+    nonce: {
+        type: String,
+        required: true,
+        unique: true // For replay protection
+    },
+    timestamp: {
+        type: Number,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Index for loading a group's history
+groupMessageSchema.index({ groupId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('GroupMessage', groupMessageSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A device's identity key wrapped on the client with a backup passphrase or recovery code
+// The server only stores the blob, it never sees anything that opens it
+const keyBackupSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true,
+        unique: true // One backup per device, uploading again replaces it
+    },
+    publicKey: {
+        type: String,
+        required: true // Identity key the blob should contain (checked by the client after opening it)
+    },
+    version: {
+        type: Number,
+        required: true // Blob format version, tells the client how to open it
+    },
+    kdf: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true // KDF name and parameters the wrapping key was derived with
+    },
+    encryptedKey: {
+        type: String,
+        required: true
+    },
+    salt: {
+        type: String,
+        required: true
+    },
+    iv: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for listing a user's backups
+keyBackupSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('KeyBackup', keyBackupSchema);
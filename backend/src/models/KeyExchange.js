@@ -11,11 +11,29 @@ const keyExchangeSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Key exchanges run between two devices, each device has its own ratchet
+    initiatorDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    responderDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    // INITIATED -> RESPONDED (responder's key confirmation MAC stored) -> CONFIRMING (initiator checked it
+    // and sent its own) -> CONFIRMED (responder checked the initiator's), or FAILED if a MAC didn't match
     status: {
         type: String,
-        enum: ['INITIATED', 'RESPONDED', 'CONFIRMED', 'FAILED'],
+        enum: ['INITIATED', 'RESPONDED', 'CONFIRMING', 'CONFIRMED', 'FAILED'],
         default: 'INITIATED'
     },
+    protocol: {
+        type: String,
+        enum: ['INTERACTIVE', 'X3DH'], // X3DH = initiator used the responder's prekey bundle
+        default: 'INTERACTIVE'
+    },
     initiatorECDHPublicKey: {
         type: String,
         required: true
@@ -32,6 +50,23 @@ const keyExchangeSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Key schedules the initiator can do, and the one the responder picked
+    // (X3DH exchanges have no responder to ask, the initiator picks and both fields hold its choice)
+    // 1 = PBKDF2 root key, 2 = HKDF with labelled keys; clients that don't say only know 1
+    keySchedules: {
+        type: [Number],
+        default: () => [1]
+    },
+    keySchedule: {
+        type: Number,
+        enum: [1, 2]
+    },
+    signedPreKeyId: {
+        type: String // X3DH only: which of the responder's prekeys were used
+    },
+    oneTimePreKeyId: {
+        type: String
+    },
     responderECDHPublicKey: {
         type: String
     },
@@ -44,6 +79,22 @@ const keyExchangeSchema = new mongoose.Schema({
     responderTimestamp: {
         type: Number
     },
+    // HMACs over the exchange with a key only the two devices can derive (interactive exchanges only)
+    // We can't check them, we only pass them on
+    responderConfirmation: {
+        type: String
+    },
+    initiatorConfirmation: {
+        type: String
+    },
+    failureReason: {
+        type: String
+    },
+    // SHA-256 of the signed transcript (utils/signatures.js), hex
+    // Signed by the responder in interactive exchanges and by the initiator in X3DH ones
+    transcriptHash: {
+        type: String
+    },
     confirmedAt: {
         type: Date
     },
@@ -61,6 +112,7 @@ const keyExchangeSchema = new mongoose.Schema({
 
 // Indexes
 keyExchangeSchema.index({ initiatorId: 1, responderId: 1, status: 1 });
+keyExchangeSchema.index({ responderDeviceId: 1, status: 1 });
 keyExchangeSchema.index({ expiresAt: 1 }); // For cleanup
 
 module.exports = mongoose.model('KeyExchange', keyExchangeSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One leaf of the key transparency log - entries are only ever appended, never changed
+const keyLogEntrySchema = new mongoose.Schema({
+    index: {
+        type: Number,
+        required: true,
+        unique: true // Position in the Merkle tree
+    },
+    action: {
+        type: String,
+        enum: ['REGISTER', 'ADD_DEVICE', 'ROTATE_KEY', 'REVOKE_DEVICE'],
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    publicKey: {
+        type: String,
+        required: true // Device identity key this entry is about
+    },
+    timestamp: {
+        type: Number,
+        required: true
+    },
+    leafHash: {
+        type: String,
+        required: true // SHA-256(0x00 || leaf data) in base64
+    }
+});
+
+// Index for finding the entries of a device or a user
+keyLogEntrySchema.index({ deviceId: 1, index: -1 });
+keyLogEntrySchema.index({ username: 1, index: 1 });
+
+module.exports = mongoose.model('KeyLogEntry', keyLogEntrySchema);
@@ -11,6 +11,18 @@ const messageSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Every message is stored once per device that can read it
+    // (the recipient's devices plus the sender's other devices)
+    senderDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    receiverDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
     ciphertext: {
         type: String,
         required: true // AES-256-GCM encrypted message (base64)
@@ -19,10 +31,39 @@ const messageSchema = new mongoose.Schema({
         type: String,
         required: true // Initialization vector (base64)
     },
+    // Double Ratchet header (authenticated by the client, readable by the server)
+    ratchetKey: {
+        type: String,
+        required: true // Sender's current ECDH ratchet public key (base64)
+    },
+    previousChainLength: {
+        type: Number,
+        required: true // Messages sent on the sender's previous chain
+    },
+    messageNumber: {
+        type: Number,
+        required: true // Position in the current sending chain
+    },
+    // File messages point at an uploaded File, their encrypted payload carries its key and name
+    type: {
+        type: String,
+        enum: ['text', 'file'],
+        default: 'text'
+    },
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    // Which fields the client authenticated with the ciphertext (see replayProtection.js on the client)
+    // 1: nonce and sequence number, 2: also sender, receiver, conversation and timestamp
+    envelopeVersion: {
+        type: Number,
+        enum: [1, 2],
+        default: 1
+    },
     nonce: {
         type: String,
-        required: true,
-        unique: true // For replay protection
+        required: true // For replay protection (shared by all device copies of one message)
     },
     sequenceNumber: {
         type: Number,
@@ -42,7 +83,8 @@ const messageSchema = new mongoose.Schema({
 
 // Compound index for efficient message retrieval
 messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
-messageSchema.index({ nonce: 1 }); // For replay detection
+messageSchema.index({ nonce: 1, receiverDeviceId: 1 }, { unique: true }); // For replay detection
+messageSchema.index({ receiverDeviceId: 1, timestamp: 1 }); // For fetching a device's copies
 messageSchema.index({ timestamp: 1 }); // For expiring old messages
 
 module.exports = mongoose.model('Message', messageSchema);
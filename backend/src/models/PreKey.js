@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const preKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true // Prekeys belong to the device holding their private halves
+    },
+    keyId: {
+        type: String,
+        required: true // Chosen by the client, used to find the private half later
+    },
+    type: {
+        type: String,
+        enum: ['SIGNED', 'ONE_TIME'],
+        required: true
+    },
+    publicKey: {
+        type: String,
+        required: true // ECDH P-256 public key (base64)
+    },
+    signature: {
+        type: String // Identity key signature over keyId:publicKey (signed prekeys only)
+    },
+    used: {
+        type: Boolean,
+        default: false // One-time prekeys are handed out exactly once
+    },
+    usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    usedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+preKeySchema.index({ userId: 1, keyId: 1 }, { unique: true });
+preKeySchema.index({ deviceId: 1, type: 1, used: 1, createdAt: 1 }); // For handing out the oldest unused key
+
+module.exports = mongoose.model('PreKey', preKeySchema);
@@ -8,14 +8,31 @@ const securityLogSchema = new mongoose.Schema({
             'AUTH_LOGIN_SUCCESS',
             'AUTH_LOGIN_FAILED',
             'AUTH_REGISTER',
+            'AUTH_LOGOUT',
+            'SESSION_REVOKED',
             'AUTH_2FA_SETUP',
             'AUTH_2FA_ENABLED',
             'AUTH_2FA_DISABLED',
             'AUTH_2FA_LOGIN_SUCCESS',
             'AUTH_2FA_LOGIN_FAILED',
+            'AUTH_2FA_RECOVERY_CODES_GENERATED',
+            'AUTH_2FA_RECOVERY_CODE_USED',
+            'WEBAUTHN_CREDENTIAL_ADDED',
+            'WEBAUTHN_CREDENTIAL_REMOVED',
+            'DEVICE_REGISTERED',
+            'DEVICE_REVOKED',
+            'KEY_ROTATED',
+            'KEY_BACKUP_SAVED',
+            'KEY_BACKUP_DELETED',
+            'KEY_RECOVERED',
             'KEY_EXCHANGE_INITIATED',
             'KEY_EXCHANGE_COMPLETED',
             'KEY_EXCHANGE_FAILED',
+            'PREKEYS_UPLOADED',
+            'PREKEY_BUNDLE_FETCHED',
+            'GROUP_CREATED',
+            'GROUP_MEMBER_ADDED',
+            'GROUP_MEMBER_REMOVED',
             'MESSAGE_SENT',
             'MESSAGE_RECEIVED',
             'DECRYPTION_FAILED',
@@ -25,7 +42,8 @@ const securityLogSchema = new mongoose.Schema({
             'DUPLICATE_NONCE',
             'FILE_UPLOADED',
             'FILE_DOWNLOADED',
-            'SUSPICIOUS_ACTIVITY'
+            'SUSPICIOUS_ACTIVITY',
+            'ACCESS_DENIED'
         ]
     },
     userId: {
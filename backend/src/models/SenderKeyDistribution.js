@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A member's sender key, encrypted for one other device with our pairwise ratchet
+const senderKeyDistributionSchema = new mongoose.Schema({
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    epoch: {
+        type: Number,
+        required: true
+    },
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    senderDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    receiverDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    ciphertext: {
+        type: String,
+        required: true
+    },
+    iv: {
+        type: String,
+        required: true
+    },
+    // Double Ratchet header of the pairwise session it was sent over
+    ratchetKey: {
+        type: String,
+        required: true
+    },
+    previousChainLength: {
+        type: Number,
+        required: true
+    },
+    messageNumber: {
+        type: Number,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// One sender key per sending device, receiving device and epoch
+senderKeyDistributionSchema.index(
+    { groupId: 1, epoch: 1, senderDeviceId: 1, receiverDeviceId: 1 },
+    { unique: true }
+);
+senderKeyDistributionSchema.index({ groupId: 1, receiverDeviceId: 1 });
+
+module.exports = mongoose.model('SenderKeyDistribution', senderKeyDistributionSchema);
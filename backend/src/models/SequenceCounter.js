@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// The next sequence number the server accepts for one direction of a conversation
+// Every sending device counts on its own (devices can't share a counter without talking to each other)
+// Counters outlive deleted conversations, so a sequence number is never handed out twice
+const sequenceCounterSchema = new mongoose.Schema({
+    senderDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: true
+    },
+    receiverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    nextSequence: {
+        type: Number,
+        required: true,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+sequenceCounterSchema.index({ senderDeviceId: 1, receiverId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SequenceCounter', sequenceCounterSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One login - access tokens are short-lived, the refresh token keeps the session going
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        default: null // Set once the browser has registered (or recovered) its device
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true // SHA-256 of the current refresh token, the token itself is never stored
+    },
+    usedTokenHashes: {
+        type: [String],
+        default: [] // Refresh tokens already swapped for new ones - seeing one again means it was stolen
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revoked: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB cleans up expired sessions
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -18,6 +18,27 @@ const userSchema = new mongoose.Schema({
         required: true, // ECC P-256 public key in base64
         unique: true
     },
+    // Every identity key rotation, each new key signed by the key it replaced
+    keyHistory: [{
+        deviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Device'
+        },
+        previousPublicKey: String,
+        publicKey: String,
+        signature: String, // ECDSA signature by the previous key over the rotation statement
+        timestamp: Number,
+        reason: {
+            type: String,
+            enum: ['ROTATED', 'RECOVERED']
+        }
+    }],
+    // Admins can see everyone's security logs, regular users only their own
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
     twoFactorSecret: {
         type: String,
         default: null // TOTP secret for 2FA
@@ -26,6 +47,39 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Time step of the last accepted TOTP code, older or equal ones are rejected as replays
+    twoFactorLastTimeStep: {
+        type: Number,
+        default: null
+    },
+    // SHA-256 hashes of unused single-use recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: []
+    },
+    // Security keys and passkeys (WebAuthn), usable as second factor or for passwordless login
+    webauthnCredentials: [{
+        credentialId: {
+            type: String,
+            required: true // base64url
+        },
+        publicKey: {
+            type: String,
+            required: true // base64url COSE public key
+        },
+        counter: {
+            type: Number,
+            default: 0 // Signature counter, going backwards means the key was cloned
+        },
+        transports: [String],
+        name: String,
+        backedUp: Boolean, // Synced passkey rather than a single hardware key
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -39,5 +93,6 @@ const userSchema = new mongoose.Schema({
 
 // Index for faster username lookups
 userSchema.index({ username: 1 });
+userSchema.index({ 'webauthnCredentials.credentialId': 1 }); // Passwordless login finds the user by credential
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A WebAuthn challenge we handed out and haven't seen answered yet
+// Each one can be used once, and only for what it was issued for
+const webAuthnChallengeSchema = new mongoose.Schema({
+    challenge: {
+        type: String,
+        required: true,
+        unique: true // base64url, as it comes back in clientDataJSON
+    },
+    type: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Unknown for passwordless login, the credential tells us who it is
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB cleans up challenges nobody answered
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
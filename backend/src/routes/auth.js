@@ -1,14 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Device = require('../models/Device');
+const Message = require('../models/Message');
+const KeyExchange = require('../models/KeyExchange');
+const PreKey = require('../models/PreKey');
+const Group = require('../models/Group');
+const KeyBackup = require('../models/KeyBackup');
+const Session = require('../models/Session');
+const { authenticate } = require('../middleware/auth');
+const { bruteForceProtection } = require('../middleware/bruteForce');
 const { logSecurityEvent } = require('../middleware/logging');
+const { appendEntry, getDeviceProofs } = require('../utils/transparencyLog');
+const { verifyIdentitySignature, keyRotationStatement } = require('../utils/signatures');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { createAuthenticationOptions, verifyAuthentication } = require('../utils/webauthn');
+const {
+    generateToken,
+    createSession,
+    bindSessionToDevice,
+    rotateRefreshToken,
+    revokeSession
+} = require('../utils/sessions');
+
+// How far a rotation statement's timestamp may be from our clock
+const ROTATION_MAX_SKEW = 5 * 60 * 1000;
+
+// Everyone who has a conversation or a group with this user
+async function findContactIds(userId) {
+    const [receivers, senders, groups] = await Promise.all([
+        Message.distinct('receiverId', { senderId: userId }),
+        Message.distinct('senderId', { receiverId: userId }),
+        Group.find({ 'members.userId': userId }, { 'members.userId': 1 })
+    ]);
+
+    const groupMembers = groups.flatMap(group => group.members.map(member => member.userId));
+
+    return [...new Set([...receivers, ...senders, ...groupMembers].map(id => id.toString()))]
+        .filter(id => id !== userId.toString());
+}
 
 // Creating a new user account
 router.post('/register', async (req, res) => {
     try {
-        const { username, password, publicKey } = req.body;
+        const { username, password, publicKey, deviceName } = req.body;
 
         // Making sure we have everything we need
         if (!username || !password || !publicKey) {
@@ -56,6 +93,23 @@ router.post('/register', async (req, res) => {
             publicKey
         });
 
+        // The browser they registered from becomes their first device
+        const device = await Device.create({
+            userId: user._id,
+            name: deviceName,
+            publicKey,
+            lastSeenAt: new Date()
+        });
+
+        // Publishing the new key in the transparency log
+        await appendEntry({
+            action: 'REGISTER',
+            userId: user._id,
+            username: user.username,
+            deviceId: device._id,
+            publicKey
+        });
+
         // Keeping a record of this new account
         await logSecurityEvent(
             'AUTH_REGISTER',
@@ -70,7 +124,8 @@ router.post('/register', async (req, res) => {
         res.status(201).json({
             message: 'User registered successfully',
             userId: user._id,
-            username: user.username
+            username: user.username,
+            deviceId: device._id
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -87,10 +142,74 @@ router.post('/register', async (req, res) => {
     }
 });
 
+// Everything after the user has proven who they are: binding the device and starting a session
+// method says how they got in ('password', 'totp', 'webauthn', 'recovery' or 'passkey')
+async function completeLogin(req, res, user, deviceId, method) {
+    // Remembering when they logged in
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Binding the token to the device they're logging in from (if it's still active)
+    let device = null;
+    let deviceRevoked = false;
+
+    if (deviceId && mongoose.Types.ObjectId.isValid(deviceId)) {
+        device = await Device.findOne({ _id: deviceId, userId: user._id });
+
+        if (device && device.revoked) {
+            deviceRevoked = true;
+            device = null;
+
+            await logSecurityEvent(
+                'AUTH_LOGIN_SUCCESS',
+                req,
+                user._id,
+                'WARNING',
+                { reason: 'Login from revoked device', username: user.username, deviceId }
+            );
+        }
+    }
+
+    if (device) {
+        device.lastSeenAt = new Date();
+        await device.save();
+    }
+
+    // Starting a session for them (short-lived access token plus a refresh token)
+    // Without a device the client has to register one before it can chat
+    const { session, token, refreshToken } = await createSession(user, device ? device._id : null, req);
+
+    // Recording successful login
+    await logSecurityEvent(
+        'AUTH_LOGIN_SUCCESS',
+        req,
+        user._id,
+        'INFO',
+        { username: user.username, method, twoFactorUsed: method !== 'password' }
+    );
+
+    console.log(`✓ User logged in: ${user.username} (${method})`);
+
+    res.json({
+        token,
+        refreshToken,
+        sessionId: session._id,
+        userId: user._id,
+        username: user.username,
+        publicKey: user.publicKey,
+        twoFactorEnabled: user.twoFactorEnabled,
+        role: user.role,
+        deviceId: device ? device._id : null,
+        deviceRevoked
+    });
+}
+
 // Logging a user in (with optional 2FA support)
-router.post('/login', async (req, res) => {
+// Failed passwords count against the account, failed 2FA codes against the account's 2FA,
+// and both against the IP - too many and the caller is locked out for a while
+router.post('/login', bruteForceProtection(['account', 'twoFactor', 'ip']), async (req, res) => {
     try {
-        const { username, password, twoFactorToken } = req.body;
+        const { username, password, twoFactorToken, webauthnResponse, deviceId } = req.body;
 
         if (!username || !password) {
             return res.status(400).json({
@@ -109,6 +228,7 @@ router.post('/login', async (req, res) => {
                 'WARNING',
                 { reason: 'User not found', username }
             );
+            await req.bruteForce.fail(['account', 'ip'], { username });
 
             return res.status(401).json({
                 error: 'Invalid credentials'
@@ -126,91 +246,248 @@ router.post('/login', async (req, res) => {
                 'WARNING',
                 { reason: 'Invalid password', username }
             );
+            await req.bruteForce.fail(['account', 'ip'], { userId: user._id, username });
 
             return res.status(401).json({
                 error: 'Invalid credentials'
             });
         }
 
-        // Handling two-factor authentication if it's turned on
-        if (user.twoFactorEnabled) {
-            if (!twoFactorToken) {
-                // Asking for the 6-digit code from their app
+        // The password was right, so only the 2FA counter is still in play
+        await req.bruteForce.succeed(['account']);
+
+        // Handling two-factor authentication if it's turned on (TOTP and/or security keys)
+        const hasSecurityKeys = user.webauthnCredentials.length > 0;
+
+        if (user.twoFactorEnabled || hasSecurityKeys) {
+            if (!twoFactorToken && !webauthnResponse) {
+                // Asking for the 6-digit code from their app or a touch of their security key
                 return res.status(200).json({
                     requiresTwoFactor: true,
+                    methods: [
+                        ...(user.twoFactorEnabled ? ['totp'] : []),
+                        ...(hasSecurityKeys ? ['webauthn'] : []),
+                        ...(user.twoFactorRecoveryCodes.length > 0 ? ['recovery'] : [])
+                    ],
+                    webauthnOptions: hasSecurityKeys ? await createAuthenticationOptions(user) : undefined,
                     message: 'Please enter your 2FA token'
                 });
             }
 
-            // Making sure the 6-digit code is valid
-            const speakeasy = require('speakeasy');
-            const verified = speakeasy.totp.verify({
-                secret: user.twoFactorSecret,
-                encoding: 'base32',
-                token: twoFactorToken,
-                window: 2
-            });
+            // Making sure the security key signed our challenge, or the 6-digit code (or recovery code)
+            // is valid and hasn't been used before
+            let secondFactor;
+            if (webauthnResponse) {
+                const { error } = await verifyAuthentication(webauthnResponse, user);
+                secondFactor = { valid: !error, method: 'webauthn', reason: error };
+            } else {
+                secondFactor = await verifySecondFactor(user, twoFactorToken);
+            }
 
-            if (!verified) {
+            if (!secondFactor.valid) {
                 await logSecurityEvent(
                     'AUTH_2FA_LOGIN_FAILED',
                     req,
                     user._id,
                     'WARNING',
-                    { reason: 'Invalid 2FA token', username }
+                    {
+                        reason: secondFactor.reason || (secondFactor.reused ? 'TOTP code reused' : 'Invalid 2FA token'),
+                        method: secondFactor.method,
+                        username
+                    }
                 );
+                await req.bruteForce.fail(['twoFactor', 'ip'], { userId: user._id, username });
 
                 return res.status(401).json({
-                    error: 'Invalid 2FA token'
+                    error: secondFactor.method === 'webauthn' ? 'Security key verification failed' : 'Invalid 2FA token'
                 });
             }
 
             await logSecurityEvent(
-                'AUTH_2FA_LOGIN_SUCCESS',
+                secondFactor.method === 'recovery' ? 'AUTH_2FA_RECOVERY_CODE_USED' : 'AUTH_2FA_LOGIN_SUCCESS',
                 req,
                 user._id,
-                'INFO',
-                { username }
+                secondFactor.method === 'recovery' ? 'WARNING' : 'INFO',
+                { username, method: secondFactor.method, recoveryCodesRemaining: secondFactor.remaining }
             );
+            await req.bruteForce.succeed(['twoFactor']);
+
+            await completeLogin(req, res, user, deviceId, secondFactor.method);
+            return;
         }
 
-        // Remembering when they logged in
-        user.lastLogin = new Date();
-        await user.save();
+        await completeLogin(req, res, user, deviceId, 'password');
+    } catch (error) {
+        console.error('Login error:', error);
+
+        await logSecurityEvent(
+            'AUTH_LOGIN_FAILED',
+            req,
+            null,
+            'ERROR',
+            { error: error.message }
+        );
+
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Passwordless login with a passkey (the authenticator verifies the user with a PIN or biometrics)
+router.post('/login/passkey', bruteForceProtection(['ip']), async (req, res) => {
+    try {
+        const { webauthnResponse, deviceId } = req.body;
+
+        const { user, error } = await verifyAuthentication(webauthnResponse, null);
 
-        // Creating a login token for them
-        const token = generateToken(user);
+        if (error) {
+            await logSecurityEvent(
+                'AUTH_LOGIN_FAILED',
+                req,
+                null,
+                'WARNING',
+                { reason: 'Passkey login failed', error, credentialId: webauthnResponse?.id }
+            );
+            await req.bruteForce.fail(['ip']);
+
+            return res.status(401).json({ error: 'Passkey login failed' });
+        }
+
+        await completeLogin(req, res, user, deviceId, 'passkey');
+    } catch (error) {
+        console.error('Passkey login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Swapping a refresh token for a fresh access token (and a new refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req);
+
+        if (result.error) {
+            if (result.reused) {
+                await logSecurityEvent(
+                    'SUSPICIOUS_ACTIVITY',
+                    req,
+                    result.reused.userId,
+                    'CRITICAL',
+                    { reason: 'Refresh token reused, session revoked', sessionId: result.reused._id }
+                );
+            }
+
+            return res.status(401).json({ error: result.error });
+        }
+
+        const { session } = result;
+        const user = await User.findById(session.userId, { username: 1 });
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            token: generateToken(user, session.deviceId, session._id),
+            refreshToken: result.refreshToken
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// Logging out ends the session on the server too, not just in the browser
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await revokeSession({ _id: req.sessionId }, 'Logged out');
+
+        // Closing this session's live connection as well
+        const io = req.app.get('io');
+        if (io) {
+            io.in(`session_${req.sessionId}`).disconnectSockets();
+        }
 
-        // Recording successful login
         await logSecurityEvent(
-            'AUTH_LOGIN_SUCCESS',
+            'AUTH_LOGOUT',
             req,
-            user._id,
+            req.userId,
             'INFO',
-            { username, twoFactorUsed: user.twoFactorEnabled }
+            { sessionId: req.sessionId }
         );
 
-        console.log(`✓ User logged in: ${username}${user.twoFactorEnabled ? ' (with 2FA)' : ''}`);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Listing the current user's active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const sessions = await Session.find(
+            { userId: req.userId, revoked: false, expiresAt: { $gt: new Date() } },
+            { deviceId: 1, userAgent: 1, ipAddress: 1, lastUsedAt: 1, createdAt: 1 }
+        )
+            .populate('deviceId', 'name')
+            .sort({ lastUsedAt: -1 });
 
         res.json({
-            token,
-            userId: user._id,
-            username: user.username,
-            publicKey: user.publicKey,
-            twoFactorEnabled: user.twoFactorEnabled
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceId: session.deviceId?._id || null,
+                deviceName: session.deviceId?.name || null,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                lastUsedAt: session.lastUsedAt,
+                createdAt: session.createdAt,
+                current: session._id.toString() === req.sessionId
+            }))
         });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Killing one of our sessions (its tokens stop working straight away)
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session id' });
+        }
+
+        const result = await revokeSession({ _id: sessionId, userId: req.userId }, 'Revoked by user');
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
 
         await logSecurityEvent(
-            'AUTH_LOGIN_FAILED',
+            'SESSION_REVOKED',
             req,
-            null,
-            'ERROR',
-            { error: error.message }
+            req.userId,
+            'WARNING',
+            { sessionId, revokedFromSessionId: req.sessionId }
         );
 
-        res.status(500).json({ error: 'Login failed' });
+        // Letting the other browser know it has been signed out
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user_${req.userId}`).emit('session_revoked', { sessionId });
+            io.in(`session_${sessionId}`).disconnectSockets();
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Session revocation error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
     }
 });
 
@@ -246,11 +523,336 @@ router.get('/user/:username', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json({ user });
+        // Senders need every active device so they can encrypt a copy for each one
+        const devices = await Device.find(
+            { userId: user._id, revoked: false },
+            { name: 1, publicKey: 1, createdAt: 1 }
+        ).sort({ createdAt: 1 });
+
+        // Proofs that every device key is in the transparency log
+        const transparency = await getDeviceProofs(user, devices);
+
+        res.json({ user: { ...user.toObject(), devices }, transparency });
     } catch (error) {
         console.error('Error fetching user:', error);
         res.status(500).json({ error: 'Failed to fetch user' });
     }
 });
 
+// Registering the browser this session is on as a new device
+// Used after logging in somewhere that doesn't have keys (or a device) yet,
+// the returned token is bound to the new device
+router.post('/devices', authenticate, async (req, res) => {
+    try {
+        const { publicKey, name } = req.body;
+
+        if (!publicKey) {
+            return res.status(400).json({ error: 'Device public key is required' });
+        }
+
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let device = await Device.findOne({ publicKey });
+
+        if (device && (!device.userId.equals(user._id) || device.revoked)) {
+            await logSecurityEvent(
+                'SUSPICIOUS_ACTIVITY',
+                req,
+                req.userId,
+                'WARNING',
+                { reason: 'Device key reused', deviceId: device._id }
+            );
+
+            return res.status(409).json({ error: 'This device key cannot be registered' });
+        }
+
+        // Same key as an existing device means the browser just lost track of its device id
+        // (accounts created before devices existed end up here too)
+        if (!device) {
+            device = await Device.create({
+                userId: user._id,
+                name,
+                publicKey
+            });
+
+            await appendEntry({
+                action: 'ADD_DEVICE',
+                userId: user._id,
+                username: user.username,
+                deviceId: device._id,
+                publicKey
+            });
+
+            await logSecurityEvent(
+                'DEVICE_REGISTERED',
+                req,
+                req.userId,
+                'INFO',
+                { deviceId: device._id, name: device.name }
+            );
+
+            console.log(`✓ Device registered: ${req.username} (${device.name})`);
+        }
+
+        device.lastSeenAt = new Date();
+        await device.save();
+
+        // Letting their other devices know about the new one
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user_${req.userId}`).emit('devices_changed', { userId: req.userId });
+        }
+
+        res.status(201).json({
+            message: 'Device registered successfully',
+            deviceId: device._id,
+            token: await bindSessionToDevice(req.sessionId, user, device._id)
+        });
+    } catch (error) {
+        console.error('Device registration error:', error);
+        res.status(500).json({ error: 'Failed to register device' });
+    }
+});
+
+// Listing the current user's devices
+router.get('/devices', authenticate, async (req, res) => {
+    try {
+        const devices = await Device.find(
+            { userId: req.userId },
+            { name: 1, publicKey: 1, revoked: 1, revokedAt: 1, lastSeenAt: 1, createdAt: 1 }
+        ).sort({ createdAt: 1 });
+
+        res.json({
+            devices,
+            currentDeviceId: req.deviceId
+        });
+    } catch (error) {
+        console.error('Error fetching devices:', error);
+        res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+});
+
+// Revoking a device (lost laptop, old browser...)
+// Its tokens stop working and nobody encrypts anything for it anymore
+router.delete('/devices/:deviceId', authenticate, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            return res.status(400).json({ error: 'Invalid device id' });
+        }
+
+        const device = await Device.findOne({
+            _id: deviceId,
+            userId: req.userId,
+            revoked: false
+        });
+
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        device.revoked = true;
+        device.revokedAt = new Date();
+        await device.save();
+
+        await appendEntry({
+            action: 'REVOKE_DEVICE',
+            userId: device.userId,
+            username: req.username,
+            deviceId: device._id,
+            publicKey: device.publicKey
+        });
+
+        // Cleaning up everything that was only useful to that device
+        await Promise.all([
+            revokeSession({ deviceId: device._id }, 'Device revoked'),
+            PreKey.deleteMany({ deviceId: device._id }),
+            KeyBackup.deleteOne({ deviceId: device._id }),
+            Message.deleteMany({ receiverDeviceId: device._id }),
+            KeyExchange.deleteMany({
+                $or: [{ initiatorDeviceId: device._id }, { responderDeviceId: device._id }],
+                status: { $in: ['INITIATED', 'RESPONDED'] }
+            })
+        ]);
+
+        await logSecurityEvent(
+            'DEVICE_REVOKED',
+            req,
+            req.userId,
+            'WARNING',
+            {
+                deviceId: device._id,
+                name: device.name,
+                revokedFromDeviceId: req.deviceId
+            }
+        );
+
+        console.log(`✓ Device revoked: ${req.username} (${device.name})`);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user_${req.userId}`).emit('devices_changed', {
+                userId: req.userId,
+                revokedDeviceId: device._id
+            });
+        }
+
+        res.json({ message: 'Device revoked successfully' });
+    } catch (error) {
+        console.error('Device revocation error:', error);
+        res.status(500).json({ error: 'Failed to revoke device' });
+    }
+});
+
+// Replacing a device's identity key - the new key has to be signed by the old one
+// Also how a recovered key gets swapped for a fresh one on a new browser (that token has no device yet)
+router.post('/devices/:deviceId/rotate', authenticate, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { publicKey, timestamp, signature, recovered } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            return res.status(400).json({ error: 'Invalid device id' });
+        }
+
+        if (!publicKey || !timestamp || !signature) {
+            return res.status(400).json({ error: 'New public key, timestamp and signature are required' });
+        }
+
+        // A device can only rotate its own key
+        if (req.deviceId && req.deviceId !== deviceId) {
+            return res.status(403).json({ error: 'Cannot rotate the key of another device' });
+        }
+
+        const user = await User.findById(req.userId);
+        const device = await Device.findOne({
+            _id: deviceId,
+            userId: req.userId,
+            revoked: false
+        });
+
+        if (!user || !device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        // Making sure an old signed statement can't be replayed later
+        if (!Number.isInteger(timestamp) || Math.abs(Date.now() - timestamp) > ROTATION_MAX_SKEW) {
+            return res.status(400).json({ error: 'Rotation statement expired' });
+        }
+
+        const isValid = verifyIdentitySignature(
+            device.publicKey,
+            keyRotationStatement(deviceId, publicKey, timestamp),
+            signature
+        );
+
+        if (!isValid) {
+            await logSecurityEvent(
+                'INVALID_SIGNATURE',
+                req,
+                req.userId,
+                'WARNING',
+                { reason: 'Key rotation not signed by the current key', deviceId }
+            );
+
+            return res.status(400).json({ error: 'New key is not signed by the current identity key' });
+        }
+
+        if (await Device.exists({ publicKey })) {
+            return res.status(409).json({ error: 'This key is already in use' });
+        }
+
+        const previousPublicKey = device.publicKey;
+        const reason = recovered ? 'RECOVERED' : 'ROTATED';
+
+        device.publicKey = publicKey;
+        device.lastSeenAt = new Date();
+        await device.save();
+
+        user.keyHistory.push({ deviceId: device._id, previousPublicKey, publicKey, signature, timestamp, reason });
+        // Accounts from before devices existed still hand out this key
+        if (user.publicKey === previousPublicKey) {
+            user.publicKey = publicKey;
+        }
+        await user.save();
+
+        await appendEntry({
+            action: 'ROTATE_KEY',
+            userId: user._id,
+            username: user.username,
+            deviceId: device._id,
+            publicKey
+        });
+
+        // Prekeys and pending exchanges were signed with the old key, and the backup holds the old key
+        await Promise.all([
+            PreKey.deleteMany({ deviceId: device._id }),
+            KeyBackup.deleteOne({ deviceId: device._id }),
+            KeyExchange.deleteMany({
+                $or: [{ initiatorDeviceId: device._id }, { responderDeviceId: device._id }],
+                status: { $in: ['INITIATED', 'RESPONDED'] }
+            })
+        ]);
+
+        await logSecurityEvent(
+            recovered ? 'KEY_RECOVERED' : 'KEY_ROTATED',
+            req,
+            req.userId,
+            'WARNING',
+            { deviceId: device._id, name: device.name }
+        );
+
+        console.log(`✓ Identity key ${recovered ? 'recovered' : 'rotated'}: ${user.username} (${device.name})`);
+
+        // Telling contacts (and our other devices) to re-check this device before trusting it again
+        const io = req.app.get('io');
+        if (io) {
+            const notification = {
+                userId: user._id,
+                username: user.username,
+                deviceId: device._id,
+                previousPublicKey,
+                publicKey,
+                signature,
+                timestamp,
+                reason
+            };
+
+            const contactIds = await findContactIds(user._id);
+            for (const contactId of [...contactIds, user._id.toString()]) {
+                io.to(`user_${contactId}`).emit('identity_changed', notification);
+            }
+        }
+
+        res.json({
+            message: 'Identity key rotated successfully',
+            deviceId: device._id,
+            token: await bindSessionToDevice(req.sessionId, user, device._id)
+        });
+    } catch (error) {
+        console.error('Key rotation error:', error);
+        res.status(500).json({ error: 'Failed to rotate identity key' });
+    }
+});
+
+// Every key rotation of a user, so anyone can check each new key was signed by the one before
+router.get('/user/:username/key-history', async (req, res) => {
+    try {
+        const user = await User.findOne({ username: req.params.username }, { keyHistory: 1 });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ keyHistory: user.keyHistory });
+    } catch (error) {
+        console.error('Error fetching key history:', error);
+        res.status(500).json({ error: 'Failed to fetch key history' });
+    }
+});
+
 module.exports = router;
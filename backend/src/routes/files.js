@@ -1,31 +1,126 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const File = require('../models/File');
+const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
 const { logSecurityEvent } = require('../middleware/logging');
+const {
+    CHUNK_OVERHEAD,
+    MIN_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    MAX_FILE_SIZE,
+    blobPath,
+    chunkCount,
+    encryptedChunkLength,
+    encryptedSize,
+    createBlob,
+    writeChunk,
+    blobSize,
+    removeBlob
+} = require('../utils/fileStorage');
+
+// Headers are padded to 1KB steps, this leaves room for long names
+const MAX_HEADER_LENGTH = 8192;
+// Previews are small thumbnails, anything bigger than this isn't one (base64 characters)
+const MAX_PREVIEW_LENGTH = 256 * 1024;
+
+// Chunks are sent as raw bytes, not JSON
+const rawChunk = express.raw({
+    type: 'application/octet-stream',
+    limit: MAX_CHUNK_SIZE + CHUNK_OVERHEAD
+});
+
+// Loading a file the caller uploaded that is still waiting for chunks
+async function findOwnUpload(req, res) {
+    if (!mongoose.isValidObjectId(req.params.fileId)) {
+        res.status(404).json({ error: 'Upload not found' });
+        return null;
+    }
+
+    const file = await File.findOne({ _id: req.params.fileId, senderId: req.userId });
+
+    if (!file) {
+        res.status(404).json({ error: 'Upload not found' });
+        return null;
+    }
+
+    return file;
+}
+
+// Loading a finished file the caller sent or received (without the preview unless asked for)
+async function findSharedFile(req, res, projection = { receivedChunks: 0, preview: 0 }) {
+    if (!mongoose.isValidObjectId(req.params.fileId)) {
+        res.status(404).json({ error: 'File not found or unauthorized' });
+        return null;
+    }
+
+    const file = await File.findOne({
+        _id: req.params.fileId,
+        status: 'complete',
+        $or: [
+            { senderId: req.userId },
+            { receiverId: req.userId }
+        ]
+    }, projection);
+
+    if (!file) {
+        res.status(404).json({ error: 'File not found or unauthorized' });
+        return null;
+    }
+
+    return file;
+}
+
+function uploadState(file) {
+    return {
+        fileId: file._id,
+        status: file.status,
+        chunkSize: file.chunkSize,
+        totalChunks: file.totalChunks,
+        receivedChunks: file.receivedChunks
+    };
+}
 
 /**
  * POST /api/files/upload
- * Upload encrypted file
+ * Start a chunked upload of an encrypted file
  */
 router.post('/upload', authenticate, async (req, res) => {
     try {
+        // Only the padded size and chunk layout, the name and type are in the encrypted header
         const {
             receiverId,
-            filename,
-            mimeType,
-            chunks,
+            chunkSize,
             totalChunks,
-            totalSize,
+            paddedSize,
             nonce,
             timestamp
         } = req.body;
 
         // Validation
-        if (!receiverId || !filename || !chunks || !totalChunks || !nonce) {
+        if (!receiverId || !nonce) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
+        if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+            return res.status(400).json({
+                error: `Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`
+            });
+        }
+
+        if (!Number.isInteger(paddedSize) || paddedSize < 0 || paddedSize > MAX_FILE_SIZE) {
+            return res.status(413).json({ error: `Files can be at most ${MAX_FILE_SIZE} bytes` });
+        }
+
+        if (totalChunks !== chunkCount(paddedSize, chunkSize)) {
+            return res.status(400).json({ error: 'Chunk count does not match the file size' });
+        }
+
+        if (!mongoose.isValidObjectId(receiverId) || !await User.exists({ _id: receiverId })) {
+            return res.status(404).json({ error: 'Receiver not found' });
+        }
+
         // Validate nonce uniqueness
         const existing = await File.findOne({ nonce });
         if (existing) {
@@ -42,19 +137,125 @@ router.post('/upload', authenticate, async (req, res) => {
             });
         }
 
-        // Create file record
+        // Create file record, the contents follow chunk by chunk
         const file = await File.create({
             senderId: req.userId,
             receiverId,
-            filename,
-            mimeType,
-            chunks,
+            chunkSize,
             totalChunks,
-            totalSize,
+            paddedSize,
             nonce,
             timestamp: timestamp || Date.now()
         });
 
+        await createBlob(file._id);
+
+        res.status(201).json(uploadState(file));
+    } catch (error) {
+        console.error('File upload error:', error);
+
+        await logSecurityEvent(
+            'FILE_UPLOADED',
+            req,
+            req.userId,
+            'ERROR',
+            { error: error.message }
+        );
+
+        res.status(500).json({ error: 'Failed to start upload' });
+    }
+});
+
+/**
+ * GET /api/files/:fileId/upload
+ * Which chunks the server has, for resuming an interrupted upload
+ */
+router.get('/:fileId/upload', authenticate, async (req, res) => {
+    try {
+        const file = await findOwnUpload(req, res);
+        if (!file) return;
+
+        res.json(uploadState(file));
+    } catch (error) {
+        console.error('Upload status error:', error);
+        res.status(500).json({ error: 'Failed to get upload status' });
+    }
+});
+
+/**
+ * PUT /api/files/:fileId/chunks/:index
+ * Store one encrypted chunk (IV + ciphertext + tag, as application/octet-stream)
+ * Sending a chunk again just overwrites it
+ */
+router.put('/:fileId/chunks/:index', authenticate, rawChunk, async (req, res) => {
+    try {
+        const file = await findOwnUpload(req, res);
+        if (!file) return;
+
+        if (file.status !== 'uploading') {
+            return res.status(409).json({ error: 'Upload already finished' });
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= file.totalChunks) {
+            return res.status(400).json({ error: 'Invalid chunk index' });
+        }
+
+        // Every chunk has a known size, so nobody can fill the disk with oversized chunks
+        if (!Buffer.isBuffer(req.body) || req.body.length !== encryptedChunkLength(file, index)) {
+            return res.status(400).json({ error: 'Invalid chunk size' });
+        }
+
+        await writeChunk(file, index, req.body);
+
+        const updated = await File.findOneAndUpdate(
+            { _id: file._id, status: 'uploading' },
+            { $addToSet: { receivedChunks: index } },
+            { new: true, projection: { receivedChunks: 1 } }
+        );
+
+        res.json({ index, received: updated ? updated.receivedChunks.length : file.totalChunks });
+    } catch (error) {
+        console.error('Chunk upload error:', error);
+        res.status(500).json({ error: 'Failed to store chunk' });
+    }
+});
+
+/**
+ * POST /api/files/:fileId/complete
+ * Finish an upload once every chunk is there, storing the file's encrypted header (and preview, if any)
+ */
+router.post('/:fileId/complete', authenticate, async (req, res) => {
+    try {
+        const { header, preview } = req.body;
+
+        const file = await findOwnUpload(req, res);
+        if (!file) return;
+
+        if (file.status === 'complete') {
+            return res.json({ message: 'File uploaded successfully', fileId: file._id });
+        }
+
+        if (typeof header !== 'string' || !header || header.length > MAX_HEADER_LENGTH) {
+            return res.status(400).json({ error: 'Encrypted file header is required' });
+        }
+
+        if (preview !== undefined && (typeof preview !== 'string' || !preview || preview.length > MAX_PREVIEW_LENGTH)) {
+            return res.status(400).json({ error: 'Invalid encrypted preview' });
+        }
+
+        const missing = file.totalChunks - file.receivedChunks.length;
+        if (missing > 0 || await blobSize(file._id) !== encryptedSize(file)) {
+            return res.status(409).json({ error: `Upload incomplete, ${missing} chunks missing`, ...uploadState(file) });
+        }
+
+        file.status = 'complete';
+        file.header = header;
+        file.preview = preview;
+        file.completedAt = new Date();
+        file.receivedChunks = [];
+        await file.save();
+
         await logSecurityEvent(
             'FILE_UPLOADED',
             req,
@@ -62,66 +263,39 @@ router.post('/upload', authenticate, async (req, res) => {
             'INFO',
             {
                 fileId: file._id,
-                filename,
-                receiverId,
-                totalChunks,
-                totalSize
+                receiverId: file.receiverId,
+                totalChunks: file.totalChunks,
+                paddedSize: file.paddedSize
             }
         );
 
-        console.log(`✓ File uploaded: ${filename} (${totalChunks} chunks)`);
+        console.log(`✓ File uploaded: ${file._id} (${file.totalChunks} chunks)`);
 
-        res.status(201).json({
+        res.json({
             message: 'File uploaded successfully',
             fileId: file._id
         });
     } catch (error) {
         console.error('File upload error:', error);
-
-        await logSecurityEvent(
-            'FILE_UPLOADED',
-            req,
-            req.userId,
-            'ERROR',
-            { error: error.message }
-        );
-
-        res.status(500).json({ error: 'Failed to upload file' });
+        res.status(500).json({ error: 'Failed to finish upload' });
     }
 });
 
 /**
  * GET /api/files/:fileId
- * Download encrypted file
+ * Encrypted file metadata
  */
 router.get('/:fileId', authenticate, async (req, res) => {
     try {
-        const { fileId } = req.params;
-
-        // Find file (user must be sender or receiver)
-        const file = await File.findOne({
-            _id: fileId,
-            $or: [
-                { senderId: req.userId },
-                { receiverId: req.userId }
-            ]
-        });
-
-        if (!file) {
-            return res.status(404).json({
-                error: 'File not found or unauthorized'
-            });
-        }
+        const file = await findSharedFile(req, res);
+        if (!file) return;
 
         await logSecurityEvent(
             'FILE_DOWNLOADED',
             req,
             req.userId,
             'INFO',
-            {
-                fileId: file._id,
-                filename: file.filename
-            }
+            { fileId: file._id }
         );
 
         res.json({ file });
@@ -131,6 +305,54 @@ router.get('/:fileId', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/files/:fileId/preview
+ * Encrypted thumbnail, fetched on its own so the timeline doesn't count as downloading the file
+ */
+router.get('/:fileId/preview', authenticate, async (req, res) => {
+    try {
+        const file = await findSharedFile(req, res, { preview: 1 });
+        if (!file) return;
+
+        if (!file.preview) {
+            return res.status(404).json({ error: 'File has no preview' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ preview: file.preview });
+    } catch (error) {
+        console.error('File preview error:', error);
+        res.status(500).json({ error: 'Failed to get preview' });
+    }
+});
+
+/**
+ * GET /api/files/:fileId/content
+ * Encrypted file contents, supports Range requests for resuming and chunk-by-chunk downloads
+ */
+router.get('/:fileId/content', authenticate, async (req, res) => {
+    try {
+        const file = await findSharedFile(req, res);
+        if (!file) return;
+
+        res.sendFile(blobPath(file._id), {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Cache-Control': 'no-store'
+            },
+            lastModified: false
+        }, (err) => {
+            if (err && !res.headersSent) {
+                console.error('File content error:', err);
+                res.status(err.status || 500).json({ error: 'Failed to read file' });
+            }
+        });
+    } catch (error) {
+        console.error('File content error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
 /**
  * GET /api/files/list/:userId
  * Get files shared with or by a specific user
@@ -139,13 +361,19 @@ router.get('/list/:otherUserId', authenticate, async (req, res) => {
     try {
         const { otherUserId } = req.params;
 
+        if (!mongoose.isValidObjectId(otherUserId)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
         const files = await File.find({
+            status: 'complete',
             $or: [
                 { senderId: req.userId, receiverId: otherUserId },
                 { senderId: otherUserId, receiverId: req.userId }
             ]
         }, {
-            chunks: 0 // Exclude chunks data for list view
+            receivedChunks: 0,
+            preview: 0
         })
             .sort({ createdAt: -1 })
             .limit(50);
@@ -159,24 +387,15 @@ router.get('/list/:otherUserId', authenticate, async (req, res) => {
 
 /**
  * DELETE /api/files/:fileId
- * Delete file (only sender can delete)
+ * Delete file or abandon an upload (only sender can delete)
  */
 router.delete('/:fileId', authenticate, async (req, res) => {
     try {
-        const { fileId } = req.params;
-
-        const file = await File.findOne({
-            _id: fileId,
-            senderId: req.userId
-        });
-
-        if (!file) {
-            return res.status(404).json({
-                error: 'File not found or unauthorized'
-            });
-        }
+        const file = await findOwnUpload(req, res);
+        if (!file) return;
 
         await file.deleteOne();
+        await removeBlob(file._id);
 
         res.json({ message: 'File deleted successfully' });
     } catch (error) {
@@ -0,0 +1,505 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupMessage = require('../models/GroupMessage');
+const SenderKeyDistribution = require('../models/SenderKeyDistribution');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const { authenticate, requireDevice } = require('../middleware/auth');
+const { validateReplayProtection } = require('../middleware/replayProtection');
+const { logSecurityEvent } = require('../middleware/logging');
+
+// Sender keys are handed out one device at a time, so groups can't get huge
+const MAX_GROUP_MEMBERS = 50;
+const MAX_ENVELOPES = 200;
+
+// Finding a group only if the user is still a member of it
+async function findGroupForMember(groupId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        return null;
+    }
+
+    return Group.findOne({ _id: groupId, 'members.userId': userId });
+}
+
+function getMembership(group, userId) {
+    return group.members.find(member => member.userId.toString() === userId.toString());
+}
+
+function formatGroupSummary(group, userId) {
+    const membership = getMembership(group, userId);
+
+    return {
+        _id: group._id,
+        name: group.name,
+        epoch: group.epoch,
+        memberCount: group.members.length,
+        role: membership ? membership.role : null,
+        updatedAt: group.updatedAt
+    };
+}
+
+// Telling every member (and anyone who just got removed) that the group changed
+function notifyGroupChanged(req, group, extraUserIds = [], details = {}) {
+    const io = req.app.get('io');
+    if (!io) return;
+
+    const userIds = new Set([
+        ...group.members.map(member => member.userId.toString()),
+        ...extraUserIds.map(String)
+    ]);
+
+    for (const userId of userIds) {
+        io.to(`user_${userId}`).emit('group_updated', {
+            groupId: group._id,
+            epoch: group.epoch,
+            ...details
+        });
+    }
+}
+
+// Keeping the socket rooms in sync with the member list
+function joinGroupRoom(req, groupId, userId) {
+    const io = req.app.get('io');
+    if (io) {
+        io.in(`user_${userId}`).socketsJoin(`group_${groupId}`);
+    }
+}
+
+function leaveGroupRoom(req, groupId, userId) {
+    const io = req.app.get('io');
+    if (io) {
+        io.in(`user_${userId}`).socketsLeave(`group_${groupId}`);
+    }
+}
+
+// Creating a new group (creator becomes the admin)
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { name, memberIds = [] } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Group name is required' });
+        }
+
+        if (!Array.isArray(memberIds) || memberIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ error: 'Invalid member list' });
+        }
+
+        const otherIds = [...new Set(memberIds.map(String))].filter(id => id !== req.userId);
+        if (otherIds.length + 1 > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+        }
+
+        const existingUsers = await User.countDocuments({ _id: { $in: otherIds } });
+        if (existingUsers !== otherIds.length) {
+            return res.status(404).json({ error: 'Some members were not found' });
+        }
+
+        const group = await Group.create({
+            name: name.trim(),
+            createdBy: req.userId,
+            members: [
+                { userId: req.userId, role: 'ADMIN' },
+                ...otherIds.map(userId => ({ userId, role: 'MEMBER' }))
+            ]
+        });
+
+        await logSecurityEvent(
+            'GROUP_CREATED',
+            req,
+            req.userId,
+            'INFO',
+            { groupId: group._id, memberCount: group.members.length }
+        );
+
+        console.log(`✓ Group created: ${group.name} (${group.members.length} members)`);
+
+        group.members.forEach(member => joinGroupRoom(req, group._id, member.userId));
+        notifyGroupChanged(req, group);
+
+        res.status(201).json({
+            message: 'Group created successfully',
+            group: formatGroupSummary(group, req.userId)
+        });
+    } catch (error) {
+        console.error('Group creation error:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+});
+
+// Listing the groups we're in
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const groups = await Group.find({ 'members.userId': req.userId }).sort({ updatedAt: -1 });
+
+        res.json({
+            groups: groups.map(group => formatGroupSummary(group, req.userId))
+        });
+    } catch (error) {
+        console.error('Get groups error:', error);
+        res.status(500).json({ error: 'Failed to get groups' });
+    }
+});
+
+// Getting one group with its members and their devices
+// Clients need every member device to hand out their sender key
+router.get('/:groupId', authenticate, async (req, res) => {
+    try {
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const memberIds = group.members.map(member => member.userId);
+        const [users, devices] = await Promise.all([
+            User.find({ _id: { $in: memberIds } }, { username: 1 }),
+            Device.find({ userId: { $in: memberIds }, revoked: false }, { userId: 1, name: 1, publicKey: 1, createdAt: 1 })
+        ]);
+
+        const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+        res.json({
+            group: {
+                ...formatGroupSummary(group, req.userId),
+                createdBy: group.createdBy,
+                members: group.members.map(member => ({
+                    userId: member.userId,
+                    username: usernames.get(member.userId.toString()) || 'unknown',
+                    role: member.role,
+                    addedAt: member.addedAt,
+                    devices: devices
+                        .filter(device => device.userId.toString() === member.userId.toString())
+                        .map(device => ({
+                            _id: device._id,
+                            name: device.name,
+                            publicKey: device.publicKey,
+                            createdAt: device.createdAt
+                        }))
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({ error: 'Failed to get group' });
+    }
+});
+
+// Adding a member (admins only)
+// New members only get sender keys from now on, so they can't read older messages
+router.post('/:groupId/members', authenticate, async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (getMembership(group, req.userId).role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Only group admins can add members' });
+        }
+
+        if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        if (getMembership(group, userId)) {
+            return res.status(400).json({ error: 'User is already a member' });
+        }
+
+        if (group.members.length >= MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        group.members.push({ userId: user._id, role: 'MEMBER' });
+        await group.save();
+
+        await logSecurityEvent(
+            'GROUP_MEMBER_ADDED',
+            req,
+            req.userId,
+            'INFO',
+            { groupId: group._id, memberId: user._id }
+        );
+
+        console.log(`✓ ${user.username} added to group ${group.name}`);
+
+        joinGroupRoom(req, group._id, user._id);
+        notifyGroupChanged(req, group, [], { addedUserId: user._id });
+
+        res.json({
+            message: 'Member added successfully',
+            group: formatGroupSummary(group, req.userId)
+        });
+    } catch (error) {
+        console.error('Add group member error:', error);
+        res.status(500).json({ error: 'Failed to add member' });
+    }
+});
+
+// Removing a member (admins) or leaving the group (anyone)
+// Bumping the epoch makes every remaining member switch to a fresh sender key,
+// so whoever left can't read anything sent after this
+router.delete('/:groupId/members/:userId', authenticate, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isSelf = userId === req.userId;
+        if (!isSelf && getMembership(group, req.userId).role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Only group admins can remove members' });
+        }
+
+        const target = mongoose.Types.ObjectId.isValid(userId) ? getMembership(group, userId) : null;
+        if (!target) {
+            return res.status(404).json({ error: 'User is not a member' });
+        }
+
+        group.members = group.members.filter(member => member.userId.toString() !== userId);
+        leaveGroupRoom(req, group._id, userId);
+
+        await logSecurityEvent(
+            'GROUP_MEMBER_REMOVED',
+            req,
+            req.userId,
+            'INFO',
+            { groupId: group._id, memberId: userId, left: isSelf }
+        );
+
+        // Last one out deletes the group
+        if (group.members.length === 0) {
+            await Promise.all([
+                GroupMessage.deleteMany({ groupId: group._id }),
+                SenderKeyDistribution.deleteMany({ groupId: group._id }),
+                Group.deleteOne({ _id: group._id })
+            ]);
+
+            console.log(`✓ Group ${group.name} deleted (no members left)`);
+            return res.json({ message: 'Group deleted' });
+        }
+
+        // Making sure somebody can still manage the group
+        if (!group.members.some(member => member.role === 'ADMIN')) {
+            group.members[0].role = 'ADMIN';
+        }
+
+        group.epoch += 1;
+        await group.save();
+
+        console.log(`✓ Member removed from group ${group.name}, now at epoch ${group.epoch}`);
+
+        notifyGroupChanged(req, group, [userId], { removedUserId: userId });
+
+        res.json({
+            message: isSelf ? 'Left group successfully' : 'Member removed successfully',
+            epoch: group.epoch
+        });
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+// Handing our sender key to other member devices
+// Every envelope is encrypted with our pairwise ratchet for that device, the server can't read them
+router.post('/:groupId/sender-keys', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { epoch, envelopes } = req.body;
+
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (epoch !== group.epoch) {
+            return res.status(409).json({ error: 'Group has been re-keyed', epoch: group.epoch });
+        }
+
+        if (!Array.isArray(envelopes) || envelopes.length === 0 || envelopes.length > MAX_ENVELOPES) {
+            return res.status(400).json({ error: `Between 1 and ${MAX_ENVELOPES} envelopes are required` });
+        }
+
+        for (const envelope of envelopes) {
+            if (!envelope || !envelope.deviceId || !envelope.ciphertext || !envelope.iv) {
+                return res.status(400).json({ error: 'Every envelope needs a deviceId, ciphertext and iv' });
+            }
+
+            const { ratchetKey, previousChainLength, messageNumber } = envelope;
+            if (!ratchetKey || !Number.isInteger(previousChainLength) || !Number.isInteger(messageNumber) ||
+                previousChainLength < 0 || messageNumber < 0) {
+                return res.status(400).json({ error: 'Missing or invalid ratchet header' });
+            }
+        }
+
+        // Sender keys can only go to devices of current members
+        const devices = await Device.find({
+            userId: { $in: group.members.map(member => member.userId) },
+            revoked: false
+        }, { _id: 1 });
+        const memberDeviceIds = new Set(devices.map(device => device._id.toString()));
+        memberDeviceIds.delete(req.deviceId);
+
+        const targetIds = envelopes.map(envelope => String(envelope.deviceId));
+        if (new Set(targetIds).size !== targetIds.length || targetIds.some(id => !memberDeviceIds.has(id))) {
+            return res.status(400).json({ error: 'Envelope addressed to a device outside the group' });
+        }
+
+        // Replacing anything we sent these devices before for this epoch
+        await SenderKeyDistribution.deleteMany({
+            groupId: group._id,
+            epoch: group.epoch,
+            senderDeviceId: req.deviceId,
+            receiverDeviceId: { $in: targetIds }
+        });
+
+        await SenderKeyDistribution.insertMany(envelopes.map(envelope => ({
+            groupId: group._id,
+            epoch: group.epoch,
+            senderId: req.userId,
+            senderDeviceId: req.deviceId,
+            receiverDeviceId: envelope.deviceId,
+            ciphertext: envelope.ciphertext,
+            iv: envelope.iv,
+            ratchetKey: envelope.ratchetKey,
+            previousChainLength: envelope.previousChainLength,
+            messageNumber: envelope.messageNumber
+        })));
+
+        console.log(`✓ Sender key for group ${group.name} sent to ${envelopes.length} devices`);
+
+        res.status(201).json({ message: 'Sender keys stored', epoch: group.epoch });
+    } catch (error) {
+        console.error('Sender key distribution error:', error);
+        res.status(500).json({ error: 'Failed to store sender keys' });
+    }
+});
+
+// Getting the sender keys other members sent to this device
+router.get('/:groupId/sender-keys', authenticate, requireDevice, async (req, res) => {
+    try {
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const distributions = await SenderKeyDistribution.find({
+            groupId: group._id,
+            receiverDeviceId: req.deviceId
+        }).sort({ createdAt: 1 });
+
+        res.json({ senderKeys: distributions });
+    } catch (error) {
+        console.error('Get sender keys error:', error);
+        res.status(500).json({ error: 'Failed to get sender keys' });
+    }
+});
+
+// Sending a group message - encrypted once with our sender key, stored once
+router.post('/:groupId/messages', authenticate, requireDevice, validateReplayProtection, async (req, res) => {
+    try {
+        const {
+            epoch,
+            iteration,
+            ciphertext,
+            iv,
+            signature,
+            nonce,
+            timestamp
+        } = req.body;
+
+        if (!ciphertext || !iv || !signature || !nonce || !Number.isInteger(iteration) || iteration < 0) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        // Messages under an old sender key could be read by people who already left
+        if (epoch !== group.epoch) {
+            return res.status(409).json({ error: 'Group has been re-keyed', epoch: group.epoch });
+        }
+
+        const message = await GroupMessage.create({
+            groupId: group._id,
+            senderId: req.userId,
+            senderDeviceId: req.deviceId,
+            epoch,
+            iteration,
+            ciphertext,
+            iv,
+            signature,
+            nonce,
+            timestamp
+        });
+
+        await logSecurityEvent(
+            'MESSAGE_SENT',
+            req,
+            req.userId,
+            'INFO',
+            {
+                groupId: group._id,
+                epoch,
+                nonce
+            }
+        );
+
+        console.log(`✓ Group message stored: ${req.userId} → ${group.name}`);
+
+        // One emit to the group room reaches every member's sockets
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`group_${group._id}`).emit('message_received', {
+                groupId: group._id,
+                nonce,
+                senderId: req.userId,
+                senderDeviceId: req.deviceId,
+                timestamp
+            });
+        }
+
+        res.status(201).json({
+            message: 'Message sent successfully',
+            messageId: message._id,
+            nonce
+        });
+    } catch (error) {
+        console.error('Group message storage error:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// Getting a group's messages (still encrypted)
+router.get('/:groupId/messages', authenticate, async (req, res) => {
+    try {
+        const group = await findGroupForMember(req.params.groupId, req.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const messages = await GroupMessage.find({ groupId: group._id })
+            .sort({ timestamp: 1 })
+            .limit(100)
+            .populate('senderId', 'username');
+
+        res.json({ messages });
+    } catch (error) {
+        console.error('Get group messages error:', error);
+        res.status(500).json({ error: 'Failed to get messages' });
+    }
+});
+
+module.exports = router;
@@ -1,37 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const KeyExchange = require('../models/KeyExchange');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const Device = require('../models/Device');
+const { authenticate, requireDevice } = require('../middleware/auth');
 const { logSecurityEvent } = require('../middleware/logging');
-
-// Starting a secure key exchange with another user
-router.post('/initiate', authenticate, async (req, res) => {
+const { keyExchangeTranscriptHash } = require('../utils/signatures');
+
+// Prekey messages have to wait until the responder comes back online
+const PREKEY_EXCHANGE_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+// Key schedules clients can negotiate (see keyExchange.js on the client)
+const KEY_SCHEDULE_VERSIONS = [1, 2];
+// Base64 HMAC-SHA256 is 44 characters, this is just a sanity limit
+const MAX_CONFIRMATION_LENGTH = 128;
+
+function isConfirmation(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_CONFIRMATION_LENGTH;
+}
+
+// Older clients don't offer key schedules, they only know schedule 1
+function isKeyScheduleList(value) {
+    return Array.isArray(value) && value.length > 0 && value.length <= KEY_SCHEDULE_VERSIONS.length &&
+        value.every(version => KEY_SCHEDULE_VERSIONS.includes(version));
+}
+
+// Starting a secure key exchange with one of another user's devices
+// (or with one of our own other devices, so they can read what we send)
+router.post('/initiate', authenticate, requireDevice, async (req, res) => {
     try {
         const {
             responderUsername,
+            responderDeviceId,
             ecdhPublicKey,
             signature,
             nonce,
-            timestamp
+            timestamp,
+            keySchedules = [1]
         } = req.body;
 
         // Making sure we have all the required security data
-        if (!responderUsername || !ecdhPublicKey || !signature || !nonce || !timestamp) {
+        if (!responderUsername || !responderDeviceId || !ecdhPublicKey || !signature || !nonce || !timestamp) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Looking up who they want to exchange keys with
-        const responder = await User.findOne({ username: responderUsername });
-        if (!responder) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!isKeyScheduleList(keySchedules)) {
+            return res.status(400).json({ error: 'Unsupported key schedule' });
+        }
+
+        // Looking up which device they want to exchange keys with
+        const target = await findResponderDevice(responderUsername, responderDeviceId, req.deviceId);
+        if (!target) {
+            return res.status(404).json({ error: 'Device not found' });
         }
+        const { responder, device } = target;
 
         // If there's an existing pending exchange, we'll cancel it and start a new one
         // This allows users to "restart" the process if they get stuck
         await KeyExchange.deleteMany({
-            initiatorId: req.userId,
-            responderId: responder._id,
+            initiatorDeviceId: req.deviceId,
+            responderDeviceId: device._id,
             status: { $in: ['INITIATED', 'RESPONDED'] }
         });
 
@@ -39,10 +67,13 @@ router.post('/initiate', authenticate, async (req, res) => {
         const keyExchange = await KeyExchange.create({
             initiatorId: req.userId,
             responderId: responder._id,
+            initiatorDeviceId: req.deviceId,
+            responderDeviceId: device._id,
             initiatorECDHPublicKey: ecdhPublicKey,
             initiatorSignature: signature,
             initiatorNonce: nonce,
             initiatorTimestamp: timestamp,
+            keySchedules,
             status: 'INITIATED'
         });
 
@@ -53,6 +84,7 @@ router.post('/initiate', authenticate, async (req, res) => {
             'INFO',
             {
                 responderId: responder._id,
+                responderDeviceId: device._id,
                 keyExchangeId: keyExchange._id
             }
         );
@@ -65,7 +97,8 @@ router.post('/initiate', authenticate, async (req, res) => {
             responder: {
                 userId: responder._id,
                 username: responder.username,
-                publicKey: responder.publicKey
+                deviceId: device._id,
+                publicKey: device.publicKey
             }
         });
     } catch (error) {
@@ -83,26 +116,38 @@ router.post('/initiate', authenticate, async (req, res) => {
     }
 });
 
-// Responding to a key exchange request from another user
-router.post('/respond', authenticate, async (req, res) => {
+// Responding to a key exchange request aimed at this device
+router.post('/respond', authenticate, requireDevice, async (req, res) => {
     try {
         const {
             keyExchangeId,
             ecdhPublicKey,
             signature,
             nonce,
-            timestamp
+            timestamp,
+            confirmation,
+            keySchedule = 1
         } = req.body;
 
         if (!keyExchangeId || !ecdhPublicKey || !signature || !nonce || !timestamp) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Finding the key exchange they're responding to
+        if (!mongoose.isValidObjectId(keyExchangeId)) {
+            return res.status(400).json({ error: 'Invalid keyExchangeId' });
+        }
+
+        if (!isConfirmation(confirmation)) {
+            return res.status(400).json({ error: 'Missing key confirmation' });
+        }
+
+        // Finding the key exchange they're responding to (prekey exchanges need no response)
         const keyExchange = await KeyExchange.findOne({
             _id: keyExchangeId,
             responderId: req.userId,
+            responderDeviceId: req.deviceId,
             status: 'INITIATED',
+            protocol: { $ne: 'X3DH' },
             expiresAt: { $gt: new Date() }
         });
 
@@ -112,17 +157,26 @@ router.post('/respond', authenticate, async (req, res) => {
             });
         }
 
+        // The responder has to pick one of the schedules the initiator offered
+        if (!keyExchange.keySchedules.includes(keySchedule)) {
+            return res.status(400).json({ error: 'Key schedule was not offered by the initiator' });
+        }
+
         // Adding their response data
+        keyExchange.keySchedule = keySchedule;
         keyExchange.responderECDHPublicKey = ecdhPublicKey;
         keyExchange.responderSignature = signature;
         keyExchange.responderNonce = nonce;
         keyExchange.responderTimestamp = timestamp;
+        keyExchange.responderConfirmation = confirmation;
+        keyExchange.transcriptHash = keyExchangeTranscriptHash(keyExchange);
         keyExchange.status = 'RESPONDED';
 
         await keyExchange.save();
 
-        // Getting info about who started this
+        // Getting info about who started this (and from which device)
         const initiator = await User.findById(keyExchange.initiatorId);
+        const initiatorDevice = await Device.findById(keyExchange.initiatorDeviceId);
 
         await logSecurityEvent(
             'KEY_EXCHANGE_INITIATED',
@@ -132,6 +186,7 @@ router.post('/respond', authenticate, async (req, res) => {
             {
                 initiatorId: initiator._id,
                 keyExchangeId: keyExchange._id,
+                transcriptHash: keyExchange.transcriptHash,
                 step: 'respond'
             }
         );
@@ -146,10 +201,13 @@ router.post('/respond', authenticate, async (req, res) => {
                 responder: {
                     userId: req.userId,
                     username: req.username,
+                    deviceId: req.deviceId,
                     ecdhPublicKey: ecdhPublicKey,
                     signature: signature,
                     nonce: nonce,
-                    timestamp: timestamp
+                    timestamp: timestamp,
+                    keySchedule,
+                    confirmation
                 }
             });
             console.log(`✓ Notified initiator ${initiator.username} via socket`);
@@ -158,10 +216,12 @@ router.post('/respond', authenticate, async (req, res) => {
         res.json({
             message: 'Key exchange responded',
             keyExchangeId: keyExchange._id,
+            transcriptHash: keyExchange.transcriptHash,
             initiator: {
                 userId: initiator._id,
                 username: initiator.username,
-                publicKey: initiator.publicKey,
+                deviceId: keyExchange.initiatorDeviceId,
+                publicKey: initiatorDevice.publicKey,
                 ecdhPublicKey: keyExchange.initiatorECDHPublicKey,
                 signature: keyExchange.initiatorSignature,
                 nonce: keyExchange.initiatorNonce,
@@ -183,18 +243,69 @@ router.post('/respond', authenticate, async (req, res) => {
     }
 });
 
-// Finalizing the key exchange process
-router.post('/confirm', authenticate, async (req, res) => {
+// The responder's answer to an exchange this device started, once there is one
+router.get('/:keyExchangeId/response', authenticate, requireDevice, async (req, res) => {
     try {
-        const { keyExchangeId } = req.body;
+        if (!mongoose.isValidObjectId(req.params.keyExchangeId)) {
+            return res.status(404).json({ error: 'Key exchange not found or not responded yet' });
+        }
+
+        const keyExchange = await KeyExchange.findOne({
+            _id: req.params.keyExchangeId,
+            initiatorId: req.userId,
+            initiatorDeviceId: req.deviceId,
+            status: 'RESPONDED'
+        });
+
+        if (!keyExchange) {
+            return res.status(404).json({
+                error: 'Key exchange not found or not responded yet'
+            });
+        }
+
+        res.json({
+            keyExchangeId: keyExchange._id,
+            status: keyExchange.status,
+            transcriptHash: keyExchange.transcriptHash,
+            responder: {
+                userId: keyExchange.responderId,
+                deviceId: keyExchange.responderDeviceId,
+                ecdhPublicKey: keyExchange.responderECDHPublicKey,
+                signature: keyExchange.responderSignature,
+                nonce: keyExchange.responderNonce,
+                timestamp: keyExchange.responderTimestamp,
+                keySchedule: keyExchange.keySchedule,
+                confirmation: keyExchange.responderConfirmation
+            }
+        });
+    } catch (error) {
+        console.error('Key exchange response lookup error:', error);
+        res.status(500).json({ error: 'Failed to get key exchange response' });
+    }
+});
+
+// Initiator passing on its key confirmation after checking the responder's
+// The exchange is only CONFIRMED once the responder has checked this one too (see /finalize)
+router.post('/confirm', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { keyExchangeId, confirmation } = req.body;
 
         if (!keyExchangeId) {
             return res.status(400).json({ error: 'Missing keyExchangeId' });
         }
 
+        if (!mongoose.isValidObjectId(keyExchangeId)) {
+            return res.status(400).json({ error: 'Invalid keyExchangeId' });
+        }
+
+        if (!isConfirmation(confirmation)) {
+            return res.status(400).json({ error: 'Missing key confirmation' });
+        }
+
         const keyExchange = await KeyExchange.findOne({
             _id: keyExchangeId,
             initiatorId: req.userId,
+            initiatorDeviceId: req.deviceId,
             status: 'RESPONDED'
         });
 
@@ -204,6 +315,87 @@ router.post('/confirm', authenticate, async (req, res) => {
             });
         }
 
+        keyExchange.initiatorConfirmation = confirmation;
+        keyExchange.status = 'CONFIRMING';
+        await keyExchange.save();
+
+        console.log(`✓ Key exchange confirmed by initiator: ${req.username}`);
+
+        // Letting the responder check our MAC right away if it's online
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user_${keyExchange.responderId}`).emit('key_exchange_confirmation', {
+                keyExchangeId: keyExchange._id,
+                responderDeviceId: keyExchange.responderDeviceId,
+                confirmation
+            });
+        }
+
+        res.json({
+            message: 'Key confirmation sent',
+            status: keyExchange.status
+        });
+    } catch (error) {
+        console.error('Key exchange confirmation error:', error);
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_FAILED',
+            req,
+            req.userId,
+            'ERROR',
+            { step: 'confirm', error: error.message }
+        );
+
+        res.status(500).json({ error: 'Failed to confirm key exchange' });
+    }
+});
+
+// Initiator key confirmations waiting for this device to check them
+router.get('/confirmations', authenticate, requireDevice, async (req, res) => {
+    try {
+        const keyExchanges = await KeyExchange.find({
+            responderDeviceId: req.deviceId,
+            status: 'CONFIRMING'
+        }, {
+            initiatorId: 1,
+            initiatorDeviceId: 1,
+            initiatorConfirmation: 1,
+            transcriptHash: 1
+        });
+
+        res.json({ keyExchanges });
+    } catch (error) {
+        console.error('Error fetching key confirmations:', error);
+        res.status(500).json({ error: 'Failed to fetch key confirmations' });
+    }
+});
+
+// Responder reporting that the initiator's key confirmation checked out
+router.post('/finalize', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { keyExchangeId } = req.body;
+
+        if (!keyExchangeId) {
+            return res.status(400).json({ error: 'Missing keyExchangeId' });
+        }
+
+        if (!mongoose.isValidObjectId(keyExchangeId)) {
+            return res.status(400).json({ error: 'Invalid keyExchangeId' });
+        }
+
+        const keyExchange = await KeyExchange.findOne({
+            _id: keyExchangeId,
+            responderId: req.userId,
+            responderDeviceId: req.deviceId,
+            status: 'CONFIRMING'
+        });
+
+        if (!keyExchange) {
+            return res.status(404).json({
+                error: 'Key exchange not found or not waiting for confirmation'
+            });
+        }
+
         keyExchange.status = 'CONFIRMED';
         keyExchange.confirmedAt = new Date();
         await keyExchange.save();
@@ -215,7 +407,9 @@ router.post('/confirm', authenticate, async (req, res) => {
             'INFO',
             {
                 keyExchangeId: keyExchange._id,
-                responderId: keyExchange.responderId
+                initiatorId: keyExchange.initiatorId,
+                keySchedule: keyExchange.keySchedule,
+                transcriptHash: keyExchange.transcriptHash
             }
         );
 
@@ -223,39 +417,261 @@ router.post('/confirm', authenticate, async (req, res) => {
 
         res.json({
             message: 'Key exchange confirmed',
-            status: 'CONFIRMED',
-            responder: {
-                userId: keyExchange.responderId,
-                ecdhPublicKey: keyExchange.responderECDHPublicKey,
-                signature: keyExchange.responderSignature,
-                nonce: keyExchange.responderNonce,
-                timestamp: keyExchange.responderTimestamp
+            status: 'CONFIRMED'
+        });
+    } catch (error) {
+        console.error('Key exchange finalize error:', error);
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_FAILED',
+            req,
+            req.userId,
+            'ERROR',
+            { step: 'finalize', error: error.message }
+        );
+
+        res.status(500).json({ error: 'Failed to finalize key exchange' });
+    }
+});
+
+// Either device giving up on an exchange because a signature or key confirmation didn't check out
+router.post('/fail', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { keyExchangeId, reason } = req.body;
+
+        if (!keyExchangeId) {
+            return res.status(400).json({ error: 'Missing keyExchangeId' });
+        }
+
+        if (!mongoose.isValidObjectId(keyExchangeId)) {
+            return res.status(400).json({ error: 'Invalid keyExchangeId' });
+        }
+
+        const keyExchange = await KeyExchange.findOne({
+            _id: keyExchangeId,
+            status: { $in: ['RESPONDED', 'CONFIRMING'] },
+            $or: [
+                { initiatorDeviceId: req.deviceId },
+                { responderDeviceId: req.deviceId }
+            ]
+        });
+
+        if (!keyExchange) {
+            return res.status(404).json({ error: 'Key exchange not found' });
+        }
+
+        keyExchange.status = 'FAILED';
+        keyExchange.failureReason = String(reason || 'Key confirmation failed').slice(0, 200);
+        await keyExchange.save();
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_FAILED',
+            req,
+            req.userId,
+            'WARNING',
+            {
+                step: 'key-confirmation',
+                keyExchangeId: keyExchange._id,
+                reason: keyExchange.failureReason,
+                transcriptHash: keyExchange.transcriptHash
             }
+        );
+
+        res.json({
+            message: 'Key exchange marked as failed',
+            status: 'FAILED'
         });
     } catch (error) {
-        console.error('Key exchange confirmation error:', error);
+        console.error('Key exchange failure report error:', error);
+        res.status(500).json({ error: 'Failed to update key exchange' });
+    }
+});
+
+// Starting a key exchange from a device's prekey bundle (works while it's offline)
+router.post('/prekey', authenticate, requireDevice, async (req, res) => {
+    try {
+        const {
+            responderUsername,
+            responderDeviceId,
+            ecdhPublicKey,
+            signature,
+            nonce,
+            timestamp,
+            signedPreKeyId,
+            oneTimePreKeyId,
+            keySchedule
+        } = req.body;
+
+        if (!responderUsername || !responderDeviceId || !ecdhPublicKey || !signature || !nonce || !timestamp ||
+            !signedPreKeyId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Nothing to negotiate with an offline responder, the initiator picks (and signs) the schedule
+        if (!KEY_SCHEDULE_VERSIONS.includes(keySchedule)) {
+            return res.status(400).json({ error: 'Missing or unsupported key schedule' });
+        }
+
+        const target = await findResponderDevice(responderUsername, responderDeviceId, req.deviceId);
+        if (!target) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        const { responder, device } = target;
+
+        // Replacing anything still pending between these devices, same as a normal initiation
+        await KeyExchange.deleteMany({
+            initiatorDeviceId: req.deviceId,
+            responderDeviceId: device._id,
+            status: { $in: ['INITIATED', 'RESPONDED'] }
+        });
+
+        const keyExchange = new KeyExchange({
+            initiatorId: req.userId,
+            responderId: responder._id,
+            initiatorDeviceId: req.deviceId,
+            responderDeviceId: device._id,
+            protocol: 'X3DH',
+            initiatorECDHPublicKey: ecdhPublicKey,
+            initiatorSignature: signature,
+            initiatorNonce: nonce,
+            initiatorTimestamp: timestamp,
+            signedPreKeyId,
+            oneTimePreKeyId: oneTimePreKeyId || undefined,
+            keySchedules: [keySchedule],
+            keySchedule,
+            status: 'INITIATED',
+            expiresAt: new Date(Date.now() + PREKEY_EXCHANGE_LIFETIME)
+        });
+
+        // The initiator's signature covers this transcript, the responder checks it when accepting
+        keyExchange.transcriptHash = keyExchangeTranscriptHash(keyExchange);
+        await keyExchange.save();
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_INITIATED',
+            req,
+            req.userId,
+            'INFO',
+            {
+                responderId: responder._id,
+                responderDeviceId: device._id,
+                keyExchangeId: keyExchange._id,
+                protocol: 'X3DH',
+                keySchedule,
+                transcriptHash: keyExchange.transcriptHash
+            }
+        );
+
+        console.log(`✓ Prekey exchange initiated: ${req.username} → ${responderUsername}`);
+
+        // Letting the responder know right away if they happen to be online
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user_${responder._id}`).emit('key_exchange_request', {
+                keyExchangeId: keyExchange._id,
+                initiatorId: req.userId,
+                responderDeviceId: device._id,
+                protocol: 'X3DH'
+            });
+        }
+
+        res.status(201).json({
+            message: 'Prekey exchange initiated',
+            keyExchangeId: keyExchange._id,
+            transcriptHash: keyExchange.transcriptHash
+        });
+    } catch (error) {
+        console.error('Prekey exchange initiation error:', error);
 
         await logSecurityEvent(
             'KEY_EXCHANGE_FAILED',
             req,
             req.userId,
             'ERROR',
-            { step: 'confirm', error: error.message }
+            { step: 'prekey-initiate', error: error.message }
         );
 
-        res.status(500).json({ error: 'Failed to confirm key exchange' });
+        res.status(500).json({ error: 'Failed to initiate prekey exchange' });
     }
 });
 
-// Getting any key exchange requests waiting for this user
-router.get('/pending', authenticate, async (req, res) => {
+// Responder marking a prekey exchange as processed once its ratchet is set up
+router.post('/prekey/accept', authenticate, requireDevice, async (req, res) => {
     try {
-        const pending = await KeyExchange.find({
+        const { keyExchangeId } = req.body;
+
+        if (!keyExchangeId) {
+            return res.status(400).json({ error: 'Missing keyExchangeId' });
+        }
+
+        if (!mongoose.isValidObjectId(keyExchangeId)) {
+            return res.status(400).json({ error: 'Invalid keyExchangeId' });
+        }
+
+        const keyExchange = await KeyExchange.findOne({
+            _id: keyExchangeId,
             responderId: req.userId,
+            responderDeviceId: req.deviceId,
+            protocol: 'X3DH',
+            status: 'INITIATED',
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!keyExchange) {
+            return res.status(404).json({
+                error: 'Prekey exchange not found or expired'
+            });
+        }
+
+        keyExchange.status = 'CONFIRMED';
+        keyExchange.confirmedAt = new Date();
+        await keyExchange.save();
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_COMPLETED',
+            req,
+            req.userId,
+            'INFO',
+            {
+                keyExchangeId: keyExchange._id,
+                initiatorId: keyExchange.initiatorId,
+                protocol: 'X3DH',
+                keySchedule: keyExchange.keySchedule,
+                transcriptHash: keyExchange.transcriptHash
+            }
+        );
+
+        console.log(`✓ Prekey exchange accepted: ${req.username}`);
+
+        res.json({
+            message: 'Prekey exchange accepted',
+            status: 'CONFIRMED'
+        });
+    } catch (error) {
+        console.error('Prekey exchange accept error:', error);
+
+        await logSecurityEvent(
+            'KEY_EXCHANGE_FAILED',
+            req,
+            req.userId,
+            'ERROR',
+            { step: 'prekey-accept', error: error.message }
+        );
+
+        res.status(500).json({ error: 'Failed to accept prekey exchange' });
+    }
+});
+
+// Getting any key exchange requests waiting for this device
+router.get('/pending', authenticate, requireDevice, async (req, res) => {
+    try {
+        const pending = await KeyExchange.find({
+            responderDeviceId: req.deviceId,
             status: 'INITIATED',
             expiresAt: { $gt: new Date() }
         })
-            .populate('initiatorId', 'username publicKey')
+            .populate('initiatorId', 'username')
+            .populate('initiatorDeviceId', 'name publicKey')
             .sort({ createdAt: -1 });
 
         res.json({ keyExchanges: pending });
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const KeyBackup = require('../models/KeyBackup');
+const { authenticate, requireDevice } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/logging');
+
+// Blob versions the client knows how to open (see keyManagement.js)
+const SUPPORTED_BLOB_VERSIONS = [1, 2];
+const SUPPORTED_KDFS = ['pbkdf2', 'argon2id'];
+// A wrapped P-256 private key is a few hundred bytes, anything much bigger isn't one
+const MAX_BLOB_FIELD_LENGTH = 4096;
+
+// Making sure a blob looks like something the client can open later
+function validateBlob({ version, kdf, encryptedKey, salt, iv }) {
+    if (!SUPPORTED_BLOB_VERSIONS.includes(version)) {
+        return 'Unsupported backup version';
+    }
+
+    if (!kdf || typeof kdf !== 'object' || !SUPPORTED_KDFS.includes(kdf.name)) {
+        return 'Unsupported key derivation function';
+    }
+
+    const numbers = Object.entries(kdf).filter(([key]) => key !== 'name');
+    if (numbers.some(([, value]) => !Number.isInteger(value) || value < 1)) {
+        return 'Invalid key derivation parameters';
+    }
+
+    if ([encryptedKey, salt, iv].some(field => typeof field !== 'string' || !field || field.length > MAX_BLOB_FIELD_LENGTH)) {
+        return 'Invalid backup data';
+    }
+
+    return null;
+}
+
+// Uploading (or replacing) the backup of this device's identity key
+router.put('/backup', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { publicKey, version, kdf, encryptedKey, salt, iv } = req.body;
+
+        const invalid = validateBlob({ version, kdf, encryptedKey, salt, iv });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const device = await Device.findById(req.deviceId);
+        if (!device || device.publicKey !== publicKey) {
+            return res.status(400).json({ error: 'Backup does not match this device\'s identity key' });
+        }
+
+        await KeyBackup.findOneAndUpdate(
+            { deviceId: device._id },
+            {
+                userId: req.userId,
+                deviceId: device._id,
+                publicKey,
+                version,
+                kdf: { ...kdf },
+                encryptedKey,
+                salt,
+                iv
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        await logSecurityEvent(
+            'KEY_BACKUP_SAVED',
+            req,
+            req.userId,
+            'INFO',
+            { deviceId: device._id, version, kdf: kdf.name }
+        );
+
+        res.json({ message: 'Key backup saved' });
+    } catch (error) {
+        console.error('Key backup error:', error);
+        res.status(500).json({ error: 'Failed to save key backup' });
+    }
+});
+
+// Handing the backups of active devices to a browser after login
+// It still needs the passphrase or recovery code to open one
+router.get('/backup', authenticate, async (req, res) => {
+    try {
+        const devices = await Device.find({ userId: req.userId, revoked: false }, { name: 1, publicKey: 1 });
+        const backups = await KeyBackup.find({
+            userId: req.userId,
+            deviceId: { $in: devices.map(device => device._id) }
+        });
+
+        res.json({
+            backups: backups
+                // A backup of a key the device has rotated away from can't be used anymore
+                .filter(backup => devices.some(device => device._id.equals(backup.deviceId) && device.publicKey === backup.publicKey))
+                .map(backup => ({
+                    deviceId: backup.deviceId,
+                    deviceName: devices.find(device => device._id.equals(backup.deviceId)).name,
+                    publicKey: backup.publicKey,
+                    version: backup.version,
+                    kdf: backup.kdf,
+                    encryptedKey: backup.encryptedKey,
+                    salt: backup.salt,
+                    iv: backup.iv,
+                    updatedAt: backup.updatedAt
+                }))
+        });
+    } catch (error) {
+        console.error('Error fetching key backups:', error);
+        res.status(500).json({ error: 'Failed to fetch key backups' });
+    }
+});
+
+router.delete('/backup/:deviceId', authenticate, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            return res.status(400).json({ error: 'Invalid device id' });
+        }
+
+        const result = await KeyBackup.deleteOne({ deviceId, userId: req.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Key backup not found' });
+        }
+
+        await logSecurityEvent(
+            'KEY_BACKUP_DELETED',
+            req,
+            req.userId,
+            'INFO',
+            { deviceId }
+        );
+
+        res.json({ message: 'Key backup deleted' });
+    } catch (error) {
+        console.error('Error deleting key backup:', error);
+        res.status(500).json({ error: 'Failed to delete key backup' });
+    }
+});
+
+module.exports = router;
@@ -1,50 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const SecurityLog = require('../models/SecurityLog');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 100;
+
+// Reading one paging param, falling back to the default when it's missing or not a number
+// Returns null for negative values so the caller can reject them
+function pagingParam(value, fallback) {
+    const parsed = parseInt(value, 10);
+
+    if (Number.isNaN(parsed)) {
+        return fallback;
+    }
+
+    return parsed < 0 ? null : parsed;
+}
+
+// Turning limit/skip query params into safe numbers, or null if they're negative
+function parsePaging({ limit, skip }) {
+    const parsedLimit = pagingParam(limit, DEFAULT_LIMIT);
+    const parsedSkip = pagingParam(skip, 0);
+
+    if (parsedLimit === null || parsedSkip === null) {
+        return null;
+    }
+
+    // Making sure nobody can pull the whole collection in one request
+    // (a limit of 0 means "no limit" to MongoDB, so it gets the default too)
+    return { limit: Math.min(parsedLimit || DEFAULT_LIMIT, MAX_LIMIT), skip: parsedSkip };
+}
+
+// Turning query params into a page of logs for the given filter
+async function findLogs(baseQuery, { eventType, severity }, { limit, skip }) {
+    const query = { ...baseQuery };
+    if (eventType) query.eventType = String(eventType);
+    if (severity) query.severity = String(severity);
+
+    const logs = await SecurityLog.find(query)
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .skip(skip)
+        .populate('userId', 'username');
+
+    const total = await SecurityLog.countDocuments(query);
+
+    return {
+        logs,
+        total,
+        limit,
+        skip
+    };
+}
 
 /**
  * GET /api/logs
- * Get security logs (admin only for production, open for demo)
+ * Get everyone's security logs (admin only)
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, authorize(['admin']), async (req, res) => {
     try {
-        const {
-            eventType,
-            severity,
-            limit = 100,
-            skip = 0
-        } = req.query;
+        const paging = parsePaging(req.query);
+        if (!paging) {
+            return res.status(400).json({ error: 'limit and skip must not be negative' });
+        }
 
-        const query = {};
-        if (eventType) query.eventType = eventType;
-        if (severity) query.severity = severity;
-
-        const logs = await SecurityLog.find(query)
-            .sort({ timestamp: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip))
-            .populate('userId', 'username');
+        res.json(await findLogs({}, req.query, paging));
+    } catch (error) {
+        console.error('Error fetching security logs:', error);
+        res.status(500).json({ error: 'Failed to fetch security logs' });
+    }
+});
 
-        const total = await SecurityLog.countDocuments(query);
+/**
+ * GET /api/logs/me
+ * Get the current user's own security logs
+ */
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const paging = parsePaging(req.query);
+        if (!paging) {
+            return res.status(400).json({ error: 'limit and skip must not be negative' });
+        }
 
-        res.json({
-            logs,
-            total,
-            limit: parseInt(limit),
-            skip: parseInt(skip)
-        });
+        res.json(await findLogs({ userId: req.userId }, req.query, paging));
     } catch (error) {
-        console.error('Error fetching security logs:', error);
+        console.error('Error fetching own security logs:', error);
         res.status(500).json({ error: 'Failed to fetch security logs' });
     }
 });
 
 /**
  * GET /api/logs/stats
- * Get security log statistics
+ * Get security log statistics (admin only)
  */
-router.get('/stats', authenticate, async (req, res) => {
+router.get('/stats', authenticate, authorize(['admin']), async (req, res) => {
     try {
         const [
             totalLogs,
@@ -1,32 +1,164 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
-const { authenticate } = require('../middleware/auth');
-const { validateReplayProtection } = require('../middleware/replayProtection');
+const Device = require('../models/Device');
+const File = require('../models/File');
+const { authenticate, requireDevice } = require('../middleware/auth');
+const {
+    validateReplayProtection,
+    claimSequenceNumber,
+    releaseSequenceNumber,
+    nextSequenceNumber
+} = require('../middleware/replayProtection');
 const { logSecurityEvent } = require('../middleware/logging');
 
+// One envelope per device, this is plenty for two users' devices
+const MAX_ENVELOPES = 50;
+// Message envelope version new messages must use (the fields bound to the ciphertext as associated data)
+// Version 1 didn't bind sender, receiver or timestamp - it's only still read for messages already stored
+const ENVELOPE_VERSION = 2;
+
 // Saving an encrypted message to database (with security checks)
-router.post('/', authenticate, validateReplayProtection, async (req, res) => {
+// The client sends one envelope per device, each encrypted with that device's ratchet
+router.post('/', authenticate, requireDevice, validateReplayProtection, async (req, res) => {
     try {
-        const { receiverId, ciphertext, iv, nonce, sequenceNumber, timestamp } = req.body;
+        const {
+            receiverId,
+            envelopes,
+            nonce,
+            sequenceNumber,
+            timestamp,
+            type = 'text',
+            fileId,
+            envelopeVersion
+        } = req.body;
 
         // Making sure we have all the pieces
-        if (!receiverId || !ciphertext || !iv || !nonce) {
+        if (!receiverId || !nonce || !Array.isArray(envelopes) || envelopes.length === 0) {
             return res.status(400).json({
                 error: 'Missing required fields'
             });
         }
 
-        // Storing the encrypted message
-        const message = await Message.create({
-            senderId: req.userId,
-            receiverId,
-            ciphertext,
-            iv,
-            nonce,
-            sequenceNumber,
-            timestamp
+        if (!mongoose.Types.ObjectId.isValid(receiverId)) {
+            return res.status(400).json({ error: 'Invalid receiver' });
+        }
+
+        if (envelopes.length > MAX_ENVELOPES) {
+            return res.status(400).json({ error: 'Too many device envelopes' });
+        }
+
+        if (!Number.isInteger(sequenceNumber) || sequenceNumber < 0) {
+            return res.status(400).json({ error: 'Invalid sequence number' });
+        }
+
+        if (envelopeVersion !== ENVELOPE_VERSION) {
+            return res.status(400).json({ error: 'Unsupported envelope version' });
+        }
+
+        if (type !== 'text' && type !== 'file') {
+            return res.status(400).json({ error: 'Invalid message type' });
+        }
+
+        // A file message can only share a finished upload of ours that was meant for this receiver
+        if (type === 'file') {
+            const file = mongoose.Types.ObjectId.isValid(fileId) && await File.exists({
+                _id: fileId,
+                senderId: req.userId,
+                receiverId,
+                status: 'complete'
+            });
+
+            if (!file) {
+                return res.status(400).json({ error: 'File not found or not uploaded yet' });
+            }
+        }
+
+        for (const envelope of envelopes) {
+            if (!envelope || !envelope.deviceId || !envelope.ciphertext || !envelope.iv) {
+                return res.status(400).json({ error: 'Every envelope needs a deviceId, ciphertext and iv' });
+            }
+
+            // Every copy needs its ratchet header or the device can't find the key
+            const { ratchetKey, previousChainLength, messageNumber } = envelope;
+            if (!ratchetKey || !Number.isInteger(previousChainLength) || !Number.isInteger(messageNumber) ||
+                previousChainLength < 0 || messageNumber < 0) {
+                return res.status(400).json({
+                    error: 'Missing or invalid ratchet header'
+                });
+            }
+        }
+
+        // Copies can only go to the receiver's devices or to our own other devices
+        const devices = await Device.find({
+            userId: { $in: [receiverId, req.userId] },
+            revoked: false
         });
+        const deviceOwners = new Map(devices.map(device => [device._id.toString(), device.userId.toString()]));
+        deviceOwners.delete(req.deviceId);
+
+        const targetIds = envelopes.map(envelope => String(envelope.deviceId));
+        if (new Set(targetIds).size !== targetIds.length || targetIds.some(id => !deviceOwners.has(id))) {
+            return res.status(400).json({ error: 'Envelope addressed to an unknown or revoked device' });
+        }
+
+        if (!targetIds.some(id => deviceOwners.get(id) === receiverId)) {
+            return res.status(400).json({ error: 'No envelope for any of the receiver\'s devices' });
+        }
+
+        // The sequence number has to be exactly the next one for this device and receiver
+        // (it's also in every copy's associated data, so we can't change it without breaking decryption)
+        const sequence = await claimSequenceNumber(req.deviceId, receiverId, sequenceNumber);
+        if (!sequence.claimed) {
+            const regression = sequenceNumber < sequence.expected;
+
+            await logSecurityEvent(
+                'REPLAY_ATTACK_DETECTED',
+                req,
+                req.userId,
+                regression ? 'CRITICAL' : 'WARNING',
+                {
+                    reason: regression ? 'Sequence number went backwards' : 'Gap in sequence numbers',
+                    receiverId,
+                    sequenceNumber,
+                    expectedSequence: sequence.expected
+                }
+            );
+
+            return res.status(409).json({
+                error: regression
+                    ? 'Replay attack detected - old sequence number'
+                    : 'Sequence number out of order',
+                expectedSequence: sequence.expected
+            });
+        }
+
+        // Storing one encrypted copy per device
+        let messages;
+        try {
+            messages = await Message.insertMany(envelopes.map(envelope => ({
+                senderId: req.userId,
+                receiverId,
+                senderDeviceId: req.deviceId,
+                receiverDeviceId: envelope.deviceId,
+                ciphertext: envelope.ciphertext,
+                iv: envelope.iv,
+                ratchetKey: envelope.ratchetKey,
+                previousChainLength: envelope.previousChainLength,
+                messageNumber: envelope.messageNumber,
+                type,
+                fileId: type === 'file' ? fileId : undefined,
+                envelopeVersion,
+                nonce,
+                sequenceNumber,
+                timestamp
+            })));
+        } catch (error) {
+            // Handing the sequence number back, so the client can send the message again with it
+            await releaseSequenceNumber(req.deviceId, receiverId, sequenceNumber);
+            throw error;
+        }
 
         // Keeping a record of this message
         await logSecurityEvent(
@@ -36,28 +168,38 @@ router.post('/', authenticate, validateReplayProtection, async (req, res) => {
             'INFO',
             {
                 receiverId,
-                messageId: message._id,
+                deviceCount: messages.length,
+                type,
+                fileId: type === 'file' ? fileId : undefined,
+                nonce,
                 sequenceNumber
             }
         );
 
-        console.log(`✓ Message stored: ${req.userId} → ${receiverId}`);
+        console.log(`✓ Message stored: ${req.userId} → ${receiverId} (${messages.length} devices)`);
 
-        // Notify receiver via socket
+        // Notify receiver (and our other devices) via socket
         const io = req.app.get('io');
         if (io) {
-            io.to(`user_${receiverId}`).emit('message_received', {
-                messageId: message._id,
+            const notification = {
+                nonce,
                 senderId: req.userId,
+                senderDeviceId: req.deviceId,
                 receiverId: receiverId,
-                timestamp: message.timestamp
-            });
+                timestamp
+            };
+
+            io.to(`user_${receiverId}`).emit('message_received', notification);
+            if (receiverId !== req.userId) {
+                io.to(`user_${req.userId}`).emit('message_received', notification);
+            }
             console.log(`✓ Notified receiver ${receiverId} via socket`);
         }
 
         res.status(201).json({
             message: 'Message sent successfully',
-            messageId: message._id
+            messageIds: messages.map(message => message._id),
+            nonce
         });
     } catch (error) {
         console.error('Message storage error:', error);
@@ -74,21 +216,63 @@ router.post('/', authenticate, validateReplayProtection, async (req, res) => {
     }
 });
 
-// Getting all messages between two users
-router.get('/conversation/:otherUserId', authenticate, async (req, res) => {
+// The sequence number this device has to use for its next message to a user
+// Clients ask after a reload instead of starting over at 0
+router.get('/sequence/:otherUserId', authenticate, requireDevice, async (req, res) => {
     try {
         const { otherUserId } = req.params;
-        const currentUserId = req.userId;
 
-        // Grabbing messages from both directions
-        const messages = await Message.find({
-            $or: [
-                { senderId: currentUserId, receiverId: otherUserId },
-                { senderId: otherUserId, receiverId: currentUserId }
-            ]
-        })
-            .sort({ timestamp: 1 })
-            .limit(100);
+        if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        res.json({ nextSequence: await nextSequenceNumber(req.deviceId, otherUserId) });
+    } catch (error) {
+        console.error('Sequence number error:', error);
+        res.status(500).json({ error: 'Failed to get sequence number' });
+    }
+});
+
+// Getting all messages between two users that this device can see
+// That's the copies addressed to this device plus what this device sent itself
+router.get('/conversation/:otherUserId', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { otherUserId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        const currentUserId = new mongoose.Types.ObjectId(req.userId);
+        const otherId = new mongoose.Types.ObjectId(otherUserId);
+        const deviceId = new mongoose.Types.ObjectId(req.deviceId);
+
+        const messages = await Message.aggregate([
+            {
+                $match: {
+                    $and: [
+                        {
+                            $or: [
+                                { senderId: currentUserId, receiverId: otherId },
+                                { senderId: otherId, receiverId: currentUserId }
+                            ]
+                        },
+                        {
+                            $or: [
+                                { receiverDeviceId: deviceId },
+                                { senderDeviceId: deviceId }
+                            ]
+                        }
+                    ]
+                }
+            },
+            { $sort: { timestamp: 1 } },
+            // Our own sent messages have one copy per device, we only need one of them
+            { $group: { _id: '$nonce', message: { $first: '$$ROOT' } } },
+            { $replaceRoot: { newRoot: '$message' } },
+            { $sort: { timestamp: 1 } },
+            { $limit: 100 }
+        ]);
 
         // Recording that messages were fetched
         await logSecurityEvent(
@@ -98,6 +282,7 @@ router.get('/conversation/:otherUserId', authenticate, async (req, res) => {
             'INFO',
             {
                 otherUserId,
+                deviceId: req.deviceId,
                 messageCount: messages.length
             }
         );
@@ -125,7 +310,11 @@ router.delete('/:messageId', authenticate, async (req, res) => {
             });
         }
 
-        await message.deleteOne();
+        // Removing the copies sent to every other device too
+        await Message.deleteMany({
+            senderId: req.userId,
+            nonce: message.nonce
+        });
 
         res.json({ message: 'Message deleted successfully' });
     } catch (error) {
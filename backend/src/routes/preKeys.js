@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const PreKey = require('../models/PreKey');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const { authenticate, requireDevice } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/logging');
+const { verifyIdentitySignature } = require('../utils/signatures');
+
+// Not letting one request fill the database with keys
+const MAX_ONE_TIME_PREKEYS_PER_UPLOAD = 100;
+
+// Uploading a signed prekey and/or a batch of one-time prekeys for the current device
+router.post('/', authenticate, requireDevice, async (req, res) => {
+    try {
+        const { signedPreKey, oneTimePreKeys = [] } = req.body;
+
+        if (!signedPreKey && oneTimePreKeys.length === 0) {
+            return res.status(400).json({ error: 'No prekeys provided' });
+        }
+
+        if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS_PER_UPLOAD) {
+            return res.status(400).json({
+                error: `oneTimePreKeys must be an array of at most ${MAX_ONE_TIME_PREKEYS_PER_UPLOAD} keys`
+            });
+        }
+
+        if (oneTimePreKeys.some(key => !key || !key.keyId || !key.publicKey)) {
+            return res.status(400).json({ error: 'Every one-time prekey needs a keyId and publicKey' });
+        }
+
+        const device = await Device.findById(req.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        if (signedPreKey) {
+            if (!signedPreKey.keyId || !signedPreKey.publicKey || !signedPreKey.signature) {
+                return res.status(400).json({ error: 'Signed prekey needs keyId, publicKey and signature' });
+            }
+
+            // Making sure the signed prekey was really signed by this device's identity key
+            const isValid = verifyIdentitySignature(
+                device.publicKey,
+                `${signedPreKey.keyId}:${signedPreKey.publicKey}`,
+                signedPreKey.signature
+            );
+
+            if (!isValid) {
+                await logSecurityEvent(
+                    'INVALID_SIGNATURE',
+                    req,
+                    req.userId,
+                    'WARNING',
+                    { reason: 'Invalid signed prekey signature', keyId: signedPreKey.keyId }
+                );
+
+                return res.status(400).json({ error: 'Invalid signed prekey signature' });
+            }
+
+            // Only the newest signed prekey is handed out
+            await PreKey.deleteMany({ deviceId: req.deviceId, type: 'SIGNED' });
+
+            await PreKey.create({
+                userId: req.userId,
+                deviceId: req.deviceId,
+                keyId: signedPreKey.keyId,
+                type: 'SIGNED',
+                publicKey: signedPreKey.publicKey,
+                signature: signedPreKey.signature
+            });
+        }
+
+        if (oneTimePreKeys.length > 0) {
+            await PreKey.insertMany(oneTimePreKeys.map(key => ({
+                userId: req.userId,
+                deviceId: req.deviceId,
+                keyId: key.keyId,
+                type: 'ONE_TIME',
+                publicKey: key.publicKey
+            })));
+        }
+
+        await logSecurityEvent(
+            'PREKEYS_UPLOADED',
+            req,
+            req.userId,
+            'INFO',
+            {
+                signedPreKey: !!signedPreKey,
+                oneTimePreKeys: oneTimePreKeys.length
+            }
+        );
+
+        console.log(`✓ Prekeys uploaded: ${req.username} (${oneTimePreKeys.length} one-time)`);
+
+        res.status(201).json({ message: 'Prekeys uploaded successfully' });
+    } catch (error) {
+        console.error('Prekey upload error:', error);
+        res.status(500).json({ error: 'Failed to upload prekeys' });
+    }
+});
+
+// Telling the client whether this device needs to top up its prekeys
+router.get('/status', authenticate, requireDevice, async (req, res) => {
+    try {
+        const [signedPreKey, oneTimePreKeysRemaining] = await Promise.all([
+            PreKey.findOne({ deviceId: req.deviceId, type: 'SIGNED' }),
+            PreKey.countDocuments({ deviceId: req.deviceId, type: 'ONE_TIME', used: false })
+        ]);
+
+        res.json({
+            hasSignedPreKey: !!signedPreKey,
+            signedPreKeyCreatedAt: signedPreKey ? signedPreKey.createdAt : null,
+            oneTimePreKeysRemaining
+        });
+    } catch (error) {
+        console.error('Prekey status error:', error);
+        res.status(500).json({ error: 'Failed to get prekey status' });
+    }
+});
+
+// Handing out one prekey bundle for one of a user's devices
+// (each one-time prekey is only ever given out once)
+router.get('/bundle/:username/:deviceId', authenticate, async (req, res) => {
+    try {
+        const { username, deviceId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            return res.status(400).json({ error: 'Invalid device id' });
+        }
+
+        const user = await User.findOne({ username });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const device = await Device.findOne({ _id: deviceId, userId: user._id, revoked: false });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const signedPreKey = await PreKey.findOne({ deviceId: device._id, type: 'SIGNED' });
+        if (!signedPreKey) {
+            return res.status(404).json({ error: 'Device has not published any prekeys' });
+        }
+
+        // Claiming the oldest unused one-time prekey atomically so two callers never get the same one
+        const oneTimePreKey = await PreKey.findOneAndUpdate(
+            { deviceId: device._id, type: 'ONE_TIME', used: false },
+            { used: true, usedBy: req.userId, usedAt: new Date() },
+            { sort: { createdAt: 1 }, new: true }
+        );
+
+        await logSecurityEvent(
+            'PREKEY_BUNDLE_FETCHED',
+            req,
+            req.userId,
+            'INFO',
+            {
+                targetUserId: user._id,
+                targetDeviceId: device._id,
+                signedPreKeyId: signedPreKey.keyId,
+                oneTimePreKeyId: oneTimePreKey ? oneTimePreKey.keyId : null
+            }
+        );
+
+        res.json({
+            bundle: {
+                userId: user._id,
+                username: user.username,
+                deviceId: device._id,
+                identityKey: device.publicKey,
+                signedPreKey: {
+                    keyId: signedPreKey.keyId,
+                    publicKey: signedPreKey.publicKey,
+                    signature: signedPreKey.signature
+                },
+                oneTimePreKey: oneTimePreKey
+                    ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+                    : null
+            }
+        });
+    } catch (error) {
+        console.error('Prekey bundle error:', error);
+        res.status(500).json({ error: 'Failed to fetch prekey bundle' });
+    }
+});
+
+module.exports = router;
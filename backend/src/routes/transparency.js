@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getLogPublicKey,
+    getSignedTreeHead,
+    getConsistencyProof,
+    getUserHistory
+} = require('../utils/transparencyLog');
+
+// The key log is public on purpose - anyone can check that everyone sees the same tree
+
+// Public key that signs tree heads (clients pin it the first time they see it)
+router.get('/public-key', (req, res) => {
+    try {
+        res.json({ publicKey: getLogPublicKey() });
+    } catch (error) {
+        console.error('Transparency key error:', error);
+        res.status(500).json({ error: 'Failed to get log public key' });
+    }
+});
+
+// Current signed tree head
+router.get('/tree-head', async (req, res) => {
+    try {
+        res.json({ treeHead: await getSignedTreeHead() });
+    } catch (error) {
+        console.error('Tree head error:', error);
+        res.status(500).json({ error: 'Failed to get tree head' });
+    }
+});
+
+// Proof that an older tree is a prefix of a newer one (no entries were changed or removed)
+router.get('/consistency', async (req, res) => {
+    try {
+        const first = Number(req.query.first);
+        const second = Number(req.query.second);
+
+        if (!Number.isInteger(first) || !Number.isInteger(second) || first < 1 || first > second) {
+            return res.status(400).json({ error: 'Invalid tree sizes' });
+        }
+
+        const proof = await getConsistencyProof(first, second);
+        if (!proof) {
+            return res.status(404).json({ error: 'Tree size not found' });
+        }
+
+        res.json({ first, second, proof });
+    } catch (error) {
+        console.error('Consistency proof error:', error);
+        res.status(500).json({ error: 'Failed to get consistency proof' });
+    }
+});
+
+// Every registration and key change of one user
+router.get('/history/:username', async (req, res) => {
+    try {
+        res.json({ entries: await getUserHistory(req.params.username) });
+    } catch (error) {
+        console.error('Key history error:', error);
+        res.status(500).json({ error: 'Failed to get key history' });
+    }
+});
+
+module.exports = router;
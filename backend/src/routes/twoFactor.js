@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
 const { logSecurityEvent } = require('../middleware/logging');
+const { bruteForceProtection } = require('../middleware/bruteForce');
+const { setTotpSecret, generateRecoveryCodes, verifyTotp, verifySecondFactor } = require('../utils/twoFactor');
 
 /**
  * POST /api/2fa/setup
@@ -25,8 +28,8 @@ router.post('/setup', authenticate, async (req, res) => {
             issuer: 'SecureChat E2EE'
         });
 
-        // Save secret to user (but don't enable yet)
-        user.twoFactorSecret = secret.base32;
+        // Save the encrypted secret to user (but don't enable yet)
+        setTotpSecret(user, secret.base32);
         await user.save();
 
         // Generate QR code
@@ -81,15 +84,10 @@ router.post('/verify', authenticate, async (req, res) => {
             return res.status(400).json({ error: '2FA not set up' });
         }
 
-        // Verify the token
-        const verified = speakeasy.totp.verify({
-            secret: user.twoFactorSecret,
-            encoding: 'base32',
-            token: token,
-            window: 2 // Allow 2 time steps before/after for clock skew
-        });
+        // Verify the token (and burn it, so it can't be used again to log in)
+        const { valid } = await verifyTotp(user, token);
 
-        if (!verified) {
+        if (!valid) {
             await logSecurityEvent(
                 'AUTH_2FA_VERIFY_FAILED',
                 req,
@@ -101,8 +99,10 @@ router.post('/verify', authenticate, async (req, res) => {
             return res.status(400).json({ error: 'Invalid token' });
         }
 
-        // Enable 2FA
+        // Enable 2FA, with a first batch of recovery codes in case the phone gets lost
+        const { codes, hashes } = generateRecoveryCodes();
         user.twoFactorEnabled = true;
+        user.twoFactorRecoveryCodes = hashes;
         await user.save();
 
         await logSecurityEvent(
@@ -117,7 +117,8 @@ router.post('/verify', authenticate, async (req, res) => {
 
         res.json({
             message: '2FA enabled successfully',
-            twoFactorEnabled: true
+            twoFactorEnabled: true,
+            recoveryCodes: codes
         });
     } catch (error) {
         console.error('2FA verification error:', error);
@@ -137,9 +138,9 @@ router.post('/verify', authenticate, async (req, res) => {
 /**
  * POST /api/2fa/validate
  * Validate TOTP token during login
- * Public endpoint (no auth required)
+ * Public endpoint (no auth required), throttled per account and per IP
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', bruteForceProtection(['twoFactor', 'ip']), async (req, res) => {
     try {
         const { username, token } = req.body;
 
@@ -150,36 +151,34 @@ router.post('/validate', async (req, res) => {
         const user = await User.findOne({ username });
 
         if (!user || !user.twoFactorEnabled) {
+            await req.bruteForce.fail(['ip'], { username });
             return res.status(400).json({ error: 'User not found or 2FA not enabled' });
         }
 
-        // Verify the token
-        const verified = speakeasy.totp.verify({
-            secret: user.twoFactorSecret,
-            encoding: 'base32',
-            token: token,
-            window: 2
-        });
+        // Verify the token (a TOTP code or one of the recovery codes)
+        const result = await verifySecondFactor(user, token);
 
-        if (!verified) {
+        if (!result.valid) {
             await logSecurityEvent(
                 'AUTH_2FA_LOGIN_FAILED',
                 req,
                 user._id,
                 'WARNING',
-                { reason: 'Invalid 2FA token', username }
+                { reason: result.reused ? 'TOTP code reused' : 'Invalid 2FA token', username }
             );
+            await req.bruteForce.fail(['twoFactor', 'ip'], { userId: user._id, username });
 
             return res.status(401).json({ error: 'Invalid 2FA token' });
         }
 
         await logSecurityEvent(
-            'AUTH_2FA_LOGIN_SUCCESS',
+            result.method === 'recovery' ? 'AUTH_2FA_RECOVERY_CODE_USED' : 'AUTH_2FA_LOGIN_SUCCESS',
             req,
             user._id,
-            'INFO',
-            { username }
+            result.method === 'recovery' ? 'WARNING' : 'INFO',
+            { username, recoveryCodesRemaining: result.remaining }
         );
+        await req.bruteForce.succeed(['twoFactor']);
 
         res.json({
             valid: true,
@@ -210,8 +209,7 @@ router.post('/disable', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Verify password (import bcrypt at top if needed)
-        const bcrypt = require('bcryptjs');
+        // Verify password
         const isValidPassword = await bcrypt.compare(password, user.password);
 
         if (!isValidPassword) {
@@ -220,7 +218,11 @@ router.post('/disable', authenticate, async (req, res) => {
 
         // Disable 2FA
         user.twoFactorEnabled = false;
-        user.twoFactorSecret = null;
+        setTotpSecret(user, null);
+        // Security keys still need the recovery codes as a fallback
+        if (user.webauthnCredentials.length === 0) {
+            user.twoFactorRecoveryCodes = [];
+        }
         await user.save();
 
         await logSecurityEvent(
@@ -243,6 +245,65 @@ router.post('/disable', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/2fa/recovery-codes
+ * Replace the user's recovery codes with a new batch (old ones stop working)
+ * Requires authentication and the password
+ */
+router.post('/recovery-codes', authenticate, async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Recovery codes stand in for the authenticator app or a security key
+        if (!user.twoFactorEnabled && user.webauthnCredentials.length === 0) {
+            return res.status(400).json({ error: '2FA is not enabled' });
+        }
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+
+        if (!isValidPassword) {
+            await logSecurityEvent(
+                'AUTH_2FA_RECOVERY_CODES_GENERATED',
+                req,
+                user._id,
+                'WARNING',
+                { reason: 'Invalid password', username: user.username, success: false }
+            );
+
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        await logSecurityEvent(
+            'AUTH_2FA_RECOVERY_CODES_GENERATED',
+            req,
+            user._id,
+            'WARNING',
+            { username: user.username, count: codes.length }
+        );
+
+        console.log(`✓ 2FA recovery codes regenerated for: ${user.username}`);
+
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Recovery code generation error:', error);
+        res.status(500).json({ error: 'Failed to generate recovery codes' });
+    }
+});
+
 /**
  * GET /api/2fa/status
  * Check if 2FA is enabled for current user
@@ -257,6 +318,8 @@ router.get('/status', authenticate, async (req, res) => {
 
         res.json({
             twoFactorEnabled: user.twoFactorEnabled || false,
+            recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+            securityKeys: user.webauthnCredentials.length,
             username: user.username
         });
     } catch (error) {
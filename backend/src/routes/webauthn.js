@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/logging');
+const { generateRecoveryCodes } = require('../utils/twoFactor');
+const {
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions
+} = require('../utils/webauthn');
+
+const MAX_CREDENTIALS = 10;
+
+/**
+ * POST /api/webauthn/register/options
+ * Start adding a security key or passkey to the current user
+ */
+router.post('/register/options', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.webauthnCredentials.length >= MAX_CREDENTIALS) {
+            return res.status(400).json({ error: `You can register at most ${MAX_CREDENTIALS} security keys` });
+        }
+
+        res.json(await createRegistrationOptions(user));
+    } catch (error) {
+        console.error('WebAuthn registration options error:', error);
+        res.status(500).json({ error: 'Failed to start security key registration' });
+    }
+});
+
+/**
+ * POST /api/webauthn/register/verify
+ * Finish adding a security key (the authenticator's response to the options above)
+ */
+router.post('/register/verify', authenticate, async (req, res) => {
+    try {
+        const { response, name } = req.body;
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const credential = await verifyRegistration(user, response);
+
+        if (!credential) {
+            await logSecurityEvent(
+                'WEBAUTHN_CREDENTIAL_ADDED',
+                req,
+                user._id,
+                'WARNING',
+                { reason: 'Registration response did not verify', username: user.username, success: false }
+            );
+
+            return res.status(400).json({ error: 'Security key registration failed' });
+        }
+
+        // Credential IDs are random, a collision means someone is replaying another user's key
+        const existing = await User.exists({ 'webauthnCredentials.credentialId': credential.credentialId });
+        if (existing) {
+            return res.status(409).json({ error: 'This security key is already registered' });
+        }
+
+        credential.name = typeof name === 'string' && name.trim() ? name.trim().slice(0, 50) : 'Security key';
+        user.webauthnCredentials.push(credential);
+
+        // The first second factor comes with recovery codes in case the key gets lost
+        let recoveryCodes;
+        if (user.twoFactorRecoveryCodes.length === 0) {
+            const generated = generateRecoveryCodes();
+            user.twoFactorRecoveryCodes = generated.hashes;
+            recoveryCodes = generated.codes;
+        }
+
+        await user.save();
+
+        await logSecurityEvent(
+            'WEBAUTHN_CREDENTIAL_ADDED',
+            req,
+            user._id,
+            'INFO',
+            { username: user.username, name: credential.name, credentialId: credential.credentialId }
+        );
+
+        console.log(`✓ Security key registered for: ${user.username}`);
+
+        res.status(201).json({
+            message: 'Security key registered',
+            credential: {
+                credentialId: credential.credentialId,
+                name: credential.name
+            },
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('WebAuthn registration error:', error);
+        res.status(500).json({ error: 'Failed to register security key' });
+    }
+});
+
+/**
+ * GET /api/webauthn/credentials
+ * List the current user's security keys
+ */
+router.get('/credentials', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId, { webauthnCredentials: 1 });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            credentials: user.webauthnCredentials.map(credential => ({
+                credentialId: credential.credentialId,
+                name: credential.name,
+                backedUp: credential.backedUp,
+                createdAt: credential.createdAt,
+                lastUsedAt: credential.lastUsedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching security keys:', error);
+        res.status(500).json({ error: 'Failed to fetch security keys' });
+    }
+});
+
+/**
+ * DELETE /api/webauthn/credentials/:credentialId
+ * Remove a security key (needs the password, like disabling 2FA)
+ */
+router.delete('/credentials/:credentialId', authenticate, async (req, res) => {
+    try {
+        const { credentialId } = req.params;
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+
+        if (!isValidPassword) {
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        const credential = user.webauthnCredentials.find(c => c.credentialId === credentialId);
+
+        if (!credential) {
+            return res.status(404).json({ error: 'Security key not found' });
+        }
+
+        user.webauthnCredentials.pull(credential._id);
+
+        // No second factor left, so the recovery codes have nothing to stand in for
+        if (user.webauthnCredentials.length === 0 && !user.twoFactorEnabled) {
+            user.twoFactorRecoveryCodes = [];
+        }
+
+        await user.save();
+
+        await logSecurityEvent(
+            'WEBAUTHN_CREDENTIAL_REMOVED',
+            req,
+            user._id,
+            'WARNING',
+            { username: user.username, name: credential.name, credentialId }
+        );
+
+        res.json({ message: 'Security key removed' });
+    } catch (error) {
+        console.error('Security key removal error:', error);
+        res.status(500).json({ error: 'Failed to remove security key' });
+    }
+});
+
+/**
+ * POST /api/webauthn/login/options
+ * Challenge for passwordless login (any passkey registered here can answer it)
+ * Public endpoint (no auth required)
+ */
+router.post('/login/options', async (req, res) => {
+    try {
+        res.json(await createAuthenticationOptions());
+    } catch (error) {
+        console.error('WebAuthn login options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey login' });
+    }
+});
+
+module.exports = router;
@@ -9,12 +9,21 @@ const fs = require('fs');
 const path = require('path');
 
 const { requestLogger, logger } = require('./middleware/logging');
+const { authenticateSocket } = require('./middleware/auth');
 const authRoutes = require('./routes/auth');
 const twoFactorRoutes = require('./routes/twoFactor');
 const messageRoutes = require('./routes/messages');
 const fileRoutes = require('./routes/files');
 const keyExchangeRoutes = require('./routes/keyExchange');
 const logRoutes = require('./routes/logs');
+const preKeyRoutes = require('./routes/preKeys');
+const groupRoutes = require('./routes/groups');
+const transparencyRoutes = require('./routes/transparency');
+const keyRoutes = require('./routes/keys');
+const webauthnRoutes = require('./routes/webauthn');
+const Group = require('./models/Group');
+const SecurityLog = require('./models/SecurityLog');
+const { removeStaleUploads } = require('./utils/fileStorage');
 
 const app = express();
 const httpServer = createServer(app);
@@ -43,9 +52,9 @@ app.use(cors({
     credentials: true
 }));
 
-// Handling JSON data from requests (up to 10mb for files)
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Handling JSON data from requests (files don't go through here, their chunks are sent as raw bytes)
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Logging all requests
 app.use(requestLogger);
@@ -66,24 +75,74 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/keyexchange', keyExchangeRoutes);
 app.use('/api/logs', logRoutes);
+app.use('/api/prekeys', preKeyRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/transparency', transparencyRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/webauthn', webauthnRoutes);
+
+// Only logged in users get a socket (same token checks as the REST API)
+io.use(authenticateSocket);
+
+// Writing down sockets that try to act for someone else
+async function logSocketViolation(socket, details) {
+    try {
+        await SecurityLog.create({
+            eventType: 'SUSPICIOUS_ACTIVITY',
+            userId: socket.data.userId,
+            ipAddress: socket.handshake.address,
+            userAgent: socket.handshake.headers['user-agent'],
+            severity: 'WARNING',
+            details: { ...details, socketId: socket.id }
+        });
+    } catch (error) {
+        console.error('Failed to log socket violation:', error);
+    }
+}
 
 // Setting up live communication between users
-io.on('connection', (socket) => {
-    console.log(`✓ Socket connected: ${socket.id}`);
-
-    // Putting user in their own room
-    socket.on('join', (userId) => {
-        socket.join(`user_${userId}`);
-        console.log(`User ${userId} joined their room`);
+io.on('connection', async (socket) => {
+    const { userId, sessionId } = socket.data;
+    console.log(`✓ Socket connected: ${socket.id} (user ${userId})`);
+
+    // Putting user in their own room (and no one else's)
+    socket.join(`user_${userId}`);
+    // So revoking the session can drop this socket too
+    socket.join(`session_${sessionId}`);
+
+    // Relayed events have to come from the user this socket belongs to
+    const isFromSocketUser = (data, field, eventName) => {
+        if (data && typeof data === 'object' && data[field] === userId) {
+            return true;
+        }
+
+        logSocketViolation(socket, {
+            reason: 'Socket event sent on behalf of another user',
+            event: eventName,
+            claimedUserId: data && typeof data === 'object' ? data[field] : undefined
+        });
+        return false;
+    };
+
+    // Older clients still ask to join, only their own room is allowed
+    socket.on('join', (requestedUserId) => {
+        if (requestedUserId !== userId) {
+            logSocketViolation(socket, {
+                reason: 'Tried to join another user\'s room',
+                requestedUserId
+            });
+        }
     });
 
     // Sending new message to recipient
     socket.on('new_message', (data) => {
+        if (!isFromSocketUser(data, 'senderId', 'new_message')) return;
         io.to(`user_${data.receiverId}`).emit('message_received', data);
     });
 
     // Showing when someone is typing
     socket.on('typing', (data) => {
+        if (!isFromSocketUser(data, 'senderId', 'typing')) return;
         io.to(`user_${data.receiverId}`).emit('user_typing', {
             senderId: data.senderId,
             typing: data.typing
@@ -92,16 +151,26 @@ io.on('connection', (socket) => {
 
     // Handling secure key exchange between users
     socket.on('key_exchange_initiated', (data) => {
+        if (!isFromSocketUser(data, 'initiatorId', 'key_exchange_initiated')) return;
         io.to(`user_${data.responderId}`).emit('key_exchange_request', data);
     });
 
     socket.on('key_exchange responded', (data) => {
+        if (!isFromSocketUser(data, 'responderId', 'key_exchange responded')) return;
         io.to(`user_${data.initiatorId}`).emit('key_exchange_response', data);
     });
 
     socket.on('disconnect', () => {
         console.log(`Socket disconnected: ${socket.id}`);
     });
+
+    // Every group gets its own room so one emit reaches all members
+    try {
+        const groups = await Group.find({ 'members.userId': userId }, { _id: 1 });
+        groups.forEach(group => socket.join(`group_${group._id}`));
+    } catch (error) {
+        console.error('Joining group rooms failed:', error);
+    }
 });
 
 // Sharing socket connection with other parts
@@ -140,6 +209,13 @@ mongoose.connect(MONGO_URI)
             console.log(`✓ Socket.io enabled for real-time messaging`);
             console.log(`✓ 2FA (TOTP) routes available at /api/2fa`);
         });
+
+        // Throwing away file uploads that were abandoned halfway
+        setInterval(() => {
+            removeStaleUploads()
+                .then(count => count && logger.info(`Removed ${count} abandoned file uploads`))
+                .catch(err => logger.error('Upload cleanup failed:', err));
+        }, 60 * 60 * 1000).unref();
     })
     .catch((err) => {
         logger.error('MongoDB connection error:', err);
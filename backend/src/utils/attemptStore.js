@@ -0,0 +1,169 @@
+const AuthAttempt = require('../models/AuthAttempt');
+
+// Stores for failed authentication attempt counters
+// Every store has the same async interface:
+//   get(key)                             -> { failures, lockedUntil, expiresAt } or null
+//   reserve(key, ttlMs, lockMsFor)       -> { locked, record, previous }
+//   release(key, reservation)
+//   reset(key)
+//
+// reserve() counts an attempt as failed before it's checked and locks the key for
+// lockMsFor(failures) ms, all in one step - parallel requests can't slip in between.
+// Locked keys aren't counted ({ locked: true }). release() hands back an attempt that
+// turned out not to be a failure and puts the previous lock back.
+
+// Default store - fast, but counters are per process and gone after a restart
+class MemoryAttemptStore {
+    constructor() {
+        this.records = new Map();
+
+        // Throwing away expired counters now and then so the map doesn't grow forever
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+
+        if (!record || record.expiresAt <= new Date()) {
+            return null;
+        }
+
+        return { ...record };
+    }
+
+    async reserve(key, ttlMs, lockMsFor) {
+        // No awaits in here, so nothing can run between the check and the update
+        const now = new Date();
+        const current = this.records.get(key);
+        const previous = current && current.expiresAt > now
+            ? { ...current }
+            : { failures: 0, lockedUntil: null };
+
+        if (previous.lockedUntil && previous.lockedUntil > now) {
+            return { locked: true, record: previous, previous };
+        }
+
+        const lockMs = lockMsFor(previous.failures + 1);
+        const record = {
+            failures: previous.failures + 1,
+            lockedUntil: lockMs > 0 ? new Date(now.getTime() + lockMs) : previous.lockedUntil,
+            expiresAt: new Date(now.getTime() + ttlMs)
+        };
+
+        this.records.set(key, record);
+        return { locked: false, record: { ...record }, previous };
+    }
+
+    async release(key, { record, previous }) {
+        const current = this.records.get(key);
+        if (!current) {
+            return;
+        }
+
+        current.failures = Math.max(0, current.failures - 1);
+
+        // Only undoing our own lock, a later attempt may have set a newer one
+        if (current.lockedUntil === record.lockedUntil) {
+            current.lockedUntil = previous.lockedUntil;
+        }
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+
+    cleanup() {
+        const now = new Date();
+        for (const [key, record] of this.records) {
+            if (record.expiresAt <= now) {
+                this.records.delete(key);
+            }
+        }
+    }
+}
+
+// Shared between server instances and survives restarts
+class MongoAttemptStore {
+    async get(key) {
+        // The TTL index only runs once a minute, so checking expiry ourselves too
+        return AuthAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    }
+
+    async reserve(key, ttlMs, lockMsFor) {
+        // Compare-and-swap on the counter, trying again if another request changed it first
+        for (;;) {
+            const now = new Date();
+            const current = await this.get(key);
+            const previous = current || { failures: 0, lockedUntil: null };
+
+            if (previous.lockedUntil && new Date(previous.lockedUntil) > now) {
+                return { locked: true, record: previous, previous };
+            }
+
+            const lockMs = lockMsFor(previous.failures + 1);
+            const update = {
+                failures: previous.failures + 1,
+                lockedUntil: lockMs > 0 ? new Date(now.getTime() + lockMs) : previous.lockedUntil,
+                expiresAt: new Date(now.getTime() + ttlMs)
+            };
+
+            try {
+                // Counting on from the live record we just read...
+                // ...or starting over if it's missing or expired (a parallel insert fails on the unique key)
+                const filter = current
+                    ? { _id: current._id, failures: current.failures, lockedUntil: current.lockedUntil }
+                    : { key, expiresAt: { $lte: now } };
+
+                const record = await AuthAttempt.findOneAndUpdate(
+                    filter,
+                    { $set: update },
+                    { new: true, upsert: !current }
+                ).lean();
+
+                if (record) {
+                    return { locked: false, record, previous };
+                }
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async release(key, { record, previous }) {
+        // Putting the previous lock back unless a later attempt has moved it since
+        const restored = await AuthAttempt.updateOne(
+            { key, lockedUntil: record.lockedUntil, failures: { $gt: 0 } },
+            { $inc: { failures: -1 }, $set: { lockedUntil: previous.lockedUntil } }
+        );
+
+        if (restored.matchedCount === 0) {
+            await AuthAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+        }
+    }
+
+    async reset(key) {
+        await AuthAttempt.deleteOne({ key });
+    }
+}
+
+// Picking the store from AUTH_ATTEMPT_STORE ('memory' or 'mongo')
+function createAttemptStore(type = process.env.AUTH_ATTEMPT_STORE || 'memory') {
+    if (type === 'mongo') {
+        return new MongoAttemptStore();
+    }
+
+    if (type !== 'memory') {
+        throw new Error(`Unknown AUTH_ATTEMPT_STORE "${type}" (use "memory" or "mongo")`);
+    }
+
+    return new MemoryAttemptStore();
+}
+
+module.exports = {
+    MemoryAttemptStore,
+    MongoAttemptStore,
+    createAttemptStore
+};
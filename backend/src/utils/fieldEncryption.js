@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Envelope encryption for sensitive fields we have to store (like TOTP secrets)
+// Every value gets its own data key, and only the data key is wrapped with a master key,
+// so rotating the master key means re-wrapping 32 bytes per record instead of re-encrypting
+//
+// Stored format: fe1.<master key id>.<wrapped data key>.<iv>.<ciphertext + tag> (base64url parts)
+
+// Where the master keys live when they aren't given through the environment
+const KEY_FILE = path.join(__dirname, '../../keys/field-encryption-keys.json');
+const FORMAT_VERSION = 'fe1';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let masterKeys = null;
+
+// Parsing "k2:<base64>,k1:<base64>" (the first key encrypts, all of them decrypt)
+function parseKeyList(value) {
+    const keys = new Map();
+    let activeKeyId = null;
+
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator < 1) {
+            throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+        }
+
+        const id = entry.slice(0, separator);
+        keys.set(id, entry.slice(separator + 1));
+        if (!activeKeyId) activeKeyId = id;
+    }
+
+    return { activeKeyId, keys };
+}
+
+function generateMasterKey() {
+    return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+function writeKeyFile(activeKeyId, keys) {
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    fs.writeFileSync(
+        KEY_FILE,
+        JSON.stringify({ activeKeyId, keys: Object.fromEntries(keys) }, null, 2),
+        { mode: 0o600 }
+    );
+}
+
+// Loading the master keys from FIELD_ENCRYPTION_KEYS or the key file
+// (generating a key file the first time in development)
+function loadMasterKeys() {
+    if (masterKeys) return masterKeys;
+
+    let loaded;
+
+    if (process.env.FIELD_ENCRYPTION_KEYS) {
+        loaded = parseKeyList(process.env.FIELD_ENCRYPTION_KEYS);
+    } else if (fs.existsSync(KEY_FILE)) {
+        const file = JSON.parse(fs.readFileSync(KEY_FILE, 'utf8'));
+        loaded = { activeKeyId: file.activeKeyId, keys: new Map(Object.entries(file.keys || {})) };
+    } else if (process.env.NODE_ENV === 'production') {
+        throw new Error('FIELD_ENCRYPTION_KEYS must be set in production');
+    } else {
+        loaded = { activeKeyId: 'k1', keys: new Map([['k1', generateMasterKey()]]) };
+        writeKeyFile(loaded.activeKeyId, loaded.keys);
+        console.warn(`⚠️ Generated a new field encryption key at ${KEY_FILE}`);
+    }
+
+    const keys = new Map();
+    for (const [id, value] of loaded.keys) {
+        const key = Buffer.from(value, 'base64');
+        if (key.length !== KEY_BYTES || id.includes('.')) {
+            throw new Error(`Field encryption key "${id}" must be ${KEY_BYTES} bytes of base64 with no dots in its id`);
+        }
+        keys.set(id, key);
+    }
+
+    if (!keys.has(loaded.activeKeyId)) {
+        throw new Error(`Active field encryption key "${loaded.activeKeyId}" not found`);
+    }
+
+    masterKeys = { activeKeyId: loaded.activeKeyId, keys };
+    return masterKeys;
+}
+
+// Adding a fresh master key to the key file and making it the one that encrypts
+// Older keys stay so existing records can still be read until they are re-wrapped
+function addMasterKeyToFile() {
+    if (process.env.FIELD_ENCRYPTION_KEYS) {
+        throw new Error('Keys come from FIELD_ENCRYPTION_KEYS, put the new key at the front of that list instead');
+    }
+
+    const { keys } = loadMasterKeys();
+    let next = keys.size + 1;
+    while (keys.has(`k${next}`)) next++;
+
+    const activeKeyId = `k${next}`;
+    const updated = new Map(Array.from(keys, ([id, key]) => [id, key.toString('base64')]));
+    updated.set(activeKeyId, generateMasterKey());
+    writeKeyFile(activeKeyId, updated);
+
+    masterKeys = null;
+    return activeKeyId;
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return { iv, ciphertext };
+}
+
+function unseal(key, iv, sealed, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+// Wrapping a data key under a master key (the wrapped key carries its own IV)
+function wrapDataKey(keyId, dataKey, context) {
+    const { iv, ciphertext } = seal(loadMasterKeys().keys.get(keyId), dataKey, `${FORMAT_VERSION}:${keyId}:${context}`);
+    return Buffer.concat([iv, ciphertext]).toString('base64url');
+}
+
+function unwrapDataKey(keyId, wrapped, context) {
+    const masterKey = loadMasterKeys().keys.get(keyId);
+    if (!masterKey) {
+        throw new Error(`Unknown field encryption key "${keyId}"`);
+    }
+
+    const raw = Buffer.from(wrapped, 'base64url');
+    return unseal(masterKey, raw.subarray(0, IV_BYTES), raw.subarray(IV_BYTES), `${FORMAT_VERSION}:${keyId}:${context}`);
+}
+
+function parseEnvelope(value) {
+    const parts = typeof value === 'string' ? value.split('.') : [];
+    if (parts.length !== 5 || parts[0] !== FORMAT_VERSION) {
+        throw new Error('Not an encrypted field');
+    }
+
+    const [, keyId, wrappedKey, iv, ciphertext] = parts;
+    return { keyId, wrappedKey, iv, ciphertext };
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}.`);
+}
+
+// Encrypting a value for one field of one record
+// The context (e.g. "user:<id>:twoFactorSecret") is authenticated, so a ciphertext
+// copied into another user's record or another field won't decrypt
+function encryptField(plaintext, context) {
+    const { activeKeyId } = loadMasterKeys();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const { iv, ciphertext } = seal(dataKey, Buffer.from(plaintext, 'utf8'), `${FORMAT_VERSION}:${context}`);
+
+    return [
+        FORMAT_VERSION,
+        activeKeyId,
+        wrapDataKey(activeKeyId, dataKey, context),
+        iv.toString('base64url'),
+        ciphertext.toString('base64url')
+    ].join('.');
+}
+
+// Decrypting a value made by encryptField() for the same context
+// Throws if the value was tampered with, moved, or its master key is gone
+function decryptField(value, context) {
+    const { keyId, wrappedKey, iv, ciphertext } = parseEnvelope(value);
+    const dataKey = unwrapDataKey(keyId, wrappedKey, context);
+
+    return unseal(
+        dataKey,
+        Buffer.from(iv, 'base64url'),
+        Buffer.from(ciphertext, 'base64url'),
+        `${FORMAT_VERSION}:${context}`
+    ).toString('utf8');
+}
+
+// Whether a stored value is still wrapped with an older master key (or not encrypted at all)
+function needsRewrap(value) {
+    return !isEncrypted(value) || parseEnvelope(value).keyId !== loadMasterKeys().activeKeyId;
+}
+
+// Re-wrapping a value's data key with the active master key, the ciphertext itself stays
+// Plain values (stored before encryption was added) get encrypted instead
+function rewrapField(value, context) {
+    if (!isEncrypted(value)) {
+        return encryptField(value, context);
+    }
+
+    const { keyId, wrappedKey, iv, ciphertext } = parseEnvelope(value);
+    const { activeKeyId } = loadMasterKeys();
+
+    if (keyId === activeKeyId) {
+        return value;
+    }
+
+    const dataKey = unwrapDataKey(keyId, wrappedKey, context);
+    return [FORMAT_VERSION, activeKeyId, wrapDataKey(activeKeyId, dataKey, context), iv, ciphertext].join('.');
+}
+
+module.exports = {
+    loadMasterKeys,
+    addMasterKeyToFile,
+    isEncrypted,
+    encryptField,
+    decryptField,
+    needsRewrap,
+    rewrapField
+};
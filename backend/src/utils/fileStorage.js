@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const File = require('../models/File');
+
+// Encrypted file contents live on disk, one blob per file, Mongo only keeps the metadata
+// Chunks are written at fixed offsets, so they can arrive in any order (and again after a disconnect)
+const UPLOAD_DIR = process.env.UPLOAD_DIR
+    ? path.resolve(process.env.UPLOAD_DIR)
+    : path.join(__dirname, '../../uploads');
+
+// Every encrypted chunk is IV (12 bytes) + ciphertext + GCM tag (16 bytes)
+const CHUNK_OVERHEAD = 12 + 16;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 4 * 1024 * 1024 * 1024; // 4 GiB
+// Unfinished uploads nobody touched for a day get thrown away
+const STALE_UPLOAD_AGE = 24 * 60 * 60 * 1000;
+
+function blobPath(fileId) {
+    return path.join(UPLOAD_DIR, `${fileId.toString()}.bin`);
+}
+
+// An empty file of at least one chunk still has one (empty) encrypted chunk
+function chunkCount(paddedSize, chunkSize) {
+    return Math.max(1, Math.ceil(paddedSize / chunkSize));
+}
+
+// Size of one encrypted chunk as it has to arrive from the client
+function encryptedChunkLength(file, index) {
+    const plaintextLength = Math.min(file.chunkSize, file.paddedSize - index * file.chunkSize);
+    return Math.max(0, plaintextLength) + CHUNK_OVERHEAD;
+}
+
+// Where a chunk starts in the blob (all chunks but the last are the same size)
+function encryptedChunkOffset(file, index) {
+    return index * (file.chunkSize + CHUNK_OVERHEAD);
+}
+
+function encryptedSize(file) {
+    return file.paddedSize + file.totalChunks * CHUNK_OVERHEAD;
+}
+
+async function createBlob(fileId) {
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(blobPath(fileId), Buffer.alloc(0), { mode: 0o600 });
+}
+
+async function writeChunk(file, index, data) {
+    const handle = await fs.promises.open(blobPath(file._id), 'r+');
+    try {
+        await handle.write(data, 0, data.length, encryptedChunkOffset(file, index));
+    } finally {
+        await handle.close();
+    }
+}
+
+async function blobSize(fileId) {
+    const stats = await fs.promises.stat(blobPath(fileId));
+    return stats.size;
+}
+
+async function removeBlob(fileId) {
+    await fs.promises.rm(blobPath(fileId), { force: true });
+}
+
+// Dropping uploads that were started but never finished
+async function removeStaleUploads() {
+    const stale = await File.find(
+        { status: 'uploading', updatedAt: { $lt: new Date(Date.now() - STALE_UPLOAD_AGE) } },
+        { _id: 1 }
+    );
+
+    for (const file of stale) {
+        await removeBlob(file._id);
+        await File.deleteOne({ _id: file._id, status: 'uploading' });
+    }
+
+    return stale.length;
+}
+
+module.exports = {
+    CHUNK_OVERHEAD,
+    MIN_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    MAX_FILE_SIZE,
+    blobPath,
+    chunkCount,
+    encryptedChunkLength,
+    encryptedSize,
+    createBlob,
+    writeChunk,
+    blobSize,
+    removeBlob,
+    removeStaleUploads
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Merkle tree helpers following RFC 6962 (Certificate Transparency)
+// Leaves and nodes are hashed with different prefixes so one can't pass for the other
+
+function sha256(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(part));
+    return hash.digest();
+}
+
+function hashLeaf(leafData) {
+    return sha256(Buffer.from([0x00]), Buffer.from(leafData, 'utf8')).toString('base64');
+}
+
+function hashChildren(left, right) {
+    return sha256(Buffer.from([0x01]), Buffer.from(left, 'base64'), Buffer.from(right, 'base64')).toString('base64');
+}
+
+// Largest power of two smaller than n
+function splitPoint(n) {
+    let k = 1;
+    while (k * 2 < n) {
+        k *= 2;
+    }
+    return k;
+}
+
+// MTH(D[n]) - the root hash over a list of leaf hashes
+function rootHash(leafHashes) {
+    if (leafHashes.length === 0) {
+        return sha256().toString('base64');
+    }
+    if (leafHashes.length === 1) {
+        return leafHashes[0];
+    }
+
+    const k = splitPoint(leafHashes.length);
+    return hashChildren(rootHash(leafHashes.slice(0, k)), rootHash(leafHashes.slice(k)));
+}
+
+// PATH(m, D[n]) - audit path proving leaf m is in the tree
+function inclusionProof(index, leafHashes) {
+    if (leafHashes.length <= 1) {
+        return [];
+    }
+
+    const k = splitPoint(leafHashes.length);
+    if (index < k) {
+        return [...inclusionProof(index, leafHashes.slice(0, k)), rootHash(leafHashes.slice(k))];
+    }
+    return [...inclusionProof(index - k, leafHashes.slice(k)), rootHash(leafHashes.slice(0, k))];
+}
+
+// PROOF(m, D[n]) - proves the first m leaves are unchanged in the bigger tree
+function consistencyProof(firstSize, leafHashes) {
+    return subProof(firstSize, leafHashes, true);
+}
+
+function subProof(m, leafHashes, isOriginalTree) {
+    const n = leafHashes.length;
+
+    if (m === n) {
+        return isOriginalTree ? [] : [rootHash(leafHashes)];
+    }
+
+    const k = splitPoint(n);
+    if (m <= k) {
+        return [...subProof(m, leafHashes.slice(0, k), isOriginalTree), rootHash(leafHashes.slice(k))];
+    }
+    return [...subProof(m - k, leafHashes.slice(k), false), rootHash(leafHashes.slice(0, k))];
+}
+
+module.exports = {
+    hashLeaf,
+    rootHash,
+    inclusionProof,
+    consistencyProof
+};
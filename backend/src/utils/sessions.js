@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens only live long enough that revoking the session takes effect quickly
+const ACCESS_TOKEN_TTL = '15m';
+// A session ends after this long without refreshing
+const SESSION_IDLE_TIMEOUT = 30 * 24 * 60 * 60 * 1000;
+// How many old refresh tokens we remember per session for reuse detection
+const MAX_USED_TOKEN_HASHES = 20;
+
+// Loading the JWT secret - no hardcoded fallback, a leaked default would let anyone mint tokens
+function loadJwtSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    // Fine for development: access tokens die on restart, clients just refresh
+    console.warn('⚠️ JWT_SECRET not set, using a random secret for this run');
+    return crypto.randomBytes(64).toString('hex');
+}
+
+const JWT_SECRET = loadJwtSecret();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Creating a short-lived access token for a session
+// The token is bound to a device once we know which one the user is on
+function generateToken(user, deviceId, sessionId) {
+    return jwt.sign(
+        {
+            userId: user._id,
+            username: user.username,
+            sessionId: sessionId.toString(),
+            ...(deviceId && { deviceId: deviceId.toString() })
+        },
+        JWT_SECRET,
+        {
+            expiresIn: ACCESS_TOKEN_TTL
+        }
+    );
+}
+
+function verifyToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+}
+
+// Starting a session at login
+async function createSession(user, deviceId, req) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await Session.create({
+        userId: user._id,
+        deviceId: deviceId || null,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + SESSION_IDLE_TIMEOUT)
+    });
+
+    return {
+        session,
+        token: generateToken(user, session.deviceId, session._id),
+        refreshToken
+    };
+}
+
+// Binding the session to the device the browser just registered, and handing out a matching token
+async function bindSessionToDevice(sessionId, user, deviceId) {
+    await Session.updateOne({ _id: sessionId }, { deviceId });
+    return generateToken(user, deviceId, sessionId);
+}
+
+// Swapping a refresh token for a new one (and a new access token)
+// Resolves to { session } on success, or { error, reused } when the token is no good
+async function rotateRefreshToken(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+
+    // Only one request can win the swap, so a token can't be refreshed twice
+    const session = await Session.findOneAndUpdate(
+        {
+            refreshTokenHash: tokenHash,
+            revoked: false,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            refreshTokenHash: hashToken(newRefreshToken),
+            $push: { usedTokenHashes: { $each: [tokenHash], $slice: -MAX_USED_TOKEN_HASHES } },
+            lastUsedAt: new Date(),
+            ipAddress: req.ip,
+            expiresAt: new Date(Date.now() + SESSION_IDLE_TIMEOUT)
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return { session, refreshToken: newRefreshToken };
+    }
+
+    // An old refresh token coming back means two parties have it - ending the session for both
+    const stolenFrom = await Session.findOneAndUpdate(
+        { usedTokenHashes: tokenHash, revoked: false },
+        { revoked: true, revokedAt: new Date(), revokedReason: 'Refresh token reused' },
+        { new: true }
+    );
+
+    return { error: 'Invalid or expired refresh token', reused: stolenFrom };
+}
+
+async function revokeSession(filter, reason) {
+    return Session.updateMany(
+        { ...filter, revoked: false },
+        { revoked: true, revokedAt: new Date(), revokedReason: reason }
+    );
+}
+
+module.exports = {
+    generateToken,
+    verifyToken,
+    createSession,
+    bindSessionToDevice,
+    rotateRefreshToken,
+    revokeSession
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Loading a user's identity key (base64 SPKI from the browser, or a JWK string)
+function loadIdentityKey(publicKey) {
+    const trimmed = publicKey.trim();
+
+    if (trimmed.startsWith('{')) {
+        return crypto.createPublicKey({ key: JSON.parse(trimmed), format: 'jwk' });
+    }
+
+    return crypto.createPublicKey({
+        key: Buffer.from(trimmed, 'base64'),
+        format: 'der',
+        type: 'spki'
+    });
+}
+
+// Checking an ECDSA P-256 signature made with Web Crypto (raw r||s format)
+function verifyIdentitySignature(publicKey, data, signature) {
+    try {
+        return crypto.verify(
+            'sha256',
+            Buffer.from(data, 'utf8'),
+            { key: loadIdentityKey(publicKey), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(signature, 'base64')
+        );
+    } catch (error) {
+        // Malformed keys or signatures just count as invalid
+        return false;
+    }
+}
+
+// What the old identity key signs when a device moves to a new one
+// The client builds exactly the same string (keyRotation.js)
+function keyRotationStatement(deviceId, newPublicKey, timestamp) {
+    return `key-rotation:v1:${deviceId}:${newPublicKey}:${timestamp}`;
+}
+
+// What the responder signs and both key confirmations cover, once a key exchange is answered
+// The client builds exactly the same string (keyExchange.js)
+function keyExchangeTranscript(keyExchange) {
+    return [
+        'key-exchange:v2:transcript',
+        keyExchange._id,
+        keyExchange.initiatorId,
+        keyExchange.initiatorDeviceId,
+        keyExchange.responderId,
+        keyExchange.responderDeviceId,
+        keyExchange.initiatorECDHPublicKey,
+        keyExchange.initiatorNonce,
+        keyExchange.initiatorTimestamp,
+        keyExchange.keySchedules.join(','),
+        keyExchange.responderECDHPublicKey,
+        keyExchange.responderNonce,
+        keyExchange.responderTimestamp,
+        keyExchange.keySchedule
+    ].join(':');
+}
+
+// What the initiator signs when it starts a key exchange from a prekey bundle
+// The client builds exactly the same string (preKeys.js)
+function preKeyExchangeTranscript(keyExchange) {
+    return [
+        'prekey-exchange:v2:transcript',
+        keyExchange.initiatorId,
+        keyExchange.initiatorDeviceId,
+        keyExchange.responderId,
+        keyExchange.responderDeviceId,
+        keyExchange.signedPreKeyId,
+        keyExchange.oneTimePreKeyId || '',
+        keyExchange.initiatorECDHPublicKey,
+        keyExchange.initiatorNonce,
+        keyExchange.initiatorTimestamp,
+        keyExchange.keySchedule
+    ].join(':');
+}
+
+// Kept with the exchange, so logs can name exactly which transcript two devices agreed on
+function keyExchangeTranscriptHash(keyExchange) {
+    const transcript = keyExchange.protocol === 'X3DH'
+        ? preKeyExchangeTranscript(keyExchange)
+        : keyExchangeTranscript(keyExchange);
+
+    return crypto.createHash('sha256').update(transcript, 'utf8').digest('hex');
+}
+
+module.exports = {
+    verifyIdentitySignature,
+    keyRotationStatement,
+    keyExchangeTranscript,
+    preKeyExchangeTranscript,
+    keyExchangeTranscriptHash
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const { hashLeaf, rootHash, inclusionProof, consistencyProof } = require('./merkleTree');
+
+// Where the log's signing key lives when it isn't given through the environment
+const KEY_FILE = path.join(__dirname, '../../keys/transparency-log-key.pem');
+const MAX_APPEND_ATTEMPTS = 5;
+// Entries that put a key in use (REVOKE_DEVICE takes one out)
+const KEY_ACTIONS = ['REGISTER', 'ADD_DEVICE', 'ROTATE_KEY'];
+
+let signingKey = null;
+
+// Loading the key that signs tree heads (generating one the first time in development)
+// Clients pin the public half, so it has to survive restarts
+function getSigningKey() {
+    if (signingKey) return signingKey;
+
+    if (process.env.TRANSPARENCY_LOG_KEY) {
+        signingKey = crypto.createPrivateKey(process.env.TRANSPARENCY_LOG_KEY.replace(/\\n/g, '\n'));
+    } else if (fs.existsSync(KEY_FILE)) {
+        signingKey = crypto.createPrivateKey(fs.readFileSync(KEY_FILE, 'utf8'));
+    } else {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+        fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+        fs.writeFileSync(KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        console.warn(`⚠️ Generated a new transparency log signing key at ${KEY_FILE}`);
+
+        signingKey = privateKey;
+    }
+
+    return signingKey;
+}
+
+// Public half in the same format the browser exports its own keys (base64 SPKI)
+function getLogPublicKey() {
+    return crypto.createPublicKey(getSigningKey())
+        .export({ type: 'spki', format: 'der' })
+        .toString('base64');
+}
+
+// What gets hashed into a leaf - the client rebuilds this to check the proof
+function encodeLeaf(entry) {
+    return [
+        'keylog:v1',
+        entry.action,
+        entry.username,
+        entry.deviceId.toString(),
+        entry.publicKey,
+        entry.timestamp
+    ].join(':');
+}
+
+// Appending one entry at the end of the log
+// Two appends racing for the same index just make one of them try again
+async function appendEntry({ action, userId, username, deviceId, publicKey }) {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+        const last = await KeyLogEntry.findOne({}, { index: 1 }).sort({ index: -1 });
+        const entry = {
+            index: last ? last.index + 1 : 0,
+            action,
+            userId,
+            username,
+            deviceId,
+            publicKey,
+            timestamp: Date.now()
+        };
+
+        try {
+            return await KeyLogEntry.create({ ...entry, leafHash: hashLeaf(encodeLeaf(entry)) });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    throw new Error('Failed to append to key transparency log');
+}
+
+async function loadLeafHashes(treeSize = null) {
+    const query = treeSize === null ? {} : { index: { $lt: treeSize } };
+    const entries = await KeyLogEntry.find(query, { leafHash: 1 }).sort({ index: 1 });
+    return entries.map(entry => entry.leafHash);
+}
+
+function signTreeHead(treeSize, root) {
+    const timestamp = Date.now();
+    const signature = crypto.sign(
+        'sha256',
+        Buffer.from(`${treeSize}:${root}:${timestamp}`, 'utf8'),
+        { key: getSigningKey(), dsaEncoding: 'ieee-p1363' }
+    );
+
+    return {
+        treeSize,
+        rootHash: root,
+        timestamp,
+        signature: signature.toString('base64')
+    };
+}
+
+// Signed tree head (STH) over the whole log as it is right now
+async function getSignedTreeHead() {
+    const leafHashes = await loadLeafHashes();
+    return signTreeHead(leafHashes.length, rootHash(leafHashes));
+}
+
+function formatEntry(entry) {
+    return {
+        index: entry.index,
+        action: entry.action,
+        username: entry.username,
+        deviceId: entry.deviceId,
+        publicKey: entry.publicKey,
+        timestamp: entry.timestamp
+    };
+}
+
+// Inclusion proofs for the newest entry of each device, all against one signed tree head
+// Devices from before the log existed get their entry now
+async function getDeviceProofs(user, devices) {
+    const entries = [];
+    for (const device of devices) {
+        let entry = await KeyLogEntry.findOne({
+            deviceId: device._id,
+            action: { $in: KEY_ACTIONS }
+        }).sort({ index: -1 });
+
+        if (!entry || entry.publicKey !== device.publicKey) {
+            entry = await appendEntry({
+                action: 'ADD_DEVICE',
+                userId: user._id,
+                username: user.username,
+                deviceId: device._id,
+                publicKey: device.publicKey
+            });
+        }
+
+        entries.push(entry);
+    }
+
+    const leafHashes = await loadLeafHashes();
+
+    return {
+        treeHead: signTreeHead(leafHashes.length, rootHash(leafHashes)),
+        proofs: entries.map(entry => ({
+            entry: formatEntry(entry),
+            auditPath: inclusionProof(entry.index, leafHashes)
+        }))
+    };
+}
+
+// Proof that the log at firstSize is a prefix of the log at secondSize
+async function getConsistencyProof(firstSize, secondSize) {
+    const leafHashes = await loadLeafHashes(secondSize);
+    if (leafHashes.length !== secondSize) {
+        return null;
+    }
+
+    return consistencyProof(firstSize, leafHashes);
+}
+
+// Every key change of one user, oldest first
+async function getUserHistory(username) {
+    const entries = await KeyLogEntry.find({ username }).sort({ index: 1 });
+    return entries.map(formatEntry);
+}
+
+module.exports = {
+    appendEntry,
+    getLogPublicKey,
+    getSignedTreeHead,
+    getDeviceProofs,
+    getConsistencyProof,
+    getUserHistory
+};
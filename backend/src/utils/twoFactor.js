@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const User = require('../models/User');
+const { isEncrypted, encryptField, decryptField } = require('./fieldEncryption');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 2; // Allow 2 time steps before/after for clock skew
+const RECOVERY_CODE_COUNT = 10;
+// Crockford base32 (no I, L, O, U), 10 characters = 50 bits per code
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_LENGTH = 10;
+
+// Codes are long and random, so a fast hash is enough (same as refresh tokens)
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Case and dash insensitive, so "abcde-12345" matches "ABCDE12345"
+function normalizeRecoveryCode(code) {
+    return code.replace(/[\s-]/g, '').toUpperCase();
+}
+
+// A new batch of single-use codes like 7KQ2M-9XAB4
+// Resolves to the codes (shown to the user once) and their hashes (stored on User)
+function generateRecoveryCodes() {
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const bytes = crypto.randomBytes(RECOVERY_CODE_LENGTH);
+        const chars = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+        codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// The secret is bound to its user, so copying it into another account won't decrypt
+function totpSecretContext(userId) {
+    return `user:${userId}:twoFactorSecret`;
+}
+
+// Storing a new TOTP secret (encrypted, the plain base32 is only shown once during setup)
+function setTotpSecret(user, secret) {
+    user.twoFactorSecret = secret ? encryptField(secret, totpSecretContext(user._id)) : null;
+    user.twoFactorLastTimeStep = null;
+}
+
+// The only place the secret gets decrypted
+// Secrets stored before encryption was added are still plain until the rotation script runs
+function readTotpSecret(user) {
+    if (!isEncrypted(user.twoFactorSecret)) {
+        return user.twoFactorSecret;
+    }
+    return decryptField(user.twoFactorSecret, totpSecretContext(user._id));
+}
+
+// Checking a TOTP code and remembering its time step so the same code can't be used again
+// Returns { valid } or { valid: false, reused } when the code was right but already used
+async function verifyTotp(user, token) {
+    const result = speakeasy.totp.verifyDelta({
+        secret: readTotpSecret(user),
+        encoding: 'base32',
+        token: String(token),
+        window: TOTP_WINDOW
+    });
+
+    if (!result) {
+        return { valid: false };
+    }
+
+    const timeStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+
+    // Only moving forward in time, so this code and every older one stop working
+    // (atomic, so two requests racing with the same code can't both win)
+    const updated = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            $or: [
+                { twoFactorLastTimeStep: null },
+                { twoFactorLastTimeStep: { $lt: timeStep } }
+            ]
+        },
+        { twoFactorLastTimeStep: timeStep },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { valid: false, reused: true };
+    }
+
+    user.twoFactorLastTimeStep = timeStep;
+    return { valid: true };
+}
+
+// Using up one of the user's recovery codes
+async function consumeRecoveryCode(user, code) {
+    const codeHash = hashRecoveryCode(code);
+
+    // Pulling the hash only if it's there, so each code works exactly once
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { valid: false };
+    }
+
+    user.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+    return { valid: true, remaining: updated.twoFactorRecoveryCodes.length };
+}
+
+// Accepting either a 6-digit TOTP code or a recovery code as the second factor
+// Resolves to { valid, method, reused, remaining }
+async function verifySecondFactor(user, token) {
+    if (typeof token !== 'string' && typeof token !== 'number') {
+        return { valid: false, method: null };
+    }
+
+    const value = String(token).trim();
+
+    if (/^\d{6}$/.test(value)) {
+        // Users with only security keys have no TOTP secret
+        if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+            return { valid: false, method: 'totp' };
+        }
+        return { ...await verifyTotp(user, value), method: 'totp' };
+    }
+
+    return { ...await consumeRecoveryCode(user, value), method: 'recovery' };
+}
+
+module.exports = {
+    totpSecretContext,
+    setTotpSecret,
+    generateRecoveryCodes,
+    verifyTotp,
+    verifySecondFactor
+};
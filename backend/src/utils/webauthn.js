@@ -0,0 +1,211 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+// Challenges have to be answered within 5 minutes
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const RP_NAME = 'SecureChat E2EE';
+
+// Relying party settings - the browser only hands out credentials for this domain and origin
+function relyingParty() {
+    const origin = process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    return {
+        rpID: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+        origin
+    };
+}
+
+async function saveChallenge(challenge, type, userId) {
+    await WebAuthnChallenge.create({
+        challenge,
+        type,
+        userId,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL)
+    });
+}
+
+// Using up the challenge the response was made for (each one works once)
+async function consumeChallenge(response, type) {
+    let challenge;
+    try {
+        const clientData = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8'));
+        challenge = clientData.challenge;
+    } catch {
+        return null;
+    }
+
+    if (typeof challenge !== 'string') {
+        return null;
+    }
+
+    return WebAuthnChallenge.findOneAndDelete({
+        challenge,
+        type,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+// Options for adding a security key or passkey to a logged in user
+async function createRegistrationOptions(user) {
+    const { rpID } = relyingParty();
+
+    const options = await generateRegistrationOptions({
+        rpName: RP_NAME,
+        rpID,
+        userName: user.username,
+        userID: Buffer.from(user._id.toString(), 'utf8'),
+        attestationType: 'none',
+        // Not letting the same authenticator be registered twice
+        excludeCredentials: user.webauthnCredentials.map(credential => ({
+            id: credential.credentialId,
+            transports: credential.transports
+        })),
+        // Discoverable credentials can log in without a username
+        authenticatorSelection: {
+            residentKey: 'preferred',
+            userVerification: 'preferred'
+        }
+    });
+
+    await saveChallenge(options.challenge, 'registration', user._id);
+    return options;
+}
+
+// Checking the new credential and turning it into what we store on the user
+// Resolves to the credential subdocument, or null if the response doesn't check out
+async function verifyRegistration(user, response) {
+    if (!response || !response.response) {
+        return null;
+    }
+
+    const record = await consumeChallenge(response, 'registration');
+
+    if (!record || record.userId?.toString() !== user._id.toString()) {
+        return null;
+    }
+
+    const { rpID, origin } = relyingParty();
+
+    let result;
+    try {
+        result = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: record.challenge,
+            expectedOrigin: origin,
+            expectedRPID: rpID,
+            requireUserVerification: false
+        });
+    } catch (error) {
+        console.error('WebAuthn registration check failed:', error.message);
+        return null;
+    }
+
+    if (!result.verified) {
+        return null;
+    }
+
+    const { registrationInfo } = result;
+
+    const { credential, credentialBackedUp } = registrationInfo;
+
+    return {
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+        counter: credential.counter,
+        transports: credential.transports || [],
+        backedUp: credentialBackedUp
+    };
+}
+
+// Options for proving possession of a credential
+// With a user it's a second factor for their credentials, without one it's a passwordless login
+async function createAuthenticationOptions(user = null) {
+    const { rpID } = relyingParty();
+
+    const options = await generateAuthenticationOptions({
+        rpID,
+        allowCredentials: user
+            ? user.webauthnCredentials.map(credential => ({
+                id: credential.credentialId,
+                transports: credential.transports
+            }))
+            : [],
+        // Passwordless login replaces both factors, so the authenticator has to verify the user (PIN, biometrics)
+        userVerification: user ? 'preferred' : 'required'
+    });
+
+    await saveChallenge(options.challenge, 'authentication', user ? user._id : null);
+    return options;
+}
+
+// Checking an assertion
+// expectedUser: the user who already passed the password check, or null for passwordless login
+// Resolves to { user, credential } or { error }
+async function verifyAuthentication(response, expectedUser = null) {
+    if (!response || typeof response.id !== 'string' || !response.response) {
+        return { error: 'Invalid security key response' };
+    }
+
+    const record = await consumeChallenge(response, 'authentication');
+
+    if (!record) {
+        return { error: 'Security key challenge expired or already used' };
+    }
+
+    // A challenge issued during one user's login can't be answered for another user
+    if (record.userId && (!expectedUser || record.userId.toString() !== expectedUser._id.toString())) {
+        return { error: 'Security key challenge does not belong to this login' };
+    }
+
+    const user = expectedUser || await User.findOne({ 'webauthnCredentials.credentialId': response.id });
+    const credential = user?.webauthnCredentials.find(c => c.credentialId === response.id);
+
+    if (!credential) {
+        return { error: 'Unknown security key' };
+    }
+
+    const { rpID, origin } = relyingParty();
+
+    let result;
+    try {
+        result = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: record.challenge,
+            expectedOrigin: origin,
+            expectedRPID: rpID,
+            credential: {
+                id: credential.credentialId,
+                publicKey: Buffer.from(credential.publicKey, 'base64url'),
+                counter: credential.counter,
+                transports: credential.transports
+            },
+            requireUserVerification: !expectedUser
+        });
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (!result.verified) {
+        return { error: 'Security key signature is invalid' };
+    }
+
+    // Remembering the counter so a cloned authenticator gets caught
+    credential.counter = result.authenticationInfo.newCounter;
+    credential.lastUsedAt = new Date();
+    await user.save();
+
+    return { user, credential };
+}
+
+module.exports = {
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication
+};
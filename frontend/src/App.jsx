@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import Register from './components/Register';
 import Login from './components/Login';
 import ChatApp from './components/ChatApp';
+import api from './services/api';
 import './App.css';
 
 function App() {
@@ -14,14 +15,16 @@ function App() {
       const token = localStorage.getItem('token');
       const userId = localStorage.getItem('userId');
       const username = localStorage.getItem('username');
+      const deviceId = localStorage.getItem('deviceId');
+      const role = localStorage.getItem('role') || 'user';
 
-      if (token && userId && username) {
+      if (token && userId && username && deviceId) {
         // Verify we still have the keys (they might have been cleared)
         const { hasStoredKeys } = await import('./crypto/keyManagement');
         const keysExist = await hasStoredKeys(userId);
 
         if (keysExist) {
-          setUser({ token, userId, username });
+          setUser({ token, userId, username, deviceId, role });
           setView('chat');
         } else {
           // Keys missing, force logout
@@ -34,16 +37,43 @@ function App() {
     checkSession();
   }, []);
 
+  // The refresh token was rejected or the session was revoked somewhere else
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('sessionId');
+      setUser(null);
+      setView('login');
+    };
+
+    window.addEventListener('session-expired', handleSessionExpired);
+    return () => window.removeEventListener('session-expired', handleSessionExpired);
+  }, []);
+
   const handleLogin = (userData) => {
     setUser(userData);
     setView('chat');
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // Ending the session on the server so the tokens can't be used anymore
+    if (localStorage.getItem('token')) {
+      try {
+        await api.logout();
+      } catch (error) {
+        console.warn('Server-side logout failed:', error);
+      }
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('sessionId');
     localStorage.removeItem('userId');
     localStorage.removeItem('username');
+    localStorage.removeItem('deviceId');
     localStorage.removeItem('publicKey');
+    localStorage.removeItem('role');
     setUser(null);
     setView('login');
   };
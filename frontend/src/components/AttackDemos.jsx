@@ -2,8 +2,8 @@ import { useState, useEffect } from 'react';
 import api from '../services/api';
 import { retrievePrivateKey, generateECDHKeyPair, exportPublicKey, importPublicKey } from '../crypto/keyManagement';
 import { signData, verifySignature } from '../crypto/keyExchange';
-import { encryptMessage, importSessionKey, exportSessionKey } from '../crypto/encryption';
-import { generateMessageMetadata, generateNonce } from '../crypto/replayProtection';
+import { ratchetEncrypt } from '../crypto/ratchet';
+import { generateMessageMetadata, ENVELOPE_VERSION, envelopeAssociatedData, generateNonce } from '../crypto/replayProtection';
 import './AttackDemos.css';
 
 function AttackDemos({ user }) {
@@ -159,9 +159,11 @@ function AttackDemos({ user }) {
             steps = addStep(steps, setReplaySteps, { type: 'info', text: '🚀 Starting REAL Replay Attack Demonstration' });
             await sleep(500);
 
-            // Check if user has a session key
-            const sessionKeyStr = sessionStorage.getItem(`sessionKey_${targetUser._id}`);
-            if (!sessionKeyStr) {
+            // Check if we have a message ratchet with one of their devices
+            const { user: targetUserData } = await api.getUserByUsername(targetUser.username);
+            const targetDevice = (targetUserData.devices || [])
+                .find(device => sessionStorage.getItem(`ratchet_${device._id}`));
+            if (!targetDevice) {
                 steps = addStep(steps, setReplaySteps, { type: 'error', text: '❌ No session key found. Please establish a key exchange with the target user first.' });
                 setReplayRunning(false);
                 return;
@@ -170,28 +172,49 @@ function AttackDemos({ user }) {
             steps = addStep(steps, setReplaySteps, { type: 'section', text: '📌 Step 1: Sending Legitimate Message' });
             await sleep(800);
 
-            // Import session key
-            const sessionKey = await importSessionKey(sessionKeyStr);
-            steps = addStep(steps, setReplaySteps, { type: 'step', text: '🔑 Session key loaded' });
+            // Load ratchet state (each encryption below moves it forward, just like real sends)
+            let ratchetState = JSON.parse(sessionStorage.getItem(`ratchet_${targetDevice._id}`));
+            const encryptWithRatchet = async (text, associatedData = null) => {
+                const result = await ratchetEncrypt(ratchetState, text, associatedData);
+                ratchetState = result.state;
+                sessionStorage.setItem(`ratchet_${targetDevice._id}`, JSON.stringify(ratchetState));
+                return result;
+            };
+            // Only addressing the one device, that's enough for the server to check the message
+            const toEnvelopes = (encrypted) => [{
+                deviceId: targetDevice._id,
+                ciphertext: encrypted.ciphertext,
+                iv: encrypted.iv,
+                ratchetKey: encrypted.header.ratchetKey,
+                previousChainLength: encrypted.header.previousChainLength,
+                messageNumber: encrypted.header.messageNumber
+            }];
+            steps = addStep(steps, setReplaySteps, { type: 'step', text: '🔑 Message ratchet loaded' });
             await sleep(500);
 
             // Send legitimate message
             const legitimateMessage = 'This is a legitimate test message';
             steps = addStep(steps, setReplaySteps, { type: 'step', text: `📤 Sending legitimate message: "${legitimateMessage}"` });
             
-            const encrypted = await encryptMessage(legitimateMessage, sessionKey);
-            const metadata = generateMessageMetadata(1);
+            // The server only accepts the next sequence number for this device
+            const metadata = generateMessageMetadata(await api.getNextSequenceNumber(targetUser._id));
+            const encrypted = await encryptWithRatchet(legitimateMessage, envelopeAssociatedData({
+                version: ENVELOPE_VERSION,
+                senderId: user.userId,
+                receiverId: targetUser._id,
+                ...metadata
+            }));
             
             steps = addStep(steps, setReplaySteps, { type: 'code', text: `Nonce: ${metadata.nonce.substring(0, 20)}...\nTimestamp: ${new Date(metadata.timestamp).toLocaleString()}\nSequence: ${metadata.sequenceNumber}` });
             
             try {
                 await api.sendMessage({
                     receiverId: targetUser._id,
-                    ciphertext: encrypted.ciphertext,
-                    iv: encrypted.iv,
+                    envelopes: toEnvelopes(encrypted),
                     nonce: metadata.nonce,
                     sequenceNumber: metadata.sequenceNumber,
-                    timestamp: metadata.timestamp
+                    timestamp: metadata.timestamp,
+                    envelopeVersion: ENVELOPE_VERSION
                 });
                 steps = addStep(steps, setReplaySteps, { type: 'success', text: '✅ Legitimate message accepted by server' });
             } catch (err) {
@@ -210,8 +233,7 @@ function AttackDemos({ user }) {
             try {
                 await api.sendMessage({
                     receiverId: targetUser._id,
-                    ciphertext: encrypted.ciphertext,
-                    iv: encrypted.iv,
+                    envelopes: toEnvelopes(encrypted),
                     nonce: metadata.nonce, // SAME nonce!
                     sequenceNumber: metadata.sequenceNumber, // SAME sequence!
                     timestamp: metadata.timestamp // SAME timestamp!
@@ -233,15 +255,14 @@ function AttackDemos({ user }) {
 
             const oldTimestamp = Date.now() - (10 * 60 * 1000); // 10 minutes ago
             const newNonceBase64 = generateNonce();
-            const newEncrypted = await encryptMessage('Replay attack with old timestamp', sessionKey);
+            const newEncrypted = await encryptWithRatchet('Replay attack with old timestamp');
 
             try {
                 await api.sendMessage({
                     receiverId: targetUser._id,
-                    ciphertext: newEncrypted.ciphertext,
-                    iv: newEncrypted.iv,
+                    envelopes: toEnvelopes(newEncrypted),
                     nonce: newNonceBase64,
-                    sequenceNumber: 2,
+                    sequenceNumber: metadata.sequenceNumber + 1,
                     timestamp: oldTimestamp // OLD timestamp!
                 });
                 steps = addStep(steps, setReplaySteps, { type: 'error', text: '⚠️ WARNING: Old timestamp message was accepted (this should not happen!)' });
@@ -260,15 +281,14 @@ function AttackDemos({ user }) {
             await sleep(800);
 
             const futureNonceBase64 = generateNonce();
-            const futureEncrypted = await encryptMessage('Replay attack with old sequence', sessionKey);
+            const futureEncrypted = await encryptWithRatchet('Replay attack with old sequence');
 
             try {
                 await api.sendMessage({
                     receiverId: targetUser._id,
-                    ciphertext: futureEncrypted.ciphertext,
-                    iv: futureEncrypted.iv,
+                    envelopes: toEnvelopes(futureEncrypted),
                     nonce: futureNonceBase64,
-                    sequenceNumber: 0, // OLD sequence (should be 3 or higher now)
+                    sequenceNumber: metadata.sequenceNumber, // OLD sequence (already used by the legitimate message)
                     timestamp: Date.now() // Current timestamp
                 });
                 steps = addStep(steps, setReplaySteps, { type: 'error', text: '⚠️ WARNING: Out-of-order sequence was accepted (this should not happen!)' });
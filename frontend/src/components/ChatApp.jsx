@@ -1,80 +1,184 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { io } from 'socket.io-client';
 import api from '../services/api';
-import { retrievePrivateKey, importPublicKey } from '../crypto/keyManagement';
+import { uploadEncryptedFile, downloadEncryptedFile, downloadFilePreview, paddedFileSize, MAX_FILE_SIZE } from '../services/fileTransfer';
+import { retrievePrivateKey, storePrivateKey, importPublicKey } from '../crypto/keyManagement';
 import {
     initiateKeyExchange,
     respondToKeyExchange,
     completeKeyExchange,
+    verifyKeyConfirmation,
     signData,
     verifySignature
 } from '../crypto/keyExchange';
-import {
-    encryptMessage,
-    decryptMessage,
-    encryptFile,
-    decryptFile,
-    exportSessionKey,
-    importSessionKey
-} from '../crypto/encryption';
+import { ratchetEncrypt, ratchetDecrypt } from '../crypto/ratchet';
+import { wrapFileKey, unwrapFileKey } from '../crypto/encryption';
+import { initiatePreKeyExchange, acceptPreKeyExchange, generatePreKeys } from '../crypto/preKeys';
 import {
     generateMessageMetadata,
+    ENVELOPE_VERSION,
+    envelopeAssociatedData,
+    envelopeFromMessage,
     validateMessageMetadata,
     clearReplayProtectionData
 } from '../crypto/replayProtection';
+import { getVerificationStatus, clearContactVerified } from '../crypto/safetyNumbers';
+import { verifyUserKeys } from '../crypto/keyTransparency';
+import { createKeyRotation, verifyKeyRotation } from '../crypto/keyRotation';
 import AttackDemos from './AttackDemos';
+import GroupChat from './GroupChat';
+import KeyRecovery from './KeyRecovery';
+import TwoFactorRecoveryCodes from './TwoFactorRecoveryCodes';
+import SecurityKeys from './SecurityKeys';
+import SafetyNumber from './SafetyNumber';
 import './ChatApp.css';
 
+// Thrown when a message came from a device we haven't done a key exchange with
+const NO_DEVICE_SESSION = 'No session with the sending device';
+
 function ChatApp({ user, onLogout }) {
     const [users, setUsers] = useState([]);
     const [selectedUser, setSelectedUser] = useState(null);
+    const [groups, setGroups] = useState([]);
+    const [selectedGroup, setSelectedGroup] = useState(null);
+    const [groupRefreshKey, setGroupRefreshKey] = useState(0);
     const [messages, setMessages] = useState([]);
     const [newMessage, setNewMessage] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [status, setStatus] = useState('');
-    const [sessionKey, setSessionKey] = useState(null);
-    const [sequenceNumber, setSequenceNumber] = useState(0);
-    const [view, setView] = useState('chat'); // 'chat', 'logs', 'attacks'
+    const [peerDevices, setPeerDevices] = useState([]);
+    const [ownDevices, setOwnDevices] = useState([]);
+    const [ownIdentityKeys, setOwnIdentityKeys] = useState([]);
+    const [verificationStatus, setVerificationStatus] = useState('unverified'); // 'unverified', 'verified', 'changed'
+    const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+    const [connectedDevices, setConnectedDevices] = useState(() =>
+        Object.keys(sessionStorage)
+            .filter(key => key.startsWith('ratchet_'))
+            .map(key => key.slice('ratchet_'.length))
+    );
+    const [view, setView] = useState('chat'); // 'chat', 'devices', 'logs', 'attacks'
     const [selectedFile, setSelectedFile] = useState(null);
     const [uploadProgress, setUploadProgress] = useState(0);
+    const [pendingUpload, setPendingUpload] = useState(null);
     const messagesEndRef = useRef(null);
     const fileInputRef = useRef(null);
     const socketRef = useRef(null);
     const selectedUserRef = useRef(selectedUser);
-    const sessionKeyRef = useRef(sessionKey);
+    const selectedGroupRef = useRef(selectedGroup);
+    const ratchetQueueRef = useRef(Promise.resolve());
+    const acceptedPreKeyExchangesRef = useRef(new Set());
+    const completingExchangesRef = useRef(new Set());
+    // Next sequence number per contact, as the server counts them for this device
+    const nextSequenceRef = useRef({});
+    // The socket handlers and polls outlive the render that set them up, so they call into the latest one through here
+    const handlersRef = useRef({});
+
+    // We have a session once at least one of their devices has a ratchet with ours
+    const hasSession = peerDevices.some(device => connectedDevices.includes(device._id));
+    const unconnectedDevices = [...peerDevices, ...ownDevices]
+        .filter(device => !connectedDevices.includes(device._id));
+    const peerIdentityKeys = useMemo(() => peerDevices.map(device => device.publicKey), [peerDevices]);
+    // A verified contact showing different keys could be a MITM, so nothing gets sent until the user decides
+    const sendBlocked = verificationStatus === 'changed';
     
     // Update refs when values change
     useEffect(() => {
         selectedUserRef.current = selectedUser;
     }, [selectedUser]);
-    
+
+    useEffect(() => {
+        selectedGroupRef.current = selectedGroup;
+    }, [selectedGroup]);
+
+    // Every pair of devices has its own ratchet
+    const loadRatchet = (deviceId) => {
+        const stored = sessionStorage.getItem(`ratchet_${deviceId}`);
+        return stored ? JSON.parse(stored) : null;
+    };
+
+    // Saving the ratchet after every step so a reload doesn't lose our place in the chain
+    const saveRatchet = (deviceId, state) => {
+        if (state) {
+            sessionStorage.setItem(`ratchet_${deviceId}`, JSON.stringify(state));
+        } else {
+            sessionStorage.removeItem(`ratchet_${deviceId}`);
+        }
+
+        setConnectedDevices(prev => {
+            const others = prev.filter(id => id !== deviceId);
+            return state ? [...others, deviceId] : others;
+        });
+    };
+
+    // Running ratchet steps one at a time (every step depends on the previous state)
+    const withRatchet = (task) => {
+        const run = ratchetQueueRef.current.then(() => task());
+        ratchetQueueRef.current = run.catch(() => {});
+        return run;
+    };
+
+    // Declared before the socket effect so the handlers are in place before it runs
     useEffect(() => {
-        sessionKeyRef.current = sessionKey;
-    }, [sessionKey]);
+        handlersRef.current = {
+            loadMessages,
+            loadGroups,
+            loadOwnDevices,
+            loadPeerDevices,
+            saveRatchet,
+            finishKeyExchange,
+            finishKeyConfirmation,
+            acceptPendingPreKeyExchange,
+            onLogout
+        };
+    });
 
     // Set up socket connection for real-time updates
     useEffect(() => {
         if (!user) return;
 
+        // The server checks the access token on every (re)connect and puts us in our own room
+        // A function so reconnects pick up the latest token
         const socket = io(import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:4000', {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            auth: (cb) => cb({ token: localStorage.getItem('token') })
         });
 
         socket.on('connect', () => {
             console.log('✓ Socket connected');
-            // Join user's room
-            socket.emit('join', user.userId);
+        });
+
+        // Handshake rejected - refreshing an expired token and trying again
+        socket.on('connect_error', async (err) => {
+            if (err.data?.tokenExpired) {
+                try {
+                    await api.refreshSession();
+                    socket.connect();
+                } catch (refreshError) {
+                    console.error('Failed to refresh session for socket:', refreshError);
+                }
+            } else if (err.data?.sessionRevoked) {
+                window.dispatchEvent(new Event('session-expired'));
+            }
         });
 
         // Listen for new messages in real-time
         const messageHandler = async (data) => {
             console.log('✓ Received new message via socket:', data);
+
+            // Group messages come in through the group's room
+            if (data.groupId) {
+                if (selectedGroupRef.current?._id === data.groupId) {
+                    setGroupRefreshKey(prev => prev + 1);
+                }
+                return;
+            }
+
             // Check current selectedUser from ref
             const currentSelectedUser = selectedUserRef.current;
             if (currentSelectedUser && (data.senderId === currentSelectedUser._id || data.receiverId === currentSelectedUser._id)) {
                 // Reload messages to show the new one
-                await loadMessages();
+                await handlersRef.current.loadMessages();
             }
         };
         socket.on('message_received', messageHandler);
@@ -82,86 +186,120 @@ function ChatApp({ user, onLogout }) {
         // Listen for key exchange response from responder
         const keyExchangeHandler = async (data) => {
             console.log('✓ Received key exchange response notification:', data);
-            
-            // Check if this is for the currently selected user (use refs to avoid stale closure)
-            const currentSelectedUser = selectedUserRef.current;
-            const currentSessionKey = sessionKeyRef.current;
-            if (!currentSelectedUser || currentSessionKey) return;
-
-            // Check if we have a pending initiation for this key exchange
-            const pendingInitKey = Object.keys(sessionStorage)
-                .find(k => {
-                    if (!k.startsWith('ecdhKeyPair_')) return false;
-                    try {
-                        const pendingData = JSON.parse(sessionStorage.getItem(k));
-                        return pendingData.keyExchangeId === data.keyExchangeId;
-                    } catch {
-                        return false;
-                    }
-                });
 
-            if (pendingInitKey) {
-                const pendingData = JSON.parse(sessionStorage.getItem(pendingInitKey));
-                
-                // Verify this is for the selected user
-                if (pendingData.responderId === data.responder.userId) {
-                    setStatus('✅ Responder accepted! Finalizing secure connection...');
-                    
-                    try {
-                        // Import our ECDH private key back
-                        const initiatorECDHPrivateKey = await window.crypto.subtle.importKey(
-                            'jwk',
-                            pendingData.privateKeyJwk,
-                            { name: 'ECDH', namedCurve: 'P-256' },
-                            true,
-                            ['deriveKey', 'deriveBits']
-                        );
+            // Only the device that started the exchange has its ephemeral key
+            if (!sessionStorage.getItem(`ecdhKeyPair_${data.keyExchangeId}`)) return;
 
-                        // Prepare responder message object
-                        const responderMessage = {
-                            ecdhPublicKey: data.responder.ecdhPublicKey,
-                            signature: data.responder.signature,
-                            nonce: data.responder.nonce,
-                            timestamp: data.responder.timestamp
-                        };
-
-                        // Import responder's user public key for signature verification
-                        const currentSelectedUser = selectedUserRef.current;
-                        if (!currentSelectedUser || !currentSelectedUser.publicKey) {
-                            throw new Error('Responder public key not found. Please refresh and try again.');
-                        }
-                        
-                        const responderUserPublicKey = await importPublicKey(
-                            currentSelectedUser.publicKey,
-                            'ECDSA'
-                        );
+            try {
+                setStatus('✅ Responder accepted! Finalizing secure connection...');
+                await handlersRef.current.finishKeyExchange(data.keyExchangeId);
+            } catch (err) {
+                console.error('Failed to complete key exchange from socket notification:', err);
+                setError(err.message || 'Failed to complete key exchange');
+            }
+        };
+        socket.on('key_exchange_response', keyExchangeHandler);
 
-                        // Complete key exchange (verifies signature and generates session key)
-                        const { sessionKey: newSessionKey } = await completeKeyExchange(
-                            responderMessage,
-                            responderUserPublicKey,
-                            initiatorECDHPrivateKey,
-                            pendingData.nonce
-                        );
+        // The initiator checked our key confirmation and sent its own
+        const keyConfirmationHandler = async (data) => {
+            if (data.responderDeviceId !== user.deviceId) return;
 
-                        // Store session key
-                        setSessionKey(newSessionKey);
-                        const exportedSessionKey = await exportSessionKey(newSessionKey);
-                        sessionStorage.setItem(`sessionKey_${currentSelectedUser._id}`, exportedSessionKey);
+            try {
+                await handlersRef.current.finishKeyConfirmation(data.keyExchangeId, data.confirmation);
+            } catch (err) {
+                console.error('Failed to check key confirmation from socket notification:', err);
+                setError(err.message || 'Failed to confirm key exchange');
+            }
+        };
+        socket.on('key_exchange_confirmation', keyConfirmationHandler);
 
-                        // Cleanup pending data
-                        sessionStorage.removeItem(pendingInitKey);
+        // Someone started a conversation from our prekeys - we can set it up without them
+        const keyExchangeRequestHandler = async (data) => {
+            if (data.protocol !== 'X3DH' || data.responderDeviceId !== user.deviceId) return;
 
-                        setStatus('✅ Secure connection established!');
-                        alert(`Secure connection established with ${currentSelectedUser.username}!`);
-                    } catch (err) {
-                        console.error('Failed to complete key exchange from socket notification:', err);
-                        setError(err.message || 'Failed to complete key exchange');
+            try {
+                const pendingData = await api.getPendingKeyExchanges();
+                for (const exchange of pendingData.keyExchanges || []) {
+                    if (exchange.protocol === 'X3DH') {
+                        await handlersRef.current.acceptPendingPreKeyExchange(exchange);
                     }
                 }
+            } catch (err) {
+                console.error('Failed to accept prekey exchange from socket notification:', err);
             }
         };
-        socket.on('key_exchange_response', keyExchangeHandler);
+        socket.on('key_exchange_request', keyExchangeRequestHandler);
+
+        // One of our devices was added or revoked
+        const devicesChangedHandler = async (data) => {
+            if (data.revokedDeviceId === user.deviceId) {
+                alert('This device has been revoked from another device.');
+                handlersRef.current.onLogout();
+                return;
+            }
+
+            if (data.revokedDeviceId) {
+                handlersRef.current.saveRatchet(data.revokedDeviceId, null);
+            }
+
+            await handlersRef.current.loadOwnDevices();
+        };
+        socket.on('devices_changed', devicesChangedHandler);
+
+        // One of our sessions was signed out from somewhere else
+        const sessionRevokedHandler = (data) => {
+            if (data.sessionId === localStorage.getItem('sessionId')) {
+                alert('This session has been signed out from another device.');
+                handlersRef.current.onLogout();
+            }
+        };
+        socket.on('session_revoked', sessionRevokedHandler);
+
+        // A contact (or one of our own devices) replaced its identity key
+        const identityChangedHandler = async (data) => {
+            if (data.deviceId === user.deviceId) {
+                // We rotated it ourselves, unless our key was recovered in another browser
+                if (data.reason === 'RECOVERED') {
+                    alert('This device\'s identity key was recovered in another browser.');
+                    handlersRef.current.onLogout();
+                }
+                return;
+            }
+
+            const validRotation = await verifyKeyRotation(data).catch(() => false);
+            if (!validRotation) {
+                setError(`⚠️ ${data.username} changed a device key without a valid signature from the old key!`);
+            } else {
+                setStatus(`🔄 ${data.username} ${data.reason === 'RECOVERED' ? 'recovered' : 'rotated'} a device identity key`);
+                setTimeout(() => setStatus(''), 5000);
+            }
+
+            // Our session with that device was authenticated with the old key
+            handlersRef.current.saveRatchet(data.deviceId, null);
+
+            if (data.userId === user.userId) {
+                await handlersRef.current.loadOwnDevices();
+            } else if (selectedUserRef.current?._id === data.userId) {
+                await handlersRef.current.loadPeerDevices(selectedUserRef.current);
+            }
+        };
+        socket.on('identity_changed', identityChangedHandler);
+
+        // Someone was added to or removed from one of our groups
+        const groupUpdatedHandler = async (data) => {
+            await handlersRef.current.loadGroups();
+
+            if (selectedGroupRef.current?._id !== data.groupId) return;
+
+            if (data.removedUserId === user.userId) {
+                setSelectedGroup(null);
+                setStatus('You are no longer a member of this group');
+                setTimeout(() => setStatus(''), 3000);
+            } else {
+                setGroupRefreshKey(prev => prev + 1);
+            }
+        };
+        socket.on('group_updated', groupUpdatedHandler);
 
         socketRef.current = socket;
 
@@ -171,25 +309,43 @@ function ChatApp({ user, onLogout }) {
                 socketRef.current = null;
             }
         };
-    }, [user]); // Only depend on user, not selectedUser or sessionKey
+    }, [user]); // Only depend on user, not selectedUser or ratchet state
 
-    // Load users on mount
+    // Load users, groups and our other devices on mount
     useEffect(() => {
         loadUsers();
+        loadGroups();
+        loadOwnDevices();
     }, []);
 
-    // Load messages when user is selected
+    // Load their devices and messages when user is selected
     useEffect(() => {
         if (selectedUser) {
+            setPeerDevices([]);
+            loadPeerDevices(selectedUser);
             loadMessages();
-            // Check if we have a session key for this user
-            const storedKey = sessionStorage.getItem(`sessionKey_${selectedUser._id}`);
-            if (storedKey) {
-                importSessionKey(storedKey).then(setSessionKey);
-            }
         }
     }, [selectedUser]);
 
+    // Checking their keys against the ones we verified (if we verified them at all)
+    useEffect(() => {
+        if (!selectedUser || peerIdentityKeys.length === 0) {
+            setVerificationStatus('unverified');
+            return;
+        }
+
+        let cancelled = false;
+        getVerificationStatus(user.userId, selectedUser._id, peerIdentityKeys)
+            .then(result => {
+                if (!cancelled) setVerificationStatus(result);
+            })
+            .catch(err => console.error('Failed to check verification status:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user, selectedUser, peerIdentityKeys]);
+
     // Scroll to bottom on new messages
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -202,10 +358,17 @@ function ChatApp({ user, onLogout }) {
             try {
                 const data = await api.getPendingKeyExchanges();
                 if (data.keyExchanges && data.keyExchanges.length > 0) {
+                    // Prekey exchanges don't need anything from us, so we just accept them
+                    for (const exchange of data.keyExchanges) {
+                        if (exchange.protocol === 'X3DH') {
+                            await handlersRef.current.acceptPendingPreKeyExchange(exchange);
+                        }
+                    }
+
                     // Check if we have a pending exchange from the selected user
                     if (selectedUser) {
                         const pendingFromSelected = data.keyExchanges.find(
-                            ke => ke.initiatorId._id === selectedUser._id
+                            ke => ke.initiatorId._id === selectedUser._id && ke.protocol !== 'X3DH'
                         );
                         if (pendingFromSelected) {
                             setStatus(`🔔 Incoming key exchange request from ${selectedUser.username}!`);
@@ -223,99 +386,46 @@ function ChatApp({ user, onLogout }) {
         return () => clearInterval(interval);
     }, [user, selectedUser]);
 
-    // Poll for key exchange confirmation (if we initiated)
+    // Poll for key exchange responses (for every exchange this device started)
+    // and for key confirmations (for every exchange this device responded to)
     useEffect(() => {
-        // Wait a bit before starting to poll (give time for initiation to complete)
-        const initialDelay = setTimeout(() => {
-            const checkConfirmation = async () => {
-                if (!selectedUser || sessionKey) return;
-
-                // Check if we have a pending initiation in session storage
-                const pendingInitKey = Object.keys(sessionStorage)
-                    .find(k => k.startsWith('ecdhKeyPair_') &&
-                        JSON.parse(sessionStorage.getItem(k)).responderId === selectedUser._id);
-
-                if (pendingInitKey) {
-                    const pendingData = JSON.parse(sessionStorage.getItem(pendingInitKey));
-
-                    try {
-                        // Try to confirm (this will only succeed if responder has responded)
-                        const response = await api.confirmKeyExchange(pendingData.keyExchangeId);
-
-                        if (response.status === 'CONFIRMED' && response.responder) {
-                            setStatus('✅ Responder accepted! Finalizing secure connection...');
-
-                            // Import our ECDH private key back
-                            const initiatorECDHPrivateKey = await window.crypto.subtle.importKey(
-                                'jwk',
-                                pendingData.privateKeyJwk,
-                                { name: 'ECDH', namedCurve: 'P-256' },
-                                true,
-                                ['deriveKey', 'deriveBits']
-                            );
-
-                            // Prepare responder message object
-                            const responderMessage = {
-                                ecdhPublicKey: response.responder.ecdhPublicKey,
-                                signature: response.responder.signature,
-                                nonce: response.responder.nonce,
-                                timestamp: response.responder.timestamp
-                            };
-
-                            // Import responder's user public key for signature verification
-                            // Ensure we have the public key
-                            if (!selectedUser || !selectedUser.publicKey) {
-                                throw new Error('Responder public key not found. Please refresh and try again.');
-                            }
-                            
-                            const responderUserPublicKey = await importPublicKey(
-                                selectedUser.publicKey,
-                                'ECDSA'
-                            );
-
-                            // Complete key exchange (verifies signature and generates session key)
-                            const { sessionKey: newSessionKey } = await completeKeyExchange(
-                                responderMessage,
-                                responderUserPublicKey,
-                                initiatorECDHPrivateKey,
-                                pendingData.nonce
-                            );
-
-                            // Store session key
-                            setSessionKey(newSessionKey);
-                            const exportedSessionKey = await exportSessionKey(newSessionKey);
-                            sessionStorage.setItem(`sessionKey_${selectedUser._id}`, exportedSessionKey);
-
-                            // Cleanup pending data
-                            sessionStorage.removeItem(pendingInitKey);
-
-                            setStatus('✅ Secure connection established!');
-                            alert(`Secure connection established with ${selectedUser.username}!`);
-                        }
-                    } catch (err) {
-                        // Ignore 404/400 errors as they mean "not ready yet" - these are expected
-                        // Only log unexpected errors
-                        const status = err.response?.status || err.status;
-                        if (status !== 404 && status !== 400) {
-                            console.error('Error checking confirmation:', err);
-                        }
-                        // Silently ignore expected 404/400 errors
+        const checkConfirmation = async () => {
+            const pendingIds = Object.keys(sessionStorage)
+                .filter(k => k.startsWith('ecdhKeyPair_'))
+                .map(k => k.slice('ecdhKeyPair_'.length));
+
+            for (const keyExchangeId of pendingIds) {
+                try {
+                    // Try to confirm (this will only succeed if responder has responded)
+                    await handlersRef.current.finishKeyExchange(keyExchangeId);
+                } catch (err) {
+                    // Ignore 404/400 errors as they mean "not ready yet" - these are expected
+                    // Only log unexpected errors
+                    const status = err.response?.status || err.status;
+                    if (status !== 404 && status !== 400) {
+                        console.error('Error checking confirmation:', err);
                     }
                 }
-            };
+            }
 
-            const interval = setInterval(checkConfirmation, 3000); // Check every 3s
-            
-            // Cleanup function
-            return () => {
-                clearInterval(interval);
-            };
-        }, 2000); // Wait 2 seconds before starting to poll
+            // Only asking the server when we're actually waiting for an initiator
+            const hasPendingRatchets = Object.keys(sessionStorage).some(k => k.startsWith('pendingRatchet_'));
+            if (!hasPendingRatchets) return;
 
-        return () => {
-            clearTimeout(initialDelay);
+            try {
+                const data = await api.getKeyConfirmations();
+                for (const exchange of data.keyExchanges || []) {
+                    await handlersRef.current.finishKeyConfirmation(exchange._id, exchange.initiatorConfirmation);
+                }
+            } catch (err) {
+                console.error('Error checking key confirmations:', err);
+                setError(err.message || 'Failed to confirm key exchange');
+            }
         };
-    }, [selectedUser, sessionKey]);
+
+        const interval = setInterval(checkConfirmation, 3000); // Check every 3s
+        return () => clearInterval(interval);
+    }, [user]);
 
     const loadUsers = async () => {
         try {
@@ -327,6 +437,92 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
+    const loadGroups = async () => {
+        try {
+            const data = await api.getGroups();
+            setGroups(data.groups);
+        } catch (err) {
+            console.error('Failed to load groups:', err);
+        }
+    };
+
+    // Only one conversation is open at a time, either with a contact or a group
+    const handleSelectUser = (contact) => {
+        setSelectedGroup(null);
+        setSelectedUser(contact);
+    };
+
+    const handleSelectGroup = (group) => {
+        setSelectedUser(null);
+        setPeerDevices([]);
+        setMessages([]);
+        setSelectedGroup(group);
+    };
+
+    const handleCreateGroup = async () => {
+        const name = prompt('Group name:');
+        if (!name || !name.trim()) return;
+
+        const usernames = prompt('Members (comma-separated usernames):') || '';
+        const wanted = usernames.split(',').map(username => username.trim()).filter(Boolean);
+        const unknown = wanted.filter(username => !users.some(u => u.username === username));
+
+        if (unknown.length > 0) {
+            setError(`Unknown users: ${unknown.join(', ')}`);
+            return;
+        }
+
+        try {
+            const memberIds = users.filter(u => wanted.includes(u.username)).map(u => u._id);
+            const data = await api.createGroup(name.trim(), memberIds);
+            await loadGroups();
+            handleSelectGroup(data.group);
+        } catch (err) {
+            console.error('Failed to create group:', err);
+            setError(err.response?.data?.error || 'Failed to create group');
+        }
+    };
+
+    // Our other devices get a copy of everything we send
+    const loadOwnDevices = async () => {
+        try {
+            const data = await api.getDevices();
+            const activeDevices = data.devices.filter(device => !device.revoked);
+            setOwnDevices(activeDevices.filter(device => device._id !== user.deviceId));
+            setOwnIdentityKeys(activeDevices.map(device => device.publicKey));
+        } catch (err) {
+            console.error('Failed to load devices:', err);
+        }
+    };
+
+    const loadPeerDevices = async (peer) => {
+        try {
+            const data = await api.getUserByUsername(peer.username);
+            const devices = data.user.devices || [];
+
+            // Every device key has to be in the transparency log before we use it
+            try {
+                await verifyUserKeys(peer.username, devices, data.transparency, {
+                    fetchLogKey: api.getTransparencyLogKey,
+                    fetchConsistencyProof: api.getConsistencyProof
+                });
+            } catch (err) {
+                console.error('Key transparency check failed:', err);
+                if (selectedUserRef.current?._id === peer._id) {
+                    setError(`⚠️ Key transparency check failed: ${err.message}`);
+                }
+                return;
+            }
+
+            if (selectedUserRef.current?._id === peer._id) {
+                setPeerDevices(devices);
+            }
+        } catch (err) {
+            console.error('Failed to load devices:', err);
+            setError('Failed to load contact devices');
+        }
+    };
+
     const loadMessages = async () => {
         if (!selectedUser) return;
 
@@ -339,55 +535,285 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
+    // Starting a key exchange with a single device
+    // Resolves to true if the ratchet is ready straight away (prekeys), false if we wait for an answer
+    const startDeviceKeyExchange = async (owner, device, privateKey) => {
+        // Trying its prekey bundle first - that works even if it's offline
+        const bundle = await fetchPreKeyBundle(owner, device);
+        if (bundle) {
+            const { ratchet, message: preKeyMsg } = await initiatePreKeyExchange(bundle, privateKey, {
+                initiatorId: user.userId,
+                initiatorDeviceId: user.deviceId,
+                responderId: owner._id,
+                responderDeviceId: device._id
+            });
+
+            await api.initiatePreKeyExchange({
+                responderUsername: owner.username,
+                responderDeviceId: device._id,
+                ...preKeyMsg
+            });
+
+            saveRatchet(device._id, ratchet);
+            return true;
+        }
+
+        // Initiate key exchange (the signature names both devices)
+        const { ecdhKeyPair, message: keyExchangeMsg } = await initiateKeyExchange(privateKey, {
+            initiatorId: user.userId,
+            initiatorDeviceId: user.deviceId,
+            responderId: owner._id,
+            responderDeviceId: device._id
+        });
+
+        // Send to server
+        const response = await api.initiateKeyExchange({
+            responderUsername: owner.username,
+            responderDeviceId: device._id,
+            ecdhPublicKey: keyExchangeMsg.ecdhPublicKey,
+            signature: keyExchangeMsg.signature,
+            nonce: keyExchangeMsg.nonce,
+            timestamp: keyExchangeMsg.timestamp,
+            keySchedules: keyExchangeMsg.keySchedules
+        });
+
+        // Export and store ephemeral private key
+        const exportedKey = await window.crypto.subtle.exportKey('jwk', ecdhKeyPair.privateKey);
+
+        sessionStorage.setItem(`ecdhKeyPair_${response.keyExchangeId}`, JSON.stringify({
+            keyExchangeId: response.keyExchangeId,
+            nonce: keyExchangeMsg.nonce,
+            timestamp: keyExchangeMsg.timestamp,
+            keySchedules: keyExchangeMsg.keySchedules,
+            ecdhPublicKey: keyExchangeMsg.ecdhPublicKey, // Our half of the transcript the responder signs
+            responderId: owner._id,
+            responderDeviceId: device._id,
+            responderPublicKey: device.publicKey, // Identity key the response has to be signed with
+            privateKeyJwk: exportedKey // Store key to survive reload
+        }));
+
+        console.log(`✓ Key exchange initiated! ID: ${response.keyExchangeId}`);
+        return false;
+    };
+
+    // Running key exchange with a list of { owner, device } that don't have a ratchet yet
+    // Groups use this too, their sender keys travel over these pairwise ratchets
+    const connectDevices = async (targets) => {
+        const password = prompt('Enter your password to access private key:');
+        if (!password) {
+            setStatus('');
+            return;
+        }
+
+        // Retrieve our private key
+        const privateKey = await retrievePrivateKey(password, user.userId);
+
+        let ready = 0;
+        let waiting = 0;
+        for (const { owner, device } of targets.filter(({ device }) => !loadRatchet(device._id))) {
+            try {
+                if (await startDeviceKeyExchange(owner, device, privateKey)) {
+                    ready += 1;
+                } else {
+                    waiting += 1;
+                }
+            } catch (err) {
+                console.error(`Key exchange with device ${device.name} failed:`, err);
+                setError(err.message || 'Key exchange failed');
+            }
+        }
+
+        setStatus(waiting > 0
+            ? `⏳ ${ready} device(s) ready, waiting for ${waiting} device(s) to respond...`
+            : `✅ Secure connection established with ${ready} device(s)!`);
+    };
+
     const handleInitiateKeyExchange = async () => {
         setLoading(true);
         setError('');
         setStatus('Initiating key exchange...');
 
         try {
-            const password = prompt('Enter your password to access private key:');
-            if (!password) {
-                setLoading(false);
-                setStatus('');
-                return;
+            if (peerDevices.length === 0) {
+                throw new Error(`${selectedUser.username} has no active devices`);
+            }
+
+            // Every one of their devices and our own other devices needs its own ratchet
+            const self = { _id: user.userId, username: user.username };
+            await connectDevices([
+                ...peerDevices.map(device => ({ owner: selectedUser, device })),
+                ...ownDevices.map(device => ({ owner: self, device }))
+            ]);
+        } catch (err) {
+            console.error('Key exchange initiation failed:', err);
+            setError(err.message || 'Key exchange failed');
+            setStatus('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Getting a device's prekey bundle, or null if it hasn't published any
+    const fetchPreKeyBundle = async (owner, device) => {
+        try {
+            const { bundle } = await api.getPreKeyBundle(owner.username, device._id);
+
+            // The bundle has to be signed by the same identity key we already know for that device
+            if (bundle.identityKey !== device.publicKey) {
+                throw new Error('Prekey bundle identity key does not match - possible MITM attack detected!');
             }
 
-            // Retrieve our private key
-            const privateKey = await retrievePrivateKey(password, user.userId);
+            return bundle;
+        } catch (err) {
+            if (err.response?.status === 404) return null;
+            throw err;
+        }
+    };
 
-            // Initiate key exchange
-            const { ecdhKeyPair, message: keyExchangeMsg } = await initiateKeyExchange(privateKey);
+    // Finishing an exchange this device started, once the other device has responded
+    const finishKeyExchange = async (keyExchangeId) => {
+        const pendingInitKey = `ecdhKeyPair_${keyExchangeId}`;
+        const stored = sessionStorage.getItem(pendingInitKey);
 
-            // Send to server
-            const response = await api.initiateKeyExchange({
-                responderUsername: selectedUser.username,
-                ecdhPublicKey: keyExchangeMsg.ecdhPublicKey,
-                signature: keyExchangeMsg.signature,
-                nonce: keyExchangeMsg.nonce,
-                timestamp: keyExchangeMsg.timestamp
-            });
+        // The socket notification and the poll can both get here
+        if (!stored || completingExchangesRef.current.has(keyExchangeId)) return;
+        completingExchangesRef.current.add(keyExchangeId);
 
-            setStatus(`⏳ Waiting for ${selectedUser.username} to respond...`);
+        try {
+            const pendingData = JSON.parse(stored);
+            // 404 until the responder has answered
+            const response = await api.getKeyExchangeResponse(keyExchangeId);
 
-            // Export and store ephemeral private key
-            const exportedKey = await window.crypto.subtle.exportKey('jwk', ecdhKeyPair.privateKey);
+            let ratchet;
+            let confirmation;
+            try {
+                // Import our ECDH private key back
+                const initiatorECDHPrivateKey = await window.crypto.subtle.importKey(
+                    'jwk',
+                    pendingData.privateKeyJwk,
+                    { name: 'ECDH', namedCurve: 'P-256' },
+                    true,
+                    ['deriveKey', 'deriveBits']
+                );
+
+                // Prepare responder message object
+                const responderMessage = {
+                    ecdhPublicKey: response.responder.ecdhPublicKey,
+                    signature: response.responder.signature,
+                    nonce: response.responder.nonce,
+                    timestamp: response.responder.timestamp,
+                    keySchedule: response.responder.keySchedule,
+                    confirmation: response.responder.confirmation
+                };
+
+                // The response has to be signed by the device we started the exchange with
+                const responderDevicePublicKey = await importPublicKey(pendingData.responderPublicKey, 'ECDSA');
+
+                // Complete key exchange (verifies signature and key confirmation, starts the message ratchet)
+                ({ ratchet, confirmation } = await completeKeyExchange(
+                    responderMessage,
+                    responderDevicePublicKey,
+                    initiatorECDHPrivateKey,
+                    {
+                        ecdhPublicKey: pendingData.ecdhPublicKey,
+                        nonce: pendingData.nonce,
+                        timestamp: pendingData.timestamp,
+                        keySchedules: pendingData.keySchedules
+                    },
+                    {
+                        keyExchangeId,
+                        initiatorId: user.userId,
+                        initiatorDeviceId: user.deviceId,
+                        responderId: pendingData.responderId,
+                        responderDeviceId: pendingData.responderDeviceId
+                    }
+                ));
+            } catch (err) {
+                // Nothing to retry, whoever answered didn't derive our keys
+                sessionStorage.removeItem(pendingInitKey);
+                await api.failKeyExchange(keyExchangeId, err.message)
+                    .catch(failErr => console.error('Failed to report key exchange failure:', failErr));
+                throw err;
+            }
 
-            sessionStorage.setItem(`ecdhKeyPair_${response.keyExchangeId}`, JSON.stringify({
-                keyExchangeId: response.keyExchangeId,
-                nonce: keyExchangeMsg.nonce,
-                responderId: selectedUser._id,
-                privateKeyJwk: exportedKey // Store key to survive reload
-            }));
+            // The responder starts using its ratchet once it has checked our MAC
+            await api.confirmKeyExchange(keyExchangeId, confirmation);
+            sessionStorage.removeItem(pendingInitKey);
 
-            // Don't show alert - status message is enough
-            console.log(`✓ Key exchange initiated! ID: ${response.keyExchangeId}`);
+            // Store ratchet state
+            saveRatchet(pendingData.responderDeviceId, ratchet);
 
-        } catch (err) {
-            console.error('Key exchange initiation failed:', err);
-            setError(err.message || 'Key exchange failed');
+            setStatus('✅ Secure connection established!');
+            setTimeout(() => setStatus(''), 3000);
         } finally {
-            setLoading(false);
-            setStatus('');
+            completingExchangesRef.current.delete(keyExchangeId);
+        }
+    };
+
+    // Checking the initiator's key confirmation for an exchange this device responded to
+    // The ratchet is only used once the initiator has proved it derived the same keys
+    const finishKeyConfirmation = async (keyExchangeId, mac) => {
+        const pendingKey = `pendingRatchet_${keyExchangeId}`;
+        const stored = sessionStorage.getItem(pendingKey);
+
+        if (!stored || completingExchangesRef.current.has(keyExchangeId)) return;
+        completingExchangesRef.current.add(keyExchangeId);
+
+        try {
+            const pending = JSON.parse(stored);
+            sessionStorage.removeItem(pendingKey);
+
+            if (!await verifyKeyConfirmation(pending.confirmation, 'initiator', mac)) {
+                await api.failKeyExchange(keyExchangeId, 'Initiator key confirmation did not match')
+                    .catch(failErr => console.error('Failed to report key exchange failure:', failErr));
+                throw new Error('Key confirmation failed - the initiator derived a different key');
+            }
+
+            saveRatchet(pending.initiatorDeviceId, pending.ratchet);
+            await api.finalizeKeyExchange(keyExchangeId);
+
+            setStatus('✅ Secure connection established!');
+            setTimeout(() => setStatus(''), 3000);
+        } finally {
+            completingExchangesRef.current.delete(keyExchangeId);
+        }
+    };
+
+    // Setting up the ratchet from a prekey message that was waiting for us
+    const acceptPendingPreKeyExchange = async (exchange) => {
+        if (acceptedPreKeyExchangesRef.current.has(exchange._id)) return;
+        acceptedPreKeyExchangesRef.current.add(exchange._id);
+
+        try {
+            const { ratchet } = await acceptPreKeyExchange(
+                {
+                    ecdhPublicKey: exchange.initiatorECDHPublicKey,
+                    signature: exchange.initiatorSignature,
+                    nonce: exchange.initiatorNonce,
+                    timestamp: exchange.initiatorTimestamp,
+                    keySchedule: exchange.keySchedule,
+                    signedPreKeyId: exchange.signedPreKeyId,
+                    oneTimePreKeyId: exchange.oneTimePreKeyId
+                },
+                exchange.initiatorDeviceId.publicKey,
+                {
+                    initiatorId: exchange.initiatorId._id,
+                    initiatorDeviceId: exchange.initiatorDeviceId._id,
+                    responderId: user.userId,
+                    responderDeviceId: user.deviceId
+                }
+            );
+
+            saveRatchet(exchange.initiatorDeviceId._id, ratchet);
+            await api.acceptPreKeyExchange(exchange._id);
+
+            if (selectedUserRef.current?._id === exchange.initiatorId._id) {
+                setStatus(`✅ ${exchange.initiatorId.username} started a secure conversation with you`);
+                setTimeout(() => setStatus(''), 3000);
+            }
+        } catch (err) {
+            console.error('Failed to accept prekey exchange:', err);
+            setError(err.message || 'Failed to accept prekey exchange');
         }
     };
 
@@ -395,20 +821,27 @@ function ChatApp({ user, onLogout }) {
         setLoading(true);
         try {
             const data = await api.getPendingKeyExchanges();
-            if (data.keyExchanges && data.keyExchanges.length > 0) {
-                // Find one for current selected user
-                const pending = data.keyExchanges.find(ke => ke.initiatorId._id === selectedUser?._id);
-
-                if (pending) {
-                    const confirm = window.confirm(`Found pending key exchange from ${pending.initiatorId.username}. Respond now?`);
-                    if (confirm) {
-                        await handleRespondToExchange(pending);
-                    }
-                } else {
-                    alert('No pending key exchanges found for this user.');
+            // Exchanges from any of their devices or from our own other devices
+            const pending = (data.keyExchanges || []).filter(ke =>
+                ke.initiatorId._id === selectedUser?._id || ke.initiatorId._id === user.userId
+            );
+
+            if (pending.length === 0) {
+                alert('No pending key exchanges found for this user.');
+                return;
+            }
+
+            for (const exchange of pending.filter(ke => ke.protocol === 'X3DH')) {
+                await acceptPendingPreKeyExchange(exchange);
+            }
+
+            const interactive = pending.filter(ke => ke.protocol !== 'X3DH');
+            if (interactive.length > 0) {
+                const devices = interactive.map(ke => `${ke.initiatorId.username} (${ke.initiatorDeviceId.name})`);
+                const confirm = window.confirm(`Found pending key exchanges from ${devices.join(', ')}. Respond now?`);
+                if (confirm) {
+                    await handleRespondToExchanges(interactive);
                 }
-            } else {
-                alert('No pending key exchanges found.');
             }
         } catch (err) {
             console.error('Failed to check pending:', err);
@@ -418,96 +851,188 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
-    const handleRespondToExchange = async (pendingExchange) => {
-        try {
-            const password = prompt('Enter your password to access private key:');
-            if (!password) return;
+    const handleRespondToExchanges = async (pendingExchanges) => {
+        const password = prompt('Enter your password to access private key:');
+        if (!password) return;
 
+        let responded = 0;
+        try {
             setStatus('Responding to key exchange...');
 
             // Get our private key
             const responderPrivateKey = await retrievePrivateKey(password, user.userId);
 
-            // Prepare initiator message object
-            const initiatorMessage = {
-                ecdhPublicKey: pendingExchange.initiatorECDHPublicKey,
-                signature: pendingExchange.initiatorSignature,
-                nonce: pendingExchange.initiatorNonce,
-                timestamp: pendingExchange.initiatorTimestamp
-            };
+            for (const pendingExchange of pendingExchanges) {
+                // Prepare initiator message object
+                const initiatorMessage = {
+                    ecdhPublicKey: pendingExchange.initiatorECDHPublicKey,
+                    signature: pendingExchange.initiatorSignature,
+                    nonce: pendingExchange.initiatorNonce,
+                    timestamp: pendingExchange.initiatorTimestamp,
+                    keySchedules: pendingExchange.keySchedules
+                };
+
+                // The signature has to come from the device that started the exchange
+                const initiatorDevice = pendingExchange.initiatorDeviceId;
+                if (!initiatorDevice || !initiatorDevice.publicKey) {
+                    throw new Error('Initiator device public key not found in exchange data');
+                }
+
+                const initiatorDevicePublicKey = await importPublicKey(initiatorDevice.publicKey, 'ECDSA');
+
+                // Respond to key exchange (this verifies signature and prepares the message ratchet)
+                // The offer has to name this device, or it was meant for someone else
+                const { ratchet, confirmation, message: responseMsg } = await respondToKeyExchange(
+                    initiatorMessage,
+                    initiatorDevicePublicKey,
+                    responderPrivateKey,
+                    {
+                        keyExchangeId: pendingExchange._id,
+                        initiatorId: pendingExchange.initiatorId._id,
+                        initiatorDeviceId: initiatorDevice._id,
+                        responderId: user.userId,
+                        responderDeviceId: user.deviceId
+                    }
+                );
+
+                // Send response to server
+                await api.respondToKeyExchange({
+                    keyExchangeId: pendingExchange._id,
+                    ecdhPublicKey: responseMsg.ecdhPublicKey,
+                    signature: responseMsg.signature,
+                    nonce: responseMsg.nonce,
+                    timestamp: responseMsg.timestamp,
+                    keySchedule: responseMsg.keySchedule,
+                    confirmation: responseMsg.confirmation
+                });
 
-            // Import initiator's public key for signature verification
-            // Ensure we have the public key
-            if (!pendingExchange.initiatorId || !pendingExchange.initiatorId.publicKey) {
-                throw new Error('Initiator public key not found in exchange data');
+                // Holding on to the ratchet until the initiator's key confirmation comes back
+                sessionStorage.setItem(`pendingRatchet_${pendingExchange._id}`, JSON.stringify({
+                    initiatorId: pendingExchange.initiatorId._id,
+                    initiatorDeviceId: initiatorDevice._id,
+                    ratchet,
+                    confirmation
+                }));
+                responded += 1;
             }
-            
-            // Log for debugging (first 50 chars only)
-            const publicKeyPreview = typeof pendingExchange.initiatorId.publicKey === 'string' 
-                ? pendingExchange.initiatorId.publicKey.substring(0, 50) 
-                : 'Not a string';
-            console.log('Importing initiator public key (preview):', publicKeyPreview);
-            
-            const initiatorUserPublicKey = await importPublicKey(
-                pendingExchange.initiatorId.publicKey,
-                'ECDSA'
-            );
 
-            // Respond to key exchange (this verifies signature and generates session key)
-            const { sessionKey, message: responseMsg } = await respondToKeyExchange(
-                initiatorMessage,
-                initiatorUserPublicKey,
-                responderPrivateKey
-            );
+            setStatus('⏳ Responded! Waiting for the other device to confirm the keys...');
+
+        } catch (err) {
+            console.error('Failed to respond to exchange:', err);
+            setError(err.message || 'Failed to respond to key exchange');
+            if (responded > 0) {
+                setStatus(`✅ Responded to ${responded} of ${pendingExchanges.length} key exchanges`);
+            }
+        }
+    };
 
-            // Send response to server
-            const response = await api.respondToKeyExchange({
-                keyExchangeId: pendingExchange._id,
-                ecdhPublicKey: responseMsg.ecdhPublicKey,
-                signature: responseMsg.signature,
-                nonce: responseMsg.nonce,
-                timestamp: responseMsg.timestamp
+    // Encrypting one copy of the plaintext per device, each with that device's ratchet
+    // forDevice (if given) turns the plaintext into that device's copy, using its ratchet state
+    const encryptForDevices = (devices, plaintext, associatedData = null, forDevice = null) => withRatchet(async () => {
+        const envelopes = [];
+        for (const device of devices) {
+            const ratchet = loadRatchet(device._id);
+            const devicePlaintext = forDevice ? await forDevice(ratchet) : plaintext;
+            const { state, header, ciphertext, iv } = await ratchetEncrypt(ratchet, devicePlaintext, associatedData);
+
+            // Saving before sending so a message key is never used twice
+            saveRatchet(device._id, state);
+
+            envelopes.push({
+                deviceId: device._id,
+                ciphertext,
+                iv,
+                ratchetKey: header.ratchetKey,
+                previousChainLength: header.previousChainLength,
+                messageNumber: header.messageNumber
             });
+        }
+        return envelopes;
+    });
+
+    // Decrypting an envelope another device encrypted for us with our pairwise ratchet
+    const decryptFromDevice = (senderDeviceId, envelope) => withRatchet(async () => {
+        const ratchet = loadRatchet(senderDeviceId);
+        if (!ratchet) {
+            throw new Error(NO_DEVICE_SESSION);
+        }
+
+        const { state, plaintext } = await ratchetDecrypt(
+            ratchet,
+            {
+                ratchetKey: envelope.ratchetKey,
+                previousChainLength: envelope.previousChainLength,
+                messageNumber: envelope.messageNumber
+            },
+            envelope.ciphertext,
+            envelope.iv
+        );
 
-            // Store session key (responder already has it from respondToKeyExchange)
-            setSessionKey(sessionKey);
-            const exportedKey = await exportSessionKey(sessionKey);
-            sessionStorage.setItem(`sessionKey_${selectedUser._id}`, exportedKey);
+        saveRatchet(senderDeviceId, state);
+        return plaintext;
+    });
+
+    // Encrypting a copy for every device we have a ratchet with and sending them off together
+    // (we can't decrypt our own messages later, so we keep the plaintext locally)
+    // forDevice works the same as for encryptForDevices()
+    const sendRatchetMessage = async (plaintext, extraFields = {}, forDevice = null) => {
+        const peerId = selectedUser._id;
+        const targets = [...peerDevices, ...ownDevices].filter(device => connectedDevices.includes(device._id));
+
+        let metadata;
+        let response;
+        for (let attempt = 1; ; attempt++) {
+            // The server only takes the next number in line, so we start from its counter (not from 0 after a reload)
+            if (nextSequenceRef.current[peerId] === undefined) {
+                nextSequenceRef.current[peerId] = await api.getNextSequenceNumber(peerId);
+            }
 
-            setStatus('✅ Key exchange complete! Secure connection established.');
-            alert('Key exchange successful! You can now send encrypted messages.');
+            // Generate replay protection metadata, authenticated in every copy along with who it's from and to
+            metadata = generateMessageMetadata(nextSequenceRef.current[peerId]);
+            const envelopes = await encryptForDevices(targets, plaintext, envelopeAssociatedData({
+                version: ENVELOPE_VERSION,
+                senderId: user.userId,
+                receiverId: peerId,
+                ...metadata
+            }), forDevice);
 
-        } catch (err) {
-            console.error('Failed to respond to exchange:', err);
-            setError(err.message || 'Failed to respond to key exchange');
+            try {
+                response = await api.sendMessage({
+                    receiverId: peerId,
+                    envelopes,
+                    nonce: metadata.nonce,
+                    sequenceNumber: metadata.sequenceNumber,
+                    timestamp: metadata.timestamp,
+                    envelopeVersion: ENVELOPE_VERSION,
+                    ...extraFields
+                });
+                break;
+            } catch (err) {
+                // Asking the server again, we may be out of step (e.g. another tab on this device sent something)
+                delete nextSequenceRef.current[peerId];
+                if (err.response?.status !== 409 || attempt >= 2) throw err;
+            }
         }
+
+        // All device copies share the nonce, so that's what we cache by
+        sessionStorage.setItem(`plaintext_${metadata.nonce}`, plaintext);
+        nextSequenceRef.current[peerId] = metadata.sequenceNumber + 1;
+
+        return response;
     };
 
     const handleSendMessage = async (e) => {
         e.preventDefault();
-        if (!newMessage.trim() || !sessionKey) return;
+        if (!newMessage.trim() || !hasSession || sendBlocked) return;
 
         setLoading(true);
         setError('');
 
         try {
-            // Encrypt message
-            const encrypted = await encryptMessage(newMessage, sessionKey);
-
-            // Generate replay protection metadata
-            const metadata = generateMessageMetadata(sequenceNumber);
-
-            // Send to server
-            await api.sendMessage({
-                receiverId: selectedUser._id,
-                ciphertext: encrypted.ciphertext,
-                iv: encrypted.iv,
-                nonce: metadata.nonce,
-                sequenceNumber: metadata.sequenceNumber,
-                timestamp: metadata.timestamp
-            });
+            // Encrypt and send
+            await sendRatchetMessage(newMessage);
 
-            setSequenceNumber(prev => prev + 1);
             setNewMessage('');
 
             // Reload messages
@@ -521,22 +1046,79 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
-    const decryptAndDisplayMessage = async (msg) => {
-        if (!sessionKey) return '🔒 [Encrypted - No session key]';
+    // Decrypting a stored message, stepping the ratchet only the first time we see it
+    const decryptMessagePayload = async (msg) => {
+        const cached = sessionStorage.getItem(`plaintext_${msg.nonce}`);
+        if (cached !== null) return cached;
+
+        if (msg.senderDeviceId === user.deviceId) {
+            throw new Error('Own message from an earlier session');
+        }
+
+        // Each copy is encrypted with the ratchet between the sending device and this one
+        if (!loadRatchet(msg.senderDeviceId)) {
+            throw new Error(NO_DEVICE_SESSION);
+        }
+
+        return withRatchet(async () => {
+            // Another bubble may have decrypted it while we were waiting
+            const decryptedMeanwhile = sessionStorage.getItem(`plaintext_${msg.nonce}`);
+            if (decryptedMeanwhile !== null) return decryptedMeanwhile;
+
+            const { state, plaintext: decrypted } = await ratchetDecrypt(
+                loadRatchet(msg.senderDeviceId),
+                {
+                    ratchetKey: msg.ratchetKey,
+                    previousChainLength: msg.previousChainLength,
+                    messageNumber: msg.messageNumber
+                },
+                msg.ciphertext,
+                msg.iv,
+                envelopeAssociatedData(envelopeFromMessage(msg))
+            );
+
+            // The message key is used up either way, so the ratchet is saved before unwrapping anything
+            saveRatchet(msg.senderDeviceId, state);
+
+            const plaintext = msg.type === 'file' ? await unwrapFileMessage(decrypted, state) : decrypted;
+            sessionStorage.setItem(`plaintext_${msg.nonce}`, plaintext);
 
+            return plaintext;
+        });
+    };
+
+    // Swapping the wrapped file key in a file message for the file key itself
+    // Sessions with a file key wrapping key only take wrapped keys
+    const unwrapFileMessage = async (plaintext, ratchet) => {
+        const { wrappedFileKey, ...fileInfo } = JSON.parse(plaintext);
+
+        if (!ratchet.fileKeyWrappingKey) {
+            return plaintext;
+        }
+        if (!wrappedFileKey) {
+            throw new Error('File message without a wrapped file key');
+        }
+
+        const fileKey = await unwrapFileKey(wrappedFileKey, ratchet.fileKeyWrappingKey, fileInfo.fileId);
+        return JSON.stringify({ ...fileInfo, fileKey });
+    };
+
+    const decryptAndDisplayMessage = async (msg) => {
         try {
             // Validate replay protection - treat loaded messages as historical
             // Only newly received messages (via socket) should have strict validation
+            // The envelope checked here is what decryption authenticates below
             const validation = await validateMessageMetadata(
-                {
-                    nonce: msg.nonce,
-                    timestamp: msg.timestamp,
-                    sequenceNumber: msg.sequenceNumber
-                },
+                envelopeFromMessage(msg),
                 selectedUser._id,
-                { isHistorical: true } // Messages loaded from DB are historical
+                { isHistorical: true, ownUserId: user.userId } // Messages loaded from DB are historical
             );
 
+            // A message claiming to be from another conversation isn't shown at all
+            if (validation.reason === 'ENVELOPE_MISMATCH' || validation.reason === 'UNSUPPORTED_ENVELOPE') {
+                return `⚠️ [Message rejected - ${validation.details}]`;
+            }
+
             if (!validation.valid) {
                 // For historical messages, still try to decrypt even if validation fails
                 // (they're from the database, so they're legitimate)
@@ -544,15 +1126,15 @@ function ChatApp({ user, onLogout }) {
             }
 
             // Decrypt
-            const plaintext = await decryptMessage(
-                msg.ciphertext,
-                msg.iv,
-                sessionKey
-            );
-
-            return plaintext;
+            return await decryptMessagePayload(msg);
         } catch (err) {
+            if (err.message === NO_DEVICE_SESSION) {
+                return '🔒 [Encrypted - No session key for the sending device]';
+            }
             console.error('Decryption failed:', err);
+            if (msg.senderDeviceId === user.deviceId) {
+                return '🔑 [Sent from an earlier session]\n\nMessage keys are deleted after use, so your own messages can only be shown in the session that sent them.';
+            }
             // Check if this is likely a key mismatch (most common cause)
             if (err.message && (err.message.includes('invalid key') || err.message.includes('OperationError'))) {
                 // Check if message is older than current session (if we can determine)
@@ -570,41 +1152,11 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
-    const handleManualSessionKey = async () => {
-        const keyBase64 = prompt('Enter session key (base64):');
-        if (!keyBase64) return;
-
-        try {
-            const key = await importSessionKey(keyBase64);
-            setSessionKey(key);
-            sessionStorage.setItem(`sessionKey_${selectedUser._id}`, keyBase64);
-            setStatus('Session key imported!');
-            setTimeout(() => setStatus(''), 3000);
-        } catch (err) {
-            setError('Failed to import session key');
-        }
-    };
-
-    const handleExportSessionKey = async () => {
-        if (!sessionKey) {
-            setError('No session key to export');
-            return;
-        }
-
-        try {
-            const keyBase64 = await exportSessionKey(sessionKey);
-            alert(`Session Key (share securely):\n\n${keyBase64}`);
-        } catch (err) {
-            setError('Failed to export session key');
-        }
-    };
-
     const handleFileSelect = (e) => {
         const file = e.target.files[0];
         if (file) {
-            // 10MB limit
-            if (file.size > 10 * 1024 * 1024) {
-                setError('File too large. Maximum size is 10MB.');
+            if (paddedFileSize(file.size) > MAX_FILE_SIZE) {
+                setError('File too large. Maximum size is 4GB.');
                 return;
             }
             setSelectedFile(file);
@@ -613,39 +1165,40 @@ function ChatApp({ user, onLogout }) {
     };
 
     const handleFileUpload = async () => {
-        if (!selectedFile || !sessionKey) return;
+        if (!selectedFile || !hasSession || sendBlocked) return;
 
         setLoading(true);
         setError('');
         setUploadProgress(0);
+        setPendingUpload({ name: selectedFile.name, size: selectedFile.size });
 
         try {
-            // Read file as ArrayBuffer
-            const fileData = await selectedFile.arrayBuffer();
-
-            // Encrypt file
-            setStatus('Encrypting file...');
-            const encryptedFile = await encryptFile(fileData, sessionKey);
-
-            // Generate replay protection metadata
-            const metadata = generateMessageMetadata(sequenceNumber);
-
-            // Send to server
-            setStatus('Uploading encrypted file...');
-            await api.sendMessage({
-                receiverId: selectedUser._id,
-                type: 'file',
-                fileName: selectedFile.name,
-                fileSize: selectedFile.size,
-                fileType: selectedFile.type,
-                encryptedChunks: encryptedFile.chunks,
-                totalChunks: encryptedFile.totalChunks,
-                nonce: metadata.nonce,
-                sequenceNumber: metadata.sequenceNumber,
-                timestamp: metadata.timestamp
+            // Encrypt the file with its own random key and upload it chunk by chunk
+            setStatus('Encrypting and uploading file...');
+            const { fileId, fileKey, hasPreview } = await uploadEncryptedFile(selectedFile, selectedUser._id, (sent, total) => {
+                setUploadProgress(total ? Math.round((sent / total) * 100) : 100);
             });
 
-            setSequenceNumber(prev => prev + 1);
+            // The file key, name and size travel inside a ratchet-encrypted message
+            // (the server only learns that this message shares fileId)
+            const fileInfo = {
+                fileId,
+                name: selectedFile.name,
+                size: selectedFile.size,
+                mimeType: selectedFile.type || 'application/octet-stream',
+                preview: hasPreview
+            };
+
+            // Every device gets the file key wrapped with the file key wrapping key of its session
+            // (sessions from key schedule 1 don't have one, so they still get it as it is)
+            await sendRatchetMessage(
+                JSON.stringify({ ...fileInfo, fileKey }),
+                { type: 'file', fileId },
+                async (ratchet) => JSON.stringify(ratchet.fileKeyWrappingKey
+                    ? { ...fileInfo, wrappedFileKey: await wrapFileKey(fileKey, ratchet.fileKeyWrappingKey, fileId) }
+                    : { ...fileInfo, fileKey })
+            );
+
             setSelectedFile(null);
             setStatus('File sent successfully!');
             if (fileInputRef.current) fileInputRef.current.value = '';
@@ -659,28 +1212,25 @@ function ChatApp({ user, onLogout }) {
         } finally {
             setLoading(false);
             setUploadProgress(0);
+            setPendingUpload(null);
             setTimeout(() => setStatus(''), 3000);
         }
     };
 
-    const handleFileDownload = async (msg) => {
-        if (!sessionKey) {
-            setError('No session key for decryption');
-            return;
-        }
-
+    // Fetching and decrypting a shared file, fileInfo is the decrypted payload of its message
+    const handleFileDownload = async (fileInfo, onProgress) => {
         try {
-            setStatus('Decrypting file...');
+            setStatus('Downloading and decrypting file...');
 
-            // Decrypt file chunks
-            const decryptedData = await decryptFile(msg.encryptedChunks, sessionKey);
+            const { blob, metadata } = await downloadEncryptedFile(fileInfo.fileId, fileInfo.fileKey, (received, total) => {
+                onProgress(total ? Math.round((received / total) * 100) : 100);
+            });
 
-            // Create blob and download
-            const blob = new Blob([decryptedData], { type: msg.fileType || 'application/octet-stream' });
+            // Save the decrypted file under the name from its authenticated header
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = msg.fileName;
+            a.download = metadata.name;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -694,6 +1244,20 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
+    // Loading a whole image or video to show it in the chat instead of saving it
+    const handleFileOpen = async (fileInfo, onProgress) => {
+        try {
+            const { blob } = await downloadEncryptedFile(fileInfo.fileId, fileInfo.fileKey, (received, total) => {
+                onProgress(total ? Math.round((received / total) * 100) : 100);
+            });
+            return blob;
+        } catch (err) {
+            console.error('Failed to open file:', err);
+            setError('Failed to decrypt file');
+            return null;
+        }
+    };
+
     const handleClearSession = async () => {
         if (!selectedUser) {
             setError('Please select a user first');
@@ -702,8 +1266,7 @@ function ChatApp({ user, onLogout }) {
 
         const confirm = window.confirm(
             `Clear all session data for ${selectedUser.username}?\n\nThis will:\n` +
-            `- Remove session key\n` +
-            `- Reset sequence numbers\n` +
+            `- Remove message ratchet\n` +
             `- Clear replay protection data\n` +
             `- Remove pending key exchanges\n` +
             `- Delete ALL chat messages from database\n\n` +
@@ -726,14 +1289,11 @@ function ChatApp({ user, onLogout }) {
                 // Continue with clearing session data even if message deletion fails
             }
 
-            // Clear session key
-            setSessionKey(null);
-            sessionStorage.removeItem(`sessionKey_${selectedUser._id}`);
+            // Clear the ratchets with their devices (the ones with our own devices are shared by every chat)
+            peerDevices.forEach(device => saveRatchet(device._id, null));
 
-            // Clear sequence number
-            setSequenceNumber(0);
-
-            // Clear chat messages from view
+            // Clear chat messages from view (and the plaintext we kept for them)
+            messages.forEach(msg => sessionStorage.removeItem(`plaintext_${msg.nonce}`));
             setMessages([]);
 
             // Clear replay protection data
@@ -741,10 +1301,10 @@ function ChatApp({ user, onLogout }) {
 
             // Clear pending key exchanges for this user
             Object.keys(sessionStorage).forEach(key => {
-                if (key.startsWith('ecdhKeyPair_')) {
+                if (key.startsWith('ecdhKeyPair_') || key.startsWith('pendingRatchet_')) {
                     try {
                         const data = JSON.parse(sessionStorage.getItem(key));
-                        if (data.responderId === selectedUser._id) {
+                        if (data.responderId === selectedUser._id || data.initiatorId === selectedUser._id) {
                             sessionStorage.removeItem(key);
                         }
                     } catch (e) {
@@ -763,6 +1323,64 @@ function ChatApp({ user, onLogout }) {
         }
     };
 
+    // Accepting a verified contact's new keys - they go back to unverified until checked again
+    const handleAcceptKeyChange = async () => {
+        const confirm = window.confirm(
+            `Only accept the new keys if you know ${selectedUser.username} added or replaced a device.\n\n` +
+            `You can verify the new safety number afterwards.`
+        );
+        if (!confirm) return;
+
+        try {
+            await clearContactVerified(user.userId, selectedUser._id);
+            setVerificationStatus('unverified');
+        } catch (err) {
+            console.error('Failed to clear verification:', err);
+            setError('Failed to accept new keys');
+        }
+    };
+
+    // Replacing this device's identity key with a new one signed by the current key
+    const handleRotateKey = async () => {
+        const confirm = window.confirm(
+            'Rotate this device\'s identity key?\n\n' +
+            'Contacts will see a key change and every session with this device has to be set up again.'
+        );
+        if (!confirm) return false;
+
+        const password = prompt('Enter your password to access private key:');
+        if (!password) return false;
+
+        try {
+            const currentKey = await retrievePrivateKey(password, user.userId);
+            const { privateKey, rotation } = await createKeyRotation(currentKey, user.deviceId);
+
+            const result = await api.rotateIdentityKey(user.deviceId, rotation);
+            await storePrivateKey(privateKey, password, user.userId);
+            localStorage.setItem('token', result.token);
+
+            // Sessions were authenticated with the old key, contacts drop theirs too
+            for (const deviceId of connectedDevices) {
+                saveRatchet(deviceId, null);
+            }
+
+            // The server threw away our prekeys (they were signed with the old key)
+            try {
+                await api.uploadPreKeys(await generatePreKeys(privateKey, user.userId));
+            } catch (preKeyError) {
+                console.warn('Failed to publish prekeys:', preKeyError);
+            }
+
+            await loadOwnDevices();
+            alert('✅ Identity key rotated. If this device had a key backup, back up the new key under Devices.');
+            return true;
+        } catch (err) {
+            console.error('Key rotation failed:', err);
+            alert(err.response?.data?.error || err.message || 'Failed to rotate identity key');
+            return false;
+        }
+    };
+
     const handleRefreshMessages = async () => {
         if (!selectedUser) return;
         
@@ -792,6 +1410,9 @@ function ChatApp({ user, onLogout }) {
                     <button onClick={() => setView('chat')} className={view === 'chat' ? 'active' : ''}>
                         💬 Chat
                     </button>
+                    <button onClick={() => setView('devices')} className={view === 'devices' ? 'active' : ''}>
+                        📱 Devices
+                    </button>
                     <button onClick={() => setView('attacks')} className={view === 'attacks' ? 'active' : ''}>
                         💀 Attack Demos
                     </button>
@@ -814,58 +1435,105 @@ function ChatApp({ user, onLogout }) {
                                 <div
                                     key={u._id}
                                     className={`user-item ${selectedUser?._id === u._id ? 'active' : ''}`}
-                                    onClick={() => setSelectedUser(u)}
+                                    onClick={() => handleSelectUser(u)}
                                 >
                                     <div className="user-avatar">{u.username[0].toUpperCase()}</div>
                                     <div className="user-info">
                                         <div className="user-name">{u.username}</div>
                                         <div className="user-status">
-                                            {sessionKey && selectedUser?._id === u._id ? '🔓 Encrypted' : '🔒 No session key'}
+                                            {hasSession && selectedUser?._id === u._id ? '🔓 Encrypted' : '🔒 No session key'}
                                         </div>
                                     </div>
                                 </div>
                             ))}
                         </div>
+
+                        <h3>Groups</h3>
+                        <div className="users-list groups-list">
+                            {groups.map(g => (
+                                <div
+                                    key={g._id}
+                                    className={`user-item ${selectedGroup?._id === g._id ? 'active' : ''}`}
+                                    onClick={() => handleSelectGroup(g)}
+                                >
+                                    <div className="user-avatar">#</div>
+                                    <div className="user-info">
+                                        <div className="user-name">{g.name}</div>
+                                        <div className="user-status">{g.memberCount} members</div>
+                                    </div>
+                                </div>
+                            ))}
+                            <div className="user-item" onClick={handleCreateGroup}>
+                                <div className="user-avatar">+</div>
+                                <div className="user-info">
+                                    <div className="user-name">New Group</div>
+                                </div>
+                            </div>
+                        </div>
                     </div>
 
                     {/* Main Chat Area */}
                     <div className="chat-main">
-                        {selectedUser ? (
+                        {selectedGroup ? (
+                            <GroupChat
+                                key={selectedGroup._id}
+                                user={user}
+                                group={selectedGroup}
+                                users={users}
+                                refreshKey={groupRefreshKey}
+                                connectedDevices={connectedDevices}
+                                encryptForDevices={encryptForDevices}
+                                decryptFromDevice={decryptFromDevice}
+                                connectDevices={connectDevices}
+                                onGroupChanged={loadGroups}
+                                onLeft={() => {
+                                    setSelectedGroup(null);
+                                    loadGroups();
+                                }}
+                            />
+                        ) : selectedUser ? (
                             <>
                                 {/* Chat Header */}
                                 <div className="chat-user-header">
                                     <div>
                                         <h2>{selectedUser.username}</h2>
                                         <p className="encryption-status">
-                                            {sessionKey ? '✅ End-to-end encrypted' : '⚠️ No session key - run key exchange'}
+                                            {hasSession
+                                                ? `✅ End-to-end encrypted (Double Ratchet) · ${peerDevices.filter(d => connectedDevices.includes(d._id)).length}/${peerDevices.length} devices`
+                                                : '⚠️ No session key - run key exchange'}
+                                        </p>
+                                        <p className="encryption-status">
+                                            {verificationStatus === 'verified' && '✅ Safety number verified'}
+                                            {verificationStatus === 'unverified' && '🔢 Safety number not verified'}
+                                            {verificationStatus === 'changed' && '⚠️ Safety number changed!'}
                                         </p>
                                     </div>
                                     <div className="chat-actions">
                                         <button onClick={handleRefreshMessages} className="action-btn" title="Refresh messages">
                                             🔄 Refresh
                                         </button>
-                                        {!sessionKey && (
-                                            <>
-                                                <button onClick={handleInitiateKeyExchange} className="action-btn">
-                                                    🔑 Start Key Exchange
-                                                </button>
-                                                <button onClick={handleCheckPending} className="action-btn">
-                                                    🔄 Check Pending
-                                                </button>
-                                                <button onClick={handleManualSessionKey} className="action-btn">
-                                                    📥 Import Key
-                                                </button>
-                                            </>
+                                        <button
+                                            onClick={() => setShowSafetyNumber(true)}
+                                            className="action-btn"
+                                            disabled={peerIdentityKeys.length === 0 || ownIdentityKeys.length === 0}
+                                            title="Compare safety numbers to make sure nobody swapped your keys"
+                                        >
+                                            🔢 Safety Number
+                                        </button>
+                                        {unconnectedDevices.length > 0 && (
+                                            <button onClick={handleInitiateKeyExchange} className="action-btn" title="Run key exchange with every device that has no session yet">
+                                                🔑 {hasSession ? 'Connect New Devices' : 'Start Key Exchange'}
+                                            </button>
                                         )}
-                                        {sessionKey && (
-                                            <>
-                                                <button onClick={handleExportSessionKey} className="action-btn">
-                                                    📤 Export Key
-                                                </button>
-                                                <button onClick={handleClearSession} className="action-btn" title="Clear session key and reset sequence numbers">
-                                                    🗑️ Clear Session
-                                                </button>
-                                            </>
+                                        {!hasSession && (
+                                            <button onClick={handleCheckPending} className="action-btn">
+                                                🔄 Check Pending
+                                            </button>
+                                        )}
+                                        {hasSession && (
+                                            <button onClick={handleClearSession} className="action-btn" title="Clear message ratchet and replay protection data">
+                                                🗑️ Clear Session
+                                            </button>
                                         )}
                                     </div>
                                 </div>
@@ -878,7 +1546,9 @@ function ChatApp({ user, onLogout }) {
                                                 key={msg._id || idx}
                                                 message={msg}
                                                 isOwn={msg.senderId === user.userId}
-                                                onDownload={() => handleFileDownload(msg)}
+                                                decrypt={() => decryptAndDisplayMessage(msg)}
+                                                onDownload={handleFileDownload}
+                                                onOpen={handleFileOpen}
                                             />
                                         ) : (
                                             <MessageBubble
@@ -889,11 +1559,39 @@ function ChatApp({ user, onLogout }) {
                                             />
                                         )
                                     ))}
+                                    {pendingUpload && (
+                                        <div className="message-bubble file-bubble own">
+                                            <div className="file-message-content">
+                                                <div className="file-icon">📤</div>
+                                                <div className="file-details">
+                                                    <div className="file-name">🔐 {pendingUpload.name}</div>
+                                                    <div className="file-size">{formatFileSize(pendingUpload.size)} · Uploading {uploadProgress}%</div>
+                                                    <div className="file-progress">
+                                                        <div className="file-progress-bar" style={{ width: `${uploadProgress}%` }} />
+                                                    </div>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    )}
                                     <div ref={messagesEndRef} />
                                 </div>
 
                                 {/* Message Input */}
                                 <form onSubmit={handleSendMessage} className="message-input-form">
+                                    {sendBlocked && (
+                                        <div className="key-change-warning">
+                                            <p>
+                                                ⚠️ {selectedUser.username}&apos;s identity keys have changed since you verified them!
+                                                Someone may be intercepting your messages. Sending is blocked until you check the new safety number.
+                                            </p>
+                                            <button type="button" onClick={() => setShowSafetyNumber(true)} className="action-btn">
+                                                🔢 Verify Safety Number
+                                            </button>
+                                            <button type="button" onClick={handleAcceptKeyChange} className="action-btn">
+                                                Accept New Keys
+                                            </button>
+                                        </div>
+                                    )}
                                     {error && <div className="error-banner">{error}</div>}
                                     {status && <div className="status-banner">{status}</div>}
 
@@ -902,16 +1600,16 @@ function ChatApp({ user, onLogout }) {
                                         <div className="file-preview">
                                             <div className="file-info">
                                                 <span>📎 {selectedFile.name}</span>
-                                                <span className="file-size">({(selectedFile.size / 1024).toFixed(1)} KB)</span>
+                                                <span className="file-size">({formatFileSize(selectedFile.size)})</span>
                                             </div>
                                             <div className="file-actions">
                                                 <button
                                                     type="button"
                                                     onClick={handleFileUpload}
-                                                    disabled={!sessionKey || loading}
+                                                    disabled={!hasSession || sendBlocked || loading}
                                                     className="upload-btn"
                                                 >
-                                                    {loading ? '⏳ Encrypting...' : '📤 Send File'}
+                                                    {loading ? '⏳ Uploading...' : '📤 Send File'}
                                                 </button>
                                                 <button
                                                     type="button"
@@ -932,8 +1630,8 @@ function ChatApp({ user, onLogout }) {
                                             type="text"
                                             value={newMessage}
                                             onChange={(e) => setNewMessage(e.target.value)}
-                                            placeholder={sessionKey ? "Type a message..." : "No session key - set up encryption first"}
-                                            disabled={!sessionKey || loading || selectedFile}
+                                            placeholder={hasSession ? "Type a message..." : "No session key - set up encryption first"}
+                                            disabled={!hasSession || sendBlocked || loading || selectedFile}
                                             className="message-input"
                                         />
                                         <input
@@ -941,12 +1639,12 @@ function ChatApp({ user, onLogout }) {
                                             type="file"
                                             onChange={handleFileSelect}
                                             style={{ display: 'none' }}
-                                            disabled={!sessionKey || loading}
+                                            disabled={!hasSession || loading}
                                         />
                                         <button
                                             type="button"
                                             onClick={() => fileInputRef.current?.click()}
-                                            disabled={!sessionKey || loading}
+                                            disabled={!hasSession || sendBlocked || loading}
                                             className="attach-btn"
                                             title="Attach encrypted file"
                                         >
@@ -954,13 +1652,25 @@ function ChatApp({ user, onLogout }) {
                                         </button>
                                         <button
                                             type="submit"
-                                            disabled={!sessionKey || !newMessage.trim() || loading || selectedFile}
+                                            disabled={!hasSession || sendBlocked || !newMessage.trim() || loading || selectedFile}
                                             className="send-btn"
                                         >
                                             {loading ? '⏳' : '📤'} Send
                                         </button>
                                     </div>
                                 </form>
+
+                                {showSafetyNumber && (
+                                    <SafetyNumber
+                                        user={user}
+                                        contact={selectedUser}
+                                        localKeys={ownIdentityKeys}
+                                        remoteKeys={peerIdentityKeys}
+                                        status={verificationStatus}
+                                        onStatusChange={setVerificationStatus}
+                                        onClose={() => setShowSafetyNumber(false)}
+                                    />
+                                )}
                             </>
                         ) : (
                             <div className="no-user-selected">
@@ -974,8 +1684,16 @@ function ChatApp({ user, onLogout }) {
                 </div>
             )}
 
+            {view === 'devices' && (
+                <>
+                    <DeviceList user={user} onDevicesChanged={loadOwnDevices} onRotateKey={handleRotateKey} />
+                    <SessionList />
+                    <TwoFactorSettings />
+                </>
+            )}
+
             {view === 'logs' && (
-                <SecurityLogs />
+                <SecurityLogs isAdmin={user.role === 'admin'} />
             )}
 
             {view === 'attacks' && (
@@ -1016,21 +1734,145 @@ function MessageBubble({ message, isOwn, decrypt }) {
     );
 }
 
+// File sizes for people (1.5 MB rather than 1572864)
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
 // File message bubble component
-function FileMessageBubble({ message, isOwn, onDownload }) {
+// The name, size and file key are inside the encrypted message, so they show up once it's decrypted
+// Images and videos show their decrypted thumbnail, clicking it loads the whole file in place
+function FileMessageBubble({ message, isOwn, decrypt, onDownload, onOpen }) {
+    const [fileInfo, setFileInfo] = useState(null);
+    const [failure, setFailure] = useState(null);
+    const [downloadProgress, setDownloadProgress] = useState(null);
+    const [previewUrl, setPreviewUrl] = useState(null);
+    const [fullUrl, setFullUrl] = useState(null);
+    const fileId = fileInfo?.fileId;
+    const fileKey = fileInfo?.fileKey;
+    const hasPreview = Boolean(fileInfo?.preview);
+    const isVideo = Boolean(fileInfo?.mimeType?.startsWith('video/'));
+
+    useEffect(() => {
+        decrypt()
+            .then(result => {
+                try {
+                    setFileInfo(JSON.parse(result));
+                } catch {
+                    // Not JSON means decryptAndDisplayMessage gave us an explanation instead
+                    setFailure(result);
+                }
+            })
+            .catch(err => {
+                console.error('Decryption error in FileMessageBubble:', err);
+                setFailure('❌ [Decryption error]');
+            });
+    }, [decrypt]);
+
+    useEffect(() => {
+        if (!hasPreview) return;
+
+        let url = null;
+        let cancelled = false;
+
+        downloadFilePreview(fileId, fileKey)
+            .then(blob => {
+                if (cancelled) return;
+                url = URL.createObjectURL(blob);
+                setPreviewUrl(url);
+            })
+            .catch(err => console.error('Failed to load preview:', err));
+
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [fileId, fileKey, hasPreview]);
+
+    // The full file stays in memory only while the bubble is on screen
+    useEffect(() => () => {
+        if (fullUrl) URL.revokeObjectURL(fullUrl);
+    }, [fullUrl]);
+
+    const handleDownload = async () => {
+        setDownloadProgress(0);
+        try {
+            await onDownload(fileInfo, setDownloadProgress);
+        } finally {
+            setDownloadProgress(null);
+        }
+    };
+
+    const handleOpen = async () => {
+        if (downloadProgress !== null) return;
+
+        setDownloadProgress(0);
+        try {
+            const blob = await onOpen(fileInfo, setDownloadProgress);
+            if (blob) setFullUrl(URL.createObjectURL(blob));
+        } finally {
+            setDownloadProgress(null);
+        }
+    };
+
     return (
         <div className={`message-bubble file-bubble ${isOwn ? 'own' : 'other'}`}>
-            <div className="file-message-content">
-                <div className="file-icon">📎</div>
-                <div className="file-details">
-                    <div className="file-name">🔐 {message.fileName}</div>
-                    <div className="file-size">{(message.fileSize / 1024).toFixed(1)} KB · {message.totalChunks} chunk(s)</div>
-                    <div className="file-encrypted">✅ End-to-end encrypted</div>
-                </div>
-                <button onClick={onDownload} className="download-btn" title="Decrypt and download">
-                    ⬇️ Download
-                </button>
-            </div>
+            {failure ? (
+                <div className="message-content">{failure}</div>
+            ) : (
+                <>
+                    {fullUrl ? (
+                        isVideo ? (
+                            <video src={fullUrl} className="file-preview" controls autoPlay />
+                        ) : (
+                            <img src={fullUrl} alt={fileInfo.name} className="file-preview" />
+                        )
+                    ) : previewUrl && (
+                        <button
+                            onClick={handleOpen}
+                            className="file-preview-btn"
+                            title={isVideo ? 'Decrypt and play' : 'Decrypt and show full size'}
+                            disabled={downloadProgress !== null}
+                        >
+                            <img src={previewUrl} alt={fileInfo.name} className="file-preview" />
+                            {isVideo && <span className="file-preview-play">▶</span>}
+                        </button>
+                    )}
+                    <div className="file-message-content">
+                        <div className="file-icon">📎</div>
+                        <div className="file-details">
+                            <div className="file-name">🔐 {fileInfo ? fileInfo.name : 'Decrypting...'}</div>
+                            {fileInfo && (
+                                <div className="file-size">
+                                    {formatFileSize(fileInfo.size)}
+                                    {downloadProgress !== null && ` · Downloading ${downloadProgress}%`}
+                                </div>
+                            )}
+                            {downloadProgress !== null && (
+                                <div className="file-progress">
+                                    <div className="file-progress-bar" style={{ width: `${downloadProgress}%` }} />
+                                </div>
+                            )}
+                            <div className="file-encrypted">✅ End-to-end encrypted</div>
+                        </div>
+                        <button
+                            onClick={handleDownload}
+                            className="download-btn"
+                            title="Decrypt and download"
+                            disabled={!fileInfo || downloadProgress !== null}
+                        >
+                            ⬇️ Download
+                        </button>
+                    </div>
+                </>
+            )}
             <div className="message-meta">
                 {new Date(message.createdAt).toLocaleTimeString()}
             </div>
@@ -1038,41 +1880,347 @@ function FileMessageBubble({ message, isOwn, onDownload }) {
     );
 }
 
-// Security logs component
-function SecurityLogs() {
-    const [logs, setLogs] = useState([]);
-    const [stats, setStats] = useState(null);
+// Device list component (see and revoke the devices on this account)
+function DeviceList({ user, onDevicesChanged, onRotateKey }) {
+    const [devices, setDevices] = useState([]);
+    const [keyBackups, setKeyBackups] = useState([]);
+    const [showRecovery, setShowRecovery] = useState(false);
     const [loading, setLoading] = useState(false);
+    const currentDeviceId = user.deviceId;
+    const currentBackup = keyBackups.find(backup => backup.deviceId === currentDeviceId);
 
     useEffect(() => {
-        loadLogs();
-        loadStats();
+        loadDevices();
+        loadKeyBackups();
+    }, []);
+
+    const loadDevices = async () => {
+        setLoading(true);
+        try {
+            const data = await api.getDevices();
+            setDevices(data.devices);
+        } catch (err) {
+            console.error('Failed to load devices:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadKeyBackups = async () => {
+        try {
+            const data = await api.getKeyBackups();
+            setKeyBackups(data.backups);
+        } catch (err) {
+            console.error('Failed to load key backups:', err);
+        }
+    };
+
+    const handleRotate = async () => {
+        // A backup of the old key is deleted by the server
+        if (await onRotateKey()) {
+            await Promise.all([loadDevices(), loadKeyBackups()]);
+        }
+    };
+
+    const handleDeleteBackup = async () => {
+        const confirm = window.confirm('Delete the key backup? You won\'t be able to recover this identity key anymore.');
+        if (!confirm) return;
+
+        try {
+            await api.deleteKeyBackup(currentDeviceId);
+            await loadKeyBackups();
+        } catch (err) {
+            console.error('Failed to delete key backup:', err);
+            alert(err.response?.data?.error || 'Failed to delete key backup');
+        }
+    };
+
+    const handleRevoke = async (device) => {
+        const confirm = window.confirm(
+            `Revoke "${device.name}"?\n\nIt will be signed out, and nobody will encrypt messages for it anymore.`
+        );
+        if (!confirm) return;
+
+        try {
+            await api.revokeDevice(device._id);
+            await loadDevices();
+            onDevicesChanged();
+        } catch (err) {
+            console.error('Failed to revoke device:', err);
+            alert(err.response?.data?.error || 'Failed to revoke device');
+        }
+    };
+
+    return (
+        <div className="security-logs">
+            <h2>Your Devices</h2>
+
+            <div className="logs-table">
+                {loading ? (
+                    <div className="loading">Loading devices...</div>
+                ) : (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Device</th>
+                                <th>Added</th>
+                                <th>Last Seen</th>
+                                <th>Identity Key</th>
+                                <th>Backup</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {devices.map(device => (
+                                <tr key={device._id} className={device.revoked ? 'severity-warning' : ''}>
+                                    <td>
+                                        {device.name}
+                                        {device._id === currentDeviceId && ' (this device)'}
+                                    </td>
+                                    <td>{new Date(device.createdAt).toLocaleString()}</td>
+                                    <td>{device.lastSeenAt ? new Date(device.lastSeenAt).toLocaleString() : '-'}</td>
+                                    <td>{device.publicKey.substring(0, 24)}...</td>
+                                    <td>{keyBackups.some(backup => backup.deviceId === device._id) ? '✅' : '-'}</td>
+                                    <td>
+                                        {device.revoked ? (
+                                            'Revoked'
+                                        ) : (
+                                            <div className="device-actions">
+                                                {device._id === currentDeviceId && (
+                                                    <button onClick={handleRotate} className="action-btn">
+                                                        Rotate Key
+                                                    </button>
+                                                )}
+                                                <button onClick={() => handleRevoke(device)} className="action-btn">
+                                                    Revoke
+                                                </button>
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="recovery-section">
+                <h3>🛟 Key Backup</h3>
+                {currentBackup ? (
+                    <p>
+                        This device&apos;s identity key is backed up (last updated{' '}
+                        {new Date(currentBackup.updatedAt).toLocaleString()}, format v{currentBackup.version}).
+                    </p>
+                ) : (
+                    <p>
+                        No backup of this device&apos;s identity key. If this browser loses it, you&apos;ll have to start over as a new device.
+                    </p>
+                )}
+                <div className="device-actions">
+                    <button onClick={() => setShowRecovery(true)} className="action-btn">
+                        {currentBackup ? 'Replace Backup' : 'Back Up Key'}
+                    </button>
+                    {currentBackup && (
+                        <button onClick={handleDeleteBackup} className="action-btn">
+                            Delete Backup
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {showRecovery && (
+                <KeyRecovery
+                    user={user}
+                    onClose={() => setShowRecovery(false)}
+                    onSaved={loadKeyBackups}
+                />
+            )}
+        </div>
+    );
+}
+
+// Session list component (everywhere this account is signed in)
+function SessionList() {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        loadSessions();
     }, []);
 
-    const loadLogs = async () => {
+    const loadSessions = async () => {
         setLoading(true);
         try {
-            const data = await api.getSecurityLogs({ limit: 50 });
-            setLogs(data.logs);
+            const data = await api.getSessions();
+            setSessions(data.sessions);
         } catch (err) {
-            console.error('Failed to load logs:', err);
+            console.error('Failed to load sessions:', err);
         } finally {
             setLoading(false);
         }
     };
 
-    const loadStats = async () => {
+    const handleRevoke = async (session) => {
+        const confirm = window.confirm('Sign out this session? Its tokens will stop working immediately.');
+        if (!confirm) return;
+
         try {
-            const data = await api.getLogStats();
-            setStats(data);
+            await api.revokeSession(session._id);
+            await loadSessions();
         } catch (err) {
-            console.error('Failed to load stats:', err);
+            console.error('Failed to revoke session:', err);
+            alert(err.response?.data?.error || 'Failed to revoke session');
         }
     };
 
     return (
         <div className="security-logs">
-            <h2>Security Audit Logs</h2>
+            <h2>Active Sessions</h2>
+
+            <div className="logs-table">
+                {loading ? (
+                    <div className="loading">Loading sessions...</div>
+                ) : (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Device</th>
+                                <th>Browser</th>
+                                <th>IP Address</th>
+                                <th>Signed In</th>
+                                <th>Last Active</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sessions.map(session => (
+                                <tr key={session._id}>
+                                    <td>
+                                        {session.deviceName || 'Not registered yet'}
+                                        {session.current && ' (this session)'}
+                                    </td>
+                                    <td>{session.userAgent || '-'}</td>
+                                    <td>{session.ipAddress || '-'}</td>
+                                    <td>{new Date(session.createdAt).toLocaleString()}</td>
+                                    <td>{new Date(session.lastUsedAt).toLocaleString()}</td>
+                                    <td>
+                                        {!session.current && (
+                                            <button onClick={() => handleRevoke(session)} className="action-btn">
+                                                Sign Out
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Two-factor settings (security keys, and recovery codes for when the second factor is gone)
+function TwoFactorSettings() {
+    const [status, setStatus] = useState(null);
+    const [showRecoveryCodes, setShowRecoveryCodes] = useState(false);
+    const [showSecurityKeys, setShowSecurityKeys] = useState(false);
+    const [refreshKey, setRefreshKey] = useState(0);
+
+    useEffect(() => {
+        api.get2FAStatus()
+            .then(setStatus)
+            .catch(err => console.error('Failed to load 2FA status:', err));
+    }, [refreshKey]);
+
+    if (!status) return null;
+
+    return (
+        <div className="security-logs">
+            <div className="recovery-section">
+                <h3>🔑 Security Keys &amp; Passkeys</h3>
+                <p>
+                    {status.securityKeys > 0
+                        ? `${status.securityKeys} security key${status.securityKeys === 1 ? '' : 's'} registered.`
+                        : 'Use a hardware key or your device\'s passkey as a second factor, or to sign in without a password.'}
+                </p>
+                <div className="device-actions">
+                    <button onClick={() => setShowSecurityKeys(true)} className="action-btn">
+                        Manage Security Keys
+                    </button>
+                </div>
+            </div>
+
+            {(status.twoFactorEnabled || status.securityKeys > 0) && (
+                <div className="recovery-section">
+                    <h3>🔐 2FA Recovery Codes</h3>
+                    <p>
+                        {status.recoveryCodesRemaining > 0
+                            ? `${status.recoveryCodesRemaining} unused recovery codes left.`
+                            : 'No recovery codes left. If you lose your second factor you won\'t be able to log in.'}
+                    </p>
+                    <div className="device-actions">
+                        <button onClick={() => setShowRecoveryCodes(true)} className="action-btn">
+                            Generate New Codes
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {showRecoveryCodes && (
+                <TwoFactorRecoveryCodes
+                    onClose={() => setShowRecoveryCodes(false)}
+                    onGenerated={() => setRefreshKey(prev => prev + 1)}
+                />
+            )}
+
+            {showSecurityKeys && (
+                <SecurityKeys
+                    onClose={() => setShowSecurityKeys(false)}
+                    onChanged={() => setRefreshKey(prev => prev + 1)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Security logs component (admins see everyone's events, other users only their own)
+function SecurityLogs({ isAdmin }) {
+    const [logs, setLogs] = useState([]);
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const loadLogs = async () => {
+            setLoading(true);
+            try {
+                const data = isAdmin
+                    ? await api.getSecurityLogs({ limit: 50 })
+                    : await api.getMySecurityLogs({ limit: 50 });
+                setLogs(data.logs);
+            } catch (err) {
+                console.error('Failed to load logs:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        const loadStats = async () => {
+            try {
+                const data = await api.getLogStats();
+                setStats(data);
+            } catch (err) {
+                console.error('Failed to load stats:', err);
+            }
+        };
+
+        loadLogs();
+        if (isAdmin) loadStats();
+    }, [isAdmin]);
+
+    return (
+        <div className="security-logs">
+            <h2>{isAdmin ? 'Security Audit Logs' : 'Your Security Events'}</h2>
 
             {stats && (
                 <div className="stats-grid">
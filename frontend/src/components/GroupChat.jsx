@@ -0,0 +1,438 @@
+import { useState, useEffect, useEffectEvent, useRef, useCallback } from 'react';
+import api from '../services/api';
+import {
+    createSenderKey,
+    getSenderKeyDistribution,
+    createReceiverState,
+    groupEncrypt,
+    groupDecrypt
+} from '../crypto/senderKeys';
+import { generateNonce } from '../crypto/replayProtection';
+import './ChatApp.css';
+
+// Group conversation - messages are encrypted once with our sender key,
+// and the sender key itself travels over the pairwise ratchets ChatApp manages
+function GroupChat({
+    user,
+    group,
+    users,
+    refreshKey,
+    connectedDevices,
+    encryptForDevices,
+    decryptFromDevice,
+    connectDevices,
+    onGroupChanged,
+    onLeft
+}) {
+    const [details, setDetails] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [newMessage, setNewMessage] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [status, setStatus] = useState('');
+    const messagesEndRef = useRef(null);
+    const senderKeyQueueRef = useRef(Promise.resolve());
+
+    // Every device of every member except this one needs our sender key
+    const memberDevices = details
+        ? details.members.flatMap(member => member.devices.map(device => ({
+            owner: { _id: member.userId, username: member.username },
+            device
+        }))).filter(({ device }) => device._id !== user.deviceId)
+        : [];
+    const unconnectedDevices = memberDevices.filter(({ device }) => !connectedDevices.includes(device._id));
+    const isAdmin = details?.role === 'ADMIN';
+
+    // Reload whenever ChatApp hears about a new message or a membership change
+    // (an effect event, so it always runs the latest loadGroup without being a dependency)
+    const onRefresh = useEffectEvent(() => {
+        loadGroup();
+    });
+
+    useEffect(() => {
+        onRefresh();
+    }, [refreshKey]);
+
+    // Scroll to bottom on new messages
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [messages]);
+
+    // Sender key chains move forward with every message, so steps have to run one at a time
+    const withSenderKeys = useCallback((task) => {
+        const run = senderKeyQueueRef.current.then(() => task());
+        senderKeyQueueRef.current = run.catch(() => {});
+        return run;
+    }, []);
+
+    const loadGroup = async () => {
+        try {
+            const data = await api.getGroup(group._id);
+            setDetails(data.group);
+
+            await receiveSenderKeys();
+
+            const messagesData = await api.getGroupMessages(group._id);
+            setMessages(messagesData.messages || []);
+        } catch (err) {
+            // We were removed (or the group is gone)
+            if (err.response?.status === 404) {
+                onLeft();
+                return;
+            }
+            console.error('Failed to load group:', err);
+            setError('Failed to load group');
+        }
+    };
+
+    // Picking up the sender keys other members sent to this device
+    const receiveSenderKeys = async () => {
+        const { senderKeys } = await api.getSenderKeys(group._id);
+
+        for (const distribution of senderKeys) {
+            const storageKey = memberSenderKeyId(group._id, distribution.epoch, distribution.senderDeviceId);
+
+            // Each one can only be decrypted once, the ratchet key is gone afterwards
+            if (loadSenderKey(storageKey)?.distributionId === distribution._id) continue;
+
+            try {
+                const payload = JSON.parse(await decryptFromDevice(distribution.senderDeviceId, distribution));
+
+                // The server shouldn't be able to move a sender key into another group or epoch
+                if (payload.groupId !== group._id || payload.epoch !== distribution.epoch) {
+                    throw new Error('Sender key does not belong to this group');
+                }
+
+                sessionStorage.setItem(storageKey, JSON.stringify({
+                    ...createReceiverState(payload),
+                    distributionId: distribution._id
+                }));
+            } catch (err) {
+                console.error('Failed to accept sender key:', err);
+            }
+        }
+    };
+
+    // Handing our current sender key to every member device we have a ratchet with and that doesn't have it yet
+    const distributeSenderKey = async (state) => {
+        const targets = memberDevices
+            .map(({ device }) => device)
+            .filter(device => connectedDevices.includes(device._id) && !state.distributedTo.includes(device._id));
+
+        if (targets.length === 0) return state;
+
+        const envelopes = await encryptForDevices(targets, JSON.stringify(getSenderKeyDistribution(state)));
+        await api.distributeSenderKeys(group._id, state.epoch, envelopes);
+
+        console.log(`✓ Sender key sent to ${targets.length} device(s)`);
+
+        return { ...state, distributedTo: [...state.distributedTo, ...targets.map(device => device._id)] };
+    };
+
+    // Our chain keys from earlier epochs aren't needed anymore
+    const forgetOldSenderKeys = (epoch) => {
+        for (let oldEpoch = 0; oldEpoch < epoch; oldEpoch++) {
+            sessionStorage.removeItem(ownSenderKeyId(group._id, oldEpoch));
+        }
+    };
+
+    const sendGroupMessage = (plaintext) => withSenderKeys(async () => {
+        const epoch = details.epoch;
+
+        // Someone left since we last sent, so we start a new chain they never get
+        let state = loadSenderKey(ownSenderKeyId(group._id, epoch));
+        if (!state) {
+            forgetOldSenderKeys(epoch);
+            state = await createSenderKey(group._id, epoch);
+        }
+
+        state = await distributeSenderKey(state);
+        sessionStorage.setItem(ownSenderKeyId(group._id, epoch), JSON.stringify(state));
+
+        const { state: nextState, message } = await groupEncrypt(state, plaintext, user.deviceId);
+
+        // Saving before sending so a message key is never used twice
+        sessionStorage.setItem(ownSenderKeyId(group._id, epoch), JSON.stringify(nextState));
+
+        // The server only needs a fresh nonce and timestamp against replays,
+        // ordering is already covered by the signed iteration
+        const nonce = generateNonce();
+
+        await api.sendGroupMessage(group._id, {
+            ...message,
+            nonce,
+            timestamp: Date.now()
+        });
+
+        // We can't decrypt our own messages later, so we keep the plaintext locally
+        sessionStorage.setItem(`plaintext_${nonce}`, plaintext);
+    });
+
+    const handleSendMessage = async (e) => {
+        e.preventDefault();
+        if (!newMessage.trim() || !details) return;
+
+        setLoading(true);
+        setError('');
+
+        try {
+            await sendGroupMessage(newMessage);
+            setNewMessage('');
+            await loadGroup();
+        } catch (err) {
+            console.error('Failed to send group message:', err);
+
+            // The group was re-keyed under us - picking up the new epoch so the next try works
+            if (err.response?.status === 409) {
+                setError('Group membership changed - message not sent, please send it again');
+                await loadGroup();
+            } else {
+                setError(err.response?.data?.error || 'Failed to send message');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Decrypting with the sender key of the device that sent it, only the first time we see it
+    // Stable between renders, so bubbles don't decrypt again every time the group reloads
+    const decryptGroupMessage = useCallback(async (msg) => {
+        const cached = sessionStorage.getItem(`plaintext_${msg.nonce}`);
+        if (cached !== null) return cached;
+
+        if (msg.senderDeviceId === user.deviceId) {
+            return '🔑 [Sent from an earlier session]\n\nMessage keys are deleted after use, so your own messages can only be shown in the session that sent them.';
+        }
+
+        const storageKey = memberSenderKeyId(group._id, msg.epoch, msg.senderDeviceId);
+        if (!loadSenderKey(storageKey)) {
+            return '🔒 [Encrypted - No sender key from the sending device]';
+        }
+
+        try {
+            return await withSenderKeys(async () => {
+                // Another bubble may have decrypted it while we were waiting
+                const decryptedMeanwhile = sessionStorage.getItem(`plaintext_${msg.nonce}`);
+                if (decryptedMeanwhile !== null) return decryptedMeanwhile;
+
+                const { state, plaintext } = await groupDecrypt(loadSenderKey(storageKey), msg, msg.senderDeviceId);
+
+                sessionStorage.setItem(storageKey, JSON.stringify(state));
+                sessionStorage.setItem(`plaintext_${msg.nonce}`, plaintext);
+
+                return plaintext;
+            });
+        } catch (err) {
+            console.error('Group decryption failed:', err);
+            return '❌ [Decryption failed]';
+        }
+    }, [group._id, user.deviceId, withSenderKeys]);
+
+    const handleConnectDevices = async () => {
+        setLoading(true);
+        setError('');
+        setStatus('Initiating key exchange...');
+
+        try {
+            await connectDevices(unconnectedDevices);
+        } catch (err) {
+            console.error('Key exchange initiation failed:', err);
+            setError(err.message || 'Key exchange failed');
+            setStatus('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAddMember = async () => {
+        const username = prompt('Username to add:');
+        if (!username) return;
+
+        const member = users.find(u => u.username === username.trim());
+        if (!member) {
+            setError(`Unknown user: ${username}`);
+            return;
+        }
+
+        try {
+            await api.addGroupMember(group._id, member._id);
+            setStatus(`✅ ${member.username} added - they can read messages sent from now on`);
+            setTimeout(() => setStatus(''), 3000);
+            await loadGroup();
+            onGroupChanged();
+        } catch (err) {
+            console.error('Failed to add member:', err);
+            setError(err.response?.data?.error || 'Failed to add member');
+        }
+    };
+
+    const handleRemoveMember = async () => {
+        const username = prompt('Username to remove:');
+        if (!username) return;
+
+        const member = details.members.find(m => m.username === username.trim());
+        if (!member) {
+            setError(`${username} is not a member of this group`);
+            return;
+        }
+
+        try {
+            await api.removeGroupMember(group._id, member.userId);
+            setStatus(`✅ ${member.username} removed - sender keys will be replaced`);
+            setTimeout(() => setStatus(''), 3000);
+            await loadGroup();
+            onGroupChanged();
+        } catch (err) {
+            console.error('Failed to remove member:', err);
+            setError(err.response?.data?.error || 'Failed to remove member');
+        }
+    };
+
+    const handleLeave = async () => {
+        const confirm = window.confirm(`Leave "${group.name}"?\n\nYou won't be able to read anything sent after you leave.`);
+        if (!confirm) return;
+
+        try {
+            await api.removeGroupMember(group._id, user.userId);
+            forgetOldSenderKeys((details?.epoch ?? 0) + 1);
+            onLeft();
+        } catch (err) {
+            console.error('Failed to leave group:', err);
+            setError(err.response?.data?.error || 'Failed to leave group');
+        }
+    };
+
+    return (
+        <>
+            {/* Group Header */}
+            <div className="chat-user-header">
+                <div>
+                    <h2># {group.name}</h2>
+                    <p className="encryption-status">
+                        {details ? `👥 ${details.members.map(member => member.username).join(', ')}` : 'Loading group...'}
+                    </p>
+                    {details && (
+                        <p className="encryption-status">
+                            {`✅ Sender keys (epoch ${details.epoch}) · ${memberDevices.length - unconnectedDevices.length}/${memberDevices.length} member devices connected`}
+                        </p>
+                    )}
+                </div>
+                <div className="chat-actions">
+                    <button onClick={loadGroup} className="action-btn" title="Refresh messages">
+                        🔄 Refresh
+                    </button>
+                    {unconnectedDevices.length > 0 && (
+                        <button onClick={handleConnectDevices} className="action-btn" title="Run key exchange with member devices that have no session yet">
+                            🔑 Connect Devices
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <button onClick={handleAddMember} className="action-btn">
+                            ➕ Add Member
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <button onClick={handleRemoveMember} className="action-btn">
+                            ➖ Remove Member
+                        </button>
+                    )}
+                    <button onClick={handleLeave} className="action-btn">
+                        🚪 Leave
+                    </button>
+                </div>
+            </div>
+
+            {/* Messages */}
+            <div className="messages-container">
+                {messages.map((msg, idx) => (
+                    <GroupMessageBubble
+                        key={msg._id || idx}
+                        message={msg}
+                        isOwn={msg.senderId?._id === user.userId}
+                        decrypt={decryptGroupMessage}
+                    />
+                ))}
+                <div ref={messagesEndRef} />
+            </div>
+
+            {/* Message Input */}
+            <form onSubmit={handleSendMessage} className="message-input-form">
+                {error && <div className="error-banner">{error}</div>}
+                {status && <div className="status-banner">{status}</div>}
+                {unconnectedDevices.length > 0 && (
+                    <div className="status-banner">
+                        ⚠️ {unconnectedDevices.length} member device(s) have no secure session yet and can't read your messages
+                    </div>
+                )}
+
+                <div className="input-row">
+                    <input
+                        type="text"
+                        value={newMessage}
+                        onChange={(e) => setNewMessage(e.target.value)}
+                        placeholder="Type a message to the group..."
+                        disabled={!details || loading}
+                        className="message-input"
+                    />
+                    <button
+                        type="submit"
+                        disabled={!details || !newMessage.trim() || loading}
+                        className="send-btn"
+                    >
+                        {loading ? '⏳' : '📤'} Send
+                    </button>
+                </div>
+            </form>
+        </>
+    );
+}
+
+// Our own sender key is per epoch, the ones we received are per epoch and sending device
+function ownSenderKeyId(groupId, epoch) {
+    return `senderKey_${groupId}_${epoch}`;
+}
+
+function memberSenderKeyId(groupId, epoch, deviceId) {
+    return `senderKey_${groupId}_${epoch}_${deviceId}`;
+}
+
+function loadSenderKey(storageKey) {
+    const stored = sessionStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : null;
+}
+
+// Group message bubble component (shows who sent it)
+function GroupMessageBubble({ message, isOwn, decrypt }) {
+    const [decrypted, setDecrypted] = useState(null);
+    const [isDecrypting, setIsDecrypting] = useState(true);
+
+    // Reloads hand us a new message object each time, so only a different nonce means a different message
+    const decryptMessage = useEffectEvent(() => decrypt(message));
+
+    useEffect(() => {
+        decryptMessage()
+            .then(result => {
+                setDecrypted(result);
+                setIsDecrypting(false);
+            })
+            .catch(err => {
+                console.error('Decryption error in GroupMessageBubble:', err);
+                setDecrypted('❌ [Decryption error]');
+                setIsDecrypting(false);
+            });
+    }, [message.nonce]);
+
+    return (
+        <div className={`message-bubble ${isOwn ? 'own' : 'other'}`}>
+            <div className="message-content">
+                {!isOwn && <strong>{message.senderId?.username || 'unknown'}: </strong>}
+                {isDecrypting ? '🔄 Decrypting...' : decrypted}
+            </div>
+            <div className="message-meta">
+                {new Date(message.createdAt).toLocaleTimeString()}
+            </div>
+        </div>
+    );
+}
+
+export default GroupChat;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import api from '../services/api';
+import { retrievePrivateKey } from '../crypto/keyManagement';
+import { generateRecoveryCode, isStrongPassphrase, createRecoveryBackup } from '../crypto/keyRotation';
+import './TwoFactorSetup.css';
+import './KeyRecovery.css';
+
+// Recovery setup - wraps this device's identity key with a printed code or a passphrase
+function KeyRecovery({ user, onClose, onSaved }) {
+    const [method, setMethod] = useState('code'); // 'code' or 'passphrase'
+    const [password, setPassword] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [recoveryCode, setRecoveryCode] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (method === 'passphrase' && !isStrongPassphrase(passphrase)) {
+            setError('Recovery passphrase must be at least 12 characters');
+            return;
+        }
+
+        // The server sees the account password at every login, so it must not open the backup
+        if (method === 'passphrase' && passphrase === password) {
+            setError('Recovery passphrase must be different from your account password');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const privateKey = await retrievePrivateKey(password, user.userId);
+            const secret = method === 'code' ? generateRecoveryCode() : passphrase;
+
+            await api.saveKeyBackup(await createRecoveryBackup(privateKey, secret));
+
+            if (method === 'code') {
+                setRecoveryCode(secret);
+            } else {
+                alert('✅ Recovery backup saved');
+                onClose();
+            }
+            if (onSaved) onSaved();
+        } catch (err) {
+            console.error('Failed to set up recovery:', err);
+            setError(err.response?.data?.error || err.message || 'Failed to set up recovery');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content twofa-modal">
+                <div className="modal-header">
+                    <h2>🛟 Account Recovery</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
+
+                {recoveryCode ? (
+                    <div className="twofa-step">
+                        <p className="info-text">
+                            Print this code or write it down and keep it somewhere safe.
+                            It is the only way to get this device&apos;s identity key back if this browser loses it.
+                        </p>
+
+                        <div className="recovery-code">{recoveryCode}</div>
+
+                        <div className="recovery-actions">
+                            <button onClick={() => window.print()} className="primary-btn">
+                                🖨️ Print
+                            </button>
+                            <button onClick={onClose} className="primary-btn">
+                                I&apos;ve Saved It
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="twofa-step verify-form">
+                        <p className="info-text">
+                            Your identity key is encrypted in this browser with a recovery secret before it is uploaded.
+                            The server can&apos;t open the backup.
+                        </p>
+
+                        <div className="recovery-methods">
+                            <label>
+                                <input
+                                    type="radio"
+                                    checked={method === 'code'}
+                                    onChange={() => setMethod('code')}
+                                />
+                                Printed recovery code
+                            </label>
+                            <label>
+                                <input
+                                    type="radio"
+                                    checked={method === 'passphrase'}
+                                    onChange={() => setMethod('passphrase')}
+                                />
+                                Recovery passphrase
+                            </label>
+                        </div>
+
+                        {method === 'passphrase' && (
+                            <input
+                                type="password"
+                                value={passphrase}
+                                onChange={(e) => setPassphrase(e.target.value)}
+                                placeholder="Recovery passphrase (12+ characters)"
+                                className="token-input recovery-input"
+                                autoComplete="new-password"
+                            />
+                        )}
+
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="Account password (unlocks your key)"
+                            className="token-input recovery-input"
+                            autoComplete="current-password"
+                        />
+
+                        {error && <div className="error-message">{error}</div>}
+
+                        <button type="submit" disabled={loading || !password} className="primary-btn">
+                            {loading ? 'Encrypting...' : 'Create Recovery Backup'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default KeyRecovery;
@@ -1,19 +1,195 @@
 import { useState } from 'react';
+import { startAuthentication } from '@simplewebauthn/browser';
 import api from '../services/api';
-import { hasStoredKeys, retrievePrivateKey } from '../crypto/keyManagement';
+import {
+    generateUserKeyPair,
+    exportPublicKey,
+    exportPublicKeyFromPrivate,
+    storePrivateKey,
+    hasStoredKeys,
+    retrievePrivateKey,
+    deleteKeyRecord,
+    getStoredDeviceId,
+    storeDeviceId,
+    forgetDeviceId,
+    getDeviceName
+} from '../crypto/keyManagement';
+import { generatePreKeys } from '../crypto/preKeys';
+import { restoreFromRecoveryBackup, createRecoveryBackup, createKeyRotation } from '../crypto/keyRotation';
 import './Login.css';
 
+// Topping up prekeys when fewer than this many one-time keys are left
+const PREKEY_LOW_WATER = 10;
+const PREKEY_BATCH_SIZE = 20;
+// Replacing the signed prekey once a week
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Making sure others can start conversations with us while we're offline
+async function replenishPreKeys(identityPrivateKey, userId) {
+    const status = await api.getPreKeyStatus();
+
+    const signedPreKeyStale = !status.hasSignedPreKey ||
+        Date.now() - new Date(status.signedPreKeyCreatedAt).getTime() > SIGNED_PREKEY_MAX_AGE;
+    const oneTimeLow = status.oneTimePreKeysRemaining < PREKEY_LOW_WATER;
+
+    if (!signedPreKeyStale && !oneTimeLow) return;
+
+    const preKeys = await generatePreKeys(identityPrivateKey, userId, {
+        includeSignedPreKey: signedPreKeyStale,
+        oneTimeCount: oneTimeLow ? PREKEY_BATCH_SIZE : 0
+    });
+
+    await api.uploadPreKeys(preKeys);
+}
+
+// Getting a lost identity key back from a key backup (if there is one and the user wants to)
+// The recovered key is only used to sign a fresh key, so whoever may have the old one gets nothing
+async function recoverIdentityKey(password, userId, currentDeviceId) {
+    let backups;
+    try {
+        ({ backups } = await api.getKeyBackups());
+    } catch (backupError) {
+        console.warn('Failed to check for key backups:', backupError);
+        return null;
+    }
+
+    // A token bound to a device can only take over that device's backup
+    const candidates = currentDeviceId
+        ? backups.filter(backup => backup.deviceId === currentDeviceId)
+        : backups;
+    if (candidates.length === 0) return null;
+
+    let backup = candidates[0];
+    if (candidates.length > 1) {
+        const choice = prompt(
+            'This browser has no identity key. Which device do you want to restore?\n\n' +
+            candidates.map((candidate, i) => `${i + 1}. ${candidate.deviceName}`).join('\n') +
+            '\n\nLeave empty to set this browser up as a new device instead.'
+        );
+        backup = candidates[Number(choice) - 1];
+        if (!backup) return null;
+    }
+
+    const secret = prompt(
+        `Enter your recovery code or passphrase to restore "${backup.deviceName}".\n\n` +
+        'Leave empty to set this browser up as a new device instead.'
+    );
+    if (!secret) return null;
+
+    const recoveredKey = await restoreFromRecoveryBackup(backup, secret);
+    const { privateKey, rotation } = await createKeyRotation(recoveredKey, backup.deviceId);
+    const { token, deviceId } = await api.rotateIdentityKey(backup.deviceId, rotation, true);
+
+    await storePrivateKey(privateKey, password, userId);
+
+    // The rotation deleted the old backup - backing up the new key with the same secret
+    localStorage.setItem('token', token);
+    try {
+        await api.saveKeyBackup(await createRecoveryBackup(privateKey, secret));
+    } catch (backupError) {
+        console.warn('Failed to back up the new identity key:', backupError);
+    }
+
+    return { privateKey, token, deviceId };
+}
+
+// Remembering who we are for the rest of the app
+function storeAuthData(result, token, deviceId) {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', result.refreshToken);
+    localStorage.setItem('sessionId', result.sessionId);
+    localStorage.setItem('userId', result.userId);
+    localStorage.setItem('username', result.username);
+    localStorage.setItem('deviceId', deviceId);
+    localStorage.setItem('publicKey', result.publicKey);
+    localStorage.setItem('twoFactorEnabled', result.twoFactorEnabled || false);
+    localStorage.setItem('role', result.role || 'user');
+}
+
 function Login({ onLogin, onSwitchToRegister }) {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [twoFactorToken, setTwoFactorToken] = useState('');
     const [requires2FA, setRequires2FA] = useState(false);
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [twoFactorMethods, setTwoFactorMethods] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [status, setStatus] = useState('');
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        await signIn();
+    };
+
+    // Second factor from a security key: getting a fresh challenge (they only work once) and signing it
+    const handleSecurityKey = async () => {
+        setError('');
+        setLoading(true);
+
+        let webauthnResponse;
+        try {
+            setStatus('Touch your security key...');
+            const { webauthnOptions } = await api.login(username, password, null, getStoredDeviceId(username));
+            webauthnResponse = await startAuthentication({ optionsJSON: webauthnOptions });
+        } catch (err) {
+            console.error('Security key failed:', err);
+            setError(err.response?.data?.error || err.message || 'Security key verification failed');
+            setStatus('');
+            setLoading(false);
+            return;
+        }
+
+        await signIn(webauthnResponse);
+    };
+
+    // Passwordless login - only for a browser that already holds this account's device keys,
+    // since the password is what unlocks them
+    const handlePasskeyLogin = async () => {
+        setError('');
+        setStatus('');
+
+        if (!username) {
+            setError('Enter your username, then sign in with your passkey');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            setStatus('Waiting for your passkey...');
+            const options = await api.getPasskeyLoginOptions();
+            const webauthnResponse = await startAuthentication({ optionsJSON: options });
+
+            const result = await api.loginWithPasskey(webauthnResponse, getStoredDeviceId(username));
+            localStorage.setItem('token', result.token);
+
+            const browserReady = result.username === username && result.deviceId && !result.deviceRevoked &&
+                await hasStoredKeys(result.userId);
+
+            if (!browserReady) {
+                // Not leaving a session behind that this browser can't use
+                await api.logout().catch(() => {});
+                localStorage.removeItem('token');
+                throw new Error('This browser isn\'t set up for that account yet. Sign in with your password once first.');
+            }
+
+            storeAuthData(result, result.token, result.deviceId);
+            setStatus('Login successful!');
+
+            setTimeout(() => {
+                if (onLogin) onLogin(result);
+            }, 500);
+        } catch (err) {
+            console.error('Passkey login failed:', err);
+            setError(err.response?.data?.error || err.message || 'Passkey login failed');
+            setStatus('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const signIn = async (webauthnResponse = null) => {
         setError('');
         setStatus('');
 
@@ -22,53 +198,117 @@ function Login({ onLogin, onSwitchToRegister }) {
             return;
         }
 
-        if (requires2FA && (!twoFactorToken || twoFactorToken.length !== 6)) {
+        if (requires2FA && !webauthnResponse && !useRecoveryCode && (!twoFactorToken || twoFactorToken.length !== 6)) {
             setError('Please enter a valid 6-digit 2FA code');
             return;
         }
 
+        if (requires2FA && !webauthnResponse && useRecoveryCode && !twoFactorToken.trim()) {
+            setError('Please enter one of your recovery codes');
+            return;
+        }
+
         setLoading(true);
 
         try {
-            // Step 1: Authenticate with server
+            // Step 1: Authenticate with server (telling it which device we are, if we know)
             setStatus('Authenticating...');
-            const result = await api.login(username, password, twoFactorToken || null);
+            const result = await api.login(
+                username,
+                password,
+                webauthnResponse ? null : twoFactorToken || null,
+                getStoredDeviceId(username),
+                webauthnResponse
+            );
 
             // Check if 2FA is required
             if (result.requiresTwoFactor) {
+                const methods = result.methods || ['totp'];
                 setRequires2FA(true);
-                setStatus('2FA required. Please enter your 6-digit code.');
+                setTwoFactorMethods(methods);
+                // Security-key-only accounts can't type a code, except a recovery code
+                setUseRecoveryCode(!methods.includes('totp'));
+                setStatus(methods.includes('totp')
+                    ? '2FA required. Please enter your 6-digit code.'
+                    : '2FA required. Please use your security key.');
                 setLoading(false);
                 return;
             }
 
-            // Check if user has stored keys
-            const hasKeys = await hasStoredKeys(result.userId);
+            // A revoked device's identity key is worthless now, starting over as a new device
+            if (result.deviceRevoked) {
+                await deleteKeyRecord(`privateKey_${result.userId}`);
+                forgetDeviceId(username);
+            }
 
-            if (!hasKeys) {
-                throw new Error('No encryption keys found. Please register again.');
+            // Needed for the device registration request below
+            localStorage.setItem('token', result.token);
+            localStorage.setItem('refreshToken', result.refreshToken);
+            localStorage.setItem('sessionId', result.sessionId);
+
+            // Step 2: Retrieve private key from IndexedDB (if this browser has one)
+            let identityPrivateKey = null;
+            if (await hasStoredKeys(result.userId)) {
+                setStatus('Retrieving encryption keys...');
+                try {
+                    identityPrivateKey = await retrievePrivateKey(password, result.userId);
+                } catch (keyError) {
+                    throw new Error('Failed to decrypt private key. Wrong password?');
+                }
             }
 
-            // Step 2: Retrieve private key from IndexedDB
-            setStatus('Retrieving encryption keys...');
-            try {
-                await retrievePrivateKey(password, result.userId);
-            } catch (keyError) {
-                throw new Error('Failed to decrypt private key. Wrong password?');
+            let { token, deviceId } = result;
+
+            // Step 3: No key in this browser - offering to restore it from a key backup
+            if (!identityPrivateKey) {
+                const recovered = await recoverIdentityKey(password, result.userId, deviceId);
+                if (recovered) {
+                    setStatus('Identity key recovered...');
+                    ({ privateKey: identityPrivateKey, token, deviceId } = recovered);
+                    storeDeviceId(username, deviceId);
+                    alert('✅ Identity key recovered and replaced with a fresh one.');
+                }
             }
 
-            // Step 3: Store auth data
-            localStorage.setItem('token', result.token);
-            localStorage.setItem('userId', result.userId);
-            localStorage.setItem('username', result.username);
-            localStorage.setItem('publicKey', result.publicKey);
-            localStorage.setItem('twoFactorEnabled', result.twoFactorEnabled || false);
+            // Step 4: Register this browser as a device if the server doesn't know it yet
+            if (!deviceId || !identityPrivateKey) {
+                setStatus('Registering this device...');
+
+                let newKeyPair = null;
+                let devicePublicKey;
+                if (identityPrivateKey) {
+                    devicePublicKey = await exportPublicKeyFromPrivate(identityPrivateKey);
+                } else {
+                    newKeyPair = await generateUserKeyPair();
+                    identityPrivateKey = newKeyPair.privateKey;
+                    devicePublicKey = await exportPublicKey(newKeyPair.publicKey);
+                }
+
+                const device = await api.registerDevice(devicePublicKey, getDeviceName());
+                ({ token, deviceId } = device);
+
+                if (newKeyPair) {
+                    await storePrivateKey(newKeyPair.privateKey, password, result.userId);
+                }
+                storeDeviceId(username, deviceId);
+            }
+
+            // Step 5: Store auth data
+            storeAuthData(result, token, deviceId);
+
+            // Step 6: Publish prekeys (not fatal - others can still use interactive key exchange)
+            setStatus('Publishing prekeys...');
+            try {
+                await replenishPreKeys(identityPrivateKey, result.userId);
+            } catch (preKeyError) {
+                console.warn('Failed to publish prekeys:', preKeyError);
+            }
 
             setStatus('Login successful!');
 
             // Call login callback
             setTimeout(() => {
-                if (onLogin) onLogin(result);
+                if (onLogin) onLogin({ ...result, token, deviceId });
             }, 500);
 
         } catch (err) {
@@ -114,20 +354,61 @@ function Login({ onLogin, onSwitchToRegister }) {
 
                     {requires2FA && (
                         <div className="form-group">
-                            <label htmlFor="twoFactorToken">2FA Code</label>
-                            <input
-                                id="twoFactorToken"
-                                type="text"
-                                value={twoFactorToken}
-                                onChange={(e) => setTwoFactorToken(e.target.value.replace(/\D/g, '').slice(0, 6))}
-                                placeholder="000000"
-                                maxLength={6}
-                                disabled={loading}
-                                autoComplete="one-time-code"
-                                autoFocus
-                                className="twofa-input"
-                            />
-                            <p className="hint">Enter the 6-digit code from your authenticator app</p>
+                            <label htmlFor="twoFactorToken">{useRecoveryCode ? 'Recovery Code' : '2FA Code'}</label>
+                            {useRecoveryCode ? (
+                                <input
+                                    id="twoFactorToken"
+                                    type="text"
+                                    value={twoFactorToken}
+                                    onChange={(e) => setTwoFactorToken(e.target.value.toUpperCase().slice(0, 11))}
+                                    placeholder="XXXXX-XXXXX"
+                                    disabled={loading}
+                                    autoComplete="off"
+                                    autoFocus
+                                    className="twofa-input"
+                                />
+                            ) : (
+                                <input
+                                    id="twoFactorToken"
+                                    type="text"
+                                    value={twoFactorToken}
+                                    onChange={(e) => setTwoFactorToken(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                                    placeholder="000000"
+                                    maxLength={6}
+                                    disabled={loading}
+                                    autoComplete="one-time-code"
+                                    autoFocus
+                                    className="twofa-input"
+                                />
+                            )}
+                            <p className="hint">
+                                {useRecoveryCode
+                                    ? 'Each recovery code can only be used once'
+                                    : 'Enter the 6-digit code from your authenticator app'}
+                            </p>
+                            {twoFactorMethods.includes('totp') && (
+                                <button
+                                    type="button"
+                                    onClick={() => {
+                                        setUseRecoveryCode(!useRecoveryCode);
+                                        setTwoFactorToken('');
+                                    }}
+                                    className="switch-btn"
+                                    disabled={loading}
+                                >
+                                    {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your phone? Use a recovery code'}
+                                </button>
+                            )}
+                            {twoFactorMethods.includes('webauthn') && (
+                                <button
+                                    type="button"
+                                    onClick={handleSecurityKey}
+                                    className="secondary-btn"
+                                    disabled={loading}
+                                >
+                                    🔑 Use Security Key
+                                </button>
+                            )}
                         </div>
                     )}
 
@@ -138,6 +419,12 @@ function Login({ onLogin, onSwitchToRegister }) {
                         {loading ? 'Signing in...' : 'Sign In'}
                     </button>
 
+                    {!requires2FA && (
+                        <button type="button" onClick={handlePasskeyLogin} disabled={loading} className="secondary-btn">
+                            🔑 Sign In with a Passkey
+                        </button>
+                    )}
+
                     <div className="auth-switch">
                         Don't have an account?{' '}
                         <button type="button" onClick={onSwitchToRegister} className="switch-btn">
@@ -3,9 +3,13 @@ import api from '../services/api';
 import {
     generateUserKeyPair,
     exportPublicKey,
-    storePrivateKey
+    storePrivateKey,
+    storeDeviceId,
+    getStoredDeviceId,
+    getDeviceName
 } from '../crypto/keyManagement';
 import './Register.css';
+import './KeyRecovery.css';
 
 function Register({ onSuccess, onSwitchToLogin }) {
     const [username, setUsername] = useState('');
@@ -19,6 +23,7 @@ function Register({ onSuccess, onSwitchToLogin }) {
     const [showTwoFactorSetup, setShowTwoFactorSetup] = useState(false);
     const [twoFactorData, setTwoFactorData] = useState(null);
     const [twoFactorToken, setTwoFactorToken] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
     const [registeredUserId, setRegisteredUserId] = useState(null);
 
     const handleSubmit = async (e) => {
@@ -55,12 +60,15 @@ function Register({ onSuccess, onSwitchToLogin }) {
 
             // Step 3: Register with server
             setStatus('Registering with server...');
-            const result = await api.register(username, password, publicKeyBase64);
+            const result = await api.register(username, password, publicKeyBase64, getDeviceName());
 
             // Step 4: Store private key in IndexedDB (encrypted with password)
             setStatus('Encrypting and storing private key securely...');
             await storePrivateKey(keyPair.privateKey, password, result.userId);
 
+            // This browser is the account's first device
+            storeDeviceId(username, result.deviceId);
+
             setStatus('Registration successful!');
 
             // Store userId and token for 2FA setup
@@ -86,7 +94,7 @@ function Register({ onSuccess, onSwitchToLogin }) {
         // The registration already returns the userId, we'll use password for now
         // In production, you'd want to auto-login after registration
         try {
-            const loginResult = await api.login(username, password);
+            const loginResult = await api.login(username, password, null, getStoredDeviceId(username));
             return loginResult.token;
         } catch (err) {
             console.error('Auto-login failed:', err);
@@ -94,6 +102,16 @@ function Register({ onSuccess, onSwitchToLogin }) {
         }
     };
 
+    // The temporary login was a real session, so it gets revoked on the server too
+    const endTempSession = async () => {
+        try {
+            await api.logout();
+        } catch (err) {
+            console.warn('Failed to end temporary session:', err);
+        }
+        localStorage.removeItem('token');
+    };
+
     const handleEnable2FA = async () => {
         setLoading(true);
         setError('');
@@ -127,16 +145,14 @@ function Register({ onSuccess, onSwitchToLogin }) {
 
         try {
             setStatus('Verifying code...');
-            await api.verify2FA(twoFactorToken);
-            setStatus('2FA enabled successfully! Redirecting to login...');
+            const result = await api.verify2FA(twoFactorToken);
+            setStatus('2FA enabled successfully!');
 
-            // Clear token from storage
-            localStorage.removeItem('token');
+            // Ending the temporary session
+            await endTempSession();
 
-            // Redirect to login after success
-            setTimeout(() => {
-                if (onSuccess) onSuccess();
-            }, 2000);
+            // Showing the recovery codes before going to login
+            setRecoveryCodes(result.recoveryCodes);
         } catch (err) {
             console.error('2FA verification failed:', err);
             setError(err.response?.data?.error || err.message || 'Invalid code. Please try again.');
@@ -146,8 +162,8 @@ function Register({ onSuccess, onSwitchToLogin }) {
     };
 
     const handleSkip2FA = () => {
-        // Clear token and redirect to login
-        localStorage.removeItem('token');
+        // Ending the temporary session and redirecting to login
+        endTempSession();
         if (onSuccess) onSuccess();
     };
 
@@ -159,7 +175,27 @@ function Register({ onSuccess, onSwitchToLogin }) {
                     <h2>🔐 Two-Factor Authentication</h2>
                     <p className="subtitle">Add an extra layer of security to your account</p>
 
-                    {!twoFactorData ? (
+                    {recoveryCodes ? (
+                        <div className="twofa-verification">
+                            <p className="twofa-step">Save Your Recovery Codes</p>
+                            <p className="twofa-instruction">
+                                If you lose your phone, each of these codes lets you log in once instead of a 6-digit code.
+                                They won&apos;t be shown again.
+                            </p>
+
+                            <div className="recovery-code">
+                                {recoveryCodes.map(code => <div key={code}>{code}</div>)}
+                            </div>
+
+                            <button onClick={() => window.print()} className="skip-btn">
+                                🖨️ Print
+                            </button>
+
+                            <button onClick={() => onSuccess && onSuccess()} className="submit-btn">
+                                I&apos;ve Saved Them - Continue to Login
+                            </button>
+                        </div>
+                    ) : !twoFactorData ? (
                         <div className="twofa-prompt">
                             <p className="twofa-description">
                                 Two-factor authentication (2FA) provides additional security by requiring
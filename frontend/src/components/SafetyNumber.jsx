@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import {
+    computeSafetyNumber,
+    formatSafetyNumber,
+    encodeVerificationCode,
+    checkVerificationCode,
+    markContactVerified,
+    clearContactVerified
+} from '../crypto/safetyNumbers';
+import './TwoFactorSetup.css';
+import './SafetyNumber.css';
+
+// Safety number dialog - compare the number in person, or scan/paste the other side's code
+function SafetyNumber({ user, contact, localKeys, remoteKeys, status, onStatusChange, onClose }) {
+    const [safetyNumber, setSafetyNumber] = useState('');
+    const [qrCode, setQrCode] = useState('');
+    const [scannedCode, setScannedCode] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+
+        computeSafetyNumber(user.username, localKeys, contact.username, remoteKeys)
+            .then(async (number) => {
+                const code = encodeVerificationCode(user.username, contact.username, number);
+                const dataUrl = await QRCode.toDataURL(code);
+                if (!cancelled) {
+                    setSafetyNumber(number);
+                    setQrCode(dataUrl);
+                }
+            })
+            .catch(err => {
+                console.error('Failed to compute safety number:', err);
+                if (!cancelled) setError('Failed to compute safety number');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user.username, contact.username, localKeys, remoteKeys]);
+
+    const markVerified = async () => {
+        await markContactVerified(user.userId, contact._id, remoteKeys);
+        onStatusChange('verified');
+        setSuccess(`✅ ${contact.username} is now verified`);
+    };
+
+    const handleCheckCode = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        if (!checkVerificationCode(scannedCode, user.username, contact.username, safetyNumber)) {
+            setError('❌ Codes do not match! The server may have given one of you the wrong keys.');
+            return;
+        }
+
+        try {
+            await markVerified();
+        } catch (err) {
+            console.error('Failed to save verification:', err);
+            setError('Failed to save verification');
+        }
+    };
+
+    const handleMarkVerified = async () => {
+        const confirm = window.confirm(
+            `Only do this if ${contact.username} read out exactly the same safety number.`
+        );
+        if (!confirm) return;
+
+        try {
+            await markVerified();
+        } catch (err) {
+            console.error('Failed to save verification:', err);
+            setError('Failed to save verification');
+        }
+    };
+
+    const handleClearVerification = async () => {
+        try {
+            await clearContactVerified(user.userId, contact._id);
+            onStatusChange('unverified');
+            setSuccess('');
+        } catch (err) {
+            console.error('Failed to clear verification:', err);
+            setError('Failed to clear verification');
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content twofa-modal">
+                <div className="modal-header">
+                    <h2>🔢 Safety Number</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
+
+                <div className="twofa-step">
+                    <p className="info-text">
+                        Compare this number with {contact.username}. If it matches on both screens,
+                        nobody (not even the server) has swapped your keys.
+                    </p>
+
+                    {status === 'verified' && (
+                        <div className="success-message">✅ Verified</div>
+                    )}
+                    {status === 'changed' && (
+                        <div className="error-message">
+                            ⚠️ {contact.username}&apos;s keys changed since you verified them. Verify again before sending.
+                        </div>
+                    )}
+
+                    <div className="safety-number">
+                        {safetyNumber
+                            ? formatSafetyNumber(safetyNumber).map((block, idx) => <span key={idx}>{block}</span>)
+                            : 'Computing...'}
+                    </div>
+
+                    {qrCode && (
+                        <div className="qr-container">
+                            <img src={qrCode} alt="Safety number QR code" className="qr-code" />
+                        </div>
+                    )}
+
+                    <form onSubmit={handleCheckCode} className="verify-form">
+                        <label htmlFor="scannedCode">Scan {contact.username}&apos;s QR code and paste the text here:</label>
+                        <input
+                            id="scannedCode"
+                            type="text"
+                            value={scannedCode}
+                            onChange={(e) => setScannedCode(e.target.value)}
+                            placeholder="securechat-safety-number:v1:..."
+                            className="token-input safety-code-input"
+                            disabled={!safetyNumber}
+                        />
+
+                        {error && <div className="error-message">{error}</div>}
+                        {success && <div className="success-message">{success}</div>}
+
+                        <button type="submit" disabled={!safetyNumber || !scannedCode.trim()} className="primary-btn">
+                            Check Code
+                        </button>
+                    </form>
+
+                    <div className="safety-number-actions">
+                        {status === 'verified' ? (
+                            <button onClick={handleClearVerification} className="primary-btn">
+                                Clear Verification
+                            </button>
+                        ) : (
+                            <button onClick={handleMarkVerified} disabled={!safetyNumber} className="primary-btn">
+                                Numbers Match - Mark as Verified
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SafetyNumber;
@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { startRegistration } from '@simplewebauthn/browser';
+import api from '../services/api';
+import './TwoFactorSetup.css';
+import './KeyRecovery.css';
+
+// Security keys and passkeys (WebAuthn) used as a second factor or for passwordless login
+// Removing a key needs the password so a stolen session can't strip the second factor
+function SecurityKeys({ onClose, onChanged }) {
+    const [credentials, setCredentials] = useState([]);
+    const [name, setName] = useState('');
+    const [removing, setRemoving] = useState(null);
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        api.getSecurityKeys()
+            .then(data => setCredentials(data.credentials))
+            .catch(err => console.error('Failed to load security keys:', err));
+    }, [refreshKey]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const optionsJSON = await api.getWebAuthnRegistrationOptions();
+            const response = await startRegistration({ optionsJSON });
+            const result = await api.verifyWebAuthnRegistration(response, name.trim() || 'Security key');
+
+            setName('');
+            // First second factor on the account, so the server handed out recovery codes
+            if (result.recoveryCodes) setRecoveryCodes(result.recoveryCodes);
+            setRefreshKey(prev => prev + 1);
+            if (onChanged) onChanged();
+        } catch (err) {
+            console.error('Failed to register security key:', err);
+            if (err.name === 'NotAllowedError') {
+                setError('Security key registration was cancelled');
+            } else {
+                setError(err.response?.data?.error || 'Failed to register security key');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRemove = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            await api.removeSecurityKey(removing.credentialId, password);
+            setRemoving(null);
+            setPassword('');
+            setRefreshKey(prev => prev + 1);
+            if (onChanged) onChanged();
+        } catch (err) {
+            console.error('Failed to remove security key:', err);
+            setError(err.response?.data?.error || 'Failed to remove security key');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content twofa-modal">
+                <div className="modal-header">
+                    <h2>🔑 Security Keys</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
+
+                {recoveryCodes ? (
+                    <div className="twofa-step">
+                        <p className="info-text">
+                            Your account now asks for a second factor when you log in. If you lose your security
+                            keys, each of these codes lets you log in once. They won&apos;t be shown again.
+                        </p>
+
+                        <div className="recovery-code">
+                            {recoveryCodes.map(code => <div key={code}>{code}</div>)}
+                        </div>
+
+                        <div className="recovery-actions">
+                            <button onClick={() => window.print()} className="primary-btn">
+                                🖨️ Print
+                            </button>
+                            <button onClick={() => setRecoveryCodes(null)} className="primary-btn">
+                                I&apos;ve Saved Them
+                            </button>
+                        </div>
+                    </div>
+                ) : removing ? (
+                    <form onSubmit={handleRemove} className="twofa-step verify-form">
+                        <p className="info-text">
+                            Enter your password to remove &quot;{removing.name}&quot;.
+                        </p>
+
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="Account password"
+                            className="token-input recovery-input"
+                            autoComplete="current-password"
+                        />
+
+                        {error && <div className="error-message">{error}</div>}
+
+                        <div className="recovery-actions">
+                            <button type="button" onClick={() => { setRemoving(null); setPassword(''); setError(''); }} className="primary-btn">
+                                Cancel
+                            </button>
+                            <button type="submit" disabled={loading || !password} className="primary-btn">
+                                {loading ? 'Removing...' : 'Remove Key'}
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <div className="twofa-step">
+                        {credentials.length === 0 ? (
+                            <p className="info-text">No security keys registered yet.</p>
+                        ) : (
+                            <div className="logs-table">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Name</th>
+                                            <th>Added</th>
+                                            <th>Last Used</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {credentials.map(credential => (
+                                            <tr key={credential.credentialId}>
+                                                <td>
+                                                    {credential.name}
+                                                    {credential.backedUp && ' (synced passkey)'}
+                                                </td>
+                                                <td>{new Date(credential.createdAt).toLocaleDateString()}</td>
+                                                <td>
+                                                    {credential.lastUsedAt
+                                                        ? new Date(credential.lastUsedAt).toLocaleString()
+                                                        : 'Never'}
+                                                </td>
+                                                <td>
+                                                    <button onClick={() => { setRemoving(credential); setError(''); }} className="action-btn">
+                                                        Remove
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        <form onSubmit={handleAdd} className="verify-form">
+                            <input
+                                type="text"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                placeholder="Key name (e.g. YubiKey, Laptop)"
+                                className="token-input recovery-input"
+                                maxLength={50}
+                            />
+
+                            {error && <div className="error-message">{error}</div>}
+
+                            <button type="submit" disabled={loading} className="primary-btn">
+                                {loading ? 'Waiting for key...' : '➕ Add Security Key'}
+                            </button>
+                        </form>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SecurityKeys;
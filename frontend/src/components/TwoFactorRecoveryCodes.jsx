@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import api from '../services/api';
+import './TwoFactorSetup.css';
+import './KeyRecovery.css';
+
+// Single-use codes for logging in without the authenticator app
+// Generating a new batch needs the password and throws away the old codes
+function TwoFactorRecoveryCodes({ onClose, onGenerated }) {
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const result = await api.generateRecoveryCodes(password);
+            setRecoveryCodes(result.recoveryCodes);
+            setPassword('');
+            if (onGenerated) onGenerated();
+        } catch (err) {
+            console.error('Failed to generate recovery codes:', err);
+            setError(err.response?.data?.error || 'Failed to generate recovery codes');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content twofa-modal">
+                <div className="modal-header">
+                    <h2>🔐 2FA Recovery Codes</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
+
+                {recoveryCodes ? (
+                    <div className="twofa-step">
+                        <p className="info-text">
+                            Each code works once in place of a 6-digit code. Your old codes no longer work.
+                        </p>
+
+                        <div className="recovery-code">
+                            {recoveryCodes.map(code => <div key={code}>{code}</div>)}
+                        </div>
+
+                        <div className="recovery-actions">
+                            <button onClick={() => window.print()} className="primary-btn">
+                                🖨️ Print
+                            </button>
+                            <button onClick={onClose} className="primary-btn">
+                                I&apos;ve Saved Them
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="twofa-step verify-form">
+                        <p className="info-text">
+                            New recovery codes replace all of your current ones. Enter your password to continue.
+                        </p>
+
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="Account password"
+                            className="token-input recovery-input"
+                            autoComplete="current-password"
+                        />
+
+                        {error && <div className="error-message">{error}</div>}
+
+                        <button type="submit" disabled={loading || !password} className="primary-btn">
+                            {loading ? 'Generating...' : 'Generate New Codes'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TwoFactorRecoveryCodes;
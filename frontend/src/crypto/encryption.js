@@ -21,7 +21,8 @@ export async function generateSessionKey() {
 }
 
 // Locking a message so only the right person can read it
-export async function encryptMessage(message, sessionKey) {
+// (associated data isn't encrypted, but decryption fails if it's changed)
+export async function encryptMessage(message, sessionKey, associatedData = null) {
     try {
         // Creating a random starting point for encryption
         const iv = window.crypto.getRandomValues(new Uint8Array(12));
@@ -32,11 +33,7 @@ export async function encryptMessage(message, sessionKey) {
 
         // Doing the actual encryption
         const encrypted = await window.crypto.subtle.encrypt(
-            {
-                name: 'AES-GCM',
-                iv: iv,
-                tagLength: 128
-            },
+            gcmParams(iv, associatedData),
             sessionKey,
             messageData
         );
@@ -56,7 +53,7 @@ export async function encryptMessage(message, sessionKey) {
 }
 
 // Unlocking an encrypted message using the secret key
-export async function decryptMessage(ciphertext, iv, sessionKey) {
+export async function decryptMessage(ciphertext, iv, sessionKey, associatedData = null) {
     try {
         // Converting encrypted data from storage format
         const ciphertextBuffer = base64ToArrayBuffer(ciphertext);
@@ -64,11 +61,7 @@ export async function decryptMessage(ciphertext, iv, sessionKey) {
 
         // Decrypting the message
         const decrypted = await window.crypto.subtle.decrypt(
-            {
-                name: 'AES-GCM',
-                iv: ivBuffer,
-                tagLength: 128
-            },
+            gcmParams(ivBuffer, associatedData),
             sessionKey,
             ciphertextBuffer
         );
@@ -84,112 +77,181 @@ export async function decryptMessage(ciphertext, iv, sessionKey) {
     }
 }
 
-// Encrypting a file so it can be shared securely (handles large files in chunks)
-export async function encryptFile(fileData, sessionKey) {
+// Files are encrypted and uploaded one chunk at a time, so they never have to fit in memory
+export const FILE_CHUNK_SIZE = 1024 * 1024; // 1MB of plaintext per chunk
+const FILE_IV_LENGTH = 12;
+// Headers are padded to a multiple of this, so their length doesn't give away the name's length
+const FILE_HEADER_BLOCK = 1024;
+
+// Associated data tying a chunk to its file, its position and whether it's the last one
+// The server can't reorder, drop, truncate or splice chunks between files without decryption failing
+function fileChunkAad(fileId, index, totalChunks) {
+    const isFinal = index === totalChunks - 1 ? 1 : 0;
+    return `file-chunk:v1:${fileId}:${index}:${totalChunks}:${isFinal}`;
+}
+
+// Encrypting one chunk of a file
+// Returns IV + ciphertext + tag in one buffer, which is exactly what gets uploaded
+export async function encryptFileChunk(chunkData, fileKey, { fileId, index, totalChunks }) {
     try {
-        const CHUNK_SIZE = 64 * 1024; // 64KB chunks
-        const chunks = [];
-
-        // Small files can be encrypted all at once
-        if (fileData.byteLength <= CHUNK_SIZE) {
-            const iv = window.crypto.getRandomValues(new Uint8Array(12));
-            const encrypted = await window.crypto.subtle.encrypt(
-                {
-                    name: 'AES-GCM',
-                    iv: iv,
-                    tagLength: 128
-                },
-                sessionKey,
-                fileData
-            );
-
-            return {
-                chunks: [{
-                    data: arrayBufferToBase64(encrypted),
-                    iv: arrayBufferToBase64(iv),
-                    index: 0
-                }],
-                totalChunks: 1,
-                totalSize: fileData.byteLength
-            };
-        }
-
-        // Big files need to be broken into smaller pieces
-        for (let offset = 0; offset < fileData.byteLength; offset += CHUNK_SIZE) {
-            const chunk = fileData.slice(offset, Math.min(offset + CHUNK_SIZE, fileData.byteLength));
-            const iv = window.crypto.getRandomValues(new Uint8Array(12));
-
-            const encrypted = await window.crypto.subtle.encrypt(
-                {
-                    name: 'AES-GCM',
-                    iv: iv,
-                    tagLength: 128
-                },
-                sessionKey,
-                chunk
-            );
-
-            chunks.push({
-                data: arrayBufferToBase64(encrypted),
-                iv: arrayBufferToBase64(iv),
-                index: chunks.length
-            });
-        }
+        const iv = window.crypto.getRandomValues(new Uint8Array(FILE_IV_LENGTH));
+        const encrypted = await window.crypto.subtle.encrypt(
+            gcmParams(iv, fileChunkAad(fileId, index, totalChunks)),
+            fileKey,
+            chunkData
+        );
 
-        return {
-            chunks,
-            totalChunks: chunks.length,
-            totalSize: fileData.byteLength
-        };
+        const result = new Uint8Array(FILE_IV_LENGTH + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), FILE_IV_LENGTH);
+        return result;
     } catch (error) {
         console.error('File encryption failed:', error);
         throw new Error('Failed to encrypt file');
     }
 }
 
-// Decrypting file chunks and putting them back together
-export async function decryptFile(encryptedChunks, sessionKey) {
+// Decrypting one chunk made by encryptFileChunk() - it only opens at the position it was made for
+export async function decryptFileChunk(encryptedChunk, fileKey, { fileId, index, totalChunks }) {
     try {
-        const decryptedChunks = [];
-
-        // Making sure chunks are in the right order
-        const sortedChunks = [...encryptedChunks].sort((a, b) => a.index - b.index);
-
-        // Decrypting each piece
-        for (const chunk of sortedChunks) {
-            const ciphertextBuffer = base64ToArrayBuffer(chunk.data);
-            const ivBuffer = base64ToArrayBuffer(chunk.iv);
-
-            const decrypted = await window.crypto.subtle.decrypt(
-                {
-                    name: 'AES-GCM',
-                    iv: ivBuffer,
-                    tagLength: 128
-                },
-                sessionKey,
-                ciphertextBuffer
-            );
-
-            decryptedChunks.push(new Uint8Array(decrypted));
-        }
-
-        // Putting all the pieces back together
-        const totalLength = decryptedChunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-        const result = new Uint8Array(totalLength);
-        let offset = 0;
-
-        for (const chunk of decryptedChunks) {
-            result.set(chunk, offset);
-            offset += chunk.byteLength;
-        }
-
-        return result.buffer;
+        const bytes = new Uint8Array(encryptedChunk);
+
+        return await window.crypto.subtle.decrypt(
+            gcmParams(bytes.subarray(0, FILE_IV_LENGTH), fileChunkAad(fileId, index, totalChunks)),
+            fileKey,
+            bytes.subarray(FILE_IV_LENGTH)
+        );
     } catch (error) {
         console.error('File decryption failed:', error);
         throw new Error('Failed to decrypt file - invalid key or tampered data');
     }
 }
 
+// Encrypting a file's metadata (name, MIME type, size and chunk layout) into its header
+// The chunk layout in here is what decryption trusts, not what the server says
+export async function encryptFileHeader(metadata, fileKey, fileId) {
+    try {
+        // Padding with spaces, which are still valid JSON
+        const encoded = new TextEncoder().encode(JSON.stringify(metadata));
+        const plaintext = new Uint8Array(Math.ceil((encoded.length + 1) / FILE_HEADER_BLOCK) * FILE_HEADER_BLOCK).fill(0x20);
+        plaintext.set(encoded);
+
+        const iv = window.crypto.getRandomValues(new Uint8Array(FILE_IV_LENGTH));
+        const encrypted = await window.crypto.subtle.encrypt(
+            gcmParams(iv, `file-header:v1:${fileId}`),
+            fileKey,
+            plaintext
+        );
+
+        const result = new Uint8Array(FILE_IV_LENGTH + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), FILE_IV_LENGTH);
+        return arrayBufferToBase64(result);
+    } catch (error) {
+        console.error('File header encryption failed:', error);
+        throw new Error('Failed to encrypt file');
+    }
+}
+
+export async function decryptFileHeader(header, fileKey, fileId) {
+    try {
+        const bytes = new Uint8Array(base64ToArrayBuffer(header));
+        const decrypted = await window.crypto.subtle.decrypt(
+            gcmParams(bytes.subarray(0, FILE_IV_LENGTH), `file-header:v1:${fileId}`),
+            fileKey,
+            bytes.subarray(FILE_IV_LENGTH)
+        );
+
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (error) {
+        console.error('File header decryption failed:', error);
+        throw new Error('Failed to decrypt file - invalid key or tampered data');
+    }
+}
+
+// Encrypting a file's thumbnail with the file key, bound to the file id like the header
+export async function encryptFilePreview(previewData, fileKey, fileId) {
+    try {
+        const iv = window.crypto.getRandomValues(new Uint8Array(FILE_IV_LENGTH));
+        const encrypted = await window.crypto.subtle.encrypt(
+            gcmParams(iv, `file-preview:v1:${fileId}`),
+            fileKey,
+            previewData
+        );
+
+        const result = new Uint8Array(FILE_IV_LENGTH + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), FILE_IV_LENGTH);
+        return arrayBufferToBase64(result);
+    } catch (error) {
+        console.error('File preview encryption failed:', error);
+        throw new Error('Failed to encrypt file');
+    }
+}
+
+export async function decryptFilePreview(preview, fileKey, fileId) {
+    try {
+        const bytes = new Uint8Array(base64ToArrayBuffer(preview));
+
+        return await window.crypto.subtle.decrypt(
+            gcmParams(bytes.subarray(0, FILE_IV_LENGTH), `file-preview:v1:${fileId}`),
+            fileKey,
+            bytes.subarray(FILE_IV_LENGTH)
+        );
+    } catch (error) {
+        console.error('File preview decryption failed:', error);
+        throw new Error('Failed to decrypt file - invalid key or tampered data');
+    }
+}
+
+// Wrapping a file's key (base64) for one device with the file key wrapping key from our key
+// exchange with it, bound to the file id so a wrapped key can't be passed off as another file's
+export async function wrapFileKey(fileKey, wrappingKey, fileId) {
+    try {
+        const iv = window.crypto.getRandomValues(new Uint8Array(FILE_IV_LENGTH));
+        const encrypted = await window.crypto.subtle.encrypt(
+            gcmParams(iv, `file-key:v1:${fileId}`),
+            await importWrappingKey(wrappingKey),
+            base64ToArrayBuffer(fileKey)
+        );
+
+        const result = new Uint8Array(FILE_IV_LENGTH + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), FILE_IV_LENGTH);
+        return arrayBufferToBase64(result);
+    } catch (error) {
+        console.error('File key wrapping failed:', error);
+        throw new Error('Failed to wrap file key');
+    }
+}
+
+// Getting the file key (base64) back out of wrapFileKey()
+export async function unwrapFileKey(wrappedFileKey, wrappingKey, fileId) {
+    try {
+        const bytes = new Uint8Array(base64ToArrayBuffer(wrappedFileKey));
+        const fileKey = await window.crypto.subtle.decrypt(
+            gcmParams(bytes.subarray(0, FILE_IV_LENGTH), `file-key:v1:${fileId}`),
+            await importWrappingKey(wrappingKey),
+            bytes.subarray(FILE_IV_LENGTH)
+        );
+
+        return arrayBufferToBase64(fileKey);
+    } catch (error) {
+        console.error('File key unwrapping failed:', error);
+        throw new Error('Failed to unwrap file key - invalid key or tampered data');
+    }
+}
+
+function importWrappingKey(base64Key) {
+    return window.crypto.subtle.importKey(
+        'raw',
+        base64ToArrayBuffer(base64Key),
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
 // Converting encryption key to a format that can be shared
 export async function exportSessionKey(sessionKey) {
     try {
@@ -220,6 +282,23 @@ export async function importSessionKey(base64Key) {
     }
 }
 
+// Building AES-GCM parameters, adding associated data only when we have some
+function gcmParams(iv, associatedData) {
+    const params = {
+        name: 'AES-GCM',
+        iv: iv,
+        tagLength: 128
+    };
+
+    if (associatedData !== null && associatedData !== undefined) {
+        params.additionalData = typeof associatedData === 'string'
+            ? new TextEncoder().encode(associatedData)
+            : associatedData;
+    }
+
+    return params;
+}
+
 // Helper functions to convert between formats
 function arrayBufferToBase64(buffer) {
     const bytes = new Uint8Array(buffer);
@@ -2,6 +2,19 @@
 // Using digital signatures to prevent attackers from intercepting keys
 
 import { generateECDHKeyPair, exportPublicKey, importPublicKey } from './keyManagement.js';
+import { initRatchetAsInitiator, initRatchetAsResponder } from './ratchet.js';
+
+// Version of the signed statements below, bumped whenever what they cover changes
+const KEY_EXCHANGE_VERSION = 'key-exchange:v2';
+
+// Key schedules turning the ECDH secret into keys, negotiated per exchange and kept with it
+// 1: PBKDF2 root key (what older clients do), 2: HKDF with a labelled key for every purpose
+export const KEY_SCHEDULE_VERSIONS = [1, 2];
+const KEY_SCHEDULE_INFO = 'SecureChat-KeySchedule-v2';
+
+// Both sides prove they derived the same keys by MACing the transcript with a key confirmation key
+// (derived next to the root key, so the MACs give nothing away about it)
+const KEY_CONFIRMATION_INFO = 'SecureChat-KeyConfirmation';
 
 // Creating a digital signature to prove this data came from me
 export async function signData(data, privateKey) {
@@ -49,8 +62,58 @@ export async function verifySignature(data, signature, publicKey) {
     }
 }
 
+// What the initiator signs - the responder's key and the exchange id don't exist yet,
+// but naming both devices stops the share being replayed towards anyone else
+// exchange is { initiatorId, initiatorDeviceId, responderId, responderDeviceId }
+export function keyExchangeOffer(exchange, ecdhPublicKey, nonce, timestamp, keySchedules) {
+    return [
+        `${KEY_EXCHANGE_VERSION}:offer`,
+        exchange.initiatorId,
+        exchange.initiatorDeviceId,
+        exchange.responderId,
+        exchange.responderDeviceId,
+        ecdhPublicKey,
+        nonce,
+        timestamp,
+        keySchedules.join(',')
+    ].join(':');
+}
+
+// The whole exchange in a fixed order - the responder signs it and both key confirmations cover it
+// Has to match keyExchangeTranscript() on the server, which keeps its hash
+export function keyExchangeTranscript(exchange, initiatorMessage, responderMessage) {
+    return [
+        `${KEY_EXCHANGE_VERSION}:transcript`,
+        exchange.keyExchangeId,
+        exchange.initiatorId,
+        exchange.initiatorDeviceId,
+        exchange.responderId,
+        exchange.responderDeviceId,
+        initiatorMessage.ecdhPublicKey,
+        initiatorMessage.nonce,
+        initiatorMessage.timestamp,
+        initiatorMessage.keySchedules.join(','),
+        responderMessage.ecdhPublicKey,
+        responderMessage.nonce,
+        responderMessage.timestamp,
+        responderMessage.keySchedule
+    ].join(':');
+}
+
+// The responder picks the newest key schedule both sides know
+// The choice is in the signed transcript, so nobody in between can talk us down to an older one
+export function negotiateKeySchedule(offered) {
+    const common = KEY_SCHEDULE_VERSIONS.filter(version => offered.includes(version));
+    if (common.length === 0) {
+        throw new Error('No key schedule in common with the other device');
+    }
+
+    return Math.max(...common);
+}
+
 // Starting the key exchange process (Step 1: creating and signing my key)
-export async function initiateKeyExchange(userPrivateKey) {
+// exchange names both devices ({ initiatorId, initiatorDeviceId, responderId, responderDeviceId })
+export async function initiateKeyExchange(userPrivateKey, exchange) {
     try {
         // Making a temporary key just for this exchange
         const ecdhKeyPair = await generateECDHKeyPair();
@@ -62,8 +125,8 @@ export async function initiateKeyExchange(userPrivateKey) {
         const nonce = generateNonce();
         const timestamp = Date.now();
 
-        // Bundling everything together to sign
-        const dataToSign = `${publicKeyBase64}:${nonce}:${timestamp}`;
+        // Bundling everything together to sign (with the key schedules we can do)
+        const dataToSign = keyExchangeOffer(exchange, publicKeyBase64, nonce, timestamp, KEY_SCHEDULE_VERSIONS);
 
         // Signing it with my private key so others know it's really from me
         const signature = await signData(dataToSign, userPrivateKey);
@@ -76,7 +139,8 @@ export async function initiateKeyExchange(userPrivateKey) {
                 ecdhPublicKey: publicKeyBase64,
                 signature,
                 nonce,
-                timestamp
+                timestamp,
+                keySchedules: KEY_SCHEDULE_VERSIONS
             }
         };
     } catch (error) {
@@ -86,10 +150,13 @@ export async function initiateKeyExchange(userPrivateKey) {
 }
 
 // Responding to someone's key exchange request (Step 2: verifying them and sending my key)
+// exchange is { keyExchangeId, initiatorId, initiatorDeviceId, responderId, responderDeviceId },
+// with the responder ids being our own - an offer meant for someone else doesn't verify
 export async function respondToKeyExchange(
     initiatorMessage,
     initiatorUserPublicKey,
-    responderPrivateKey
+    responderPrivateKey,
+    exchange
 ) {
     try {
         // Not accepting really old messages (more than 5 minutes)
@@ -99,8 +166,14 @@ export async function respondToKeyExchange(
             throw new Error('Key exchange message expired');
         }
 
-        // Making sure their signature is valid
-        const dataToVerify = `${initiatorMessage.ecdhPublicKey}:${initiatorMessage.nonce}:${initiatorMessage.timestamp}`;
+        // Making sure their signature is valid (and the offer was made to us)
+        const dataToVerify = keyExchangeOffer(
+            exchange,
+            initiatorMessage.ecdhPublicKey,
+            initiatorMessage.nonce,
+            initiatorMessage.timestamp,
+            initiatorMessage.keySchedules
+        );
         const initiatorPublicKey = await importPublicKey(initiatorUserPublicKey, 'ECDSA');
 
         const isValid = await verifySignature(
@@ -122,12 +195,16 @@ export async function respondToKeyExchange(
         // Adding my own randomness
         const nonce = generateNonce();
         const timestamp = Date.now();
+        const keySchedule = negotiateKeySchedule(initiatorMessage.keySchedules);
 
-        // Preparing my data to sign
-        const dataToSign = `${publicKeyBase64}:${nonce}:${timestamp}`;
-
-        // Signing with my private key
-        const signature = await signData(dataToSign, responderPrivateKey);
+        // Signing the whole transcript, so the initiator knows who answered which offer
+        const transcript = keyExchangeTranscript(exchange, initiatorMessage, {
+            ecdhPublicKey: publicKeyBase64,
+            nonce,
+            timestamp,
+            keySchedule
+        });
+        const signature = await signData(transcript, responderPrivateKey);
 
         // Loading their key so we can do the exchange
         const initiatorECDHPublicKey = await importPublicKey(
@@ -145,23 +222,32 @@ export async function respondToKeyExchange(
             256 // 256 bits
         );
 
-        // Turning the shared secret into a usable encryption key
-        const sessionKey = await deriveSessionKey(
-            sharedSecret,
-            initiatorMessage.nonce,
-            nonce
-        );
+        // Turning the shared secret into the root key for the message ratchet (and the other keys)
+        const keys = await deriveKeySchedule(keySchedule, sharedSecret, initiatorMessage.nonce, nonce);
+
+        // Our ECDH key doubles as our first ratchet key
+        const ratchet = await initRatchetAsResponder(keys.rootKey, ecdhKeyPair, keys.directionKeys, keys.fileKeyWrappingKey);
+
+        // Proving we got the same keys, the initiator answers with its own MAC that we check later
+        const confirmation = {
+            initiatorKey: keys.initiatorConfirmationKey,
+            responderKey: keys.responderConfirmationKey,
+            transcript
+        };
 
-        console.log('✓ Shared secret derived, session key generated');
+        console.log('✓ Shared secret derived, message ratchet waiting for key confirmation');
 
         return {
-            sessionKey,
+            ratchet,
             ecdhKeyPair,
+            confirmation,
             message: {
                 ecdhPublicKey: publicKeyBase64,
                 signature,
                 nonce,
-                timestamp
+                timestamp,
+                keySchedule,
+                confirmation: await createKeyConfirmation(confirmation, 'responder')
             }
         };
     } catch (error) {
@@ -170,12 +256,15 @@ export async function respondToKeyExchange(
     }
 }
 
-// Finishing the key exchange (Step 3: verifying their response and getting the final key)
+// Finishing the key exchange (Step 3: verifying their response and key confirmation, getting the final key)
+// initiatorMessage is what we sent in step 1 ({ ecdhPublicKey, nonce, timestamp, keySchedules }),
+// exchange the same ids as for respondToKeyExchange()
 export async function completeKeyExchange(
     responderMessage,
     responderUserPublicKey,
     initiatorECDHPrivateKey,
-    initiatorNonce
+    initiatorMessage,
+    exchange
 ) {
     try {
         // Checking timestamp again
@@ -185,12 +274,17 @@ export async function completeKeyExchange(
             throw new Error('Key exchange message expired');
         }
 
-        // Making sure their signature is legit
-        const dataToVerify = `${responderMessage.ecdhPublicKey}:${responderMessage.nonce}:${responderMessage.timestamp}`;
+        // They can only pick a key schedule we offered
+        if (!initiatorMessage.keySchedules.includes(responderMessage.keySchedule)) {
+            throw new Error('Responder picked a key schedule we did not offer');
+        }
+
+        // Making sure their signature is legit, over our offer and the devices we meant
+        const transcript = keyExchangeTranscript(exchange, initiatorMessage, responderMessage);
         const responderPublicKey = await importPublicKey(responderUserPublicKey, 'ECDSA');
 
         const isValid = await verifySignature(
-            dataToVerify,
+            transcript,
             responderMessage.signature,
             responderPublicKey
         );
@@ -217,21 +311,40 @@ export async function completeKeyExchange(
             256
         );
 
-        // Creating the same encryption key (using both our random values)
-        const sessionKey = await deriveSessionKey(
+        const keys = await deriveKeySchedule(
+            responderMessage.keySchedule,
             sharedSecret,
-            initiatorNonce,
+            initiatorMessage.nonce,
             responderMessage.nonce
         );
 
-        console.log('✓ Key exchange complete - session key established');
+        // Making sure they derived the same keys before we use ours
+        const confirmation = {
+            initiatorKey: keys.initiatorConfirmationKey,
+            responderKey: keys.responderConfirmationKey,
+            transcript
+        };
 
+        if (!await verifyKeyConfirmation(confirmation, 'responder', responderMessage.confirmation)) {
+            throw new Error('Key confirmation failed - the responder derived a different key');
+        }
+
+        console.log('✓ Responder key confirmation verified');
+
+        // Ratcheting once against their ECDH key so we can send right away
+        const ratchet = await initRatchetAsInitiator(
+            keys.rootKey,
+            responderMessage.ecdhPublicKey,
+            keys.directionKeys,
+            keys.fileKeyWrappingKey
+        );
+
+        console.log('✓ Key exchange complete - message ratchet established');
+
+        // Our MAC goes back to the responder, who only starts using the ratchet once it checks out
         return {
-            sessionKey,
-            confirmation: {
-                message: 'Key exchange confirmed',
-                timestamp: Date.now()
-            }
+            ratchet,
+            confirmation: await createKeyConfirmation(confirmation, 'initiator')
         };
     } catch (error) {
         console.error('Key exchange completion failed:', error);
@@ -239,20 +352,145 @@ export async function completeKeyExchange(
     }
 }
 
-// Turning the shared secret into an actual encryption key
+// MACing the exchange transcript as one side ('initiator' or 'responder')
+// confirmation is { initiatorKey, responderKey, transcript } from respondToKeyExchange() or completeKeyExchange()
+export async function createKeyConfirmation(confirmation, role) {
+    const key = await importConfirmationKey(confirmation[`${role}Key`]);
+    const mac = await window.crypto.subtle.sign(
+        'HMAC',
+        key,
+        new TextEncoder().encode(`${role}|${confirmation.transcript}`)
+    );
+
+    return arrayBufferToBase64(mac);
+}
+
+// Checking the other side's MAC (in constant time, WebCrypto does the comparing)
+export async function verifyKeyConfirmation(confirmation, role, mac) {
+    try {
+        if (!mac) return false;
+
+        const key = await importConfirmationKey(confirmation[`${role}Key`]);
+        return await window.crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64ToArrayBuffer(mac),
+            new TextEncoder().encode(`${role}|${confirmation.transcript}`)
+        );
+    } catch (error) {
+        console.error('Key confirmation check failed:', error);
+        return false;
+    }
+}
+
+// Everything a key exchange needs from the shared secret: { rootKey, directionKeys,
+// fileKeyWrappingKey, initiatorConfirmationKey, responderConfirmationKey } (confirmation keys
+// in base64, so the responder can keep them until the initiator answers)
+// Each file still has its own random key (one upload goes to every device of both users),
+// the file key wrapping key wraps that key for this pair of devices
+// Prekey exchanges (preKeys.js) use it too, with the initiator's nonce only
+export async function deriveKeySchedule(version, sharedSecret, nonce1, nonce2) {
+    if (version === 2) {
+        // One HKDF per key, each with its own label, so no key can stand in for another
+        const derive = label => hkdf(sharedSecret, nonceSalt(nonce1, nonce2), `${KEY_SCHEDULE_INFO}|${label}`);
+
+        return {
+            rootKey: await derive('ratchet-root'),
+            // Each direction's first chain is bound to its own key (see ratchet.js)
+            directionKeys: {
+                initiatorToResponder: await derive('initiator-to-responder'),
+                responderToInitiator: await derive('responder-to-initiator')
+            },
+            fileKeyWrappingKey: await derive('file-key-wrapping'),
+            initiatorConfirmationKey: arrayBufferToBase64(await derive('initiator-confirmation')),
+            responderConfirmationKey: arrayBufferToBase64(await derive('responder-confirmation'))
+        };
+    }
+
+    if (version === 1) {
+        const sessionKey = await deriveSessionKey(sharedSecret, nonce1, nonce2);
+        const confirmationKey = await deriveConfirmationKey(sharedSecret, nonce1, nonce2);
+
+        return {
+            rootKey: await window.crypto.subtle.exportKey('raw', sessionKey),
+            directionKeys: null,
+            fileKeyWrappingKey: null,
+            initiatorConfirmationKey: confirmationKey,
+            responderConfirmationKey: confirmationKey
+        };
+    }
+
+    throw new Error(`Unsupported key schedule: ${version}`);
+}
+
+async function hkdf(sharedSecret, salt, info) {
+    try {
+        const keyMaterial = await window.crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+
+        return await window.crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt,
+                info: new TextEncoder().encode(info)
+            },
+            keyMaterial,
+            256
+        );
+    } catch (error) {
+        console.error('Key derivation failed:', error);
+        throw new Error('Failed to derive session keys');
+    }
+}
+
+// The key confirmation key of key schedule 1
+async function deriveConfirmationKey(sharedSecret, nonce1, nonce2) {
+    try {
+        const keyMaterial = await window.crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+        const keyBits = await window.crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: nonceSalt(nonce1, nonce2),
+                info: new TextEncoder().encode(KEY_CONFIRMATION_INFO)
+            },
+            keyMaterial,
+            256
+        );
+
+        return arrayBufferToBase64(keyBits);
+    } catch (error) {
+        console.error('Key confirmation key derivation failed:', error);
+        throw new Error('Failed to derive key confirmation key');
+    }
+}
+
+function importConfirmationKey(base64Key) {
+    return window.crypto.subtle.importKey(
+        'raw',
+        base64ToArrayBuffer(base64Key),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Mixing both random values together
+function nonceSalt(nonce1, nonce2) {
+    const nonce1Array = new Uint8Array(base64ToArrayBuffer(nonce1));
+    const nonce2Array = new Uint8Array(base64ToArrayBuffer(nonce2));
+
+    return new Uint8Array([
+        ...nonce1Array,
+        ...nonce2Array
+    ]);
+}
+
+// Turning the shared secret into the root key of key schedule 1
+// (PBKDF2 adds nothing for a uniformly random secret, schedule 2 uses HKDF instead)
 async function deriveSessionKey(sharedSecret, nonce1, nonce2) {
     try {
-        // Mixing both random values together
-        // Convert base64 to ArrayBuffer, then to Uint8Array for spreading
-        const nonce1Buffer = base64ToArrayBuffer(nonce1);
-        const nonce2Buffer = base64ToArrayBuffer(nonce2);
-        const nonce1Array = new Uint8Array(nonce1Buffer);
-        const nonce2Array = new Uint8Array(nonce2Buffer);
-        
-        const salt = new Uint8Array([
-            ...nonce1Array,
-            ...nonce2Array
-        ]);
+        const salt = nonceSalt(nonce1, nonce2);
 
         // Preparing the shared secret
         const keyMaterial = await window.crypto.subtle.importKey(
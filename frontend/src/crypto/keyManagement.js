@@ -1,6 +1,8 @@
 // Handling creation and storage of secret keys
 // Keys are kept safe in browser using password protection
 
+import { argon2id } from 'hash-wasm';
+
 const DB_NAME = 'SecureChatDB';
 const KEY_STORE = 'keys';
 const DB_VERSION = 1;
@@ -182,68 +184,163 @@ export async function importPublicKey(publicKeyData, keyType = 'ECDSA') {
     }
 }
 
-// Turning password into an encryption key
-async function deriveKeyFromPassword(password, salt) {
+// Wrapped key blob versions
+// 1: PBKDF2-SHA-256 (100k iterations unless the blob says otherwise), the original format
+// 2: Argon2id with its parameters stored in the blob
+// Every blob keeps the parameters it was made with, so new defaults never break old blobs
+const LEGACY_PBKDF2_ITERATIONS = 100000;
+const CURRENT_BLOB_VERSION = 2;
+
+// Defaults can be raised through the environment (only newly wrapped keys use them)
+export const KDF_PARAMS = {
+    name: 'argon2id',
+    memorySize: Number(import.meta.env?.VITE_KDF_MEMORY_KIB) || 65536, // 64 MiB
+    iterations: Number(import.meta.env?.VITE_KDF_ITERATIONS) || 3,
+    parallelism: 1
+};
+
+// Turning password into an encryption key with whatever KDF the blob was made with
+async function deriveKeyFromPassword(password, salt, kdf) {
     const encoder = new TextEncoder();
-    const passwordKey = await window.crypto.subtle.importKey(
+    let keyMaterial;
+
+    if (kdf.name === 'argon2id') {
+        keyMaterial = await argon2id({
+            password: encoder.encode(password),
+            salt: new Uint8Array(salt),
+            memorySize: kdf.memorySize,
+            iterations: kdf.iterations,
+            parallelism: kdf.parallelism,
+            hashLength: 32,
+            outputType: 'binary'
+        });
+    } else if (kdf.name === 'pbkdf2') {
+        const passwordKey = await window.crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        keyMaterial = await window.crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: kdf.iterations,
+                hash: 'SHA-256'
+            },
+            passwordKey,
+            256
+        );
+    } else {
+        throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+    }
+
+    return window.crypto.subtle.importKey(
         'raw',
-        encoder.encode(password),
-        'PBKDF2',
+        keyMaterial,
+        { name: 'AES-GCM' },
         false,
-        ['deriveKey']
+        ['encrypt', 'decrypt']
     );
+}
 
-    return window.crypto.subtle.deriveKey(
-        {
-            name: 'PBKDF2',
-            salt: salt,
-            iterations: 100000,
-            hash: 'SHA-256'
-        },
-        passwordKey,
-        { name: 'AES-GCM', length: 256 },
-        false,
-        ['encrypt', 'decrypt']
+// Records from before blobs had a version are version 1
+function normalizeBlob(blob) {
+    if (blob.version) return blob;
+
+    return {
+        ...blob,
+        version: 1,
+        kdf: { name: 'pbkdf2', iterations: blob.iterations || LEGACY_PBKDF2_ITERATIONS }
+    };
+}
+
+// Blobs made with older versions or weaker parameters than today's defaults get re-wrapped
+function isOutdatedBlob(blob) {
+    const { version, kdf } = normalizeBlob(blob);
+
+    return version < CURRENT_BLOB_VERSION ||
+        kdf.name !== KDF_PARAMS.name ||
+        kdf.memorySize < KDF_PARAMS.memorySize ||
+        kdf.iterations < KDF_PARAMS.iterations;
+}
+
+// Encrypting a private key with a password or passphrase into a versioned blob
+// Used for the copy in IndexedDB and for backups on the server alike
+export async function wrapPrivateKey(privateKey, password) {
+    // Converting key to storable format
+    const exported = await window.crypto.subtle.exportKey('pkcs8', privateKey);
+
+    // Creating random values for encryption
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const kdf = { ...KDF_PARAMS };
+
+    // Using password to create an encryption key
+    const encryptionKey = await deriveKeyFromPassword(password, salt, kdf);
+
+    // Locking the private key with encryption
+    const encryptedKey = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        encryptionKey,
+        exported
     );
+
+    return {
+        version: CURRENT_BLOB_VERSION,
+        kdf,
+        encryptedKey: arrayBufferToBase64(encryptedKey),
+        salt: arrayBufferToBase64(salt),
+        iv: arrayBufferToBase64(iv)
+    };
 }
 
-// Safely storing private key with password protection
-export async function storePrivateKey(privateKey, password, userId) {
-    try {
-        const db = await initKeyStorage();
+// Opening a blob made by wrapPrivateKey (any version)
+export async function unwrapPrivateKey(blob, password, keyType = 'ECDSA') {
+    const { version, kdf, encryptedKey, salt, iv } = normalizeBlob(blob);
 
-        // Converting key to storable format
-        const exported = await window.crypto.subtle.exportKey('pkcs8', privateKey);
+    if (version > CURRENT_BLOB_VERSION) {
+        throw new Error(`Key blob version ${version} is newer than this app supports`);
+    }
 
-        // Creating random values for encryption
-        const salt = window.crypto.getRandomValues(new Uint8Array(16));
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    // Using password to create decryption key
+    const decryptionKey = await deriveKeyFromPassword(password, base64ToArrayBuffer(salt), kdf);
 
-        // Using password to create an encryption key
-        const encryptionKey = await deriveKeyFromPassword(password, salt);
+    // Unlocking the private key
+    const decrypted = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToArrayBuffer(iv) },
+        decryptionKey,
+        base64ToArrayBuffer(encryptedKey)
+    );
 
-        // Locking the private key with encryption
-        const encryptedKey = await window.crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            encryptionKey,
-            exported
-        );
+    // Converting back to usable key format
+    const algorithm = keyType === 'ECDSA'
+        ? { name: 'ECDSA', namedCurve: 'P-256' }
+        : { name: 'ECDH', namedCurve: 'P-256' };
 
-        // Saving everything to browser storage
-        const transaction = db.transaction([KEY_STORE], 'readwrite');
-        const store = transaction.objectStore(KEY_STORE);
+    const usages = keyType === 'ECDSA' ? ['sign'] : ['deriveKey', 'deriveBits'];
 
-        await new Promise((resolve, reject) => {
-            const request = store.put({
-                id: `privateKey_${userId}`,
-                encryptedKey: arrayBufferToBase64(encryptedKey),
-                salt: arrayBufferToBase64(salt),
-                iv: arrayBufferToBase64(iv),
-                timestamp: Date.now()
-            });
+    return window.crypto.subtle.importKey(
+        'pkcs8',
+        decrypted,
+        algorithm,
+        true,
+        usages
+    );
+}
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+// Safely storing private key with password protection
+export async function storePrivateKey(privateKey, password, userId) {
+    try {
+        const blob = await wrapPrivateKey(privateKey, password);
+
+        // Saving everything to browser storage
+        await saveKeyRecord({
+            id: `privateKey_${userId}`,
+            ...blob,
+            timestamp: Date.now()
         });
 
         console.log('✓ Private key encrypted and stored securely in IndexedDB');
@@ -257,51 +354,20 @@ export async function storePrivateKey(privateKey, password, userId) {
 // Getting private key back out (needs correct password)
 export async function retrievePrivateKey(password, userId, keyType = 'ECDSA') {
     try {
-        const db = await initKeyStorage();
-
         // Loading from storage
-        const transaction = db.transaction([KEY_STORE], 'readonly');
-        const store = transaction.objectStore(KEY_STORE);
-
-        const data = await new Promise((resolve, reject) => {
-            const request = store.get(`privateKey_${userId}`);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        const data = await loadKeyRecord(`privateKey_${userId}`);
 
         if (!data) {
             throw new Error('Private key not found in storage');
         }
 
-        // Preparing the data
-        const encryptedKey = base64ToArrayBuffer(data.encryptedKey);
-        const salt = base64ToArrayBuffer(data.salt);
-        const iv = base64ToArrayBuffer(data.iv);
-
-        // Using password to create decryption key
-        const decryptionKey = await deriveKeyFromPassword(password, salt);
-
-        // Unlocking the private key
-        const decrypted = await window.crypto.subtle.decrypt(
-            { name: 'AES-GCM', iv: iv },
-            decryptionKey,
-            encryptedKey
-        );
-
-        // Converting back to usable key format
-        const algorithm = keyType === 'ECDSA'
-            ? { name: 'ECDSA', namedCurve: 'P-256' }
-            : { name: 'ECDH', namedCurve: 'P-256' };
+        const privateKey = await unwrapPrivateKey(data, password, keyType);
 
-        const usages = keyType === 'ECDSA' ? ['sign'] : ['deriveKey', 'deriveBits'];
-
-        const privateKey = await window.crypto.subtle.importKey(
-            'pkcs8',
-            decrypted,
-            algorithm,
-            true,
-            usages
-        );
+        // Moving keys stored with older parameters to the current ones while we have the password
+        if (isOutdatedBlob(data)) {
+            await storePrivateKey(privateKey, password, userId);
+            console.log('✓ Private key re-wrapped with current KDF parameters');
+        }
 
         console.log('✓ Private key retrieved and decrypted from IndexedDB');
         return privateKey;
@@ -330,6 +396,88 @@ export async function hasStoredKeys(userId) {
     }
 }
 
+// Working out the public half of a stored identity key
+// (needed when an older browser registers itself as a device)
+export async function exportPublicKeyFromPrivate(privateKey) {
+    try {
+        const { kty, crv, x, y } = await window.crypto.subtle.exportKey('jwk', privateKey);
+        const publicKey = await window.crypto.subtle.importKey(
+            'jwk',
+            { kty, crv, x, y, ext: true },
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            true,
+            ['verify']
+        );
+
+        return exportPublicKey(publicKey);
+    } catch (error) {
+        console.error('Public key derivation failed:', error);
+        throw new Error('Failed to derive public key');
+    }
+}
+
+// Remembering which device this browser is for each account
+// Kept by username because we need it before the server tells us the user id
+export function getStoredDeviceId(username) {
+    return localStorage.getItem(`deviceId_${username}`);
+}
+
+export function storeDeviceId(username, deviceId) {
+    localStorage.setItem(`deviceId_${username}`, deviceId);
+}
+
+export function forgetDeviceId(username) {
+    localStorage.removeItem(`deviceId_${username}`);
+}
+
+// A readable name so people can tell their devices apart when revoking one
+export function getDeviceName() {
+    const userAgent = navigator.userAgent;
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name)) || 'Browser';
+    const platform = ['Windows', 'Mac', 'Linux', 'Android', 'iPhone', 'iPad'].find(name => userAgent.includes(name));
+
+    return `${browser === 'Edg' ? 'Edge' : browser}${platform ? ` on ${platform}` : ''}`;
+}
+
+// Saving any key record (e.g. prekeys) in the same browser storage as our identity key
+export async function saveKeyRecord(record) {
+    const db = await initKeyStorage();
+    const transaction = db.transaction([KEY_STORE], 'readwrite');
+    const store = transaction.objectStore(KEY_STORE);
+
+    await new Promise((resolve, reject) => {
+        const request = store.put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Loading a key record by its id (resolves to undefined if it isn't there)
+export async function loadKeyRecord(id) {
+    const db = await initKeyStorage();
+    const transaction = db.transaction([KEY_STORE], 'readonly');
+    const store = transaction.objectStore(KEY_STORE);
+
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Removing a key record we shouldn't keep around anymore
+export async function deleteKeyRecord(id) {
+    const db = await initKeyStorage();
+    const transaction = db.transaction([KEY_STORE], 'readwrite');
+    const store = transaction.objectStore(KEY_STORE);
+
+    await new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Helper functions
 function arrayBufferToBase64(buffer) {
     const bytes = new Uint8Array(buffer);
@@ -0,0 +1,89 @@
+// Identity key rotation and recovery
+// A new identity key is only accepted if the old one signs it, and a recovery backup
+// lets a fresh browser get the old key back to do that signing
+
+import {
+    generateUserKeyPair,
+    exportPublicKey,
+    exportPublicKeyFromPrivate,
+    importPublicKey,
+    wrapPrivateKey,
+    unwrapPrivateKey
+} from './keyManagement.js';
+import { signData, verifySignature } from './keyExchange.js';
+
+// Crockford base32 (no I, L, O, U) so a printed code can't be misread
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_LENGTH = 24; // 120 bits
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Has to match keyRotationStatement() on the server
+function rotationStatement(deviceId, newPublicKey, timestamp) {
+    return `key-rotation:v1:${deviceId}:${newPublicKey}:${timestamp}`;
+}
+
+// Creating a new identity key and signing it with the current one
+export async function createKeyRotation(currentPrivateKey, deviceId) {
+    const keyPair = await generateUserKeyPair();
+    const publicKey = await exportPublicKey(keyPair.publicKey);
+    const timestamp = Date.now();
+    const signature = await signData(rotationStatement(deviceId, publicKey, timestamp), currentPrivateKey);
+
+    return {
+        privateKey: keyPair.privateKey,
+        rotation: { publicKey, timestamp, signature }
+    };
+}
+
+// Checking a rotation we were told about really was signed by the key we knew
+export async function verifyKeyRotation({ deviceId, previousPublicKey, publicKey, timestamp, signature }) {
+    return verifySignature(
+        rotationStatement(deviceId, publicKey, timestamp),
+        signature,
+        await importPublicKey(previousPublicKey, 'ECDSA')
+    );
+}
+
+// Printable code like 7KQ2-M9XA-...
+export function generateRecoveryCode() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH));
+    const chars = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+
+    return chars.join('').match(/.{4}/g).join('-');
+}
+
+export function isStrongPassphrase(passphrase) {
+    return passphrase.length >= MIN_PASSPHRASE_LENGTH;
+}
+
+// Wrapping an identity key with the recovery secret (the server only gets the result)
+// Same versioned blob format as the copy in IndexedDB
+export async function createRecoveryBackup(privateKey, secret) {
+    return {
+        publicKey: await exportPublicKeyFromPrivate(privateKey),
+        ...await wrapPrivateKey(privateKey, normalizeRecoverySecret(secret))
+    };
+}
+
+// Opening a backup - fails if the secret is wrong or the key inside isn't the one the backup claims
+export async function restoreFromRecoveryBackup(backup, secret) {
+    let privateKey;
+    try {
+        privateKey = await unwrapPrivateKey(backup, normalizeRecoverySecret(secret));
+    } catch {
+        throw new Error('Wrong recovery code or passphrase');
+    }
+
+    if (await exportPublicKeyFromPrivate(privateKey) !== backup.publicKey) {
+        throw new Error('Recovery backup does not contain the expected identity key');
+    }
+
+    return privateKey;
+}
+
+// Codes are case and dash insensitive, passphrases are used as typed
+function normalizeRecoverySecret(secret) {
+    return /^[0-9A-Za-z]{4}(-?[0-9A-Za-z]{4}){5}$/.test(secret.trim())
+        ? secret.trim().replace(/-/g, '').toUpperCase()
+        : secret;
+}
@@ -0,0 +1,219 @@
+// Key transparency (Certificate Transparency-style Merkle log of identity keys)
+// Every key we get from the server has to be in the public log, and the log can only grow,
+// so the server can't show us a different key than everyone else sees without getting caught
+
+import { importPublicKey, saveKeyRecord, loadKeyRecord } from './keyManagement.js';
+import { verifySignature } from './keyExchange.js';
+
+const LOG_KEY_RECORD_ID = 'transparencyLogKey';
+const TREE_HEAD_RECORD_ID = 'transparencyTreeHead';
+const ADD_ACTIONS = ['REGISTER', 'ADD_DEVICE', 'ROTATE_KEY'];
+
+// Checking the proofs that came with a user lookup against the devices it returned
+// fetchLogKey and fetchConsistencyProof are passed in so this module doesn't depend on the API client
+export async function verifyUserKeys(username, devices, transparency, { fetchLogKey, fetchConsistencyProof }) {
+    if (!transparency || !transparency.treeHead || !Array.isArray(transparency.proofs)) {
+        throw new Error('Server did not return key transparency proofs');
+    }
+
+    const { treeHead, proofs } = transparency;
+    await verifyTreeHead(treeHead, fetchLogKey);
+
+    for (const device of devices) {
+        const proof = proofs.find(p => p.entry.deviceId === device._id);
+        if (!proof) {
+            throw new Error(`No transparency proof for device ${device.name}`);
+        }
+
+        const { entry } = proof;
+        if (entry.username !== username || entry.publicKey !== device.publicKey || !ADD_ACTIONS.includes(entry.action)) {
+            throw new Error(`Transparency log entry does not match device ${device.name}`);
+        }
+
+        const included = await verifyInclusion(
+            await hashLeaf(encodeLeaf(entry)),
+            entry.index,
+            proof.auditPath,
+            treeHead.treeSize,
+            treeHead.rootHash
+        );
+
+        if (!included) {
+            throw new Error(`Key of device ${device.name} is not in the transparency log`);
+        }
+    }
+
+    // Only now that everything checks out do we compare with what we saw before
+    await checkConsistencyWithLastTreeHead(treeHead, fetchConsistencyProof);
+}
+
+// Making sure the tree head was signed by the log key we pinned the first time
+async function verifyTreeHead(treeHead, fetchLogKey) {
+    let logKey = import.meta.env?.VITE_TRANSPARENCY_LOG_KEY;
+
+    if (!logKey) {
+        const pinned = await loadKeyRecord(LOG_KEY_RECORD_ID);
+        if (pinned) {
+            logKey = pinned.publicKey;
+        } else {
+            logKey = await fetchLogKey();
+            await saveKeyRecord({ id: LOG_KEY_RECORD_ID, publicKey: logKey, timestamp: Date.now() });
+            console.log('✓ Pinned key transparency log key');
+        }
+    }
+
+    const isValid = await verifySignature(
+        `${treeHead.treeSize}:${treeHead.rootHash}:${treeHead.timestamp}`,
+        treeHead.signature,
+        await importPublicKey(logKey, 'ECDSA')
+    );
+
+    if (!isValid) {
+        throw new Error('Invalid tree head signature - the key log may have been tampered with!');
+    }
+}
+
+// Comparing a new tree head with the last one we saw
+// Both must be versions of one append-only log, otherwise we're being shown a split view
+async function checkConsistencyWithLastTreeHead(treeHead, fetchConsistencyProof) {
+    const lastSeen = await loadKeyRecord(TREE_HEAD_RECORD_ID);
+
+    if (lastSeen && lastSeen.treeSize === treeHead.treeSize) {
+        if (lastSeen.rootHash !== treeHead.rootHash) {
+            throw new Error('Split view detected - the key log changed without growing!');
+        }
+        return;
+    }
+
+    if (lastSeen && lastSeen.treeSize > 0) {
+        // Lookups can finish out of order, so the new head may be a bit older than the one we have
+        const [older, newer] = lastSeen.treeSize < treeHead.treeSize ? [lastSeen, treeHead] : [treeHead, lastSeen];
+
+        const proof = await fetchConsistencyProof(older.treeSize, newer.treeSize);
+        const consistent = await verifyConsistency(older.treeSize, newer.treeSize, older.rootHash, newer.rootHash, proof);
+
+        if (!consistent) {
+            throw new Error('Split view detected - the key log is not consistent with what we saw before!');
+        }
+    }
+
+    if (!lastSeen || treeHead.treeSize > lastSeen.treeSize) {
+        await saveKeyRecord({ id: TREE_HEAD_RECORD_ID, ...treeHead });
+    }
+}
+
+// Rebuilding the root from a leaf and its audit path (RFC 9162 section 2.1.3.2)
+export async function verifyInclusion(leafHash, leafIndex, auditPath, treeSize, expectedRoot) {
+    if (leafIndex >= treeSize) return false;
+
+    let fn = leafIndex;
+    let sn = treeSize - 1;
+    let r = leafHash;
+
+    for (const p of auditPath) {
+        if (sn === 0) return false;
+
+        if (fn % 2 === 1 || fn === sn) {
+            r = await hashChildren(p, r);
+            while (fn % 2 === 0 && fn !== 0) {
+                fn = Math.floor(fn / 2);
+                sn = Math.floor(sn / 2);
+            }
+        } else {
+            r = await hashChildren(r, p);
+        }
+
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && r === expectedRoot;
+}
+
+// Checking that the first tree is a prefix of the second (RFC 9162 section 2.1.4.2)
+export async function verifyConsistency(firstSize, secondSize, firstRoot, secondRoot, proof) {
+    if (firstSize === secondSize) {
+        return proof.length === 0 && firstRoot === secondRoot;
+    }
+    if (firstSize < 1 || firstSize > secondSize || proof.length === 0) return false;
+
+    // When the old tree is a complete subtree its root is the starting point
+    const path = isPowerOfTwo(firstSize) ? [firstRoot, ...proof] : [...proof];
+
+    let fn = firstSize - 1;
+    let sn = secondSize - 1;
+    while (fn % 2 === 1) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    let fr = path[0];
+    let sr = path[0];
+
+    for (const c of path.slice(1)) {
+        if (sn === 0) return false;
+
+        if (fn % 2 === 1 || fn === sn) {
+            fr = await hashChildren(c, fr);
+            sr = await hashChildren(c, sr);
+            while (fn % 2 === 0 && fn !== 0) {
+                fn = Math.floor(fn / 2);
+                sn = Math.floor(sn / 2);
+            }
+        } else {
+            sr = await hashChildren(sr, c);
+        }
+
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && fr === firstRoot && sr === secondRoot;
+}
+
+// Has to match the server's encodeLeaf() exactly
+function encodeLeaf(entry) {
+    return ['keylog:v1', entry.action, entry.username, entry.deviceId, entry.publicKey, entry.timestamp].join(':');
+}
+
+async function hashLeaf(leafData) {
+    const data = new TextEncoder().encode(leafData);
+    const prefixed = new Uint8Array(data.length + 1);
+    prefixed.set(data, 1);
+
+    return arrayBufferToBase64(await window.crypto.subtle.digest('SHA-256', prefixed));
+}
+
+async function hashChildren(left, right) {
+    const leftBytes = new Uint8Array(base64ToArrayBuffer(left));
+    const rightBytes = new Uint8Array(base64ToArrayBuffer(right));
+    const combined = new Uint8Array(1 + leftBytes.length + rightBytes.length);
+    combined[0] = 0x01;
+    combined.set(leftBytes, 1);
+    combined.set(rightBytes, 1 + leftBytes.length);
+
+    return arrayBufferToBase64(await window.crypto.subtle.digest('SHA-256', combined));
+}
+
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
+// Helper functions
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
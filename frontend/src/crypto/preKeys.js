@@ -0,0 +1,277 @@
+// Asynchronous key exchange with prekey bundles (X3DH-style)
+// Lets us start an encrypted conversation with someone who is offline
+
+import { generateECDHKeyPair, exportPublicKey, importPublicKey, saveKeyRecord, loadKeyRecord, deleteKeyRecord } from './keyManagement.js';
+import { signData, verifySignature, deriveKeySchedule, KEY_SCHEDULE_VERSIONS } from './keyExchange.js';
+import { initRatchetAsInitiator, initRatchetAsResponder } from './ratchet.js';
+
+const PREKEY_EXCHANGE_VERSION = 'prekey-exchange:v2';
+// The responder is offline, so there's nothing to negotiate - we use the newest key schedule
+// and sign the choice along with the rest of the transcript
+const PREKEY_KEY_SCHEDULE = Math.max(...KEY_SCHEDULE_VERSIONS);
+// Prekey messages wait on the server until the responder comes online
+const PREKEY_MESSAGE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Creating a fresh batch of prekeys, signing the signed prekey with our identity key
+// Private halves stay in IndexedDB, the returned object is what gets uploaded
+export async function generatePreKeys(identityPrivateKey, userId, options = {}) {
+    const { includeSignedPreKey = true, oneTimeCount = 20 } = options;
+
+    try {
+        const upload = { oneTimePreKeys: [] };
+
+        if (includeSignedPreKey) {
+            const keyPair = await generateECDHKeyPair();
+            const keyId = window.crypto.randomUUID();
+            const publicKey = await exportPublicKey(keyPair.publicKey);
+
+            // Binding the key id into the signature so ids can't be swapped around
+            const signature = await signData(`${keyId}:${publicKey}`, identityPrivateKey);
+
+            await saveKeyRecord({
+                id: signedPreKeyRecordId(userId, keyId),
+                privateKey: keyPair.privateKey,
+                publicKey: keyPair.publicKey,
+                timestamp: Date.now()
+            });
+
+            upload.signedPreKey = { keyId, publicKey, signature };
+        }
+
+        for (let i = 0; i < oneTimeCount; i++) {
+            const keyPair = await generateECDHKeyPair();
+            const keyId = window.crypto.randomUUID();
+
+            await saveKeyRecord({
+                id: oneTimePreKeyRecordId(userId, keyId),
+                privateKey: keyPair.privateKey,
+                timestamp: Date.now()
+            });
+
+            upload.oneTimePreKeys.push({
+                keyId,
+                publicKey: await exportPublicKey(keyPair.publicKey)
+            });
+        }
+
+        console.log(`✓ Generated ${upload.oneTimePreKeys.length} one-time prekeys${includeSignedPreKey ? ' and a signed prekey' : ''}`);
+        return upload;
+    } catch (error) {
+        console.error('Prekey generation failed:', error);
+        throw new Error('Failed to generate prekeys');
+    }
+}
+
+// Everything the initiator signs for a prekey exchange, in a fixed order
+// Names both devices and the prekeys used, and has to match preKeyExchangeTranscript() on the server
+export function preKeyExchangeTranscript(exchange, message) {
+    return [
+        `${PREKEY_EXCHANGE_VERSION}:transcript`,
+        exchange.initiatorId,
+        exchange.initiatorDeviceId,
+        exchange.responderId,
+        exchange.responderDeviceId,
+        message.signedPreKeyId,
+        message.oneTimePreKeyId || '',
+        message.ecdhPublicKey,
+        message.nonce,
+        message.timestamp,
+        message.keySchedule
+    ].join(':');
+}
+
+// Starting a conversation from someone's prekey bundle (no need for them to be online)
+// exchange: { initiatorId, initiatorDeviceId, responderId, responderDeviceId }
+export async function initiatePreKeyExchange(bundle, initiatorPrivateKey, exchange) {
+    try {
+        // Making sure the signed prekey really belongs to them
+        const responderIdentityKey = await importPublicKey(bundle.identityKey, 'ECDSA');
+        const { signedPreKey, oneTimePreKey } = bundle;
+
+        const isValid = await verifySignature(
+            `${signedPreKey.keyId}:${signedPreKey.publicKey}`,
+            signedPreKey.signature,
+            responderIdentityKey
+        );
+
+        if (!isValid) {
+            throw new Error('Invalid prekey signature - possible MITM attack detected!');
+        }
+
+        console.log('✓ Signed prekey verified');
+
+        // Our ephemeral key for this exchange
+        const ecdhKeyPair = await generateECDHKeyPair();
+        const ecdhPublicKey = await exportPublicKey(ecdhKeyPair.publicKey);
+        const nonce = generateNonce();
+        const timestamp = Date.now();
+
+        const oneTimePreKeyId = oneTimePreKey ? oneTimePreKey.keyId : null;
+        const keySchedule = PREKEY_KEY_SCHEDULE;
+
+        // Signing the transcript so they know it's really us, talking to their device
+        const signature = await signData(
+            preKeyExchangeTranscript(exchange, {
+                signedPreKeyId: signedPreKey.keyId,
+                oneTimePreKeyId,
+                ecdhPublicKey,
+                nonce,
+                timestamp,
+                keySchedule
+            }),
+            initiatorPrivateKey
+        );
+
+        // DH1 = ECDH(EK, SPK), DH2 = ECDH(EK, OPK) when there's a one-time prekey left
+        const dhOutputs = [await computeDH(ecdhKeyPair.privateKey, signedPreKey.publicKey)];
+        if (oneTimePreKey) {
+            dhOutputs.push(await computeDH(ecdhKeyPair.privateKey, oneTimePreKey.publicKey));
+        }
+
+        const keys = await deriveKeySchedule(keySchedule, combineDHOutputs(dhOutputs), nonce, '');
+
+        // Their signed prekey doubles as their first ratchet key
+        const ratchet = await initRatchetAsInitiator(
+            keys.rootKey,
+            signedPreKey.publicKey,
+            keys.directionKeys,
+            keys.fileKeyWrappingKey
+        );
+
+        console.log('✓ Prekey exchange complete - message ratchet established');
+
+        return {
+            ratchet,
+            message: {
+                ecdhPublicKey,
+                signature,
+                nonce,
+                timestamp,
+                keySchedule,
+                signedPreKeyId: signedPreKey.keyId,
+                oneTimePreKeyId
+            }
+        };
+    } catch (error) {
+        console.error('Prekey exchange initiation failed:', error);
+        throw error;
+    }
+}
+
+// Picking up a prekey message that was waiting for us
+// exchange: { initiatorId, initiatorDeviceId, responderId, responderDeviceId } - we're the responder
+export async function acceptPreKeyExchange(preKeyMessage, initiatorUserPublicKey, exchange) {
+    try {
+        if (Date.now() - preKeyMessage.timestamp > PREKEY_MESSAGE_MAX_AGE) {
+            throw new Error('Prekey message expired');
+        }
+
+        if (!KEY_SCHEDULE_VERSIONS.includes(preKeyMessage.keySchedule)) {
+            throw new Error('Prekey message uses a key schedule this device does not know');
+        }
+
+        const userId = exchange.responderId;
+        const initiatorPublicKey = await importPublicKey(initiatorUserPublicKey, 'ECDSA');
+
+        // Checking it names this device, so a message meant for another device can't be passed off here
+        const isValid = await verifySignature(
+            preKeyExchangeTranscript(exchange, preKeyMessage),
+            preKeyMessage.signature,
+            initiatorPublicKey
+        );
+
+        if (!isValid) {
+            throw new Error('Invalid signature - possible MITM attack detected!');
+        }
+
+        console.log('✓ Initiator signature verified - no MITM detected');
+
+        const signedPreKey = await loadKeyRecord(signedPreKeyRecordId(userId, preKeyMessage.signedPreKeyId));
+        if (!signedPreKey) {
+            throw new Error('Signed prekey not found on this device');
+        }
+
+        const dhOutputs = [await computeDH(signedPreKey.privateKey, preKeyMessage.ecdhPublicKey)];
+
+        if (preKeyMessage.oneTimePreKeyId) {
+            const oneTimeRecordId = oneTimePreKeyRecordId(userId, preKeyMessage.oneTimePreKeyId);
+            const oneTimePreKey = await loadKeyRecord(oneTimeRecordId);
+            if (!oneTimePreKey) {
+                throw new Error('One-time prekey already used or missing');
+            }
+
+            dhOutputs.push(await computeDH(oneTimePreKey.privateKey, preKeyMessage.ecdhPublicKey));
+
+            // One-time means one time - deleting it so the exchange can't be replayed
+            await deleteKeyRecord(oneTimeRecordId);
+        }
+
+        const keys = await deriveKeySchedule(
+            preKeyMessage.keySchedule,
+            combineDHOutputs(dhOutputs),
+            preKeyMessage.nonce,
+            ''
+        );
+
+        const ratchet = await initRatchetAsResponder(keys.rootKey, {
+            privateKey: signedPreKey.privateKey,
+            publicKey: signedPreKey.publicKey
+        }, keys.directionKeys, keys.fileKeyWrappingKey);
+
+        console.log('✓ Prekey message accepted - message ratchet established');
+        return { ratchet };
+    } catch (error) {
+        console.error('Prekey exchange acceptance failed:', error);
+        throw error;
+    }
+}
+
+// DH1 || DH2 - the shared secret the key schedule starts from
+function combineDHOutputs(dhOutputs) {
+    const totalLength = dhOutputs.reduce((sum, output) => sum + output.byteLength, 0);
+    const combined = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const output of dhOutputs) {
+        combined.set(new Uint8Array(output), offset);
+        offset += output.byteLength;
+    }
+
+    return combined;
+}
+
+async function computeDH(privateKey, publicKeyBase64) {
+    const publicKey = await importPublicKey(publicKeyBase64, 'ECDH');
+
+    return window.crypto.subtle.deriveBits(
+        {
+            name: 'ECDH',
+            public: publicKey
+        },
+        privateKey,
+        256
+    );
+}
+
+function signedPreKeyRecordId(userId, keyId) {
+    return `signedPreKey_${userId}_${keyId}`;
+}
+
+function oneTimePreKeyRecordId(userId, keyId) {
+    return `oneTimePreKey_${userId}_${keyId}`;
+}
+
+// Creating a random unique value for security
+function generateNonce() {
+    const nonce = window.crypto.getRandomValues(new Uint8Array(16));
+    return arrayBufferToBase64(nonce);
+}
+
+// Helper functions
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
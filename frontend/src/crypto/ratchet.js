@@ -0,0 +1,367 @@
+// Double Ratchet for per-message keys (Signal-style)
+// Every message gets its own key from a symmetric chain, and the ECDH ratchet
+// keys are replaced whenever the conversation changes direction
+
+import { generateECDHKeyPair, exportPublicKey, importPublicKey } from './keyManagement.js';
+import { encryptMessage, decryptMessage } from './encryption.js';
+
+// Not letting a single header make us derive an unbounded number of keys
+const MAX_SKIP = 100;
+// Keeping only this many keys around for late messages
+const MAX_STORED_SKIPPED = 500;
+
+const ROOT_KDF_INFO = 'SecureChat-Ratchet-Root';
+const BOOTSTRAP_INFO = 'SecureChat-Ratchet-Bootstrap';
+
+// Starting the ratchet as the initiator (Signal's "Alice")
+// We already know the responder's ECDH key, so we can ratchet once and send straight away
+// directionKeys ({ initiatorToResponder, responderToInitiator }) come from the key schedule,
+// older schedules leave them out and we derive the bootstrap chain from the root key
+// fileKeyWrappingKey (also from the key schedule) isn't used by the ratchet, it's kept in the state
+// because it belongs to the same pair of devices and ratchet steps leave it alone
+export async function initRatchetAsInitiator(rootKey, responderRatchetPublicKey, directionKeys = null, fileKeyWrappingKey = null) {
+    try {
+        const rootKeyBytes = new Uint8Array(rootKey);
+
+        // Fresh ratchet key pair for our first sending chain
+        const ratchetKeyPair = await generateECDHKeyPair();
+        const dhOutput = await computeDH(ratchetKeyPair.privateKey, responderRatchetPublicKey);
+        const { rootKey: nextRootKey, chainKey: dhChainKey } = await kdfRootKey(rootKeyBytes, dhOutput);
+
+        // Binding our first sending chain to the initiator -> responder key too
+        const sendChainKey = directionKeys
+            ? await bindChainKey(dhChainKey, directionKeys.initiatorToResponder)
+            : dhChainKey;
+
+        // The responder may talk first, using a bootstrap chain until it hears from us
+        const receiveChainKey = directionKeys
+            ? directionKeys.responderToInitiator
+            : await deriveBootstrapChainKey(rootKeyBytes);
+
+        console.log('✓ Double Ratchet initialised (initiator)');
+
+        return {
+            ratchetKeyPair: await exportRatchetKeyPair(ratchetKeyPair),
+            remoteRatchetKey: responderRatchetPublicKey,
+            rootKey: arrayBufferToBase64(nextRootKey),
+            sendChainKey: arrayBufferToBase64(sendChainKey),
+            receiveChainKey: arrayBufferToBase64(receiveChainKey),
+            fileKeyWrappingKey: fileKeyWrappingKey ? arrayBufferToBase64(fileKeyWrappingKey) : null,
+            sendCount: 0,
+            receiveCount: 0,
+            previousSendCount: 0,
+            skippedKeys: {}
+        };
+    } catch (error) {
+        console.error('Ratchet initialisation failed:', error);
+        throw new Error('Failed to initialise message ratchet');
+    }
+}
+
+// Starting the ratchet as the responder (Signal's "Bob")
+// Our ECDH key from the exchange becomes our first ratchet key
+// directionKeys and fileKeyWrappingKey work the same as for initRatchetAsInitiator()
+export async function initRatchetAsResponder(rootKey, ownRatchetKeyPair, directionKeys = null, fileKeyWrappingKey = null) {
+    try {
+        const rootKeyBytes = new Uint8Array(rootKey);
+        const sendChainKey = directionKeys
+            ? directionKeys.responderToInitiator
+            : await deriveBootstrapChainKey(rootKeyBytes);
+
+        console.log('✓ Double Ratchet initialised (responder)');
+
+        return {
+            ratchetKeyPair: await exportRatchetKeyPair(ownRatchetKeyPair),
+            remoteRatchetKey: null,
+            rootKey: arrayBufferToBase64(rootKeyBytes),
+            sendChainKey: arrayBufferToBase64(sendChainKey),
+            receiveChainKey: null,
+            // Kept until the initiator's first chain arrives, see dhRatchet()
+            initiatorChainKey: directionKeys ? arrayBufferToBase64(directionKeys.initiatorToResponder) : null,
+            fileKeyWrappingKey: fileKeyWrappingKey ? arrayBufferToBase64(fileKeyWrappingKey) : null,
+            sendCount: 0,
+            receiveCount: 0,
+            previousSendCount: 0,
+            skippedKeys: {}
+        };
+    } catch (error) {
+        console.error('Ratchet initialisation failed:', error);
+        throw new Error('Failed to initialise message ratchet');
+    }
+}
+
+// Encrypting one message with the next key from our sending chain
+// Extra associated data (like the replay protection fields) is authenticated along with the header
+// Returns the new ratchet state - the caller has to save it
+export async function ratchetEncrypt(state, plaintext, associatedData = null) {
+    try {
+        const next = cloneState(state);
+
+        const { chainKey, messageKey } = await kdfChainKey(base64ToArrayBuffer(next.sendChainKey));
+
+        const header = {
+            ratchetKey: next.ratchetKeyPair.publicKey,
+            previousChainLength: next.previousSendCount,
+            messageNumber: next.sendCount
+        };
+
+        next.sendChainKey = arrayBufferToBase64(chainKey);
+        next.sendCount += 1;
+
+        const encrypted = await encryptMessage(
+            plaintext,
+            await importMessageKey(messageKey),
+            encodeHeader(header, associatedData)
+        );
+
+        return {
+            state: next,
+            header,
+            ciphertext: encrypted.ciphertext,
+            iv: encrypted.iv
+        };
+    } catch (error) {
+        console.error('Ratchet encryption failed:', error);
+        throw new Error('Failed to encrypt message');
+    }
+}
+
+// Decrypting a message and moving the ratchet forward
+// The state is only changed if decryption succeeds
+export async function ratchetDecrypt(state, header, ciphertext, iv, associatedData = null) {
+    const next = cloneState(state);
+
+    // Late or out-of-order message we already have a key for
+    const skippedId = skippedKeyId(header.ratchetKey, header.messageNumber);
+    if (next.skippedKeys[skippedId]) {
+        const messageKey = base64ToArrayBuffer(next.skippedKeys[skippedId]);
+        delete next.skippedKeys[skippedId];
+
+        const plaintext = await decryptMessage(
+            ciphertext,
+            iv,
+            await importMessageKey(messageKey),
+            encodeHeader(header, associatedData)
+        );
+
+        return { state: next, plaintext };
+    }
+
+    // The other side switched to a new ratchet key, so it's our turn to ratchet
+    if (header.ratchetKey !== next.remoteRatchetKey) {
+        await skipMessageKeys(next, header.previousChainLength);
+        await dhRatchet(next, header);
+    }
+
+    await skipMessageKeys(next, header.messageNumber);
+
+    const { chainKey, messageKey } = await kdfChainKey(base64ToArrayBuffer(next.receiveChainKey));
+    next.receiveChainKey = arrayBufferToBase64(chainKey);
+    next.receiveCount += 1;
+
+    const plaintext = await decryptMessage(
+        ciphertext,
+        iv,
+        await importMessageKey(messageKey),
+        encodeHeader(header, associatedData)
+    );
+
+    return { state: next, plaintext };
+}
+
+// DH ratchet step: new receiving chain from their key, then a brand new key pair for our sending chain
+async function dhRatchet(state, header) {
+    state.previousSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.receiveCount = 0;
+    state.remoteRatchetKey = header.ratchetKey;
+
+    const ownKeyPair = await importRatchetKeyPair(state.ratchetKeyPair);
+    const receiveStep = await kdfRootKey(
+        base64ToArrayBuffer(state.rootKey),
+        await computeDH(ownKeyPair.privateKey, state.remoteRatchetKey)
+    );
+    let receiveChainKey = receiveStep.chainKey;
+
+    // The initiator's first sending chain is bound to the initiator -> responder key as well
+    if (state.initiatorChainKey) {
+        receiveChainKey = await bindChainKey(receiveChainKey, base64ToArrayBuffer(state.initiatorChainKey));
+        state.initiatorChainKey = null;
+    }
+
+    state.receiveChainKey = arrayBufferToBase64(receiveChainKey);
+
+    const newKeyPair = await generateECDHKeyPair();
+    const sendStep = await kdfRootKey(
+        receiveStep.rootKey,
+        await computeDH(newKeyPair.privateKey, state.remoteRatchetKey)
+    );
+
+    state.ratchetKeyPair = await exportRatchetKeyPair(newKeyPair);
+    state.rootKey = arrayBufferToBase64(sendStep.rootKey);
+    state.sendChainKey = arrayBufferToBase64(sendStep.chainKey);
+}
+
+// Remembering keys for messages that haven't arrived yet
+async function skipMessageKeys(state, until) {
+    if (!state.receiveChainKey) return;
+
+    if (until - state.receiveCount > MAX_SKIP) {
+        throw new Error('Too many skipped messages');
+    }
+
+    let chainKey = base64ToArrayBuffer(state.receiveChainKey);
+    while (state.receiveCount < until) {
+        const step = await kdfChainKey(chainKey);
+        state.skippedKeys[skippedKeyId(state.remoteRatchetKey, state.receiveCount)] =
+            arrayBufferToBase64(step.messageKey);
+        chainKey = step.chainKey;
+        state.receiveCount += 1;
+    }
+    state.receiveChainKey = arrayBufferToBase64(chainKey);
+
+    // Throwing away the oldest keys once we have too many
+    const ids = Object.keys(state.skippedKeys);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_STORED_SKIPPED))) {
+        delete state.skippedKeys[id];
+    }
+}
+
+// Root KDF: HKDF(salt = root key, input = DH output) -> new root key + chain key
+async function kdfRootKey(rootKey, dhOutput) {
+    const keyMaterial = await window.crypto.subtle.importKey('raw', dhOutput, 'HKDF', false, ['deriveBits']);
+
+    const derived = await window.crypto.subtle.deriveBits(
+        {
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: rootKey,
+            info: new TextEncoder().encode(ROOT_KDF_INFO)
+        },
+        keyMaterial,
+        512
+    );
+
+    return {
+        rootKey: derived.slice(0, 32),
+        chainKey: derived.slice(32, 64)
+    };
+}
+
+// Chain KDF: HMAC(chain key, 0x01) is the message key, HMAC(chain key, 0x02) is the next chain key
+async function kdfChainKey(chainKey) {
+    const hmacKey = await window.crypto.subtle.importKey(
+        'raw',
+        chainKey,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const messageKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01]));
+    const nextChainKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02]));
+
+    return { chainKey: nextChainKey, messageKey };
+}
+
+// Mixing a direction key from the key schedule into a chain key: HMAC(direction key, chain key)
+async function bindChainKey(chainKey, directionKey) {
+    const hmacKey = await window.crypto.subtle.importKey(
+        'raw',
+        directionKey,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    return window.crypto.subtle.sign('HMAC', hmacKey, chainKey);
+}
+
+// Chain the responder uses before it has received anything from the initiator (key schedule 1)
+async function deriveBootstrapChainKey(rootKey) {
+    const hmacKey = await window.crypto.subtle.importKey(
+        'raw',
+        rootKey,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    return window.crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(BOOTSTRAP_INFO));
+}
+
+async function computeDH(privateKey, publicKeyBase64) {
+    const publicKey = await importPublicKey(publicKeyBase64, 'ECDH');
+
+    return window.crypto.subtle.deriveBits(
+        {
+            name: 'ECDH',
+            public: publicKey
+        },
+        privateKey,
+        256
+    );
+}
+
+async function importMessageKey(messageKey) {
+    return window.crypto.subtle.importKey(
+        'raw',
+        messageKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Key pairs are kept as JWK so the whole state can live in sessionStorage
+async function exportRatchetKeyPair(keyPair) {
+    return {
+        publicKey: await exportPublicKey(keyPair.publicKey),
+        privateKeyJwk: await window.crypto.subtle.exportKey('jwk', keyPair.privateKey)
+    };
+}
+
+async function importRatchetKeyPair(stored) {
+    const privateKey = await window.crypto.subtle.importKey(
+        'jwk',
+        stored.privateKeyJwk,
+        { name: 'ECDH', namedCurve: 'P-256' },
+        true,
+        ['deriveKey', 'deriveBits']
+    );
+
+    return { privateKey, publicKey: stored.publicKey };
+}
+
+// The header is authenticated along with the message so it can't be swapped
+function encodeHeader(header, associatedData) {
+    const encoded = `${header.ratchetKey}:${header.previousChainLength}:${header.messageNumber}`;
+    return associatedData ? `${encoded}|${associatedData}` : encoded;
+}
+
+function skippedKeyId(ratchetKey, messageNumber) {
+    return `${ratchetKey}:${messageNumber}`;
+}
+
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Helper functions
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
@@ -4,6 +4,12 @@
 const NONCE_STORE = 'nonces';
 const SEQUENCE_STORE = 'sequences';
 
+// Version of the message envelope (the fields authenticated along with every message)
+// 1: nonce and sequence number only, 2: also sender, receiver, conversation and timestamp
+// New messages always use the current version, version 1 is only decrypted for messages already stored
+export const ENVELOPE_VERSION = 2;
+const SUPPORTED_ENVELOPE_VERSIONS = [1, 2];
+
 // Creating unique data for each message to prevent replays
 export function generateMessageMetadata(sequenceNumber) {
     const nonce = generateNonce();
@@ -16,11 +22,82 @@ export function generateMessageMetadata(sequenceNumber) {
     };
 }
 
+// The same id for a conversation from both sides
+export function getConversationId(userId, otherUserId) {
+    return [String(userId), String(otherUserId)].sort().join(':');
+}
+
+// A message's envelope as associated data for its encryption
+// The server stores and checks these fields, and because they're authenticated it can't rewrite
+// them or move a ciphertext to another conversation without decryption failing
+export function envelopeAssociatedData({ version, senderId, receiverId, nonce, sequenceNumber, timestamp }) {
+    if (version === 1) {
+        return `replay:${nonce}:${sequenceNumber}`;
+    }
+
+    return [
+        `securechat-message:v${version}`,
+        `from:${senderId}`,
+        `to:${receiverId}`,
+        `conversation:${getConversationId(senderId, receiverId)}`,
+        `nonce:${nonce}`,
+        `seq:${sequenceNumber}`,
+        `ts:${timestamp}`
+    ].join('|');
+}
+
+// The envelope of a message as the server stored it (older messages have no version, they're version 1)
+export function envelopeFromMessage(msg) {
+    return {
+        version: msg.envelopeVersion ?? 1,
+        senderId: msg.senderId,
+        receiverId: msg.receiverId,
+        nonce: msg.nonce,
+        sequenceNumber: msg.sequenceNumber,
+        timestamp: msg.timestamp
+    };
+}
+
+// Making sure an envelope is one we understand and really is between us and the other user
+// Returns null if it's fine, otherwise a failed validation result
+function checkEnvelope(metadata, ownUserId, otherUserId) {
+    if (!SUPPORTED_ENVELOPE_VERSIONS.includes(metadata.version)) {
+        return {
+            valid: false,
+            reason: 'UNSUPPORTED_ENVELOPE',
+            details: `Unknown envelope version ${metadata.version}`
+        };
+    }
+
+    const senderId = String(metadata.senderId);
+    const receiverId = String(metadata.receiverId);
+    const own = String(ownUserId);
+    const other = String(otherUserId);
+
+    if (!(senderId === own && receiverId === other) && !(senderId === other && receiverId === own)) {
+        console.warn('⚠ Message envelope belongs to another conversation');
+        return {
+            valid: false,
+            reason: 'ENVELOPE_MISMATCH',
+            details: 'Sender and receiver don\'t match this conversation'
+        };
+    }
+
+    return null;
+}
+
 // Checking if this message is safe or might be a replay attack
+// With ownUserId the envelope (version, sender and receiver) is checked too - the same fields
+// decryption authenticates, so a message passing both really was sent in this conversation
 export async function validateMessageMetadata(metadata, conversationId, options = {}) {
-    const { isHistorical = false } = options;
+    const { isHistorical = false, ownUserId = null } = options;
     
     try {
+        if (ownUserId) {
+            const envelopeFailure = checkEnvelope(metadata, ownUserId, conversationId);
+            if (envelopeFailure) return envelopeFailure;
+        }
+
         // First check: is this message too old? (only for new messages)
         if (!isHistorical) {
             const now = Date.now();
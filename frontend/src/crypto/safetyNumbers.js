@@ -0,0 +1,115 @@
+// Safety numbers (Signal-style key fingerprints)
+// Both users see the same number only if the server gave each of them the other's real identity keys,
+// so comparing it in person or scanning the QR code catches a key substituted by the server
+
+import { saveKeyRecord, loadKeyRecord, deleteKeyRecord } from './keyManagement.js';
+
+const FINGERPRINT_VERSION = 0;
+// Same iteration count as Signal, makes brute-forcing a matching fingerprint expensive
+const FINGERPRINT_ITERATIONS = 5200;
+const VERIFICATION_CODE_PREFIX = 'securechat-safety-number:v1';
+
+// 30 digits identifying one user's identity keys (every active device of theirs)
+export async function computeFingerprint(username, identityKeys) {
+    const encoder = new TextEncoder();
+    const keyBytes = sortKeys(identityKeys).map(key => new Uint8Array(base64ToArrayBuffer(key)));
+    const usernameBytes = encoder.encode(username);
+
+    let hash = concatBytes([new Uint8Array([0, FINGERPRINT_VERSION]), ...keyBytes, usernameBytes]);
+    for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+        hash = new Uint8Array(await window.crypto.subtle.digest(
+            'SHA-512',
+            concatBytes([hash, ...keyBytes])
+        ));
+    }
+
+    // Six 5-digit chunks, each from 5 bytes of the hash
+    let digits = '';
+    for (let chunk = 0; chunk < 6; chunk++) {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            value = value * 256 + hash[chunk * 5 + i];
+        }
+        digits += String(value % 100000).padStart(5, '0');
+    }
+    return digits;
+}
+
+// 60 digits for a conversation, ordered by username so both sides get the same number
+export async function computeSafetyNumber(localUsername, localKeys, remoteUsername, remoteKeys) {
+    const local = await computeFingerprint(localUsername, localKeys);
+    const remote = await computeFingerprint(remoteUsername, remoteKeys);
+
+    return localUsername < remoteUsername ? local + remote : remote + local;
+}
+
+// Splitting into groups of five for reading out loud
+export function formatSafetyNumber(safetyNumber) {
+    return safetyNumber.match(/.{1,5}/g) || [];
+}
+
+// What goes in the QR code - the other side scans (or pastes) it and compares with their own number
+export function encodeVerificationCode(localUsername, remoteUsername, safetyNumber) {
+    const [first, second] = [localUsername, remoteUsername].sort();
+    return `${VERIFICATION_CODE_PREFIX}:${first}:${second}:${safetyNumber}`;
+}
+
+// Checking a scanned code against the safety number we computed ourselves
+export function checkVerificationCode(code, localUsername, remoteUsername, safetyNumber) {
+    return code.trim() === encodeVerificationCode(localUsername, remoteUsername, safetyNumber);
+}
+
+// Verified contacts are remembered per account in IndexedDB, together with the keys we verified
+export async function markContactVerified(userId, contactId, identityKeys) {
+    await saveKeyRecord({
+        id: verifiedRecordId(userId, contactId),
+        identityKeys: sortKeys(identityKeys),
+        verifiedAt: Date.now()
+    });
+}
+
+export async function clearContactVerified(userId, contactId) {
+    await deleteKeyRecord(verifiedRecordId(userId, contactId));
+}
+
+// 'unverified', 'verified', or 'changed' when a verified contact now shows different identity keys
+export async function getVerificationStatus(userId, contactId, identityKeys) {
+    const record = await loadKeyRecord(verifiedRecordId(userId, contactId));
+    if (!record) {
+        return 'unverified';
+    }
+
+    const current = sortKeys(identityKeys);
+    const unchanged = current.length === record.identityKeys.length &&
+        current.every((key, i) => key === record.identityKeys[i]);
+
+    return unchanged ? 'verified' : 'changed';
+}
+
+function verifiedRecordId(userId, contactId) {
+    return `verified_${userId}_${contactId}`;
+}
+
+function sortKeys(keys) {
+    return [...keys].sort();
+}
+
+function concatBytes(parts) {
+    const combined = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+        combined.set(part, offset);
+        offset += part.byteLength;
+    }
+    return combined;
+}
+
+// Helper functions
+function base64ToArrayBuffer(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
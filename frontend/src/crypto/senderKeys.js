@@ -0,0 +1,236 @@
+// Sender keys for group chats (Signal-style)
+// Each device has one chain per group epoch and hands its chain key to the other members
+// over our pairwise ratchets, so a group message only has to be encrypted once
+
+import { exportPublicKey, importPublicKey } from './keyManagement.js';
+import { encryptMessage, decryptMessage } from './encryption.js';
+import { signData, verifySignature } from './keyExchange.js';
+
+// Not letting a single message make us derive an unbounded number of keys
+const MAX_SKIP = 100;
+// Keeping only this many keys around for late messages
+const MAX_STORED_SKIPPED = 500;
+
+// Creating our own sender key for a group epoch
+// The signing key stops other members from sending messages in our name
+export async function createSenderKey(groupId, epoch) {
+    try {
+        const signingKeyPair = await window.crypto.subtle.generateKey(
+            {
+                name: 'ECDSA',
+                namedCurve: 'P-256'
+            },
+            true,
+            ['sign', 'verify']
+        );
+
+        const chainKey = window.crypto.getRandomValues(new Uint8Array(32));
+
+        console.log(`✓ Created sender key for group ${groupId} (epoch ${epoch})`);
+
+        return {
+            groupId,
+            epoch,
+            chainKey: arrayBufferToBase64(chainKey),
+            iteration: 0,
+            signingPublicKey: await exportPublicKey(signingKeyPair.publicKey),
+            signingPrivateKeyJwk: await window.crypto.subtle.exportKey('jwk', signingKeyPair.privateKey),
+            distributedTo: []
+        };
+    } catch (error) {
+        console.error('Sender key creation failed:', error);
+        throw new Error('Failed to create sender key');
+    }
+}
+
+// What the other members get - the current chain key, never the signing private key
+// They can only derive keys from this point on, not for anything we sent earlier
+export function getSenderKeyDistribution(state) {
+    return {
+        type: 'sender_key',
+        groupId: state.groupId,
+        epoch: state.epoch,
+        chainKey: state.chainKey,
+        iteration: state.iteration,
+        signingPublicKey: state.signingPublicKey
+    };
+}
+
+// Turning a received distribution into the state we decrypt that member's messages with
+export function createReceiverState(distribution) {
+    if (distribution.type !== 'sender_key' || !distribution.chainKey || !distribution.signingPublicKey ||
+        !Number.isInteger(distribution.iteration)) {
+        throw new Error('Invalid sender key distribution');
+    }
+
+    return {
+        groupId: distribution.groupId,
+        epoch: distribution.epoch,
+        chainKey: distribution.chainKey,
+        iteration: distribution.iteration,
+        signingPublicKey: distribution.signingPublicKey,
+        skippedKeys: {}
+    };
+}
+
+// Encrypting one group message with the next key from our chain
+// Returns the new state - the caller has to save it
+export async function groupEncrypt(state, plaintext, senderDeviceId) {
+    try {
+        const next = cloneState(state);
+        const iteration = next.iteration;
+
+        const { chainKey, messageKey } = await kdfChainKey(base64ToArrayBuffer(next.chainKey));
+        next.chainKey = arrayBufferToBase64(chainKey);
+        next.iteration += 1;
+
+        const associatedData = encodeAssociatedData(next.groupId, next.epoch, senderDeviceId, iteration);
+        const encrypted = await encryptMessage(plaintext, await importMessageKey(messageKey), associatedData);
+
+        const signingKey = await window.crypto.subtle.importKey(
+            'jwk',
+            next.signingPrivateKeyJwk,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['sign']
+        );
+        const signature = await signData(
+            signedData(associatedData, encrypted.iv, encrypted.ciphertext),
+            signingKey
+        );
+
+        return {
+            state: next,
+            message: {
+                epoch: next.epoch,
+                iteration,
+                ciphertext: encrypted.ciphertext,
+                iv: encrypted.iv,
+                signature
+            }
+        };
+    } catch (error) {
+        console.error('Group encryption failed:', error);
+        throw new Error('Failed to encrypt group message');
+    }
+}
+
+// Decrypting a group message from another member's device
+// The state is only changed if the signature checks out and decryption succeeds
+export async function groupDecrypt(state, message, senderDeviceId) {
+    const associatedData = encodeAssociatedData(state.groupId, state.epoch, senderDeviceId, message.iteration);
+
+    // Checking the signature first - a member who has the chain key still can't forge this
+    const signingPublicKey = await importPublicKey(state.signingPublicKey, 'ECDSA');
+    const isValid = await verifySignature(
+        signedData(associatedData, message.iv, message.ciphertext),
+        message.signature,
+        signingPublicKey
+    );
+
+    if (!isValid) {
+        throw new Error('Invalid sender key signature - message may be forged');
+    }
+
+    const next = cloneState(state);
+    let messageKey;
+
+    if (message.iteration < next.iteration) {
+        // Late message we kept a key for
+        if (!next.skippedKeys[message.iteration]) {
+            throw new Error('Message key already used or too old');
+        }
+        messageKey = base64ToArrayBuffer(next.skippedKeys[message.iteration]);
+        delete next.skippedKeys[message.iteration];
+    } else {
+        if (message.iteration - next.iteration > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+        }
+
+        let chainKey = base64ToArrayBuffer(next.chainKey);
+        while (next.iteration < message.iteration) {
+            const step = await kdfChainKey(chainKey);
+            next.skippedKeys[next.iteration] = arrayBufferToBase64(step.messageKey);
+            chainKey = step.chainKey;
+            next.iteration += 1;
+        }
+
+        const step = await kdfChainKey(chainKey);
+        messageKey = step.messageKey;
+        next.chainKey = arrayBufferToBase64(step.chainKey);
+        next.iteration += 1;
+
+        // Throwing away the oldest keys once we have too many
+        const ids = Object.keys(next.skippedKeys);
+        for (const id of ids.slice(0, Math.max(0, ids.length - MAX_STORED_SKIPPED))) {
+            delete next.skippedKeys[id];
+        }
+    }
+
+    const plaintext = await decryptMessage(
+        message.ciphertext,
+        message.iv,
+        await importMessageKey(messageKey),
+        associatedData
+    );
+
+    return { state: next, plaintext };
+}
+
+// Chain KDF: HMAC(chain key, 0x01) is the message key, HMAC(chain key, 0x02) is the next chain key
+async function kdfChainKey(chainKey) {
+    const hmacKey = await window.crypto.subtle.importKey(
+        'raw',
+        chainKey,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const messageKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01]));
+    const nextChainKey = await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02]));
+
+    return { chainKey: nextChainKey, messageKey };
+}
+
+async function importMessageKey(messageKey) {
+    return window.crypto.subtle.importKey(
+        'raw',
+        messageKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Binding the group, epoch, sending device and position into every message
+function encodeAssociatedData(groupId, epoch, senderDeviceId, iteration) {
+    return `${groupId}:${epoch}:${senderDeviceId}:${iteration}`;
+}
+
+function signedData(associatedData, iv, ciphertext) {
+    return `${associatedData}:${iv}:${ciphertext}`;
+}
+
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Helper functions
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
@@ -22,10 +22,34 @@ axiosInstance.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
+// Access tokens only live for a few minutes - swapping the refresh token for a new pair
+// Concurrent 401s share one refresh so the refresh token is only used once
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+        throw new Error('No refresh token');
+    }
+
+    // Plain axios so this request doesn't go through the interceptors below
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    return response.data.token;
+};
+
+const refreshOnce = () => {
+    refreshPromise = refreshPromise || refreshAccessToken().finally(() => {
+        refreshPromise = null;
+    });
+    return refreshPromise;
+};
+
 // Suppress console errors for expected 404s on key exchange confirm endpoint
 axiosInstance.interceptors.response.use(
     (response) => response,
-    (error) => {
+    async (error) => {
         // Suppress console logging for expected 404/400 errors on confirm endpoint
         if (error.config?.url?.includes('/keyexchange/confirm') && 
             (error.response?.status === 404 || error.response?.status === 400)) {
@@ -33,6 +57,28 @@ axiosInstance.interceptors.response.use(
             // Don't log to console, just return the error
             return Promise.reject(error);
         }
+
+        // Expired access token - refreshing once and retrying the request
+        const { config } = error;
+        if (error.response?.status === 401 && error.response.data?.tokenExpired && config && !config._retried) {
+            config._retried = true;
+
+            try {
+                const token = await refreshOnce();
+                config.headers.Authorization = `Bearer ${token}`;
+                return axiosInstance(config);
+            } catch (refreshError) {
+                console.warn('Session could not be refreshed:', refreshError);
+                window.dispatchEvent(new Event('session-expired'));
+                return Promise.reject(error);
+            }
+        }
+
+        // The session was revoked on the server (logged out elsewhere)
+        if (error.response?.status === 401 && error.response.data?.sessionRevoked) {
+            window.dispatchEvent(new Event('session-expired'));
+        }
+
         // For other errors, let them through normally (axios will log them)
         return Promise.reject(error);
     }
@@ -41,24 +87,58 @@ axiosInstance.interceptors.response.use(
 // API service functions
 export const api = {
     // Authentication
-    register: async (username, password, publicKey) => {
+    register: async (username, password, publicKey, deviceName) => {
         const response = await axiosInstance.post('/auth/register', {
             username,
             password,
-            publicKey
+            publicKey,
+            deviceName
         });
         return response.data;
     },
 
-    login: async (username, password, twoFactorToken = null) => {
+    login: async (username, password, twoFactorToken = null, deviceId = null, webauthnResponse = null) => {
         const response = await axiosInstance.post('/auth/login', {
             username,
             password,
-            twoFactorToken
+            twoFactorToken,
+            webauthnResponse,
+            deviceId
         });
         return response.data;
     },
 
+    loginWithPasskey: async (webauthnResponse, deviceId = null) => {
+        const response = await axiosInstance.post('/auth/login/passkey', { webauthnResponse, deviceId });
+        return response.data;
+    },
+
+    // Used by the socket when its handshake token has expired
+    refreshSession: async () => {
+        try {
+            return await refreshOnce();
+        } catch (error) {
+            window.dispatchEvent(new Event('session-expired'));
+            throw error;
+        }
+    },
+
+    logout: async () => {
+        const response = await axiosInstance.post('/auth/logout');
+        return response.data;
+    },
+
+    // Sessions
+    getSessions: async () => {
+        const response = await axiosInstance.get('/auth/sessions');
+        return response.data;
+    },
+
+    revokeSession: async (sessionId) => {
+        const response = await axiosInstance.delete(`/auth/sessions/${sessionId}`);
+        return response.data;
+    },
+
     getUsers: async () => {
         const response = await axiosInstance.get('/auth/users');
         return response.data;
@@ -69,12 +149,61 @@ export const api = {
         return response.data;
     },
 
+    // Devices
+    registerDevice: async (publicKey, name) => {
+        const response = await axiosInstance.post('/auth/devices', { publicKey, name });
+        return response.data;
+    },
+
+    getDevices: async () => {
+        const response = await axiosInstance.get('/auth/devices');
+        return response.data;
+    },
+
+    revokeDevice: async (deviceId) => {
+        const response = await axiosInstance.delete(`/auth/devices/${deviceId}`);
+        return response.data;
+    },
+
+    // Identity Key Rotation
+    rotateIdentityKey: async (deviceId, rotation, recovered = false) => {
+        const response = await axiosInstance.post(`/auth/devices/${deviceId}/rotate`, { ...rotation, recovered });
+        return response.data;
+    },
+
+    getKeyRotations: async (username) => {
+        const response = await axiosInstance.get(`/auth/user/${username}/key-history`);
+        return response.data;
+    },
+
+    // Key Backup (wrapped on the client, the server can't open it)
+    saveKeyBackup: async (backup) => {
+        const response = await axiosInstance.put('/keys/backup', backup);
+        return response.data;
+    },
+
+    getKeyBackups: async () => {
+        const response = await axiosInstance.get('/keys/backup');
+        return response.data;
+    },
+
+    deleteKeyBackup: async (deviceId) => {
+        const response = await axiosInstance.delete(`/keys/backup/${deviceId}`);
+        return response.data;
+    },
+
     // Messages
     sendMessage: async (messageData) => {
         const response = await axiosInstance.post('/messages', messageData);
         return response.data;
     },
 
+    // Sequence number the server expects for this device's next message to a user
+    getNextSequenceNumber: async (otherUserId) => {
+        const response = await axiosInstance.get(`/messages/sequence/${otherUserId}`);
+        return response.data.nextSequence;
+    },
+
     getConversation: async (otherUserId) => {
         const response = await axiosInstance.get(`/messages/conversation/${otherUserId}`);
         return response.data;
@@ -101,21 +230,35 @@ export const api = {
         return response.data;
     },
 
-    confirmKeyExchange: async (keyExchangeId) => {
-        try {
-            const response = await axiosInstance.post('/keyexchange/confirm', {
-                keyExchangeId
-            });
-            return response.data;
-        } catch (error) {
-            // Re-throw 404/400 errors as they're expected (key exchange not ready yet)
-            // This allows the caller to handle them gracefully
-            if (error.response && (error.response.status === 404 || error.response.status === 400)) {
-                throw error;
-            }
-            // Re-throw other errors
-            throw error;
-        }
+    // The responder's answer to an exchange we started (404 until there is one)
+    getKeyExchangeResponse: async (keyExchangeId) => {
+        const response = await axiosInstance.get(`/keyexchange/${keyExchangeId}/response`);
+        return response.data;
+    },
+
+    // Sending our key confirmation once the responder's has checked out
+    confirmKeyExchange: async (keyExchangeId, confirmation) => {
+        const response = await axiosInstance.post('/keyexchange/confirm', {
+            keyExchangeId,
+            confirmation
+        });
+        return response.data;
+    },
+
+    // Key confirmations from initiators, for exchanges we responded to
+    getKeyConfirmations: async () => {
+        const response = await axiosInstance.get('/keyexchange/confirmations');
+        return response.data;
+    },
+
+    finalizeKeyExchange: async (keyExchangeId) => {
+        const response = await axiosInstance.post('/keyexchange/finalize', { keyExchangeId });
+        return response.data;
+    },
+
+    failKeyExchange: async (keyExchangeId, reason) => {
+        const response = await axiosInstance.post('/keyexchange/fail', { keyExchangeId, reason });
+        return response.data;
     },
 
     getPendingKeyExchanges: async () => {
@@ -123,28 +266,162 @@ export const api = {
         return response.data;
     },
 
-    // Files
-    uploadFile: async (fileData) => {
+    initiatePreKeyExchange: async (keyExchangeData) => {
+        const response = await axiosInstance.post('/keyexchange/prekey', keyExchangeData);
+        return response.data;
+    },
+
+    acceptPreKeyExchange: async (keyExchangeId) => {
+        const response = await axiosInstance.post('/keyexchange/prekey/accept', { keyExchangeId });
+        return response.data;
+    },
+
+    // Prekeys
+    uploadPreKeys: async (preKeys) => {
+        const response = await axiosInstance.post('/prekeys', preKeys);
+        return response.data;
+    },
+
+    getPreKeyStatus: async () => {
+        const response = await axiosInstance.get('/prekeys/status');
+        return response.data;
+    },
+
+    getPreKeyBundle: async (username, deviceId) => {
+        const response = await axiosInstance.get(`/prekeys/bundle/${username}/${deviceId}`);
+        return response.data;
+    },
+
+    // Groups
+    getGroups: async () => {
+        const response = await axiosInstance.get('/groups');
+        return response.data;
+    },
+
+    createGroup: async (name, memberIds) => {
+        const response = await axiosInstance.post('/groups', { name, memberIds });
+        return response.data;
+    },
+
+    getGroup: async (groupId) => {
+        const response = await axiosInstance.get(`/groups/${groupId}`);
+        return response.data;
+    },
+
+    addGroupMember: async (groupId, userId) => {
+        const response = await axiosInstance.post(`/groups/${groupId}/members`, { userId });
+        return response.data;
+    },
+
+    removeGroupMember: async (groupId, userId) => {
+        const response = await axiosInstance.delete(`/groups/${groupId}/members/${userId}`);
+        return response.data;
+    },
+
+    distributeSenderKeys: async (groupId, epoch, envelopes) => {
+        const response = await axiosInstance.post(`/groups/${groupId}/sender-keys`, { epoch, envelopes });
+        return response.data;
+    },
+
+    getSenderKeys: async (groupId) => {
+        const response = await axiosInstance.get(`/groups/${groupId}/sender-keys`);
+        return response.data;
+    },
+
+    sendGroupMessage: async (groupId, messageData) => {
+        const response = await axiosInstance.post(`/groups/${groupId}/messages`, messageData);
+        return response.data;
+    },
+
+    getGroupMessages: async (groupId) => {
+        const response = await axiosInstance.get(`/groups/${groupId}/messages`);
+        return response.data;
+    },
+
+    // Key Transparency
+    getTransparencyLogKey: async () => {
+        const response = await axiosInstance.get('/transparency/public-key');
+        return response.data.publicKey;
+    },
+
+    getTreeHead: async () => {
+        const response = await axiosInstance.get('/transparency/tree-head');
+        return response.data;
+    },
+
+    getConsistencyProof: async (first, second) => {
+        const response = await axiosInstance.get('/transparency/consistency', { params: { first, second } });
+        return response.data.proof;
+    },
+
+    getKeyHistory: async (username) => {
+        const response = await axiosInstance.get(`/transparency/history/${username}`);
+        return response.data;
+    },
+
+    // Files (uploaded as raw encrypted chunks, see services/fileTransfer.js)
+    startFileUpload: async (fileData) => {
         const response = await axiosInstance.post('/files/upload', fileData);
         return response.data;
     },
 
+    getFileUploadStatus: async (fileId) => {
+        const response = await axiosInstance.get(`/files/${fileId}/upload`);
+        return response.data;
+    },
+
+    uploadFileChunk: async (fileId, index, encryptedChunk) => {
+        const response = await axiosInstance.put(`/files/${fileId}/chunks/${index}`, encryptedChunk, {
+            headers: { 'Content-Type': 'application/octet-stream' }
+        });
+        return response.data;
+    },
+
+    completeFileUpload: async (fileId, header, preview) => {
+        const response = await axiosInstance.post(`/files/${fileId}/complete`, { header, preview });
+        return response.data;
+    },
+
+    getFilePreview: async (fileId) => {
+        const response = await axiosInstance.get(`/files/${fileId}/preview`);
+        return response.data;
+    },
+
     downloadFile: async (fileId) => {
         const response = await axiosInstance.get(`/files/${fileId}`);
         return response.data;
     },
 
+    // Bytes start..end (inclusive) of the encrypted file
+    downloadFileRange: async (fileId, start, end) => {
+        const response = await axiosInstance.get(`/files/${fileId}/content`, {
+            headers: { Range: `bytes=${start}-${end}` },
+            responseType: 'arraybuffer'
+        });
+        return response.data;
+    },
+
+    deleteFile: async (fileId) => {
+        const response = await axiosInstance.delete(`/files/${fileId}`);
+        return response.data;
+    },
+
     getFilesList: async (otherUserId) => {
         const response = await axiosInstance.get(`/files/list/${otherUserId}`);
         return response.data;
     },
 
-    // Security Logs
+    // Security Logs (everyone's logs and stats are admin only)
     getSecurityLogs: async (params = {}) => {
         const response = await axiosInstance.get('/logs', { params });
         return response.data;
     },
 
+    getMySecurityLogs: async (params = {}) => {
+        const response = await axiosInstance.get('/logs/me', { params });
+        return response.data;
+    },
+
     getLogStats: async () => {
         const response = await axiosInstance.get('/logs/stats');
         return response.data;
@@ -171,9 +448,42 @@ export const api = {
         return response.data;
     },
 
+    generateRecoveryCodes: async (password) => {
+        const response = await axiosInstance.post('/2fa/recovery-codes', { password });
+        return response.data;
+    },
+
     get2FAStatus: async () => {
         const response = await axiosInstance.get('/2fa/status');
         return response.data;
+    },
+
+    // Security Keys and Passkeys (WebAuthn)
+    getWebAuthnRegistrationOptions: async () => {
+        const response = await axiosInstance.post('/webauthn/register/options');
+        return response.data;
+    },
+
+    verifyWebAuthnRegistration: async (registrationResponse, name) => {
+        const response = await axiosInstance.post('/webauthn/register/verify', { response: registrationResponse, name });
+        return response.data;
+    },
+
+    getSecurityKeys: async () => {
+        const response = await axiosInstance.get('/webauthn/credentials');
+        return response.data;
+    },
+
+    removeSecurityKey: async (credentialId, password) => {
+        const response = await axiosInstance.delete(`/webauthn/credentials/${encodeURIComponent(credentialId)}`, {
+            data: { password }
+        });
+        return response.data;
+    },
+
+    getPasskeyLoginOptions: async () => {
+        const response = await axiosInstance.post('/webauthn/login/options');
+        return response.data;
     }
 };
 
@@ -0,0 +1,81 @@
+// Making small JPEG thumbnails of images (and a poster frame of videos) before sending them
+// The thumbnail is encrypted with the file key like everything else, the server only stores ciphertext
+
+const PREVIEW_MAX_DIMENSION = 320;
+const PREVIEW_QUALITY = 0.7;
+// Anything bigger than this isn't worth decoding just for a thumbnail
+const MAX_IMAGE_SOURCE_SIZE = 64 * 1024 * 1024;
+// Has to fit the server's preview limit once encrypted and base64 encoded
+const MAX_PREVIEW_BYTES = 160 * 1024;
+const VIDEO_TIMEOUT = 10000;
+
+// Resolves to the thumbnail as JPEG bytes, or null when the browser can't decode the file
+export async function createFilePreview(file) {
+    try {
+        let preview = null;
+
+        if (file.type.startsWith('image/') && file.size <= MAX_IMAGE_SOURCE_SIZE) {
+            preview = await imageThumbnail(file);
+        } else if (file.type.startsWith('video/')) {
+            preview = await videoPosterFrame(file);
+        }
+
+        return preview && preview.byteLength <= MAX_PREVIEW_BYTES ? preview : null;
+    } catch (err) {
+        console.warn('Could not make a preview, sending the file without one:', err);
+        return null;
+    }
+}
+
+async function imageThumbnail(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return await drawThumbnail(bitmap, bitmap.width, bitmap.height);
+    } finally {
+        bitmap.close();
+    }
+}
+
+// Seeking a bit into the video, the very first frame is often black
+function videoPosterFrame(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+
+        const finish = (callback) => {
+            clearTimeout(timer);
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            callback();
+        };
+        const timer = setTimeout(() => finish(() => resolve(null)), VIDEO_TIMEOUT);
+
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.onloadeddata = () => {
+            video.currentTime = Number.isFinite(video.duration) ? Math.min(1, video.duration / 2) : 0;
+        };
+        video.onseeked = () => {
+            drawThumbnail(video, video.videoWidth, video.videoHeight)
+                .then(preview => finish(() => resolve(preview)))
+                .catch(err => finish(() => reject(err)));
+        };
+        video.onerror = () => finish(() => resolve(null));
+        video.src = url;
+    });
+}
+
+async function drawThumbnail(source, width, height) {
+    if (!width || !height) return null;
+
+    const scale = Math.min(1, PREVIEW_MAX_DIMENSION / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PREVIEW_QUALITY));
+    return blob ? blob.arrayBuffer() : null;
+}
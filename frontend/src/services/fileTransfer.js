@@ -0,0 +1,195 @@
+// Sending and fetching encrypted files chunk by chunk
+// Each chunk is encrypted on its own, so a multi-GB file never has to be in memory at once,
+// and a dropped connection only costs the chunk that was in flight
+// Chunks are bound to the file id and their position, the file's metadata is in an encrypted header
+// The server only ever sees ids, the chunk layout and a padded size
+// Images and videos also get an encrypted thumbnail the chat can show before the file is downloaded
+import api from './api';
+import { createFilePreview } from './filePreview';
+import {
+    FILE_CHUNK_SIZE,
+    generateSessionKey,
+    exportSessionKey,
+    importSessionKey,
+    encryptFileChunk,
+    decryptFileChunk,
+    encryptFileHeader,
+    decryptFileHeader,
+    encryptFilePreview,
+    decryptFilePreview
+} from '../crypto/encryption';
+import { generateNonce } from '../crypto/replayProtection';
+
+export const MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024; // 4GB, same as the server default
+
+// IV (12 bytes) + GCM tag (16 bytes) added to every chunk
+const CHUNK_OVERHEAD = 12 + 16;
+const MAX_ATTEMPTS = 5;
+// Everything up to 1KB looks the same size to the server
+const MIN_PADDED_SIZE = 1024;
+
+// Rounding a file size up to a bucket (Padmé), the stored size leaks only O(log log n) bits
+// of the real one for at most 12% overhead
+export function paddedFileSize(size) {
+    if (size <= MIN_PADDED_SIZE) return MIN_PADDED_SIZE;
+
+    const exponent = Math.floor(Math.log2(size));
+    const exponentBits = Math.floor(Math.log2(exponent)) + 1;
+    const step = 2 ** (exponent - exponentBits);
+    return Math.ceil(size / step) * step;
+}
+
+function chunkCount(paddedSize, chunkSize) {
+    return Math.max(1, Math.ceil(paddedSize / chunkSize));
+}
+
+// Trying a request again after network errors and server hiccups (not after 4xx answers)
+async function withRetry(request) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await request();
+        } catch (err) {
+            const status = err.response?.status;
+            const retryable = !status || status >= 500 || status === 429;
+            if (!retryable || attempt >= MAX_ATTEMPTS) throw err;
+
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+// Unfinished uploads are remembered for this tab, so picking the same file again resumes it
+function pendingUploadKey(file, receiverId) {
+    return `pending_upload_${receiverId}_${file.name}_${file.size}_${file.lastModified}`;
+}
+
+async function resumeUpload(storageKey) {
+    const saved = sessionStorage.getItem(storageKey);
+    if (!saved) return null;
+
+    try {
+        const { fileId, fileKey } = JSON.parse(saved);
+        const state = await api.getFileUploadStatus(fileId);
+        if (state.status !== 'uploading') throw new Error('Upload already finished');
+
+        return { fileId, fileKey, state };
+    } catch (err) {
+        console.warn('Could not resume upload, starting over:', err);
+        sessionStorage.removeItem(storageKey);
+        return null;
+    }
+}
+
+// Encrypting and uploading a file with a new random key
+// Resolves to { fileId, fileKey, hasPreview } - the base64 file key has to reach the recipient end-to-end encrypted
+export async function uploadEncryptedFile(file, receiverId, onProgress = () => {}) {
+    const paddedSize = paddedFileSize(file.size);
+    if (paddedSize > MAX_FILE_SIZE) {
+        throw new Error('File too large');
+    }
+
+    const storageKey = pendingUploadKey(file, receiverId);
+    let upload = await resumeUpload(storageKey);
+
+    if (!upload) {
+        const fileKey = await exportSessionKey(await generateSessionKey());
+        const state = await api.startFileUpload({
+            receiverId,
+            chunkSize: FILE_CHUNK_SIZE,
+            totalChunks: chunkCount(paddedSize, FILE_CHUNK_SIZE),
+            paddedSize,
+            nonce: generateNonce(),
+            timestamp: Date.now()
+        });
+
+        upload = { fileId: state.fileId, fileKey, state };
+        sessionStorage.setItem(storageKey, JSON.stringify({ fileId: upload.fileId, fileKey }));
+    }
+
+    const { fileId, fileKey, state } = upload;
+    const { chunkSize, totalChunks } = state;
+    const key = await importSessionKey(fileKey);
+    const received = new Set(state.receivedChunks);
+
+    for (let index = 0; index < totalChunks; index++) {
+        const start = index * chunkSize;
+        const end = Math.min(start + chunkSize, paddedSize);
+
+        if (!received.has(index)) {
+            // Past the end of the file the chunk is filled with zeros
+            const chunk = new Uint8Array(end - start);
+            if (start < file.size) {
+                chunk.set(new Uint8Array(await file.slice(start, Math.min(end, file.size)).arrayBuffer()));
+            }
+
+            const encrypted = await encryptFileChunk(chunk, key, { fileId, index, totalChunks });
+            await withRetry(() => api.uploadFileChunk(fileId, index, encrypted));
+        }
+
+        onProgress(Math.min(end, file.size), file.size);
+    }
+
+    const header = await encryptFileHeader({
+        name: file.name,
+        mimeType: file.type || 'application/octet-stream',
+        size: file.size,
+        paddedSize,
+        chunkSize,
+        totalChunks
+    }, key, fileId);
+
+    const previewData = await createFilePreview(file);
+    const preview = previewData ? await encryptFilePreview(previewData, key, fileId) : undefined;
+
+    await withRetry(() => api.completeFileUpload(fileId, header, preview));
+    sessionStorage.removeItem(storageKey);
+
+    return { fileId, fileKey, hasPreview: Boolean(preview) };
+}
+
+// Fetching and decrypting a file's thumbnail, resolves to a JPEG blob
+export async function downloadFilePreview(fileId, fileKey) {
+    const { preview } = await withRetry(() => api.getFilePreview(fileId));
+    const key = await importSessionKey(fileKey);
+
+    return new Blob([await decryptFilePreview(preview, key, fileId)], { type: 'image/jpeg' });
+}
+
+// Downloading and decrypting a file one chunk (one Range request) at a time
+// Resolves to { blob, metadata } with the metadata from the decrypted header
+export async function downloadEncryptedFile(fileId, fileKey, onProgress = () => {}) {
+    const { file } = await api.downloadFile(fileId);
+    const key = await importSessionKey(fileKey);
+
+    // Going by the authenticated header, so a server claiming fewer chunks can't truncate the file
+    const metadata = await decryptFileHeader(file.header, key, fileId);
+    const { chunkSize, totalChunks, size, paddedSize } = metadata;
+    if (totalChunks !== chunkCount(paddedSize, chunkSize) || size > paddedSize) {
+        throw new Error('Failed to decrypt file - invalid key or tampered data');
+    }
+
+    const parts = [];
+
+    for (let index = 0; index < totalChunks; index++) {
+        const chunkStart = index * chunkSize;
+        const plaintextLength = Math.max(0, Math.min(chunkSize, paddedSize - chunkStart));
+        const start = index * (chunkSize + CHUNK_OVERHEAD);
+        const end = start + plaintextLength + CHUNK_OVERHEAD - 1;
+
+        const encrypted = await withRetry(() => api.downloadFileRange(fileId, start, end));
+        if (encrypted.byteLength !== plaintextLength + CHUNK_OVERHEAD) {
+            throw new Error('Failed to decrypt file - invalid key or tampered data');
+        }
+
+        // Dropping the padding after the real end of the file
+        const decrypted = await decryptFileChunk(encrypted, key, { fileId, index, totalChunks });
+        parts.push(decrypted.slice(0, Math.max(0, Math.min(plaintextLength, size - chunkStart))));
+
+        onProgress(Math.min(chunkStart + plaintextLength, size), size);
+    }
+
+    return {
+        blob: new Blob(parts, { type: metadata.mimeType || 'application/octet-stream' }),
+        metadata
+    };
+}